@@ -11,6 +11,10 @@ class ThemeManager {
    * @param {string} [options.dataAttribute='data-theme'] - HTML attribute for theme
    * @param {HTMLElement} [options.rootElement=document.documentElement] - Root element to apply theme to
    * @param {boolean} [options.preferSystemTheme=true] - Whether to prefer system theme by default
+   * @param {Object} [options.service] - Theme service of the host app. When
+   *   given, it keeps and applies the theme and the other options are not used;
+   *   it needs `getTheme()`, `setTheme(theme)`, `toggleTheme()`,
+   *   `useSystemTheme()` and `subscribe(listener)`.
    */
   constructor(options = {}) {
     this.storageKey = options.storageKey || 'sdde-theme';
@@ -19,6 +23,8 @@ class ThemeManager {
     this.dataAttribute = options.dataAttribute || 'data-theme';
     this.rootElement = options.rootElement || document.documentElement;
     this.preferSystemTheme = options.preferSystemTheme !== false;
+    this.service = options.service || null;
+    this.unsubscribeService = null;
     
     this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
     this.listeners = new Set();
@@ -31,6 +37,11 @@ class ThemeManager {
    * Initialize the theme manager
    */
   initialize() {
+    if (this.service) {
+      this.unsubscribeService = this.service.subscribe(detail => this.notifyListeners(detail.theme));
+      return;
+    }
+
     // Set up media query listener
     if (this.preferSystemTheme) {
       this.mediaQuery.addEventListener('change', this.handleSystemThemeChange.bind(this));
@@ -45,6 +56,10 @@ class ThemeManager {
    * @returns {string} The current theme
    */
   getCurrentTheme() {
+    if (this.service) {
+      return this.service.getTheme();
+    }
+
     // Check stored preference
     const storedTheme = localStorage.getItem(this.storageKey);
     
@@ -75,6 +90,10 @@ class ThemeManager {
    * @returns {boolean} Whether the theme was set successfully
    */
   setTheme(theme) {
+    if (this.service) {
+      return this.service.setTheme(theme);
+    }
+
     if (!this.availableThemes.includes(theme)) {
       console.error(`Theme "${theme}" is not available. Available themes: ${this.availableThemes.join(', ')}`);
       return false;
@@ -106,6 +125,10 @@ class ThemeManager {
    * @returns {string} The new theme
    */
   toggleTheme() {
+    if (this.service) {
+      return this.service.toggleTheme();
+    }
+
     const currentTheme = this.getCurrentTheme();
     const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
     
@@ -117,6 +140,11 @@ class ThemeManager {
    * Use the system theme
    */
   useSystemTheme() {
+    if (this.service) {
+      this.service.useSystemTheme();
+      return;
+    }
+
     // Remove stored preference
     localStorage.removeItem(this.storageKey);
     
@@ -172,6 +200,11 @@ class ThemeManager {
   destroy() {
     // Remove event listener
     this.mediaQuery.removeEventListener('change', this.handleSystemThemeChange);
+
+    if (this.unsubscribeService) {
+      this.unsubscribeService();
+      this.unsubscribeService = null;
+    }
     
     // Clear listeners
     this.listeners.clear();
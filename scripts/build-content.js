@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Guide Content Build Script
+ *
+ * Usage: node scripts/build-content.js [--check]
+ *
+ * Compiles every Markdown section in src/content/markdown/ into
+ * src/content/sections/<name>.html, and translations in
+ * src/content/markdown/<locale>/ into src/content/sections/<locale>/, then
+ * indexes every guide section listed in src/config/guide-sections.js into
+ * src/content/search-index.json. With --check nothing is written
+ * and the script exits non-zero when a compiled section or the search index
+ * is missing or out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileSection } = require('./content/markdown-compiler');
+const { buildSearchIndex, serializeSearchIndex } = require('./content/search-index-builder');
+const { readGuideSections } = require('./content/guide-manifest');
+
+const rootDir = path.join(__dirname, '..');
+const sourceDir = path.join(rootDir, 'src', 'content', 'markdown');
+const outputDir = path.join(rootDir, 'src', 'content', 'sections');
+const manifestPath = path.join(rootDir, 'src', 'config', 'guide-sections.js');
+const searchIndexPath = path.join(rootDir, 'src', 'content', 'search-index.json');
+
+const checkOnly = process.argv.includes('--check');
+
+// Directories of translated sections are named after their locale
+const LOCALE_DIR_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+/**
+ * Compile the Markdown sections of one directory
+ * @param {string} fromDir - Directory of the Markdown sources
+ * @param {string} toDir - Directory the HTML is written to
+ * @returns {{failures: number, stale: number}} Number of sections that failed
+ *   to compile and that are out of date
+ */
+function compileDirectory(fromDir, toDir) {
+  const sources = fs.readdirSync(fromDir).filter(file => file.endsWith('.md')).sort();
+  const orders = new Map();
+  let failures = 0;
+  let stale = 0;
+
+  sources.forEach(file => {
+    const slug = path.basename(file, '.md');
+    const sourcePath = path.join(fromDir, file);
+    const outputPath = path.join(toDir, `${slug}.html`);
+    const relativeSource = path.relative(rootDir, sourcePath).split(path.sep).join('/');
+
+    let result;
+    try {
+      result = compileSection(fs.readFileSync(sourcePath, 'utf8'), { slug, sourcePath: relativeSource });
+    } catch (error) {
+      console.error(`${relativeSource}: ${error.message}`);
+      failures++;
+      return;
+    }
+
+    if (result.meta.order !== null) {
+      if (orders.has(result.meta.order)) {
+        console.error(`${relativeSource}: order ${result.meta.order} is already used by ${orders.get(result.meta.order)}`);
+        failures++;
+        return;
+      }
+      orders.set(result.meta.order, relativeSource);
+    }
+
+    const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+    const relativeOutput = path.relative(rootDir, outputPath);
+
+    if (current === result.html) {
+      console.log(`Up to date: ${relativeOutput}`);
+    } else if (checkOnly) {
+      console.error(`Out of date: ${relativeOutput} (run npm run build:content)`);
+      stale++;
+    } else {
+      fs.mkdirSync(toDir, { recursive: true });
+      fs.writeFileSync(outputPath, result.html);
+      console.log(`Compiled ${relativeSource} -> ${relativeOutput} (${result.steps.length} steps)`);
+    }
+  });
+
+  return { failures, stale };
+}
+
+/**
+ * Compile all Markdown sections and their translations
+ * @returns {number} Process exit code
+ */
+function buildContent() {
+  if (!fs.existsSync(sourceDir)) {
+    console.log(`No Markdown sources found in ${path.relative(rootDir, sourceDir)}`);
+    return 0;
+  }
+
+  const locales = fs.readdirSync(sourceDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && LOCALE_DIR_PATTERN.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+
+  let failures = 0;
+  let stale = 0;
+
+  [null, ...locales].forEach(locale => {
+    const result = locale
+      ? compileDirectory(path.join(sourceDir, locale), path.join(outputDir, locale))
+      : compileDirectory(sourceDir, outputDir);
+    failures += result.failures;
+    stale += result.stale;
+  });
+
+  if (failures || stale) {
+    console.error(`${failures} section(s) failed to compile, ${stale} section(s) out of date`);
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Index every guide section for search
+ * @returns {number} Process exit code
+ */
+function buildIndex() {
+  const sections = readGuideSections(manifestPath).map(({ slug, file }) => ({ slug, file }));
+  const missing = sections.filter(section => !fs.existsSync(path.join(rootDir, section.file)));
+  if (!sections.length || missing.length) {
+    missing.forEach(section => console.error(`${section.file}: listed in the guide manifest but not found`));
+    console.error(`Could not index ${path.relative(rootDir, manifestPath)} for search`);
+    return 1;
+  }
+
+  const files = sections.map(section => ({
+    ...section,
+    html: fs.readFileSync(path.join(rootDir, section.file), 'utf8')
+  }));
+
+  const index = buildSearchIndex(files);
+  const json = serializeSearchIndex(index);
+  const current = fs.existsSync(searchIndexPath) ? fs.readFileSync(searchIndexPath, 'utf8') : null;
+  const relativeIndex = path.relative(rootDir, searchIndexPath);
+
+  if (current === json) {
+    console.log(`Up to date: ${relativeIndex}`);
+  } else if (checkOnly) {
+    console.error(`Out of date: ${relativeIndex} (run npm run build:content)`);
+    return 1;
+  } else {
+    fs.writeFileSync(searchIndexPath, json);
+    console.log(`Indexed ${files.length} file(s) -> ${relativeIndex} (${index.documents.length} documents, ${Math.ceil(json.length / 1024)} KB)`);
+  }
+
+  return 0;
+}
+
+// Index after compiling so the index sees the compiled sections
+const contentStatus = buildContent();
+process.exit(buildIndex() || contentStatus);
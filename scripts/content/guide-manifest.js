@@ -0,0 +1,39 @@
+/**
+ * Guide Manifest Reader
+ * Grimoire
+ *
+ * Reads the guide sections from src/config/guide-sections.js for the content
+ * scripts. The manifest is an ES module written for the browser, so its
+ * entries are read as text.
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a string property of a manifest entry
+ * @param {string} entry - Source of one section object
+ * @param {string} name - Property name
+ * @returns {string|null} The value, or null if it is missing
+ */
+function readProperty(entry, name) {
+  const match = entry.match(new RegExp(`\\b${name}:\\s*'([^']+)'`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Read the guide sections from the manifest
+ * @param {string} manifestPath - Path of src/config/guide-sections.js
+ * @returns {Array<{slug: string, id: string, file: string}>} Sections in guide order
+ */
+function readGuideSections(manifestPath) {
+  const manifest = fs.readFileSync(manifestPath, 'utf8');
+  return Array.from(manifest.matchAll(/\{[^{}]*\bslug:[^{}]*\}/g), match => ({
+    slug: readProperty(match[0], 'slug'),
+    id: readProperty(match[0], 'id'),
+    file: readProperty(match[0], 'file')
+  })).filter(section => section.slug && section.file);
+}
+
+module.exports = {
+  readGuideSections
+};
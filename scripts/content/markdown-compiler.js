@@ -0,0 +1,566 @@
+/**
+ * Guide Section Markdown Compiler
+ * Grimoire
+ *
+ * Compiles Markdown guide sections with YAML front matter into the
+ * `details.guide-section` markup that ContentLoader, CodeBlocks and
+ * ProgressTracker expect. See docs/features/CONTENT-AUTHORING.md for the
+ * authoring format.
+ */
+
+const yaml = require('js-yaml');
+
+const INDENT = '    ';
+
+const BLOCKQUOTE_KINDS = {
+  EXPLANATION: 'explanation',
+  INSTRUCTION: 'instruction',
+  WARNING: 'warning'
+};
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Error raised for malformed section sources
+ */
+class ContentCompileError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} [line] - 1-based line number in the Markdown source
+   */
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'ContentCompileError';
+    this.line = line;
+  }
+}
+
+/**
+ * Split a source file into its YAML front matter and Markdown body
+ * @param {string} source - Raw file contents
+ * @returns {{data: Object, body: string, bodyStartLine: number}}
+ */
+function parseFrontMatter(source) {
+  const normalized = source.replace(/\r\n?/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+
+  if (!match) {
+    return { data: {}, body: normalized, bodyStartLine: 1 };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1]) || {};
+  } catch (error) {
+    throw new ContentCompileError(`invalid front matter: ${error.reason || error.message}`, 2);
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ContentCompileError('front matter must be a mapping', 2);
+  }
+
+  return {
+    data,
+    body: normalized.slice(match[0].length),
+    bodyStartLine: match[0].split('\n').length
+  };
+}
+
+/**
+ * Validate and normalize section metadata from front matter
+ * @param {Object} data - Parsed front matter
+ * @param {string} slug - File name without extension, used as a fallback id
+ * @returns {Object} Normalized metadata
+ */
+function normalizeMetadata(data, slug) {
+  if (!data.title) {
+    throw new ContentCompileError('front matter is missing required "title"');
+  }
+
+  const meta = {
+    id: data.id ? String(data.id) : slug,
+    slug,
+    title: String(data.title),
+    description: data.description ? String(data.description) : '',
+    order: data.order === undefined ? null : Number(data.order),
+    tags: [],
+    difficulty: data.difficulty ? String(data.difficulty).toLowerCase() : null,
+    estimatedTime: data.estimatedTime === undefined ? null : Number(data.estimatedTime)
+  };
+
+  if (meta.order !== null && !Number.isInteger(meta.order)) {
+    throw new ContentCompileError('"order" must be an integer');
+  }
+
+  if (data.tags !== undefined) {
+    const tags = Array.isArray(data.tags) ? data.tags : String(data.tags).split(',');
+    meta.tags = tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+  }
+
+  if (meta.difficulty && !DIFFICULTIES.includes(meta.difficulty)) {
+    throw new ContentCompileError(`"difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+
+  if (meta.estimatedTime !== null && !(meta.estimatedTime > 0)) {
+    throw new ContentCompileError('"estimatedTime" must be a positive number of minutes');
+  }
+
+  return meta;
+}
+
+/**
+ * Convert text into an anchor-safe slug
+ * @param {string} text - Text to slugify
+ * @returns {string} Lowercase, hyphen-separated slug
+ */
+function slugify(text) {
+  return String(text)
+    .replace(/<[^>]*>/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&[a-z0-9#]+;/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape bare ampersands and angle brackets in prose while leaving entities
+ * and inline HTML tags untouched
+ * @param {string} text - Prose text
+ * @returns {string} Escaped prose
+ */
+function escapeProse(text) {
+  return text
+    .replace(/&(?!#?[a-zA-Z0-9]+;)/g, '&amp;')
+    .replace(/<(?![a-zA-Z/!])/g, '&lt;');
+}
+
+/**
+ * Render inline Markdown: code spans, links, images, strong and emphasis.
+ * Inline HTML is passed through as-is.
+ * @param {string} text - Inline Markdown
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  const stash = [];
+  const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let out = text
+    .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(/<[a-zA-Z/!][^>]*>/g, tag => hold(tag));
+
+  out = escapeProse(out)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, src, title) =>
+      hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+      `<a href="${escapeHtml(href)}">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>');
+
+  // eslint-disable-next-line no-control-regex
+  return out.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+}
+
+/**
+ * Parse a trailing `{#id .class key=value}` attribute list
+ * @param {string} text - Text that may end with an attribute list
+ * @returns {{text: string, attrs: {id: ?string, classes: string[], data: Object}}}
+ */
+function parseAttributes(text) {
+  const attrs = { id: null, classes: [], data: {} };
+  const match = text.match(/\s*\{([^{}]*)\}\s*$/);
+
+  if (!match) {
+    return { text, attrs };
+  }
+
+  match[1].trim().split(/\s+/).filter(Boolean).forEach(token => {
+    if (token.startsWith('#')) {
+      attrs.id = token.slice(1);
+    } else if (token.startsWith('.')) {
+      attrs.classes.push(token.slice(1));
+    } else if (token.includes('=')) {
+      const [key, ...rest] = token.split('=');
+      attrs.data[key] = rest.join('=').replace(/^"|"$/g, '');
+    }
+  });
+
+  return { text: text.slice(0, match.index), attrs };
+}
+
+/**
+ * Serialize parsed attributes to an HTML attribute string
+ * @param {Object} attrs - Attributes from parseAttributes
+ * @param {string[]} [baseClasses] - Classes that are always present
+ * @returns {string} Leading-space attribute string
+ */
+function renderAttributes(attrs, baseClasses = []) {
+  const classes = [...baseClasses, ...(attrs ? attrs.classes : [])];
+  let out = '';
+
+  if (attrs && attrs.id) out += ` id="${escapeHtml(attrs.id)}"`;
+  if (classes.length) out += ` class="${escapeHtml(classes.join(' '))}"`;
+  if (attrs) {
+    Object.entries(attrs.data).forEach(([key, value]) => {
+      out += ` data-${key}="${escapeHtml(value)}"`;
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Parse a Markdown body into a flat list of block tokens
+ * @param {string} body - Markdown body (front matter removed)
+ * @param {number} [startLine=1] - Line number of the first body line
+ * @returns {Array<Object>} Block tokens
+ */
+function tokenizeBlocks(body, startLine = 1) {
+  const lines = body.split('\n');
+  const tokens = [];
+  let pendingAttrs = null;
+  let i = 0;
+
+  const lineNo = index => startLine + index;
+  const take = token => {
+    if (pendingAttrs) {
+      token.attrs = token.attrs || { id: null, classes: [], data: {} };
+      token.attrs.id = token.attrs.id || pendingAttrs.id;
+      token.attrs.classes = [...pendingAttrs.classes, ...token.attrs.classes];
+      token.attrs.data = { ...pendingAttrs.data, ...token.attrs.data };
+      pendingAttrs = null;
+    }
+    tokens.push(token);
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Standalone attribute line applies to the next block
+    if (/^\{[^{}]*\}\s*$/.test(line.trim())) {
+      pendingAttrs = parseAttributes(line.trim()).attrs;
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(/^(`{3,}|~{3,})\s*([^\s{]*)\s*(\{[^{}]*\})?\s*$/);
+    if (fence) {
+      const start = i;
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      if (i >= lines.length) {
+        throw new ContentCompileError('unterminated code fence', lineNo(start));
+      }
+      i++;
+      take({
+        type: 'code',
+        language: fence[2] || null,
+        attrs: fence[3] ? parseAttributes(fence[3]).attrs : null,
+        text: code.join('\n'),
+        line: lineNo(start)
+      });
+      continue;
+    }
+
+    // ATX heading
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const { text, attrs } = parseAttributes(heading[2]);
+      take({ type: 'heading', level: heading[1].length, text, attrs, line: lineNo(i) });
+      i++;
+      continue;
+    }
+
+    // Blockquote, optionally tagged with [!KIND]
+    if (/^>/.test(line)) {
+      const start = i;
+      const inner = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        inner.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      let kind = BLOCKQUOTE_KINDS.EXPLANATION;
+      const marker = inner[0].match(/^\[!([A-Z]+)\]\s*$/);
+      if (marker) {
+        kind = BLOCKQUOTE_KINDS[marker[1]];
+        if (!kind) {
+          throw new ContentCompileError(`unknown blockquote kind [!${marker[1]}]`, lineNo(start));
+        }
+        inner.shift();
+      }
+      take({
+        type: 'blockquote',
+        kind,
+        children: tokenizeBlocks(inner.join('\n'), lineNo(start) + (marker ? 1 : 0)),
+        line: lineNo(start)
+      });
+      continue;
+    }
+
+    // Ordered and unordered lists
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (listItem && listItem[1].length === 0) {
+      const ordered = /\d/.test(listItem[2]);
+      const start = i;
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(/^([-*+]|\d+[.)])\s+(.*)$/);
+        if (item && /\d/.test(item[1]) === ordered) {
+          items.push(item[2]);
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+          items[items.length - 1] += ' ' + lines[i].trim();
+        } else {
+          break;
+        }
+        i++;
+      }
+      take({ type: 'list', ordered, items, line: lineNo(start) });
+      continue;
+    }
+
+    // Raw HTML block, passed through until the next blank line
+    if (/^<[a-zA-Z!/]/.test(line)) {
+      const start = i;
+      const html = [];
+      while (i < lines.length && lines[i].trim()) {
+        html.push(lines[i].trim());
+        i++;
+      }
+      take({ type: 'html', html: html.join('\n'), line: lineNo(start) });
+      continue;
+    }
+
+    // Paragraph
+    const start = i;
+    const text = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^(#{1,6}\s|>|```|~~~|[-*+]\s|\d+[.)]\s)/.test(lines[i])
+    ) {
+      text.push(lines[i].trim());
+      i++;
+    }
+    const { text: paragraph, attrs } = parseAttributes(text.join(' '));
+    take({ type: 'paragraph', text: paragraph, attrs, line: lineNo(start) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Render block tokens to indented HTML lines
+ * @param {Array<Object>} tokens - Block tokens
+ * @param {number} depth - Indentation depth
+ * @returns {string[]} HTML lines
+ */
+function renderBlocks(tokens, depth) {
+  const pad = INDENT.repeat(depth);
+  const lines = [];
+
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'heading':
+        lines.push(`${pad}<h${token.level}${renderAttributes(token.attrs)}>${renderInline(token.text)}</h${token.level}>`);
+        break;
+
+      case 'paragraph':
+        lines.push(`${pad}<p${renderAttributes(token.attrs)}>${renderInline(token.text)}</p>`);
+        break;
+
+      case 'list': {
+        const tag = token.ordered ? 'ol' : 'ul';
+        lines.push(`${pad}<${tag}${renderAttributes(token.attrs)}>`);
+        token.items.forEach(item => {
+          lines.push(`${pad}${INDENT}<li>${renderInline(item)}</li>`);
+        });
+        lines.push(`${pad}</${tag}>`);
+        break;
+      }
+
+      case 'blockquote':
+        if (token.kind === BLOCKQUOTE_KINDS.WARNING && token.children.every(child => child.type === 'paragraph')) {
+          // Warnings render as the standalone callout paragraph used across the guide
+          const text = token.children.map(child => renderInline(child.text)).join(' ');
+          lines.push(`${pad}<p${renderAttributes(token.attrs, ['warning'])}>⚠️ ${text}</p>`);
+        } else if (token.kind === BLOCKQUOTE_KINDS.WARNING) {
+          // Lists and code blocks keep their own markup inside a callout box
+          const [first, ...rest] = token.children;
+          const children = first.type === 'paragraph'
+            ? [{ ...first, text: `⚠️ ${first.text}` }, ...rest]
+            : [{ type: 'paragraph', text: '⚠️', attrs: null }, ...token.children];
+          lines.push(`${pad}<div${renderAttributes(token.attrs, ['warning'])}>`);
+          lines.push(...renderBlocks(children, depth + 1));
+          lines.push(`${pad}</div>`);
+        } else {
+          lines.push(`${pad}<blockquote${renderAttributes(token.attrs, [token.kind])}>`);
+          lines.push(...renderBlocks(token.children, depth + 1));
+          lines.push(`${pad}</blockquote>`);
+        }
+        break;
+
+      case 'code': {
+        const codeClass = token.language ? ` class="language-${escapeHtml(token.language)}"` : '';
+        lines.push(`${pad}<div${renderAttributes(token.attrs, ['code-block'])}>`);
+        lines.push(`${pad}${INDENT}<button class="copy-button" data-action="copy">Copy</button>`);
+        lines.push(`${pad}${INDENT}<pre><code${codeClass}>${escapeHtml(token.text)}</code></pre>`);
+        lines.push(`${pad}</div>`);
+        break;
+      }
+
+      case 'html':
+        token.html.split('\n').forEach(htmlLine => lines.push(`${pad}${htmlLine}`));
+        break;
+
+      default:
+        throw new ContentCompileError(`unsupported block "${token.type}"`, token.line);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Group top-level tokens into the section preamble and numbered steps.
+ * Every level-2 heading starts a new step.
+ * @param {Array<Object>} tokens - Top-level block tokens
+ * @param {Object} meta - Normalized section metadata
+ * @returns {{preamble: Array<Object>, steps: Array<Object>}}
+ */
+function groupSteps(tokens, meta) {
+  const preamble = [];
+  const steps = [];
+  const seenIds = new Set();
+
+  tokens.forEach(token => {
+    if (token.type === 'heading' && token.level === 1) {
+      throw new ContentCompileError('use the front matter "title" instead of a level-1 heading', token.line);
+    }
+
+    if (token.type === 'heading' && token.level === 2) {
+      const number = steps.length + 1;
+      const attrs = token.attrs;
+      const id = attrs.id || `${meta.slug}-${slugify(token.text)}`;
+
+      if (seenIds.has(id)) {
+        throw new ContentCompileError(`duplicate step id "${id}"`, token.line);
+      }
+      seenIds.add(id);
+
+      steps.push({
+        number,
+        id,
+        summary: token.text,
+        attrs: { ...attrs, id, data: { step: String(number), ...attrs.data } },
+        heading: null,
+        children: [],
+        line: token.line
+      });
+      return;
+    }
+
+    const step = steps[steps.length - 1];
+    if (!step) {
+      preamble.push(token);
+    } else if (!step.heading && !step.children.length && token.type === 'heading' && token.level === 3) {
+      // A level-3 heading directly under the step title replaces the default heading
+      step.heading = token;
+    } else {
+      step.children.push(token);
+    }
+  });
+
+  return { preamble, steps };
+}
+
+/**
+ * Compile a Markdown section into guide HTML
+ * @param {string} source - Markdown source with front matter
+ * @param {Object} [options] - Compile options
+ * @param {string} [options.slug] - Section slug (usually the file name)
+ * @param {string} [options.sourcePath] - Source path recorded in the generated banner
+ * @returns {{html: string, meta: Object, steps: Array<{number: number, id: string, summary: string}>}}
+ */
+function compileSection(source, options = {}) {
+  const { data, body, bodyStartLine } = parseFrontMatter(source);
+  const meta = normalizeMetadata(data, options.slug || slugify(data.title || 'section'));
+  const { preamble, steps } = groupSteps(tokenizeBlocks(body, bodyStartLine), meta);
+
+  const sectionData = { slug: meta.slug };
+  if (meta.order !== null) sectionData.order = String(meta.order);
+  if (meta.tags.length) sectionData.tags = meta.tags.join(' ');
+  if (meta.difficulty) sectionData.difficulty = meta.difficulty;
+  if (meta.estimatedTime !== null) sectionData['estimated-time'] = String(meta.estimatedTime);
+
+  const lines = [];
+
+  if (options.sourcePath) {
+    lines.push(`<!-- Generated from ${options.sourcePath} by scripts/build-content.js. Do not edit by hand. -->`);
+  }
+
+  lines.push(`<div${renderAttributes({ id: meta.id, classes: [], data: sectionData }, ['section'])}>`);
+  lines.push(`${INDENT}<h2>${renderInline(meta.title)}</h2>`);
+  if (meta.description) {
+    lines.push(`${INDENT}<p class="section-description"><strong><code>${escapeHtml(meta.description)}</code></strong></p>`);
+  }
+  lines.push(`${INDENT}<hr>`);
+  lines.push(`${INDENT}`);
+  lines.push(`${INDENT}<div class="section-content">`);
+  lines.push(...renderBlocks(preamble, 2));
+
+  steps.forEach((step, index) => {
+    const headingText = step.heading ? step.heading.text : step.summary;
+    const headingAttrs = step.heading ? renderAttributes(step.heading.attrs) : '';
+
+    if (index > 0 || preamble.length) lines.push(`${INDENT.repeat(2)}`);
+    lines.push(`${INDENT.repeat(2)}<details${renderAttributes(step.attrs, ['guide-section'])}>`);
+    lines.push(`${INDENT.repeat(3)}<summary>${step.number}. ${renderInline(step.summary)}</summary>`);
+    lines.push(`${INDENT.repeat(3)}<div class="details-content">`);
+    lines.push(`${INDENT.repeat(4)}<h3${headingAttrs}>${step.number}. ${renderInline(headingText)}</h3>`);
+    lines.push(...renderBlocks(step.children, 4));
+    lines.push(`${INDENT.repeat(3)}</div>`);
+    lines.push(`${INDENT.repeat(2)}</details>`);
+  });
+
+  lines.push(`${INDENT}</div>`);
+  lines.push('</div>');
+
+  return {
+    html: lines.join('\n') + '\n',
+    meta,
+    steps: steps.map(({ number, id, summary }) => ({ number, id, summary }))
+  };
+}
+
+module.exports = {
+  ContentCompileError,
+  compileSection,
+  parseFrontMatter,
+  renderInline,
+  slugify,
+  escapeHtml
+};
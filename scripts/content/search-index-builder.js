@@ -0,0 +1,188 @@
+/**
+ * Guide Search Index Builder
+ * Grimoire
+ *
+ * Extracts the searchable text of every section and step in the section
+ * files into a compact JSON index. The search UI loads it on demand so
+ * sections that have not been loaded into the page yet can be searched too.
+ * Text is extracted the way collectDocuments in
+ * src/scripts/utils/search-engine.js reads the page, so a section gives the
+ * same results before and after it is loaded.
+ */
+
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+/**
+ * Index format version, bumped when the document fields change
+ * @type {number}
+ */
+const INDEX_VERSION = 2;
+
+const SECTION_SELECTOR = '.section[id]';
+const STEP_SELECTOR = 'details.guide-section';
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+/**
+ * Elements whose text is not searchable (see IGNORED_SELECTOR in
+ * src/scripts/utils/search-engine.js)
+ * @type {string}
+ */
+const IGNORED_SELECTOR = 'script, style, button, .copy-button, .search-navigation';
+
+/**
+ * Collapse the whitespace in a text
+ * @param {string} text - Text to clean up
+ * @returns {string} The text on one line
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Copy an element without its unsearchable and excluded parts
+ * @param {Element} element - Element to copy
+ * @param {string} [exclude] - Selector for descendants to leave out
+ * @returns {Element} The copy
+ */
+function cloneSearchable(element, exclude) {
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll(exclude ? `${IGNORED_SELECTOR}, ${exclude}` : IGNORED_SELECTOR)
+    .forEach(node => node.remove());
+  return clone;
+}
+
+/**
+ * Get the prose of an element, without its code blocks
+ * @param {Element} element - Element to read
+ * @param {string} exclude - Selector for descendants to leave out
+ * @returns {string} The element's text
+ */
+function getText(element, exclude) {
+  return collapse(cloneSearchable(element, `pre, ${exclude}`).textContent);
+}
+
+/**
+ * Get the text of an element's code blocks
+ * @param {Element} element - Element to read
+ * @param {string} [exclude] - Selector for descendants to leave out
+ * @returns {string} The commands, separated by spaces
+ */
+function getCode(element, exclude) {
+  return Array.from(cloneSearchable(element, exclude).querySelectorAll('pre'))
+    .map(pre => collapse(pre.textContent))
+    .join(' ');
+}
+
+/**
+ * Get the text of headings
+ * @param {Element[]} headings - Heading elements
+ * @returns {string} The headings, separated by spaces
+ */
+function joinHeadings(headings) {
+  return headings.map(heading => collapse(heading.textContent)).join(' ');
+}
+
+/**
+ * Get the tags of an element from its space-separated data-tags attribute
+ * @param {Element} element - Section or step
+ * @returns {string[]} Lowercase tags
+ */
+function getTags(element) {
+  return (element.getAttribute('data-tags') || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Drop empty fields to keep the index small
+ * @param {Object} document - Search document
+ * @returns {Object} The document without empty strings and lists
+ */
+function compact(document) {
+  return Object.fromEntries(Object.entries(document).filter(([, value]) =>
+    value !== '' && value !== undefined && !(Array.isArray(value) && !value.length)));
+}
+
+/**
+ * Create the search documents of one section file
+ * @param {string} file - File path
+ * @param {string} html - File contents
+ * @param {string} [fileSlug] - Route slug of the file's section; defaults to
+ *   the section's data-slug attribute, then the file name
+ * @returns {Array<Object>} Documents for the section and each of its steps
+ */
+function indexSectionFile(file, html, fileSlug) {
+  const document = new JSDOM(html).window.document;
+  const documents = [];
+
+  document.querySelectorAll(SECTION_SELECTOR).forEach(section => {
+    const slug = fileSlug || section.getAttribute('data-slug') || path.basename(file, '.html');
+    const heading = section.querySelector(HEADING_SELECTOR);
+    const sectionTitle = heading ? collapse(heading.textContent) : 'Untitled Section';
+    const sectionTags = getTags(section);
+
+    documents.push(compact({
+      id: section.id,
+      title: sectionTitle,
+      section: sectionTitle,
+      sectionId: section.id,
+      slug,
+      tags: sectionTags,
+      headings: joinHeadings(Array.from(section.querySelectorAll('h2, h3, h4'))
+        .filter(node => node !== heading && !node.closest(STEP_SELECTOR))),
+      body: getText(section, `${STEP_SELECTOR}, ${HEADING_SELECTOR}`),
+      code: getCode(section, STEP_SELECTOR),
+      anchor: section.id,
+      url: `#/${slug}`
+    }));
+
+    section.querySelectorAll(STEP_SELECTOR).forEach((step, index) => {
+      const summary = step.querySelector('summary');
+      const number = Number(step.getAttribute('data-step')) || index + 1;
+
+      documents.push(compact({
+        id: step.id || `${section.id}-step-${index + 1}`,
+        title: summary ? collapse(summary.textContent) : `${sectionTitle} step ${index + 1}`,
+        section: sectionTitle,
+        sectionId: section.id,
+        slug,
+        tags: Array.from(new Set([...sectionTags, ...getTags(step)])),
+        step: number,
+        headings: joinHeadings(Array.from(step.querySelectorAll('h3, h4, h5, h6'))),
+        body: getText(step, 'summary, h3, h4, h5, h6'),
+        code: getCode(step),
+        anchor: step.id || section.id,
+        url: `#/${slug}/${number}`
+      }));
+    });
+  });
+
+  return documents;
+}
+
+/**
+ * Build the search index of a set of section files
+ * @param {Array<{file: string, html: string, slug?: string}>} files - Section files
+ * @returns {{version: number, documents: Array<Object>}} The index
+ */
+function buildSearchIndex(files) {
+  return {
+    version: INDEX_VERSION,
+    documents: files.flatMap(({ file, html, slug }) => indexSectionFile(file, html, slug))
+  };
+}
+
+/**
+ * Serialize an index the way it is written to disk
+ * @param {Object} index - Index from buildSearchIndex
+ * @returns {string} Compact JSON with a trailing newline
+ */
+function serializeSearchIndex(index) {
+  return `${JSON.stringify(index)}\n`;
+}
+
+module.exports = {
+  INDEX_VERSION,
+  indexSectionFile,
+  buildSearchIndex,
+  serializeSearchIndex
+};
@@ -0,0 +1,297 @@
+/**
+ * Guide Section Structure Validator
+ * Grimoire
+ *
+ * Checks section HTML for the structure ContentLoader, CodeBlocks and
+ * ProgressTracker rely on. Each problem is reported as a diagnostic with the
+ * file, line and column it was found at.
+ */
+
+const { JSDOM } = require('jsdom');
+
+/**
+ * Values allowed in a code block's `data-risk` attribute (see
+ * src/scripts/utils/command-risk.js)
+ * @type {string[]}
+ */
+const KNOWN_RISKS = ['root', 'remote-script', 'readonly-disabled', 'destructive'];
+
+/**
+ * Command template placeholders, e.g. `{{APP_ID}}` (see
+ * src/scripts/utils/command-templates.js)
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Z][A-Z0-9_]*)\s*\}\}/g;
+const PLACEHOLDER_NAME_PATTERN = /^\{\{\s*[A-Z][A-Z0-9_]*\s*\}\}$/;
+const LOOSE_PLACEHOLDER_PATTERN = /\{\{([^{}]*)\}\}/g;
+
+/**
+ * Guide route links, e.g. `#/decky-loader/3` (see
+ * src/scripts/routing/guide-router.js)
+ * @type {RegExp}
+ */
+const ROUTE_PATTERN = /^#\/([a-z0-9-]+)(?:\/(\d+))?\/?$/;
+
+/**
+ * Rules applied to every file. Each rule receives the parsed file and
+ * reports problems through `report(element, message)`.
+ * @type {Array<{id: string, check: Function}>}
+ */
+const FILE_RULES = [
+  {
+    id: 'code-block-copy-button',
+    check(document, report) {
+      document.querySelectorAll('.code-block').forEach(block => {
+        const button = block.querySelector('.copy-button');
+        if (!button) {
+          report(block, '.code-block has no .copy-button');
+        } else if (button.getAttribute('data-action') !== 'copy') {
+          report(button, '.copy-button needs data-action="copy"');
+        }
+        if (!block.querySelector('pre code, code')) {
+          report(block, '.code-block has no <code> element to copy');
+        }
+      });
+    }
+  },
+  {
+    id: 'risk-annotation',
+    check(document, report) {
+      document.querySelectorAll('.code-block[data-risk]').forEach(block => {
+        block.getAttribute('data-risk').split(/[\s,]+/).filter(Boolean).forEach(risk => {
+          if (!KNOWN_RISKS.includes(risk)) {
+            report(block, `unknown risk "${risk}" (expected one of ${KNOWN_RISKS.join(', ')})`);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'command-template',
+    check(document, report) {
+      document.querySelectorAll('.code-block').forEach(block => {
+        const code = block.querySelector('pre code, code');
+        const text = code ? code.textContent : '';
+        const names = Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+
+        Array.from(text.matchAll(LOOSE_PLACEHOLDER_PATTERN))
+          .filter(match => !PLACEHOLDER_NAME_PATTERN.test(match[0]))
+          .forEach(match => {
+            report(code, `placeholder "${match[0]}" must be an upper-case name like {{APP_ID}}`);
+          });
+
+        if (!block.hasAttribute('data-params')) return;
+
+        let params;
+        try {
+          params = JSON.parse(block.getAttribute('data-params'));
+        } catch (error) {
+          report(block, `data-params is not valid JSON: ${error.message}`);
+          return;
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+          report(block, 'data-params must be a JSON object keyed by placeholder name');
+          return;
+        }
+
+        Object.entries(params).forEach(([name, rule]) => {
+          if (!names.includes(name)) {
+            report(block, `data-params describes "${name}", which is not a placeholder in this block`);
+          }
+          if (rule && rule.pattern !== undefined) {
+            try {
+              const pattern = new RegExp(rule.pattern);
+              if (rule.default !== undefined && !pattern.test(rule.default)) {
+                report(block, `default "${rule.default}" for ${name} does not match its pattern`);
+              }
+            } catch (error) {
+              report(block, `pattern for ${name} is not a valid regular expression`);
+            }
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'guide-section-structure',
+    check(document, report) {
+      document.querySelectorAll('details.guide-section').forEach(details => {
+        const summary = details.firstElementChild;
+        if (!summary || summary.tagName !== 'SUMMARY') {
+          report(details, 'details.guide-section must start with a <summary>');
+        }
+        if (!details.querySelector(':scope > .details-content')) {
+          report(details, 'details.guide-section has no .details-content child');
+        }
+      });
+    }
+  },
+  {
+    id: 'section-id',
+    check(document, report) {
+      document.querySelectorAll('.section').forEach(section => {
+        if (!section.id && !section.classList.contains('intro-section')) {
+          report(section, '.section has no id, so it cannot be linked to');
+        }
+      });
+    }
+  },
+  {
+    id: 'inline-script',
+    check(document, report) {
+      document.querySelectorAll('*').forEach(element => {
+        if (element.tagName === 'SCRIPT') {
+          report(element, '<script> is removed when content is loaded');
+          return;
+        }
+        Array.from(element.attributes)
+          .filter(attribute => attribute.name.startsWith('on'))
+          .forEach(attribute => {
+            report(element, `inline ${attribute.name} handler is not allowed, use data-action instead`);
+          });
+      });
+    }
+  },
+  {
+    id: 'image-alt',
+    check(document, report) {
+      document.querySelectorAll('img').forEach(image => {
+        if (!image.hasAttribute('alt')) {
+          report(image, `<img src="${image.getAttribute('src') || ''}"> has no alt text`);
+        }
+      });
+    }
+  }
+];
+
+/**
+ * Parse a section file, keeping source locations for diagnostics
+ * @param {string} file - Path used in diagnostics
+ * @param {string} html - File contents
+ * @returns {{file: string, dom: JSDOM, document: Document}}
+ */
+function parseSection(file, html) {
+  const dom = new JSDOM(html, { includeNodeLocations: true });
+  return { file, dom, document: dom.window.document };
+}
+
+/**
+ * Build a diagnostic for an element
+ * @param {Object} parsed - Parsed file from parseSection
+ * @param {Element} element - Offending element
+ * @param {string} rule - Rule id
+ * @param {string} message - Description of the problem
+ * @returns {{file: string, line: number, column: number, rule: string, message: string}}
+ */
+function createDiagnostic(parsed, element, rule, message) {
+  const location = parsed.dom.nodeLocation(element) || { startLine: 1, startCol: 1 };
+  return {
+    file: parsed.file,
+    line: location.startLine,
+    column: location.startCol,
+    rule,
+    message
+  };
+}
+
+/**
+ * Check a guide route link against the registered sections
+ * @param {string} href - Link target such as `#/gaming/2`
+ * @param {Array<{slug: string, id: string}>} sections - Guide sections
+ * @param {Array<Object>} parsedFiles - Parsed files from parseSection
+ * @returns {string|null} Description of the problem, or null if the route resolves
+ */
+function checkRoute(href, sections, parsedFiles) {
+  const match = ROUTE_PATTERN.exec(href);
+  if (!match) {
+    return `link to "${href}" is not a valid guide route`;
+  }
+
+  const section = sections.find(entry => entry.slug === match[1]);
+  if (!section) {
+    return `link to "${href}" does not match any guide section`;
+  }
+
+  const step = match[2] ? Number(match[2]) : null;
+  const parsed = parsedFiles.find(entry => entry.document.getElementById(section.id));
+  if (!step || !parsed) return null;
+
+  // Same lookup as GuideRouter.findStep
+  const sectionElement = parsed.document.getElementById(section.id);
+  const steps = sectionElement.querySelectorAll('details.guide-section');
+  const found = sectionElement.querySelector(`details.guide-section[data-step="${step}"]`) || steps[step - 1];
+  return found ? null : `link to "${href}" points past the ${steps.length} step(s) of ${section.slug}`;
+}
+
+/**
+ * Validate a set of section files together. Ids and in-page links are
+ * checked across all files because ContentLoader injects them into one page.
+ * @param {Array<{file: string, html: string}>} files - Files to validate
+ * @param {Object} [options] - Validation options
+ * @param {Array<{slug: string, id: string}>} [options.sections] - Guide
+ *   sections that `#/slug/step` route links must resolve to; route links are
+ *   not checked without them
+ * @returns {Array<Object>} Diagnostics sorted by file and line
+ */
+function validateSections(files, options = {}) {
+  const parsedFiles = files.map(({ file, html }) => parseSection(file, html));
+  const diagnostics = [];
+  const ids = new Map();
+
+  parsedFiles.forEach(parsed => {
+    FILE_RULES.forEach(rule => {
+      rule.check(parsed.document, (element, message) => {
+        diagnostics.push(createDiagnostic(parsed, element, rule.id, message));
+      });
+    });
+
+    parsed.document.querySelectorAll('[id]').forEach(element => {
+      const id = element.id;
+      if (!id.trim()) {
+        diagnostics.push(createDiagnostic(parsed, element, 'empty-id', 'element has an empty id'));
+        return;
+      }
+
+      const first = ids.get(id);
+      if (first) {
+        const where = first.parsed === parsed ? `line ${first.line}` : `${first.parsed.file}:${first.line}`;
+        diagnostics.push(createDiagnostic(parsed, element, 'duplicate-id', `duplicate id "${id}" (first defined at ${where})`));
+      } else {
+        const location = parsed.dom.nodeLocation(element);
+        ids.set(id, { parsed, line: location ? location.startLine : 1 });
+      }
+    });
+  });
+
+  // In-page links (the intro table of contents in particular) must resolve
+  parsedFiles.forEach(parsed => {
+    parsed.document.querySelectorAll('a[href^="#"]').forEach(link => {
+      const target = decodeURIComponent(link.getAttribute('href').slice(1));
+      if (target.startsWith('/')) {
+        const problem = options.sections ? checkRoute(`#${target}`, options.sections, parsedFiles) : null;
+        if (problem) {
+          diagnostics.push(createDiagnostic(parsed, link, 'broken-route', problem));
+        }
+      } else if (target && !ids.has(target)) {
+        diagnostics.push(createDiagnostic(parsed, link, 'broken-anchor', `link to "#${target}" does not match any id`));
+      }
+    });
+  });
+
+  return diagnostics.sort((a, b) =>
+    a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Format a diagnostic as `file:line:column  message  [rule]`
+ * @param {Object} diagnostic - Diagnostic from validateSections
+ * @returns {string} Formatted line
+ */
+function formatDiagnostic(diagnostic) {
+  return `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}  ${diagnostic.message}  [${diagnostic.rule}]`;
+}
+
+module.exports = {
+  validateSections,
+  formatDiagnostic
+};
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Guide Content Validation Script
+ *
+ * Usage: node scripts/validate-content.js [file.html ...]
+ *
+ * Validates the structure of every section in src/content/sections/ and
+ * src/content/references/ (or only the given files) and prints one
+ * `file:line:column` diagnostic per problem. Translations in a <locale>/
+ * directory are validated together with the English sections they do not
+ * replace, as they are shown on the page. Exits non-zero if any problem
+ * is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSections, formatDiagnostic } = require('./content/section-validator');
+const { readGuideSections } = require('./content/guide-manifest');
+
+const rootDir = path.join(__dirname, '..');
+const contentDirs = [
+  path.join(rootDir, 'src', 'content', 'sections'),
+  path.join(rootDir, 'src', 'content', 'references')
+];
+
+// Route links such as #/gaming/2 must name one of these sections
+const sections = readGuideSections(path.join(rootDir, 'src', 'config', 'guide-sections.js'));
+
+// Directories of translated sections are named after their locale
+const LOCALE_DIR_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+/**
+ * Collect the HTML files to validate
+ * @param {string[]} args - Command line file arguments
+ * @returns {string[]} Absolute file paths
+ */
+function collectFiles(args) {
+  if (args.length) {
+    return args.map(file => path.resolve(file));
+  }
+
+  return contentDirs
+    .filter(dir => fs.existsSync(dir))
+    .flatMap(dir => fs.readdirSync(dir)
+      .filter(file => file.endsWith('.html'))
+      .sort()
+      .map(file => path.join(dir, file)));
+}
+
+/**
+ * Collect the translated files of every locale
+ * @returns {Map<string, string[]>} Absolute file paths by locale
+ */
+function collectTranslations() {
+  const translations = new Map();
+
+  contentDirs
+    .filter(dir => fs.existsSync(dir))
+    .forEach(dir => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && LOCALE_DIR_PATTERN.test(entry.name))
+        .forEach(entry => {
+          const localeDir = path.join(dir, entry.name);
+          const files = fs.readdirSync(localeDir)
+            .filter(file => file.endsWith('.html'))
+            .sort()
+            .map(file => path.join(localeDir, file));
+          translations.set(entry.name, (translations.get(entry.name) || []).concat(files));
+        });
+    });
+
+  return translations;
+}
+
+/**
+ * Get the repository path of a file, as used in diagnostics
+ * @param {string} file - Absolute file path
+ * @returns {string} Path relative to the repository root
+ */
+function relativePath(file) {
+  return path.relative(rootDir, file).split(path.sep).join('/');
+}
+
+/**
+ * Read files for the validator
+ * @param {string[]} paths - Absolute file paths
+ * @returns {Array<{file: string, html: string}>} Files with repository paths
+ */
+function readFiles(paths) {
+  return paths.map(file => ({ file: relativePath(file), html: fs.readFileSync(file, 'utf8') }));
+}
+
+const args = process.argv.slice(2);
+const englishFiles = collectFiles(args);
+const diagnostics = validateSections(readFiles(englishFiles), { sections });
+let fileCount = englishFiles.length;
+
+if (!args.length) {
+  collectTranslations().forEach((translated, locale) => {
+    // A translation is shown in place of the English file of the same name
+    const shown = englishFiles.map(file => {
+      const translation = path.join(path.dirname(file), locale, path.basename(file));
+      return translated.includes(translation) ? translation : file;
+    });
+    const extra = translated.filter(file => !shown.includes(file));
+    const translatedPaths = new Set(translated.map(relativePath));
+
+    diagnostics.push(...validateSections(readFiles(shown.concat(extra)), { sections })
+      .filter(diagnostic => translatedPaths.has(diagnostic.file)));
+    fileCount += translated.length;
+  });
+}
+
+diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic)));
+
+if (diagnostics.length) {
+  console.error(`\n${diagnostics.length} problem(s) found in ${fileCount} file(s)`);
+  process.exit(1);
+}
+
+console.log(`Validated ${fileCount} file(s), no problems found`);
@@ -1,4 +1,6 @@
 import styles from './CodeBlocks.module.css';
+import { annotateRisks, getBlockRisks, confirmRiskyCopy } from '../../scripts/utils/command-risk.js';
+import { renderTemplate, readTemplate } from '../../scripts/utils/command-templates.js';
 
 /**
  * CodeBlocks Component
@@ -42,6 +44,18 @@ export class CodeBlocks {
      */
     this.useSyntaxHighlighting = options.useSyntaxHighlighting !== false;
     
+    /**
+     * Whether to badge risky commands and confirm before copying them
+     * @type {boolean}
+     */
+    this.riskAnnotations = options.riskAnnotations !== false;
+    
+    /**
+     * Whether to turn placeholders such as {{APP_ID}} into input fields
+     * @type {boolean}
+     */
+    this.commandTemplates = options.commandTemplates !== false;
+    
     /**
      * Whether the component is initialized
      * @type {boolean}
@@ -167,8 +181,11 @@ export class CodeBlocks {
         this.addLanguageLabel(codeBlock);
       }
       
+      // Turn placeholders into inputs; highlighting would replace them again
+      const isTemplate = this.commandTemplates && this.renderTemplate(codeBlock);
+      
       // Apply syntax highlighting if available and enabled
-      if (this.useSyntaxHighlighting && window.Prism && !codeBlock.classList.contains('language-none')) {
+      if (this.useSyntaxHighlighting && window.Prism && !isTemplate && !codeBlock.classList.contains('language-none')) {
         // Get language from class or default to bash
         const hasLanguageClass = Array.from(codeBlock.classList).some(cls => cls.startsWith('language-'));
         if (!hasLanguageClass) {
@@ -178,6 +195,11 @@ export class CodeBlocks {
         window.Prism.highlightElement(codeBlock);
       }
       
+      // Badge risky commands
+      if (this.riskAnnotations) {
+        this.annotateRisks(preElement);
+      }
+      
       // Add copy button if enabled
       if (this.addCopyButtons) {
         this.addCopyButton(preElement);
@@ -204,6 +226,11 @@ export class CodeBlocks {
       // Add our component styles
       block.classList.add(styles.codeBlock);
       
+      // Badge risky commands
+      if (this.riskAnnotations) {
+        this.annotateRisks(block);
+      }
+      
       // Add copy button if enabled and not already present
       if (this.addCopyButtons && !block.querySelector('.copy-button')) {
         this.addCopyButton(block);
@@ -229,8 +256,11 @@ export class CodeBlocks {
           this.addLanguageLabel(codeElement);
         }
         
+        // Turn placeholders into inputs; highlighting would replace them again
+        const isTemplate = this.commandTemplates && this.renderTemplate(codeElement);
+        
         // Apply syntax highlighting if available and enabled
-        if (this.useSyntaxHighlighting && window.Prism && !codeElement.classList.contains('language-none')) {
+        if (this.useSyntaxHighlighting && window.Prism && !isTemplate && !codeElement.classList.contains('language-none')) {
           // Get language from class or default to bash
           const hasLanguageClass = Array.from(codeElement.classList).some(cls => cls.startsWith('language-'));
           if (!hasLanguageClass) {
@@ -290,6 +320,31 @@ export class CodeBlocks {
     }
   }
   
+  /**
+   * Add risk badges to a code block whose command is risky
+   * @private
+   * @param {HTMLElement} block - The code block to annotate
+   * @returns {string[]} The block's risk ids
+   */
+  annotateRisks(block) {
+    return annotateRisks(block, {
+      risky: styles.risky,
+      badges: styles.riskBadges,
+      badge: styles.riskBadge,
+      tooltip: styles.riskTooltip
+    });
+  }
+  
+  /**
+   * Replace {{PLACEHOLDER}} markers in a code element with input fields
+   * @private
+   * @param {HTMLElement} codeElement - The code element to render
+   * @returns {boolean} Whether the code element is a command template
+   */
+  renderTemplate(codeElement) {
+    return renderTemplate(codeElement, { className: styles.templateParam }).length > 0;
+  }
+  
   /**
    * Add a copy button to a code block
    * @private
@@ -310,33 +365,65 @@ export class CodeBlocks {
     
     // Set up click handler
     copyButton.addEventListener('click', () => {
-      const codeElement = block.querySelector('code') || block;
-      if (!codeElement) return;
+      // Copy the command only, not the buttons and notices around it
+      const codeElement = block.querySelector('code') || block.querySelector('pre') || block;
       
-      // Copy text to clipboard
-      navigator.clipboard.writeText(codeElement.textContent).then(() => {
-        // Success feedback
-        copyButton.textContent = 'Copied!';
-        copyButton.classList.add(styles.copied);
-        
-        // Reset after delay
-        setTimeout(() => {
-          copyButton.textContent = 'Copy';
-          copyButton.classList.remove(styles.copied);
-        }, 2000);
-      }).catch(err => {
-        // Error feedback
-        console.error('Failed to copy text: ', err);
-        copyButton.textContent = 'Failed';
-        
-        // Reset after delay
-        setTimeout(() => {
-          copyButton.textContent = 'Copy';
-        }, 2000);
-      });
+      // Placeholders must be filled in before the command can be copied
+      const { invalid } = readTemplate(codeElement);
+      if (invalid.length) {
+        invalid[0].focus();
+        this.showCopyFeedback(copyButton, 'Fill in the highlighted values');
+        return;
+      }
+      
+      // Risky commands need an explicit confirmation first
+      if (this.riskAnnotations && getBlockRisks(block).length) {
+        confirmRiskyCopy(block, copyButton).then(confirmed => {
+          if (confirmed) this.copyCode(codeElement, copyButton);
+        });
+        return;
+      }
+      
+      this.copyCode(codeElement, copyButton);
+    });
+  }
+  
+  /**
+   * Copy the text of a code element and show feedback on its copy button
+   * @private
+   * @param {HTMLElement} codeElement - The element whose text is copied
+   * @param {HTMLElement} copyButton - The copy button
+   */
+  copyCode(codeElement, copyButton) {
+    // Copy text to clipboard, with placeholders filled in
+    navigator.clipboard.writeText(readTemplate(codeElement).text).then(() => {
+      // Success feedback
+      this.showCopyFeedback(copyButton, 'Copied!', styles.copied);
+    }).catch(err => {
+      // Error feedback
+      console.error('Failed to copy text: ', err);
+      this.showCopyFeedback(copyButton, 'Failed');
     });
   }
   
+  /**
+   * Show temporary feedback text on a copy button
+   * @private
+   * @param {HTMLElement} copyButton - The copy button
+   * @param {string} text - Feedback text
+   * @param {string} [className] - Class added while the feedback is shown
+   */
+  showCopyFeedback(copyButton, text, className) {
+    copyButton.textContent = text;
+    if (className) copyButton.classList.add(className);
+    
+    // Reset after delay
+    setTimeout(() => {
+      copyButton.textContent = 'Copy';
+      if (className) copyButton.classList.remove(className);
+    }, 2000);
+  }
+  
   /**
    * Make a code block expandable if it's longer than the threshold
    * @private
@@ -380,8 +467,9 @@ export class CodeBlocks {
       
       // Also allow clicking anywhere on the code block to expand
       block.addEventListener('click', function(e) {
-        // Don't trigger when clicking copy button
+        // Don't trigger when clicking copy button or risk notices
         if (e.target.classList.contains(styles.copyButton)) return;
+        if (e.target.closest('.risk-badges, .risk-confirm, .template-param')) return;
         
         // Toggle expanded state
         if (block.classList.contains(styles.expanded)) {
@@ -0,0 +1,466 @@
+import styles from './GamepadNavigation.module.css';
+import { GUIDE_SECTIONS } from '../../config/guide-sections.js';
+import { moveFocus } from '../../scripts/utils/spatial-navigation.js';
+
+/**
+ * Button indices of the W3C "standard" gamepad mapping, which the Steam
+ * Deck controls report in the browser
+ * @type {Object<string, number>}
+ */
+export const GAMEPAD_BUTTONS = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  VIEW: 8,
+  MENU: 9,
+  UP: 12,
+  DOWN: 13,
+  LEFT: 14,
+  RIGHT: 15
+};
+
+/**
+ * Default button hints, in the order they are shown
+ * @type {Array<{buttons: string[], label: string}>}
+ */
+const DEFAULT_HINTS = [
+  { buttons: ['D-pad'], label: 'Move' },
+  { buttons: ['A'], label: 'Select' },
+  { buttons: ['B'], label: 'Back' },
+  { buttons: ['LB', 'RB'], label: 'Section' },
+  { buttons: ['LT', 'RT'], label: 'Scroll' }
+];
+
+/**
+ * GamepadNavigation Component
+ * Navigates the guide with a gamepad through the Gamepad API
+ *
+ * The Gamepad API has no input events, so the first connected gamepad is
+ * polled every animation frame. The D-pad and left stick move focus
+ * spatially (repeating while held), A activates the focused element, B sends
+ * Escape to close dialogs, the help center and the lightbox, the bumpers
+ * switch guide sections and the triggers scroll. A hint bar shows what each
+ * button does while a gamepad is connected.
+ */
+export class GamepadNavigation {
+  constructor(options = {}) {
+    /**
+     * Stick deflection needed to count as a direction (0-1)
+     * @type {number}
+     */
+    this.deadzone = options.deadzone || 0.5;
+
+    /**
+     * Delay before a held direction starts repeating (ms)
+     * @type {number}
+     */
+    this.repeatDelay = options.repeatDelay || 400;
+
+    /**
+     * Interval between repeats of a held direction (ms)
+     * @type {number}
+     */
+    this.repeatInterval = options.repeatInterval || 150;
+
+    /**
+     * Pixels scrolled per frame with a trigger fully pressed
+     * @type {number}
+     */
+    this.scrollSpeed = options.scrollSpeed || 40;
+
+    /**
+     * Whether to show the button hint bar
+     * @type {boolean}
+     */
+    this.showHints = options.showHints !== false;
+
+    /**
+     * Button hints shown in the hint bar
+     * @type {Array<{buttons: string[], label: string}>}
+     */
+    this.hints = options.hints || DEFAULT_HINTS;
+
+    /**
+     * Guide section manifest used by the bumpers
+     * @type {Array<Object>}
+     */
+    this.sections = options.sections || GUIDE_SECTIONS;
+
+    /**
+     * Router used to switch sections; defaults to window.guideRouter
+     * @type {Object|null}
+     */
+    this.router = options.router || null;
+
+    /**
+     * Whether the component is initialized
+     * @type {boolean}
+     */
+    this.initialized = false;
+
+    /**
+     * Pending animation frame, while polling
+     * @type {number|null}
+     * @private
+     */
+    this.frame = null;
+
+    /**
+     * Button states from the previous poll
+     * @type {boolean[]}
+     * @private
+     */
+    this.previousButtons = [];
+
+    /**
+     * Direction being held and when it repeats next
+     * @type {{direction: string|null, repeatAt: number}}
+     * @private
+     */
+    this.held = { direction: null, repeatAt: 0 };
+
+    /**
+     * Button hint bar element
+     * @type {HTMLElement|null}
+     * @private
+     */
+    this.hintBar = null;
+
+    this.poll = this.poll.bind(this);
+    this.handleConnected = this.handleConnected.bind(this);
+    this.handleDisconnected = this.handleDisconnected.bind(this);
+    this.handlePointer = this.handlePointer.bind(this);
+
+    // Auto-initialize if specified
+    if (options.autoInit) {
+      this.initialize();
+    }
+  }
+
+  /**
+   * Start listening for gamepads
+   * @param {Object} [options] - Initialization options
+   * @returns {void}
+   */
+  initialize(options = {}) {
+    if (this.initialized) return;
+
+    // Apply any new options
+    Object.assign(this, options);
+
+    window.addEventListener('gamepadconnected', this.handleConnected);
+    window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+    document.addEventListener('mousedown', this.handlePointer);
+
+    this.initialized = true;
+
+    // A gamepad may already be connected
+    if (this.getGamepad()) {
+      this.start();
+    }
+  }
+
+  /**
+   * Get the first connected gamepad
+   * @returns {Gamepad|null} The gamepad, if any
+   */
+  getGamepad() {
+    if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+      return null;
+    }
+
+    return Array.from(navigator.getGamepads() || []).find(gamepad => gamepad && gamepad.connected) || null;
+  }
+
+  /**
+   * Handle a gamepad being connected
+   * @private
+   */
+  handleConnected() {
+    this.start();
+  }
+
+  /**
+   * Handle a gamepad being disconnected
+   * @private
+   */
+  handleDisconnected() {
+    if (!this.getGamepad()) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Hide gamepad focus styles once the mouse or touchscreen is used
+   * @private
+   */
+  handlePointer() {
+    document.body.classList.remove('gamepad-active');
+  }
+
+  /**
+   * Start polling the gamepad
+   * @returns {void}
+   */
+  start() {
+    if (this.frame !== null) return;
+
+    if (this.showHints) {
+      this.showHintBar();
+    }
+    this.frame = window.requestAnimationFrame(this.poll);
+  }
+
+  /**
+   * Stop polling the gamepad
+   * @returns {void}
+   */
+  stop() {
+    if (this.frame !== null) {
+      window.cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    this.previousButtons = [];
+    this.held = { direction: null, repeatAt: 0 };
+    this.hideHintBar();
+    document.body.classList.remove('gamepad-active');
+  }
+
+  /**
+   * Read the gamepad and act on its input. Runs every animation frame while
+   * polling, and can be called directly.
+   * @param {number} [timestamp] - Frame time (ms)
+   * @returns {void}
+   */
+  poll(timestamp = performance.now()) {
+    const gamepad = this.getGamepad();
+
+    if (gamepad) {
+      const buttons = gamepad.buttons.map(button => Boolean(button && button.pressed));
+      const pressed = name => buttons[GAMEPAD_BUTTONS[name]];
+      const justPressed = name => pressed(name) && !this.previousButtons[GAMEPAD_BUTTONS[name]];
+
+      this.handleDirection(this.readDirection(gamepad, pressed), timestamp);
+
+      if (justPressed('A')) this.activate();
+      if (justPressed('B')) this.back();
+      if (justPressed('LB')) this.switchSection(-1);
+      if (justPressed('RB')) this.switchSection(1);
+
+      // Triggers scroll continuously, faster the further they are pressed
+      const trigger = index => (gamepad.buttons[index] ? gamepad.buttons[index].value || 0 : 0);
+      const scroll = trigger(GAMEPAD_BUTTONS.RT) - trigger(GAMEPAD_BUTTONS.LT);
+      if (Math.abs(scroll) > 0.05) {
+        this.scroll(scroll * this.scrollSpeed);
+      }
+
+      this.previousButtons = buttons;
+    }
+
+    if (this.frame !== null) {
+      this.frame = window.requestAnimationFrame(this.poll);
+    }
+  }
+
+  /**
+   * Get the direction pressed on the D-pad or left stick
+   * @private
+   * @param {Gamepad} gamepad - Gamepad to read
+   * @param {Function} pressed - Checks a named button
+   * @returns {string|null} `up`, `down`, `left`, `right` or null
+   */
+  readDirection(gamepad, pressed) {
+    if (pressed('UP')) return 'up';
+    if (pressed('DOWN')) return 'down';
+    if (pressed('LEFT')) return 'left';
+    if (pressed('RIGHT')) return 'right';
+
+    const [x = 0, y = 0] = gamepad.axes || [];
+    if (Math.max(Math.abs(x), Math.abs(y)) < this.deadzone) return null;
+
+    if (Math.abs(y) >= Math.abs(x)) {
+      return y < 0 ? 'up' : 'down';
+    }
+    return x < 0 ? 'left' : 'right';
+  }
+
+  /**
+   * Move focus once when a direction is pressed, then repeatedly while it
+   * is held
+   * @private
+   * @param {string|null} direction - Direction pressed
+   * @param {number} timestamp - Frame time (ms)
+   */
+  handleDirection(direction, timestamp) {
+    if (!direction) {
+      this.held = { direction: null, repeatAt: 0 };
+      return;
+    }
+
+    if (direction !== this.held.direction) {
+      this.held = { direction, repeatAt: timestamp + this.repeatDelay };
+      this.move(direction);
+    } else if (timestamp >= this.held.repeatAt) {
+      this.held.repeatAt = timestamp + this.repeatInterval;
+      this.move(direction);
+    }
+  }
+
+  /**
+   * Move focus spatially
+   * @param {string} direction - `up`, `down`, `left` or `right`
+   * @returns {Element|null} The newly focused element
+   */
+  move(direction) {
+    document.body.classList.add('gamepad-active');
+    return moveFocus(direction);
+  }
+
+  /**
+   * Activate the focused element, like a click
+   * @returns {void}
+   */
+  activate() {
+    const element = document.activeElement;
+    if (!element || element === document.body) return;
+
+    document.body.classList.add('gamepad-active');
+
+    // Text fields are already usable once focused
+    if (element.matches('input:not([type="checkbox"]):not([type="radio"]):not([type="button"]), textarea, select')) {
+      return;
+    }
+
+    element.click();
+  }
+
+  /**
+   * Close the topmost dialog, help center, lightbox or confirmation by
+   * sending Escape, which they all listen for
+   * @returns {void}
+   */
+  back() {
+    const target = document.activeElement || document.body;
+    target.dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'Escape',
+      code: 'Escape',
+      bubbles: true,
+      cancelable: true
+    }));
+  }
+
+  /**
+   * Show the previous or next guide section
+   * @param {number} offset - -1 for the previous section, 1 for the next
+   * @returns {void}
+   */
+  switchSection(offset) {
+    const router = this.router || window.guideRouter;
+
+    if (router && router.currentRoute) {
+      const index = this.sections.findIndex(section => section.slug === router.currentRoute.slug);
+      const target = this.sections[index + offset];
+      if (target) {
+        router.navigate(target.slug);
+      }
+      return;
+    }
+
+    // The whole guide is shown: scroll to the adjacent section instead
+    const sections = Array.from(document.querySelectorAll('.section[id]'));
+    const current = sections.reduce((found, section, index) =>
+      (section.getBoundingClientRect().top <= 1 ? index : found), 0);
+    const target = sections[current + offset];
+    if (target && target.scrollIntoView) {
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * Scroll the page
+   * @param {number} amount - Pixels to scroll, negative for up
+   * @returns {void}
+   */
+  scroll(amount) {
+    window.scrollBy(0, amount);
+  }
+
+  /**
+   * Show the button hint bar
+   * @private
+   */
+  showHintBar() {
+    if (!this.hintBar) {
+      this.hintBar = this.createHintBar();
+      document.body.appendChild(this.hintBar);
+    }
+
+    this.hintBar.hidden = false;
+    document.body.classList.add('gamepad-connected');
+  }
+
+  /**
+   * Hide the button hint bar
+   * @private
+   */
+  hideHintBar() {
+    if (this.hintBar) {
+      this.hintBar.hidden = true;
+    }
+    document.body.classList.remove('gamepad-connected');
+  }
+
+  /**
+   * Create the button hint bar
+   * @private
+   * @returns {HTMLElement} The hint bar
+   */
+  createHintBar() {
+    const bar = document.createElement('div');
+    bar.className = styles.hintBar;
+    bar.setAttribute('role', 'note');
+    bar.setAttribute('aria-label', 'Gamepad controls');
+
+    this.hints.forEach(hint => {
+      const item = document.createElement('span');
+      item.className = styles.hint;
+
+      hint.buttons.forEach(button => {
+        const glyph = document.createElement('kbd');
+        glyph.className = [styles.button, styles[`button${button.replace(/\W/g, '')}`]].filter(Boolean).join(' ');
+        glyph.textContent = button;
+        item.appendChild(glyph);
+      });
+
+      item.append(` ${hint.label}`);
+      bar.appendChild(item);
+    });
+
+    return bar;
+  }
+
+  /**
+   * Stop polling and remove listeners and the hint bar
+   * @returns {void}
+   */
+  destroy() {
+    this.stop();
+
+    window.removeEventListener('gamepadconnected', this.handleConnected);
+    window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+    document.removeEventListener('mousedown', this.handlePointer);
+
+    if (this.hintBar) {
+      this.hintBar.remove();
+      this.hintBar = null;
+    }
+
+    this.initialized = false;
+  }
+}
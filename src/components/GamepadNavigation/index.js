@@ -0,0 +1,9 @@
+/**
+ * Grimoire
+ * GamepadNavigation Component Export
+ */
+
+import { GamepadNavigation, GAMEPAD_BUTTONS } from './GamepadNavigation';
+
+export { GamepadNavigation, GAMEPAD_BUTTONS };
+export default GamepadNavigation;
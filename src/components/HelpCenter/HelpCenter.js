@@ -4,6 +4,7 @@
  */
 
 import styles from './HelpCenter.module.css';
+import { sanitizeHTML, escapeHTML } from '../../scripts/utils/html-sanitizer.js';
 
 /**
  * HelpCenter class for providing centralized help functionality
@@ -283,10 +284,13 @@ class HelpCenter {
         .catch(error => {
           this.topicContentElement.innerHTML = `
             <div class="${styles.error}">
-              <p>Error loading help content: ${error.message}</p>
-              <button class="${styles.retryButton}" onclick="this.loadTopic('${topicId}')">Retry</button>
+              <p>Error loading help content: ${escapeHTML(error.message)}</p>
+              <button class="${styles.retryButton}">Retry</button>
             </div>
           `;
+          
+          const retryButton = this.topicContentElement.querySelector('button');
+          retryButton.addEventListener('click', () => this.loadTopic(topicId));
         });
       return;
     }
@@ -300,7 +304,7 @@ class HelpCenter {
       } catch (error) {
         this.topicContentElement.innerHTML = `
           <div class="${styles.error}">
-            <p>Error generating help content: ${error.message}</p>
+            <p>Error generating help content: ${escapeHTML(error.message)}</p>
           </div>
         `;
       }
@@ -333,9 +337,11 @@ class HelpCenter {
       </div>
     `;
     
-    // Update content and cache
-    this.topicContentElement.innerHTML = html;
-    this.helpCache.set(topic.id, html);
+    // Update content and cache (topics may come from content packs, so
+    // only sanitized markup is rendered)
+    const safeHtml = sanitizeHTML(html);
+    this.topicContentElement.innerHTML = safeHtml;
+    this.helpCache.set(topic.id, safeHtml);
     
     // Initialize accordion functionality
     this.initializeAccordions();
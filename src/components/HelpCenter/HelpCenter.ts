@@ -4,6 +4,7 @@
  */
 
 import styles from './HelpCenter.module.css';
+import { sanitizeHTML, escapeHTML } from '../../scripts/utils/html-sanitizer.js';
 import { 
   HelpCenterOptions, 
   HelpCenterInterface, 
@@ -285,8 +286,9 @@ class HelpCenter implements HelpCenterInterface {
     
     if (typeof topic.content === 'string') {
       // String content
-      this.topicContentElement.innerHTML = topic.content;
-      this.helpCache.set(topicId, topic.content);
+      const safeHtml = sanitizeHTML(topic.content);
+      this.topicContentElement.innerHTML = safeHtml;
+      this.helpCache.set(topicId, safeHtml);
       this.initializeAccordions();
     } else if (typeof topic.content === 'function') {
       // Function that returns content
@@ -296,15 +298,16 @@ class HelpCenter implements HelpCenterInterface {
           // Handle async content
           content.then((html) => {
             if (this.topicContentElement) {
-              this.topicContentElement.innerHTML = html;
-              this.helpCache.set(topicId, html);
+              const safeHtml = sanitizeHTML(html);
+              this.topicContentElement.innerHTML = safeHtml;
+              this.helpCache.set(topicId, safeHtml);
               this.initializeAccordions();
             }
           }).catch((error) => {
             if (this.topicContentElement) {
               this.topicContentElement.innerHTML = `
                 <div class="${styles.error}">
-                  <p>Error loading content: ${error.message}</p>
+                  <p>Error loading content: ${escapeHTML(error.message)}</p>
                   <button class="${styles.retryButton}" data-topic-id="${topicId}">Retry</button>
                 </div>
               `;
@@ -317,14 +320,15 @@ class HelpCenter implements HelpCenterInterface {
           });
         } else {
           // Synchronous content
-          this.topicContentElement.innerHTML = content;
-          this.helpCache.set(topicId, content);
+          const safeHtml = sanitizeHTML(content);
+          this.topicContentElement.innerHTML = safeHtml;
+          this.helpCache.set(topicId, safeHtml);
           this.initializeAccordions();
         }
       } catch (error) {
         this.topicContentElement.innerHTML = `
           <div class="${styles.error}">
-            <p>Error loading content: ${error instanceof Error ? error.message : 'Unknown error'}</p>
+            <p>Error loading content: ${escapeHTML(error instanceof Error ? error.message : 'Unknown error')}</p>
             <button class="${styles.retryButton}" data-topic-id="${topicId}">Retry</button>
           </div>
         `;
@@ -375,8 +379,10 @@ class HelpCenter implements HelpCenterInterface {
       html += '</div>';
     }
     
-    this.topicContentElement.innerHTML = html;
-    this.helpCache.set(topic.id, html);
+    // Topics may come from content packs, so only sanitized markup is rendered
+    const safeHtml = sanitizeHTML(html);
+    this.topicContentElement.innerHTML = safeHtml;
+    this.helpCache.set(topic.id, safeHtml);
     this.initializeAccordions();
   }
   
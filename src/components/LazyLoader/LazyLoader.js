@@ -1,4 +1,6 @@
 import styles from './LazyLoader.module.css';
+import { sanitizeFragment, escapeHTML } from '../../scripts/utils/html-sanitizer.js';
+import { getContentCandidates, isFallbackContent, markUntranslatedContent } from '../../scripts/utils/localized-content.js';
 
 /**
  * LazyLoader Component
@@ -41,6 +43,20 @@ export class LazyLoader {
      */
     this.loadTimeout = options.loadTimeout || 10000; // 10 seconds
     
+    /**
+     * Translated files known not to exist
+     * @type {Set<string>}
+     * @private
+     */
+    this.missingTranslations = new Set();
+    
+    /**
+     * Reloads the loaded sections when the locale changes
+     * @type {Function}
+     * @private
+     */
+    this.handleLocaleChange = () => this.reloadContent();
+    
     // Initialize if options.autoInit is true
     if (options.autoInit) {
       this.initialize();
@@ -81,6 +97,9 @@ export class LazyLoader {
     // Set up observer for dynamically added content sections
     this.setupMutationObserver();
     
+    // Show loaded sections in the new locale
+    document.addEventListener('locale-changed', this.handleLocaleChange);
+    
     this.initialized = true;
     console.log('Lazy loader initialized');
   }
@@ -193,33 +212,23 @@ export class LazyLoader {
           reject(new Error(`Content load timed out after ${this.loadTimeout}ms: ${contentSrc}`));
         }, this.loadTimeout);
         
-        // Fetch the content with better error handling
-        const response = await fetch(contentUrl);
+        // Fetch the content in the current locale, or in English
+        const { html, locale } = await this.fetchLocalizedContent(contentSrc);
         
         // Clear timeout
         clearTimeout(timeoutId);
         
-        // Check if response is OK
-        if (!response.ok) {
-          const error = new Error(`Failed to load content (${response.status} ${response.statusText}): ${contentSrc}`);
-          error.status = response.status;
-          error.statusText = response.statusText;
-          throw error;
-        }
-        
-        // Get content as text
-        const html = await response.text();
-        
         // Validate content
         if (!html.trim()) {
           throw new Error(`Empty content received for: ${contentSrc}`);
         }
         
         // Insert content into section
-        this.insertContent(section, html);
+        this.insertContent(section, html, locale);
         
         // Mark as loaded
         section.setAttribute('data-content-loaded', 'true');
+        section.setAttribute('data-content-locale', locale);
         
         // Resolve promise
         resolve();
@@ -247,6 +256,44 @@ export class LazyLoader {
     return loadPromise;
   }
   
+  /**
+   * Fetch a section in the current locale, falling back to the English file
+   * when the section has not been translated
+   * @private
+   * @param {string} contentSrc - The content source path of the English file
+   * @returns {Promise<{html: string, locale: string}>} The HTML and the locale it is written in
+   */
+  async fetchLocalizedContent(contentSrc) {
+    const candidates = getContentCandidates(contentSrc);
+    const english = candidates.pop();
+    
+    for (const candidate of candidates) {
+      if (this.missingTranslations.has(candidate.file)) continue;
+      
+      const response = await fetch(this.buildContentUrl(candidate.file)).catch(() => null);
+      if (response && response.ok) {
+        return { html: await response.text(), locale: candidate.locale };
+      }
+      
+      // Only remember translations that do not exist, other failures are retried
+      if (response && response.status === 404) {
+        this.missingTranslations.add(candidate.file);
+      }
+    }
+    
+    const response = await fetch(this.buildContentUrl(english.file));
+    
+    // Check if response is OK
+    if (!response.ok) {
+      const error = new Error(`Failed to load content (${response.status} ${response.statusText}): ${contentSrc}`);
+      error.status = response.status;
+      error.statusText = response.statusText;
+      throw error;
+    }
+    
+    return { html: await response.text(), locale: english.locale };
+  }
+  
   /**
    * Build the URL for loading content
    * @private
@@ -317,7 +364,7 @@ export class LazyLoader {
     errorMessage.innerHTML = `
       <div class="${styles.errorIcon}">⚠️</div>
       <h3>Content Loading Error</h3>
-      <p>${error.message}</p>
+      <p>${escapeHTML(error.message)}</p>
       <button class="${styles.retryButton}">Try Again</button>
     `;
     
@@ -340,12 +387,18 @@ export class LazyLoader {
    * @private
    * @param {HTMLElement} section - The section element
    * @param {string} html - The HTML content to insert
+   * @param {string} [locale] - Locale the HTML is written in
    * @returns {void}
    */
-  insertContent(section, html) {
-    // Create a temporary container to parse the HTML
+  insertContent(section, html, locale) {
+    // Parse and sanitize the HTML in a temporary container
     const tempContainer = document.createElement('div');
-    tempContainer.innerHTML = html;
+    tempContainer.appendChild(sanitizeFragment(html));
+    
+    // English shown in place of a missing translation says so
+    if (locale && isFallbackContent(locale)) {
+      tempContainer.insertBefore(markUntranslatedContent(tempContainer), tempContainer.firstChild);
+    }
     
     // Clear the section
     section.innerHTML = '';
@@ -408,6 +461,25 @@ export class LazyLoader {
     return Promise.all(loadPromises);
   }
   
+  /**
+   * Load the sections already shown again, e.g. after the locale changed
+   * @returns {Promise<void[]>} - Promise that resolves when the sections are reloaded
+   */
+  reloadContent() {
+    const sections = document.querySelectorAll('[data-content-src][data-content-loaded="true"]');
+    
+    const loadPromises = Array.from(sections).map(section => {
+      section.removeAttribute('data-content-loaded');
+      
+      // Failures are shown in the section by loadContent
+      return this.loadContent(section).catch(error => {
+        console.error('Error reloading content:', error);
+      });
+    });
+    
+    return Promise.all(loadPromises);
+  }
+  
   /**
    * Debug helper to log information about content sections
    * @returns {void}
@@ -468,10 +468,14 @@ export class PageLoader {
       this.messageElement.innerHTML = `
         <div class="${styles.errorIcon}">⚠️</div>
         <div>${errorMessage}</div>
-        <button class="${styles.retryButton}" onclick="window.location.reload()">
+        <button class="${styles.retryButton}">
           Retry
         </button>
       `;
+      
+      this.messageElement.querySelector('button')?.addEventListener('click', () => {
+        window.location.reload();
+      });
     }
     
     // Dispatch error event
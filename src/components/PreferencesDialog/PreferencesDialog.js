@@ -7,6 +7,20 @@
 
 import styles from './PreferencesDialog.module.css';
 import SettingsTabs from '../SettingsTabs';
+import { clearSearchHistory } from '../../scripts/utils/search-history.js';
+import themeRegistry from '../../scripts/utils/theme-registry.js';
+import themeService, { getScheduleProblems } from '../../scripts/utils/theme-service.js';
+import {
+  COLOR_TOKENS,
+  COLOR_TOKEN_LABELS,
+  THEME_MODES,
+  ThemeManifestError,
+  isThemeColor,
+  validateThemeManifest,
+  themeIdFromName,
+  getThemeProperties
+} from '../../scripts/utils/theme-manifest.js';
+import { checkThemeContrast, formatContrastRatio } from '../../scripts/utils/color-contrast.js';
 
 class PreferencesDialog {
   /**
@@ -36,6 +50,10 @@ class PreferencesDialog {
     this.formControls = new Map();
     this.isOpen = false;
     this.previewChanges = false;
+    this.unsubscribeThemes = null;
+    this.unsubscribeThemeService = null;
+    this.themeEditor = null;
+    this.previewedProperties = [];
     
     // Bind methods
     this.handleEscapeKey = this.handleEscapeKey.bind(this);
@@ -43,7 +61,11 @@ class PreferencesDialog {
     this.handleSave = this.handleSave.bind(this);
     this.handleReset = this.handleReset.bind(this);
     this.handleExport = this.handleExport.bind(this);
+    this.handleClearSearchHistory = this.handleClearSearchHistory.bind(this);
     this.handleImport = this.handleImport.bind(this);
+    this.handleImportThemePack = this.handleImportThemePack.bind(this);
+    this.handleSaveTheme = this.handleSaveTheme.bind(this);
+    this.handleExportTheme = this.handleExportTheme.bind(this);
     this.handleFormControlChange = this.handleFormControlChange.bind(this);
     
     // Auto-initialize if specified
@@ -92,6 +114,14 @@ class PreferencesDialog {
     tabsContainer.className = styles.tabsContainer;
     this.dialogContent.appendChild(tabsContainer);
     
+    // Start a theme in the editor unless one is being edited
+    if (this.options.tabConfigs.themeEditor && !this.getCurrentPreferenceValue('themeEditor')) {
+      this.loadThemeDraft();
+    }
+    
+    // The theme select shows the theme the theme service uses
+    this.showCurrentTheme();
+    
     // Create tabs
     this.createTabs(tabsContainer);
     
@@ -119,6 +149,10 @@ class PreferencesDialog {
     // Add backdrop click event
     this.dialogElement.addEventListener('click', this.handleBackdropClick);
     
+    // Offer themes as they are imported, and follow theme changes made elsewhere
+    this.unsubscribeThemes = themeRegistry.subscribe(() => this.updateThemeOptions());
+    this.unsubscribeThemeService = themeService.subscribe(() => this.showCurrentTheme());
+    
     return this.dialogElement;
   }
   
@@ -174,6 +208,11 @@ class PreferencesDialog {
       tabContent.appendChild(groupElement);
     });
     
+    // Add contrast checks and actions for theme editor tab
+    if (tabId === 'themeEditor') {
+      tabContent.appendChild(this.createThemeEditorChecks());
+    }
+    
     // Add special content for advanced tab
     if (tabId === 'advanced') {
       const exportGroup = document.createElement('div');
@@ -211,6 +250,29 @@ class PreferencesDialog {
       exportGroup.appendChild(importItem);
       
       tabContent.appendChild(exportGroup);
+      
+      const historyGroup = document.createElement('div');
+      historyGroup.className = styles.preferenceGroup;
+      
+      const historyHeader = document.createElement('h4');
+      historyHeader.className = styles.groupTitle;
+      historyHeader.textContent = 'Search';
+      historyGroup.appendChild(historyHeader);
+      
+      // Clear search history button
+      const historyItem = document.createElement('div');
+      historyItem.className = styles.preferenceItem;
+      historyItem.innerHTML = `
+        <div>
+          <span class="${styles.preferenceLabel}">Search History</span>
+          <span class="${styles.preferenceDescription}">Forget recent searches; saved searches are kept</span>
+        </div>
+        <button id="clear-search-history-btn" class="${styles.button} ${styles.secondaryButton}">Clear</button>
+      `;
+      historyItem.querySelector('#clear-search-history-btn').addEventListener('click', this.handleClearSearchHistory);
+      historyGroup.appendChild(historyItem);
+      
+      tabContent.appendChild(historyGroup);
     }
     
     return tabContent;
@@ -264,6 +326,12 @@ class PreferencesDialog {
       case 'slider':
         control = this.createSliderControl(item);
         break;
+      case 'text':
+        control = this.createTextControl(item);
+        break;
+      case 'color':
+        control = this.createColorControl(item);
+        break;
       default:
         control = document.createElement('div');
         control.textContent = 'Unknown control type';
@@ -377,7 +445,7 @@ class PreferencesDialog {
     const button = document.createElement('button');
     button.className = `${styles.button} ${styles[item.variant + 'Button'] || styles.secondaryButton}`;
     button.id = `${item.id}-btn`;
-    button.textContent = item.label;
+    button.textContent = item.buttonText || item.label;
     
     // Add click event listener
     button.addEventListener('click', () => {
@@ -389,6 +457,97 @@ class PreferencesDialog {
     return button;
   }
   
+  /**
+   * Create a text control
+   * @param {Object} item - Preference item configuration
+   * @private
+   * @returns {HTMLElement} The text control element
+   */
+  createTextControl(item) {
+    const controlWrapper = document.createElement('div');
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `${item.id}-input`;
+    input.className = styles.textInput;
+    input.setAttribute('aria-label', item.label);
+    input.value = this.getCurrentPreferenceValue(item.id) || '';
+    
+    input.addEventListener('input', () => {
+      this.handleFormControlChange(item.id, input.value);
+    });
+    
+    controlWrapper.appendChild(input);
+    return controlWrapper;
+  }
+  
+  /**
+   * Create a color control: a text field for any theme color and a color
+   * picker for hex colors
+   * @param {Object} item - Preference item configuration
+   * @private
+   * @returns {HTMLElement} The color control element
+   */
+  createColorControl(item) {
+    const controlWrapper = document.createElement('div');
+    controlWrapper.className = styles.colorControl;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `${item.id}-input`;
+    input.className = styles.textInput;
+    input.spellcheck = false;
+    input.setAttribute('aria-label', `${item.label} color`);
+    
+    const swatch = document.createElement('input');
+    swatch.type = 'color';
+    swatch.className = styles.colorSwatch;
+    swatch.tabIndex = -1;
+    swatch.setAttribute('aria-hidden', 'true');
+    
+    this.setColorControlValue(controlWrapper, this.getCurrentPreferenceValue(item.id) || '');
+    
+    // Only colors a theme may use are kept
+    input.addEventListener('input', () => {
+      const value = input.value.trim();
+      const valid = value === '' || isThemeColor(value);
+      input.setAttribute('aria-invalid', String(!valid));
+      if (valid) {
+        this.setColorControlValue(controlWrapper, input.value);
+        this.handleFormControlChange(item.id, value);
+      }
+    });
+    
+    swatch.addEventListener('input', () => {
+      this.setColorControlValue(controlWrapper, swatch.value);
+      this.handleFormControlChange(item.id, swatch.value);
+    });
+    
+    controlWrapper.appendChild(input);
+    controlWrapper.appendChild(swatch);
+    return controlWrapper;
+  }
+  
+  /**
+   * Show a color in a color control
+   * @param {HTMLElement} controlWrapper - The color control element
+   * @param {string} value - Color, or empty
+   * @private
+   */
+  setColorControlValue(controlWrapper, value) {
+    const input = controlWrapper.querySelector('input[type="text"]');
+    const swatch = controlWrapper.querySelector('input[type="color"]');
+    
+    if (input && input.value !== value) {
+      input.value = value;
+      input.setAttribute('aria-invalid', 'false');
+    }
+    // The color picker only takes six-digit hex colors
+    if (swatch && /^#[0-9a-f]{6}$/i.test(value.trim())) {
+      swatch.value = value.trim().toLowerCase();
+    }
+  }
+  
   /**
    * Create a radio control
    * @param {Object} item - Preference item configuration
@@ -492,6 +651,14 @@ class PreferencesDialog {
     
     current[preferencePath[preferencePath.length - 1]] = value;
     
+    // The theme service applies and saves the theme right away
+    if (id === 'theme') {
+      themeService.setTheme(value.replace(/^theme-/, ''));
+    }
+    if (id.startsWith('themeSchedule.')) {
+      this.applyThemeSchedule();
+    }
+    
     // Apply preview if enabled
     if (this.previewChanges) {
       this.previewPreferenceChange(id, value);
@@ -516,6 +683,16 @@ class PreferencesDialog {
    * @private
    */
   previewPreferenceChange(id, value) {
+    // Theme editor changes are shown on the page as they are made
+    if (id === 'themeEditor.base') {
+      this.loadThemeDraft(value);
+      this.updateFormFromPreferences();
+    }
+    if (id.startsWith('themeEditor.')) {
+      this.previewThemeDraft();
+      this.updateThemeEditorChecks();
+    }
+    
     // This method can be overridden or extended by child classes
     // for specific preview behaviors
   }
@@ -572,6 +749,15 @@ class PreferencesDialog {
     );
   }
   
+  /**
+   * Handle clear search history button click
+   * @private
+   */
+  handleClearSearchHistory() {
+    clearSearchHistory();
+    this.showNotification('Search history cleared');
+  }
+  
   /**
    * Handle export button click
    * @private
@@ -663,6 +849,175 @@ class PreferencesDialog {
     }, 100);
   }
   
+  /**
+   * Handle import theme pack button click
+   * @private
+   */
+  handleImportThemePack() {
+    // Create a file input element
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    
+    fileInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      themeRegistry.importThemePackFile(file)
+        .then(themes => {
+          const names = themes.map(theme => theme.name).join(', ');
+          this.showNotification(`Imported ${themes.length === 1 ? 'theme' : 'themes'}: ${names}`);
+        })
+        .catch(error => {
+          const reason = error instanceof ThemeManifestError ? error.problems.join('; ') : 'Could not read the file';
+          this.showNotification(`Error importing theme pack: ${reason}`, true);
+          console.error('Error importing theme pack:', error);
+        });
+    });
+    
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(fileInput);
+    }, 100);
+  }
+  
+  /**
+   * Get the theme select options from the theme registry
+   * @private
+   * @returns {Array<Object>} Options with `theme-<id>` values
+   */
+  getThemeOptions() {
+    return themeRegistry.getThemes().map(theme => ({
+      value: `theme-${theme.id}`,
+      label: theme.id === 'dracula' ? `${theme.name} (Default)` : theme.name
+    }));
+  }
+  
+  /**
+   * Get the options of the theme schedule's light and dark theme selects
+   * @private
+   * @returns {Array<Object>} Options with theme ids
+   */
+  getScheduleThemeOptions() {
+    return themeRegistry.getThemes().map(theme => ({ value: theme.id, label: theme.name }));
+  }
+  
+  /**
+   * Show the theme and the theme schedule the theme service uses
+   * @private
+   */
+  showCurrentTheme() {
+    const value = `theme-${themeService.getTheme()}`;
+    this.options.preferences.theme = value;
+    
+    const control = this.formControls.get('theme');
+    if (control && control.type === 'select') {
+      control.element.value = value;
+    }
+    
+    const themeSchedule = this.getThemeScheduleValues();
+    this.options.preferences.themeSchedule = themeSchedule;
+    
+    Object.entries(themeSchedule).forEach(([key, scheduleValue]) => {
+      const scheduleControl = this.formControls.get(`themeSchedule.${key}`);
+      // Leave a field that is being typed in alone
+      if (scheduleControl && scheduleControl.element !== document.activeElement) {
+        scheduleControl.element.value = scheduleValue;
+      }
+    });
+  }
+  
+  /**
+   * Get the values of the theme schedule controls from the theme service
+   * @private
+   * @returns {Object} Values by control, without the `themeSchedule.` prefix
+   */
+  getThemeScheduleValues() {
+    const { source, lightTheme, darkTheme, schedule } = themeService.getPreference();
+    return {
+      type: source === 'schedule' ? schedule.type : (source === 'system' ? 'system' : 'off'),
+      lightTheme,
+      darkTheme,
+      light: schedule.light,
+      dark: schedule.dark,
+      latitude: schedule.latitude === null ? '' : String(schedule.latitude)
+    };
+  }
+  
+  /**
+   * Apply the theme schedule controls through the theme service. Times and
+   * the latitude are applied once they can be used, and marked until then.
+   * @private
+   */
+  applyThemeSchedule() {
+    const { type, lightTheme, darkTheme, light, dark, latitude } = {
+      ...this.getThemeScheduleValues(),
+      ...this.options.preferences.themeSchedule
+    };
+    const themes = { lightTheme, darkTheme };
+    
+    if (type === 'off') {
+      themeService.setPreference({ ...themes, source: 'manual', theme: themeService.getTheme() });
+      return;
+    }
+    if (type === 'system') {
+      themeService.useSystemTheme(themes);
+      return;
+    }
+    
+    const degrees = Number(latitude);
+    const schedule = {
+      type,
+      light: String(light).trim(),
+      dark: String(dark).trim(),
+      latitude: String(latitude).trim() !== '' && Number.isFinite(degrees) ? degrees : null
+    };
+    const problems = getScheduleProblems(schedule);
+    
+    ['light', 'dark', 'latitude'].forEach(key => {
+      const control = this.formControls.get(`themeSchedule.${key}`);
+      if (control) {
+        const invalid = problems.some(problem => problem.startsWith(`"schedule.${key}"`));
+        control.element.setAttribute('aria-invalid', String(invalid));
+      }
+    });
+    
+    if (!problems.length) {
+      themeService.useSchedule(schedule, themes);
+    }
+  }
+  
+  /**
+   * Update the theme select with the registered themes
+   * @private
+   */
+  updateThemeOptions() {
+    const themes = themeRegistry.getThemes();
+    [
+      ['theme', this.getThemeOptions()],
+      ['themeSchedule.lightTheme', this.getScheduleThemeOptions()],
+      ['themeSchedule.darkTheme', this.getScheduleThemeOptions()],
+      ['themeEditor.base', themes.map(theme => ({ value: theme.id, label: theme.name }))]
+    ].forEach(([id, options]) => {
+      const control = this.formControls.get(id);
+      if (!control || control.type !== 'select') return;
+      
+      const select = control.element;
+      const selected = select.value;
+      select.replaceChildren(...options.map(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.label;
+        return optionElement;
+      }));
+      select.value = selected;
+    });
+  }
+  
   /**
    * Update form controls based on current preferences
    */
@@ -688,8 +1043,16 @@ class PreferencesDialog {
           const radio = document.querySelector(`input[name="${id}"][value="${value}"]`);
           if (radio) radio.checked = true;
           break;
+        case 'text':
+          element.value = value;
+          break;
+        case 'color':
+          this.setColorControlValue(element.parentNode, value);
+          break;
       }
     });
+    
+    this.updateThemeEditorChecks();
   }
   
   /**
@@ -807,6 +1170,233 @@ class PreferencesDialog {
     }
   }
   
+  /**
+   * Start a theme in the editor from a registered theme, keeping the name
+   * given so far
+   * @param {string} [baseId] - Theme to copy; defaults to the theme shown
+   * @private
+   */
+  loadThemeDraft(baseId) {
+    const shownId = document.documentElement.getAttribute('data-theme');
+    const base = themeRegistry.get(baseId) || themeRegistry.get(shownId) || themeRegistry.getThemes()[0];
+    const draft = this.getCurrentPreferenceValue('themeEditor') || {};
+    
+    this.options.preferences.themeEditor = {
+      base: base.id,
+      name: draft.name || `My ${base.name}`,
+      mode: base.mode,
+      colors: { ...base.colors }
+    };
+  }
+  
+  /**
+   * Get the theme being edited as a manifest
+   * @private
+   * @returns {Object} Manifest of the theme, with the colors that are set
+   */
+  getThemeDraftManifest() {
+    const draft = this.getCurrentPreferenceValue('themeEditor') || {};
+    const colors = {};
+    Object.entries(draft.colors || {}).forEach(([token, value]) => {
+      if (value) colors[token] = value;
+    });
+    
+    return {
+      id: themeIdFromName(draft.name),
+      name: draft.name || '',
+      mode: draft.mode,
+      colors
+    };
+  }
+  
+  /**
+   * Apply the theme being edited to the page, over the current theme
+   * @private
+   */
+  previewThemeDraft() {
+    const manifest = this.getThemeDraftManifest();
+    const colors = {};
+    Object.entries(manifest.colors).forEach(([token, value]) => {
+      if (COLOR_TOKENS[token] && isThemeColor(value)) colors[token] = value;
+    });
+    const properties = getThemeProperties({ colors });
+    if (THEME_MODES.includes(manifest.mode)) {
+      properties['color-scheme'] = manifest.mode;
+    }
+    
+    this.clearThemePreview();
+    const rootStyle = document.documentElement.style;
+    Object.entries(properties).forEach(([property, value]) => rootStyle.setProperty(property, value));
+    this.previewedProperties = Object.keys(properties);
+  }
+  
+  /**
+   * Remove the theme editor preview from the page
+   * @private
+   */
+  clearThemePreview() {
+    const rootStyle = document.documentElement.style;
+    this.previewedProperties.forEach(property => rootStyle.removeProperty(property));
+    this.previewedProperties = [];
+  }
+  
+  /**
+   * Create the contrast checks and actions of the theme editor
+   * @private
+   * @returns {HTMLElement} The contrast group
+   */
+  createThemeEditorChecks() {
+    const group = document.createElement('div');
+    group.className = styles.preferenceGroup;
+    
+    const header = document.createElement('h4');
+    header.className = styles.groupTitle;
+    header.textContent = 'Contrast';
+    group.appendChild(header);
+    
+    const list = document.createElement('ul');
+    list.className = styles.contrastList;
+    list.setAttribute('aria-label', 'WCAG contrast checks');
+    group.appendChild(list);
+    
+    const status = document.createElement('p');
+    status.className = styles.themeEditorStatus;
+    status.setAttribute('role', 'status');
+    group.appendChild(status);
+    
+    const actions = document.createElement('div');
+    actions.className = styles.themeEditorActions;
+    actions.innerHTML = `
+      <button id="export-theme-btn" class="${styles.button} ${styles.secondaryButton}">Export Theme Pack</button>
+      <button id="save-theme-btn" class="${styles.button} ${styles.primaryButton}">Save Theme</button>
+    `;
+    const saveButton = actions.querySelector('#save-theme-btn');
+    const exportButton = actions.querySelector('#export-theme-btn');
+    saveButton.addEventListener('click', this.handleSaveTheme);
+    exportButton.addEventListener('click', this.handleExportTheme);
+    group.appendChild(actions);
+    
+    this.themeEditor = { list, status, saveButton, exportButton };
+    this.updateThemeEditorChecks();
+    
+    return group;
+  }
+  
+  /**
+   * Show the contrast ratios of the theme being edited, and only allow
+   * saving it when its body text passes AA
+   * @private
+   * @returns {Array<Object>} Body text pairs that fail AA
+   */
+  updateThemeEditorChecks() {
+    const colors = this.getThemeDraftManifest().colors;
+    const results = checkThemeContrast(colors);
+    const failures = results.filter(result => result.bodyText && !result.passes);
+    if (!this.themeEditor) return failures;
+    
+    const { list, status, saveButton, exportButton } = this.themeEditor;
+    list.replaceChildren(...results.map(result => {
+      const item = document.createElement('li');
+      item.className = styles.contrastItem;
+      
+      const sample = document.createElement('span');
+      sample.className = styles.contrastSample;
+      sample.textContent = 'Aa';
+      sample.setAttribute('aria-hidden', 'true');
+      sample.style.color = colors[result.foreground];
+      sample.style.backgroundColor = colors[result.background];
+      
+      const label = document.createElement('span');
+      label.className = styles.contrastLabel;
+      label.textContent = `${result.label} (${COLOR_TOKEN_LABELS[result.foreground]} on ${COLOR_TOKEN_LABELS[result.background]})`;
+      
+      const ratio = document.createElement('span');
+      ratio.className = styles.contrastRatio;
+      ratio.textContent = formatContrastRatio(result.ratio);
+      
+      const verdict = document.createElement('span');
+      verdict.className = `${styles.contrastResult} ${result.passes ? styles.contrastPass : styles.contrastFail}`;
+      verdict.textContent = `${result.passes ? 'Passes' : 'Fails'} AA ${result.minimum}:1`;
+      
+      item.append(sample, label, ratio, verdict);
+      return item;
+    }));
+    
+    saveButton.disabled = failures.length > 0;
+    exportButton.disabled = failures.length > 0;
+    status.textContent = failures.length
+      ? `Body text needs a contrast of at least ${failures[0].minimum}:1 before the theme can be saved.`
+      : '';
+    
+    return failures;
+  }
+  
+  /**
+   * Check the theme being edited before it is saved or exported
+   * @private
+   * @returns {Object|null} The validated manifest, or null after telling
+   *   the user what is wrong
+   */
+  getSavableThemeDraft() {
+    if (this.updateThemeEditorChecks().length) {
+      this.showNotification('The body text of this theme does not meet WCAG AA contrast', true);
+      return null;
+    }
+    
+    try {
+      return validateThemeManifest(this.getThemeDraftManifest());
+    } catch (error) {
+      if (!(error instanceof ThemeManifestError)) throw error;
+      this.showNotification(`Cannot save theme: ${error.problems.join('; ')}`, true);
+      return null;
+    }
+  }
+  
+  /**
+   * Handle save theme button click: add the theme to the theme list
+   * @private
+   */
+  handleSaveTheme() {
+    const theme = this.getSavableThemeDraft();
+    if (!theme) return;
+    
+    try {
+      themeRegistry.importThemePack(theme);
+      this.showNotification(`Theme "${theme.name}" saved`);
+    } catch (error) {
+      if (!(error instanceof ThemeManifestError)) throw error;
+      this.showNotification(`Cannot save theme: ${error.problems.join('; ')}`, true);
+    }
+  }
+  
+  /**
+   * Handle export theme button click: download the theme as a theme pack
+   * @private
+   */
+  handleExportTheme() {
+    const theme = this.getSavableThemeDraft();
+    if (!theme) return;
+    
+    const blob = new Blob([JSON.stringify({ themes: [theme] }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${theme.id}.theme.json`;
+    a.style.display = 'none';
+    
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+    
+    this.showNotification('Theme pack exported successfully!');
+  }
+  
   /**
    * Get default tab configurations
    * @private
@@ -826,12 +1416,64 @@ class PreferencesDialog {
                 type: 'select',
                 label: 'Theme',
                 description: 'Choose your preferred color theme',
+                options: this.getThemeOptions()
+              },
+              {
+                id: 'importThemePack',
+                type: 'button',
+                label: 'Theme Packs',
+                description: 'Add themes from a theme pack file',
+                buttonText: 'Import',
+                onClick: () => this.handleImportThemePack()
+              }
+            ]
+          },
+          {
+            title: 'Theme Schedule',
+            items: [
+              {
+                id: 'themeSchedule.type',
+                type: 'select',
+                label: 'Switch Automatically',
+                description: 'Change between a light and a dark theme. A theme picked with the theme toggle stays until the next change.',
                 options: [
-                  { value: 'theme-dracula', label: 'Dracula (Default)' },
-                  { value: 'theme-light', label: 'Light' },
-                  { value: 'theme-dark', label: 'Dark' },
-                  { value: 'theme-high-contrast', label: 'High Contrast' }
+                  { value: 'off', label: 'Off' },
+                  { value: 'system', label: 'With the System' },
+                  { value: 'times', label: 'At Set Times' },
+                  { value: 'sun', label: 'At Sunrise and Sunset' }
                 ]
+              },
+              {
+                id: 'themeSchedule.lightTheme',
+                type: 'select',
+                label: 'Light Theme',
+                description: 'Used by day',
+                options: this.getScheduleThemeOptions()
+              },
+              {
+                id: 'themeSchedule.darkTheme',
+                type: 'select',
+                label: 'Dark Theme',
+                description: 'Used at night',
+                options: this.getScheduleThemeOptions()
+              },
+              {
+                id: 'themeSchedule.light',
+                type: 'text',
+                label: 'Light From',
+                description: 'Time of day as HH:MM, for set times'
+              },
+              {
+                id: 'themeSchedule.dark',
+                type: 'text',
+                label: 'Dark From',
+                description: 'Time of day as HH:MM, for set times'
+              },
+              {
+                id: 'themeSchedule.latitude',
+                type: 'text',
+                label: 'Latitude',
+                description: 'Degrees north, negative for south. Sunrise and sunset are worked out on this device.'
               }
             ]
           },
@@ -921,6 +1563,48 @@ class PreferencesDialog {
           }
         ]
       },
+      themeEditor: {
+        label: 'Theme Editor',
+        icon: '🖌️',
+        groups: [
+          {
+            title: 'New Theme',
+            items: [
+              {
+                id: 'themeEditor.base',
+                type: 'select',
+                label: 'Start From',
+                description: 'Copy the colors of a theme',
+                options: themeRegistry.getThemes().map(theme => ({ value: theme.id, label: theme.name }))
+              },
+              {
+                id: 'themeEditor.name',
+                type: 'text',
+                label: 'Name',
+                description: 'Shown in the theme list'
+              },
+              {
+                id: 'themeEditor.mode',
+                type: 'select',
+                label: 'Mode',
+                description: 'Whether this is a light or dark theme',
+                options: [
+                  { value: 'light', label: 'Light' },
+                  { value: 'dark', label: 'Dark' }
+                ]
+              }
+            ]
+          },
+          {
+            title: 'Colors',
+            items: Object.keys(COLOR_TOKENS).map(token => ({
+              id: `themeEditor.colors.${token}`,
+              type: 'color',
+              label: COLOR_TOKEN_LABELS[token]
+            }))
+          }
+        ]
+      },
       accessibility: {
         label: 'Accessibility',
         icon: '♿',
@@ -1066,6 +1750,7 @@ class PreferencesDialog {
     
     // Disable preview changes
     this.previewChanges = false;
+    this.clearThemePreview();
     
     // Remove keyboard listener
     document.removeEventListener('keydown', this.handleEscapeKey);
@@ -1140,6 +1825,15 @@ class PreferencesDialog {
    * Destroy the preferences dialog and clean up
    */
   destroy() {
+    if (this.unsubscribeThemes) {
+      this.unsubscribeThemes();
+      this.unsubscribeThemes = null;
+    }
+    if (this.unsubscribeThemeService) {
+      this.unsubscribeThemeService();
+      this.unsubscribeThemeService = null;
+    }
+    
     if (this.dialogElement) {
       document.removeEventListener('keydown', this.handleEscapeKey);
       this.dialogElement.remove();
@@ -1147,6 +1841,8 @@ class PreferencesDialog {
     }
     
     this.formControls.clear();
+    this.clearThemePreview();
+    this.themeEditor = null;
     
     if (this.tabs) {
       this.tabs.destroy();
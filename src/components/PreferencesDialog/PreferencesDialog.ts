@@ -7,6 +7,20 @@
 
 import styles from './PreferencesDialog.module.css';
 import { SettingsTabs } from '../SettingsTabs';
+import { clearSearchHistory } from '../../scripts/utils/search-history.js';
+import themeRegistry from '../../scripts/utils/theme-registry.js';
+import themeService, { getScheduleProblems } from '../../scripts/utils/theme-service.js';
+import {
+  COLOR_TOKENS,
+  COLOR_TOKEN_LABELS,
+  THEME_MODES,
+  ThemeManifestError,
+  isThemeColor,
+  validateThemeManifest,
+  themeIdFromName,
+  getThemeProperties
+} from '../../scripts/utils/theme-manifest.js';
+import { checkThemeContrast, formatContrastRatio } from '../../scripts/utils/color-contrast.js';
 import type { 
   PreferencesDialogOptions,
   PreferenceTabsConfig,
@@ -53,6 +67,31 @@ export class PreferencesDialog {
    */
   private previewChanges: boolean = false;
   
+  /**
+   * Removes the theme registry listener
+   */
+  private unsubscribeThemes: (() => void) | null = null;
+  
+  /**
+   * Removes the theme service listener
+   */
+  private unsubscribeThemeService: (() => void) | null = null;
+  
+  /**
+   * Contrast checks and actions of the theme editor
+   */
+  private themeEditor: {
+    list: HTMLElement;
+    status: HTMLElement;
+    saveButton: HTMLButtonElement;
+    exportButton: HTMLButtonElement;
+  } | null = null;
+  
+  /**
+   * CSS properties the theme editor preview set on the page
+   */
+  private previewedProperties: string[] = [];
+  
   /**
    * Create a new preferences dialog
    * @param options - Configuration options
@@ -76,7 +115,11 @@ export class PreferencesDialog {
     this.handleSave = this.handleSave.bind(this);
     this.handleReset = this.handleReset.bind(this);
     this.handleExport = this.handleExport.bind(this);
+    this.handleClearSearchHistory = this.handleClearSearchHistory.bind(this);
     this.handleImport = this.handleImport.bind(this);
+    this.handleImportThemePack = this.handleImportThemePack.bind(this);
+    this.handleSaveTheme = this.handleSaveTheme.bind(this);
+    this.handleExportTheme = this.handleExportTheme.bind(this);
     this.handleFormControlChange = this.handleFormControlChange.bind(this);
     
     // Auto-initialize if specified
@@ -131,6 +174,14 @@ export class PreferencesDialog {
     tabsContainer.className = styles.tabsContainer;
     this.dialogContent.appendChild(tabsContainer);
     
+    // Start a theme in the editor unless one is being edited
+    if (this.options.tabConfigs.themeEditor && !this.getCurrentPreferenceValue('themeEditor')) {
+      this.loadThemeDraft();
+    }
+    
+    // The theme select shows the theme the theme service uses
+    this.showCurrentTheme();
+    
     // Create tabs
     this.createTabs(tabsContainer);
     
@@ -163,6 +214,10 @@ export class PreferencesDialog {
     // Add backdrop click event
     this.dialogElement.addEventListener('click', this.handleBackdropClick);
     
+    // Offer themes as they are imported, and follow theme changes made elsewhere
+    this.unsubscribeThemes = themeRegistry.subscribe(() => this.updateThemeOptions());
+    this.unsubscribeThemeService = themeService.subscribe(() => this.showCurrentTheme());
+    
     return this.dialogElement;
   }
   
@@ -218,6 +273,11 @@ export class PreferencesDialog {
       tabContent.appendChild(groupElement);
     });
     
+    // Add contrast checks and actions for theme editor tab
+    if (tabId === 'themeEditor') {
+      tabContent.appendChild(this.createThemeEditorChecks());
+    }
+    
     // Add special content for advanced tab
     if (tabId === 'advanced') {
       const exportGroup = document.createElement('div');
@@ -264,6 +324,34 @@ export class PreferencesDialog {
       
       exportGroup.appendChild(importItem);
       tabContent.appendChild(exportGroup);
+      
+      const historyGroup = document.createElement('div');
+      historyGroup.className = styles.preferenceGroup;
+      
+      const historyHeader = document.createElement('h4');
+      historyHeader.className = styles.groupTitle;
+      historyHeader.textContent = 'Search';
+      historyGroup.appendChild(historyHeader);
+      
+      // Clear search history button
+      const historyItem = document.createElement('div');
+      historyItem.className = styles.preferenceItem;
+      historyItem.innerHTML = `
+        <div>
+          <span class="${styles.preferenceLabel}">Search History</span>
+          <span class="${styles.preferenceDescription}">Forget recent searches; saved searches are kept</span>
+        </div>
+        <button id="clear-search-history-btn" class="${styles.button} ${styles.secondaryButton}">Clear</button>
+      `;
+      
+      const clearHistoryBtn = historyItem.querySelector('#clear-search-history-btn');
+      if (clearHistoryBtn) {
+        clearHistoryBtn.addEventListener('click', this.handleClearSearchHistory);
+      }
+      
+      historyGroup.appendChild(historyItem);
+      
+      tabContent.appendChild(historyGroup);
     }
     
     return tabContent;
@@ -322,6 +410,14 @@ export class PreferencesDialog {
         control = this.createSliderControl(item);
         break;
         
+      case 'text':
+        control = this.createTextControl(item);
+        break;
+        
+      case 'color':
+        control = this.createColorControl(item);
+        break;
+        
       default:
         control = document.createElement('div');
         control.textContent = 'Unsupported control type';
@@ -421,7 +517,7 @@ export class PreferencesDialog {
   private createButtonControl(item: PreferenceItem): HTMLElement {
     const button = document.createElement('button');
     button.className = `${styles.button} ${styles.secondaryButton}`;
-    button.textContent = item.label;
+    button.textContent = item.buttonText || item.label;
     
     if (item.onClick) {
       button.addEventListener('click', item.onClick);
@@ -432,6 +528,102 @@ export class PreferencesDialog {
     return button;
   }
   
+  /**
+   * Create a text input control
+   * @param item - Preference item configuration
+   * @private
+   * @returns The text control element
+   */
+  private createTextControl(item: PreferenceItem): HTMLElement {
+    const wrapper = document.createElement('div');
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = styles.textInput;
+    input.name = item.id;
+    input.setAttribute('aria-label', item.label);
+    input.value = this.getCurrentPreferenceValue(item.id) || item.value || '';
+    
+    // Add input event
+    input.addEventListener('input', () => {
+      this.handleFormControlChange(item.id, input.value);
+    });
+    
+    wrapper.appendChild(input);
+    this.formControls.set(item.id, input);
+    
+    return wrapper;
+  }
+  
+  /**
+   * Create a color control: a text field for any theme color and a color
+   * picker for hex colors
+   * @param item - Preference item configuration
+   * @private
+   * @returns The color control element
+   */
+  private createColorControl(item: PreferenceItem): HTMLElement {
+    const wrapper = document.createElement('div');
+    wrapper.className = styles.colorControl;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = styles.textInput;
+    input.name = item.id;
+    input.spellcheck = false;
+    input.setAttribute('aria-label', `${item.label} color`);
+    
+    const swatch = document.createElement('input');
+    swatch.type = 'color';
+    swatch.className = styles.colorSwatch;
+    swatch.tabIndex = -1;
+    swatch.setAttribute('aria-hidden', 'true');
+    
+    wrapper.appendChild(input);
+    wrapper.appendChild(swatch);
+    this.setColorControlValue(wrapper, this.getCurrentPreferenceValue(item.id) || item.value || '');
+    
+    // Only colors a theme may use are kept
+    input.addEventListener('input', () => {
+      const value = input.value.trim();
+      const valid = value === '' || isThemeColor(value);
+      input.setAttribute('aria-invalid', String(!valid));
+      if (valid) {
+        this.setColorControlValue(wrapper, input.value);
+        this.handleFormControlChange(item.id, value);
+      }
+    });
+    
+    swatch.addEventListener('input', () => {
+      this.setColorControlValue(wrapper, swatch.value);
+      this.handleFormControlChange(item.id, swatch.value);
+    });
+    
+    this.formControls.set(item.id, input);
+    
+    return wrapper;
+  }
+  
+  /**
+   * Show a color in a color control
+   * @param wrapper - The color control element
+   * @param value - Color, or empty
+   * @private
+   */
+  private setColorControlValue(wrapper: HTMLElement, value: string): void {
+    const input = wrapper.querySelector('input[type="text"]') as HTMLInputElement | null;
+    const swatch = wrapper.querySelector('input[type="color"]') as HTMLInputElement | null;
+    
+    if (input && input.value !== value) {
+      input.value = value;
+      input.setAttribute('aria-invalid', 'false');
+    }
+    // The color picker only takes six-digit hex colors
+    if (swatch && /^#[0-9a-f]{6}$/i.test(value.trim())) {
+      swatch.value = value.trim().toLowerCase();
+    }
+  }
+  
   /**
    * Create a radio button group control
    * @param item - Preference item configuration
@@ -542,7 +734,19 @@ export class PreferencesDialog {
     }
     
     current[path[path.length - 1]] = value;
-    
+
+    // The theme service applies and saves the theme right away
+    if (id === 'appearance.theme') {
+      if (value === 'system') {
+        themeService.useSystemTheme();
+      } else {
+        themeService.setTheme(value);
+      }
+    }
+    if (id.startsWith('appearance.themeSchedule.')) {
+      this.applyThemeSchedule();
+    }
+
     // Preview change if enabled
     if (this.previewChanges) {
       this.previewPreferenceChange(id, value);
@@ -556,7 +760,17 @@ export class PreferencesDialog {
    * @private
    */
   private previewPreferenceChange(id: string, value: any): void {
-    // Implementation would depend on specific preferences
+    // Theme editor changes are shown on the page as they are made
+    if (id === 'themeEditor.base') {
+      this.loadThemeDraft(value);
+      this.updateFormFromPreferences();
+    }
+    if (id.startsWith('themeEditor.')) {
+      this.previewThemeDraft();
+      this.updateThemeEditorChecks();
+    }
+    
+    // Other implementations would depend on specific preferences
     // and how they affect the UI
   }
   
@@ -617,6 +831,15 @@ export class PreferencesDialog {
     );
   }
   
+  /**
+   * Handle clear search history button click
+   * @private
+   */
+  private handleClearSearchHistory(): void {
+    clearSearchHistory();
+    this.showNotification('Search history cleared');
+  }
+  
   /**
    * Handle export button click
    * @private
@@ -715,6 +938,171 @@ export class PreferencesDialog {
     }
   }
   
+  /**
+   * Handle import theme pack button click
+   * @private
+   */
+  private handleImportThemePack(): void {
+    // Create file input
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    
+    // Handle file selection
+    input.addEventListener('change', (e) => {
+      const target = e.target as HTMLInputElement;
+      if (!target.files || target.files.length === 0) return;
+      
+      themeRegistry.importThemePackFile(target.files[0])
+        .then(themes => {
+          const names = themes.map(theme => theme.name).join(', ');
+          this.showNotification(`Imported ${themes.length === 1 ? 'theme' : 'themes'}: ${names}`);
+        })
+        .catch(err => {
+          console.error('Failed to import theme pack:', err);
+          const reason = err instanceof ThemeManifestError ? err.problems.join('; ') : 'Failed to read the file';
+          this.showNotification(`Invalid theme pack: ${reason}`, true);
+        });
+    });
+    
+    // Trigger file selection
+    input.click();
+  }
+  
+  /**
+   * Get the theme select options from the theme registry
+   * @private
+   * @returns Options with the theme ids, then the system default
+   */
+  private getThemeOptions(): Array<{ value: string; label: string }> {
+    return [
+      ...themeRegistry.getThemes().map(theme => ({ value: theme.id, label: theme.name })),
+      { value: 'system', label: 'System Default' }
+    ];
+  }
+  
+  /**
+   * Get the options of the theme schedule's light and dark theme selects
+   * @private
+   * @returns Options with the theme ids
+   */
+  private getScheduleThemeOptions(): Array<{ value: string; label: string }> {
+    return themeRegistry.getThemes().map(theme => ({ value: theme.id, label: theme.name }));
+  }
+  
+  /**
+   * Show the theme and the theme schedule the theme service uses
+   * @private
+   */
+  private showCurrentTheme(): void {
+    const { source } = themeService.getPreference();
+    const value = source === 'system' ? 'system' : themeService.getTheme();
+    const themeSchedule = this.getThemeScheduleValues();
+    this.options.preferences.appearance = { ...this.options.preferences.appearance, theme: value, themeSchedule };
+    
+    const select = this.formControls.get('appearance.theme');
+    if (select instanceof HTMLSelectElement) {
+      select.value = value;
+    }
+    
+    Object.entries(themeSchedule).forEach(([key, scheduleValue]) => {
+      const control = this.formControls.get(`appearance.themeSchedule.${key}`);
+      // Leave a field that is being typed in alone
+      if ((control instanceof HTMLInputElement || control instanceof HTMLSelectElement) &&
+          control !== document.activeElement) {
+        control.value = scheduleValue;
+      }
+    });
+  }
+  
+  /**
+   * Get the values of the theme schedule controls from the theme service
+   * @private
+   * @returns Values by control, without the `appearance.themeSchedule.` prefix
+   */
+  private getThemeScheduleValues(): Record<string, string> {
+    const { source, lightTheme, darkTheme, schedule } = themeService.getPreference();
+    return {
+      type: source === 'schedule' ? schedule.type : (source === 'system' ? 'system' : 'off'),
+      lightTheme,
+      darkTheme,
+      light: schedule.light,
+      dark: schedule.dark,
+      latitude: schedule.latitude === null ? '' : String(schedule.latitude)
+    };
+  }
+  
+  /**
+   * Apply the theme schedule controls through the theme service. Times and
+   * the latitude are applied once they can be used, and marked until then.
+   * @private
+   */
+  private applyThemeSchedule(): void {
+    const { type, lightTheme, darkTheme, light, dark, latitude } = {
+      ...this.getThemeScheduleValues(),
+      ...this.options.preferences.appearance?.themeSchedule
+    };
+    const themes = { lightTheme, darkTheme };
+    
+    if (type === 'off') {
+      themeService.setPreference({ ...themes, source: 'manual', theme: themeService.getTheme() });
+      return;
+    }
+    if (type === 'system') {
+      themeService.useSystemTheme(themes);
+      return;
+    }
+    
+    const degrees = Number(latitude);
+    const schedule = {
+      type,
+      light: String(light).trim(),
+      dark: String(dark).trim(),
+      latitude: String(latitude).trim() !== '' && Number.isFinite(degrees) ? degrees : null
+    };
+    const problems = getScheduleProblems(schedule);
+    
+    ['light', 'dark', 'latitude'].forEach(key => {
+      const control = this.formControls.get(`appearance.themeSchedule.${key}`);
+      if (control) {
+        const invalid = problems.some(problem => problem.startsWith(`"schedule.${key}"`));
+        control.setAttribute('aria-invalid', String(invalid));
+      }
+    });
+    
+    if (!problems.length) {
+      themeService.useSchedule(schedule, themes);
+    }
+  }
+  
+  /**
+   * Update the theme select with the registered themes
+   * @private
+   */
+  private updateThemeOptions(): void {
+    const themes = themeRegistry.getThemes();
+    const selects: Array<[string, Array<{ value: string; label: string }>]> = [
+      ['appearance.theme', this.getThemeOptions()],
+      ['appearance.themeSchedule.lightTheme', this.getScheduleThemeOptions()],
+      ['appearance.themeSchedule.darkTheme', this.getScheduleThemeOptions()],
+      ['themeEditor.base', themes.map(theme => ({ value: theme.id, label: theme.name }))]
+    ];
+    
+    selects.forEach(([id, options]) => {
+      const select = this.formControls.get(id);
+      if (!(select instanceof HTMLSelectElement)) return;
+      
+      const selected = select.value;
+      select.replaceChildren(...options.map(option => {
+        const optElement = document.createElement('option');
+        optElement.value = option.value;
+        optElement.textContent = option.label;
+        return optElement;
+      }));
+      select.value = selected;
+    });
+  }
+  
   /**
    * Update form controls with current preference values
    * @private
@@ -744,6 +1132,8 @@ export class PreferencesDialog {
               valueDisplay.textContent = String(value);
             }
           }
+        } else if (control.parentElement && control.parentElement.querySelector('input[type="color"]')) {
+          this.setColorControlValue(control.parentElement, String(value));
         } else {
           control.value = value;
         }
@@ -751,6 +1141,8 @@ export class PreferencesDialog {
         control.value = value;
       }
     });
+    
+    this.updateThemeEditorChecks();
   }
   
   /**
@@ -886,6 +1278,9 @@ export class PreferencesDialog {
     // Add escape key listener
     document.addEventListener('keydown', this.handleEscapeKey);
     
+    // Enable preview changes
+    this.previewChanges = true;
+    
     // Set focus to the dialog
     if (this.dialogContent) {
       const focusableElement = this.dialogContent.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])') as HTMLElement;
@@ -918,6 +1313,10 @@ export class PreferencesDialog {
     // Remove escape key listener
     document.removeEventListener('keydown', this.handleEscapeKey);
     
+    // Disable preview changes and remove the theme editor preview
+    this.previewChanges = false;
+    this.clearThemePreview();
+    
     this.isOpen = false;
   }
   
@@ -986,6 +1385,16 @@ export class PreferencesDialog {
       this.close();
     }
     
+    // Stop following the theme registry and the theme service
+    if (this.unsubscribeThemes) {
+      this.unsubscribeThemes();
+      this.unsubscribeThemes = null;
+    }
+    if (this.unsubscribeThemeService) {
+      this.unsubscribeThemeService();
+      this.unsubscribeThemeService = null;
+    }
+    
     // Remove event listeners
     if (this.dialogElement) {
       this.dialogElement.removeEventListener('click', this.handleBackdropClick);
@@ -1005,12 +1414,248 @@ export class PreferencesDialog {
     
     // Clear form controls
     this.formControls.clear();
+    this.clearThemePreview();
+    this.themeEditor = null;
     
     // Clear references
     this.dialogElement = null;
     this.dialogContent = null;
   }
   
+  /**
+   * Start a theme in the editor from a registered theme, keeping the name
+   * given so far
+   * @param baseId - Theme to copy; defaults to the theme shown
+   * @private
+   */
+  private loadThemeDraft(baseId?: string): void {
+    const shownId = document.documentElement.getAttribute('data-theme') || '';
+    const base = themeRegistry.get(baseId || '') || themeRegistry.get(shownId) || themeRegistry.getThemes()[0];
+    const draft = this.getCurrentPreferenceValue('themeEditor') || {};
+    
+    this.options.preferences.themeEditor = {
+      base: base.id,
+      name: draft.name || `My ${base.name}`,
+      mode: base.mode,
+      colors: { ...base.colors }
+    };
+  }
+  
+  /**
+   * Get the theme being edited as a manifest
+   * @private
+   * @returns Manifest of the theme, with the colors that are set
+   */
+  private getThemeDraftManifest(): { id: string; name: string; mode: string; colors: Record<string, string> } {
+    const draft = this.getCurrentPreferenceValue('themeEditor') || {};
+    const colors: Record<string, string> = {};
+    Object.entries(draft.colors || {}).forEach(([token, value]) => {
+      if (value) colors[token] = String(value);
+    });
+    
+    return {
+      id: themeIdFromName(draft.name),
+      name: draft.name || '',
+      mode: draft.mode,
+      colors
+    };
+  }
+  
+  /**
+   * Apply the theme being edited to the page, over the current theme
+   * @private
+   */
+  private previewThemeDraft(): void {
+    const manifest = this.getThemeDraftManifest();
+    const colors: Record<string, string> = {};
+    Object.entries(manifest.colors).forEach(([token, value]) => {
+      if ((COLOR_TOKENS as Record<string, string[]>)[token] && isThemeColor(value)) colors[token] = value;
+    });
+    const properties = getThemeProperties({ colors } as any);
+    if (THEME_MODES.includes(manifest.mode)) {
+      properties['color-scheme'] = manifest.mode;
+    }
+    
+    this.clearThemePreview();
+    const rootStyle = document.documentElement.style;
+    Object.entries(properties).forEach(([property, value]) => rootStyle.setProperty(property, value));
+    this.previewedProperties = Object.keys(properties);
+  }
+  
+  /**
+   * Remove the theme editor preview from the page
+   * @private
+   */
+  private clearThemePreview(): void {
+    const rootStyle = document.documentElement.style;
+    this.previewedProperties.forEach(property => rootStyle.removeProperty(property));
+    this.previewedProperties = [];
+  }
+  
+  /**
+   * Create the contrast checks and actions of the theme editor
+   * @private
+   * @returns The contrast group
+   */
+  private createThemeEditorChecks(): HTMLElement {
+    const group = document.createElement('div');
+    group.className = styles.preferenceGroup;
+    
+    const header = document.createElement('h4');
+    header.className = styles.groupTitle;
+    header.textContent = 'Contrast';
+    group.appendChild(header);
+    
+    const list = document.createElement('ul');
+    list.className = styles.contrastList;
+    list.setAttribute('aria-label', 'WCAG contrast checks');
+    group.appendChild(list);
+    
+    const status = document.createElement('p');
+    status.className = styles.themeEditorStatus;
+    status.setAttribute('role', 'status');
+    group.appendChild(status);
+    
+    const actions = document.createElement('div');
+    actions.className = styles.themeEditorActions;
+    
+    const exportButton = document.createElement('button');
+    exportButton.id = 'export-theme-btn';
+    exportButton.className = `${styles.button} ${styles.secondaryButton}`;
+    exportButton.textContent = 'Export Theme Pack';
+    exportButton.addEventListener('click', this.handleExportTheme);
+    
+    const saveButton = document.createElement('button');
+    saveButton.id = 'save-theme-btn';
+    saveButton.className = `${styles.button} ${styles.primaryButton}`;
+    saveButton.textContent = 'Save Theme';
+    saveButton.addEventListener('click', this.handleSaveTheme);
+    
+    actions.appendChild(exportButton);
+    actions.appendChild(saveButton);
+    group.appendChild(actions);
+    
+    this.themeEditor = { list, status, saveButton, exportButton };
+    this.updateThemeEditorChecks();
+    
+    return group;
+  }
+  
+  /**
+   * Show the contrast ratios of the theme being edited, and only allow
+   * saving it when its body text passes AA
+   * @private
+   * @returns Body text pairs that fail AA
+   */
+  private updateThemeEditorChecks(): ReturnType<typeof checkThemeContrast> {
+    const colors = this.getThemeDraftManifest().colors;
+    const results = checkThemeContrast(colors);
+    const failures = results.filter(result => result.bodyText && !result.passes);
+    if (!this.themeEditor) return failures;
+    
+    const { list, status, saveButton, exportButton } = this.themeEditor;
+    const labels = COLOR_TOKEN_LABELS as Record<string, string>;
+    list.replaceChildren(...results.map(result => {
+      const item = document.createElement('li');
+      item.className = styles.contrastItem;
+      
+      const sample = document.createElement('span');
+      sample.className = styles.contrastSample;
+      sample.textContent = 'Aa';
+      sample.setAttribute('aria-hidden', 'true');
+      sample.style.color = colors[result.foreground];
+      sample.style.backgroundColor = colors[result.background];
+      
+      const label = document.createElement('span');
+      label.className = styles.contrastLabel;
+      label.textContent = `${result.label} (${labels[result.foreground]} on ${labels[result.background]})`;
+      
+      const ratio = document.createElement('span');
+      ratio.className = styles.contrastRatio;
+      ratio.textContent = formatContrastRatio(result.ratio);
+      
+      const verdict = document.createElement('span');
+      verdict.className = `${styles.contrastResult} ${result.passes ? styles.contrastPass : styles.contrastFail}`;
+      verdict.textContent = `${result.passes ? 'Passes' : 'Fails'} AA ${result.minimum}:1`;
+      
+      item.append(sample, label, ratio, verdict);
+      return item;
+    }));
+    
+    saveButton.disabled = failures.length > 0;
+    exportButton.disabled = failures.length > 0;
+    status.textContent = failures.length
+      ? `Body text needs a contrast of at least ${failures[0].minimum}:1 before the theme can be saved.`
+      : '';
+    
+    return failures;
+  }
+  
+  /**
+   * Check the theme being edited before it is saved or exported
+   * @private
+   * @returns The validated manifest, or null after telling the user what is
+   *   wrong
+   */
+  private getSavableThemeDraft(): ReturnType<typeof validateThemeManifest> | null {
+    if (this.updateThemeEditorChecks().length) {
+      this.showNotification('The body text of this theme does not meet WCAG AA contrast', true);
+      return null;
+    }
+    
+    try {
+      return validateThemeManifest(this.getThemeDraftManifest());
+    } catch (err) {
+      if (!(err instanceof ThemeManifestError)) throw err;
+      this.showNotification(`Cannot save theme: ${err.problems.join('; ')}`, true);
+      return null;
+    }
+  }
+  
+  /**
+   * Handle save theme button click: add the theme to the theme list
+   * @private
+   */
+  private handleSaveTheme(): void {
+    const theme = this.getSavableThemeDraft();
+    if (!theme) return;
+    
+    try {
+      themeRegistry.importThemePack(theme);
+      this.showNotification(`Theme "${theme.name}" saved`);
+    } catch (err) {
+      if (!(err instanceof ThemeManifestError)) throw err;
+      this.showNotification(`Cannot save theme: ${err.problems.join('; ')}`, true);
+    }
+  }
+  
+  /**
+   * Handle export theme button click: download the theme as a theme pack
+   * @private
+   */
+  private handleExportTheme(): void {
+    const theme = this.getSavableThemeDraft();
+    if (!theme) return;
+    
+    const blob = new Blob([JSON.stringify({ themes: [theme] }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${theme.id}.theme.json`;
+    
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+    
+    this.showNotification('Theme pack exported successfully');
+  }
+  
   /**
    * Get default tab configurations
    * @private
@@ -1033,13 +1678,18 @@ export class PreferencesDialog {
                 type: 'select',
                 label: 'Color Theme',
                 value: 'system',
-                options: [
-                  { value: 'light', label: 'Light' },
-                  { value: 'dark', label: 'Dark' },
-                  { value: 'system', label: 'System Default' }
-                ],
+                options: this.getThemeOptions(),
                 description: 'Choose the color theme for the interface'
               },
+              {
+                id: 'appearance.importThemePack',
+                type: 'button',
+                label: 'Theme Packs',
+                value: null,
+                buttonText: 'Import',
+                onClick: () => this.handleImportThemePack(),
+                description: 'Add themes from a theme pack file'
+              },
               {
                 id: 'appearance.fontScale',
                 type: 'slider',
@@ -1051,6 +1701,109 @@ export class PreferencesDialog {
                 description: 'Adjust the overall font size (in %)'
               }
             ]
+          },
+          {
+            title: 'Theme Schedule',
+            items: [
+              {
+                id: 'appearance.themeSchedule.type',
+                type: 'select',
+                label: 'Switch Automatically',
+                value: 'off',
+                options: [
+                  { value: 'off', label: 'Off' },
+                  { value: 'system', label: 'With the System' },
+                  { value: 'times', label: 'At Set Times' },
+                  { value: 'sun', label: 'At Sunrise and Sunset' }
+                ],
+                description: 'Change between a light and a dark theme. A theme picked with the theme toggle stays until the next change.'
+              },
+              {
+                id: 'appearance.themeSchedule.lightTheme',
+                type: 'select',
+                label: 'Light Theme',
+                value: 'light',
+                options: this.getScheduleThemeOptions(),
+                description: 'Used by day'
+              },
+              {
+                id: 'appearance.themeSchedule.darkTheme',
+                type: 'select',
+                label: 'Dark Theme',
+                value: 'dark',
+                options: this.getScheduleThemeOptions(),
+                description: 'Used at night'
+              },
+              {
+                id: 'appearance.themeSchedule.light',
+                type: 'text',
+                label: 'Light From',
+                value: '07:00',
+                description: 'Time of day as HH:MM, for set times'
+              },
+              {
+                id: 'appearance.themeSchedule.dark',
+                type: 'text',
+                label: 'Dark From',
+                value: '19:00',
+                description: 'Time of day as HH:MM, for set times'
+              },
+              {
+                id: 'appearance.themeSchedule.latitude',
+                type: 'text',
+                label: 'Latitude',
+                value: '',
+                description: 'Degrees north, negative for south. Sunrise and sunset are worked out on this device.'
+              }
+            ]
+          }
+        ]
+      },
+      'themeEditor': {
+        label: 'Theme Editor',
+        icon: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M7 14C5.34 14 4 15.34 4 17C4 18.31 2.84 19 2 19C2.92 20.22 4.49 21 6 21C8.21 21 10 19.21 10 17C10 15.34 8.66 14 7 14ZM20.71 4.63L19.37 3.29C18.98 2.9 18.35 2.9 17.96 3.29L9 12.25L11.75 15L20.71 6.04C21.1 5.65 21.1 5.02 20.71 4.63Z" fill="currentColor"/>
+        </svg>`,
+        groups: [
+          {
+            title: 'New Theme',
+            items: [
+              {
+                id: 'themeEditor.base',
+                type: 'select',
+                label: 'Start From',
+                value: '',
+                options: themeRegistry.getThemes().map(theme => ({ value: theme.id, label: theme.name })),
+                description: 'Copy the colors of a theme'
+              },
+              {
+                id: 'themeEditor.name',
+                type: 'text',
+                label: 'Name',
+                value: '',
+                description: 'Shown in the theme list'
+              },
+              {
+                id: 'themeEditor.mode',
+                type: 'select',
+                label: 'Mode',
+                value: 'dark',
+                options: [
+                  { value: 'light', label: 'Light' },
+                  { value: 'dark', label: 'Dark' }
+                ],
+                description: 'Whether this is a light or dark theme'
+              }
+            ]
+          },
+          {
+            title: 'Colors',
+            items: Object.keys(COLOR_TOKENS).map(token => ({
+              id: `themeEditor.colors.${token}`,
+              type: 'color' as const,
+              label: (COLOR_TOKEN_LABELS as Record<string, string>)[token],
+              value: ''
+            }))
           }
         ]
       },
@@ -0,0 +1,378 @@
+import styles from './ProgressDashboard.module.css';
+import Dialog from '../Dialog/index.js';
+import progressStore from '../../scripts/utils/progress-store.js';
+import {
+  loadGuideOutline,
+  calculateProgressStats,
+  formatMinutes,
+  formatProgressReport
+} from '../../scripts/utils/progress-stats.js';
+
+/**
+ * Event dispatched on window to open the dashboard, e.g. from the progress
+ * dialog
+ * @type {string}
+ */
+export const SHOW_DASHBOARD_EVENT = 'show-progress-dashboard';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Size of the timeline chart, in SVG units
+ * @type {{width: number, height: number}}
+ */
+const TIMELINE_SIZE = { width: 600, height: 160 };
+
+/**
+ * Create an SVG element
+ * @private
+ * @param {string} name - Element name
+ * @param {Object<string, string|number>} [attributes] - Attributes to set
+ * @returns {SVGElement} The element
+ */
+function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+  return element;
+}
+
+/**
+ * Create an element with a class and text
+ * @private
+ * @param {string} tag - Element name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} The element
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * ProgressDashboard Component
+ * Statistics of the user's progress through the guide: completion per
+ * section, completions over time, time spent per section and the estimated
+ * time left, with a summary that can be exported as Markdown.
+ *
+ * Figures come from the progress store and the outline of every section of
+ * the guide, and are updated while the dashboard is open. Charts are plain
+ * SVG and HTML.
+ */
+export class ProgressDashboard {
+  constructor(options = {}) {
+    /**
+     * Store that keeps the progress
+     * @type {import('../../scripts/utils/progress-store.js').ProgressStore}
+     * @private
+     */
+    this.store = options.store || progressStore;
+
+    /**
+     * Loads the outline of the guide
+     * @type {function(): Promise<Array<Object>>}
+     * @private
+     */
+    this.loadOutline = options.loadOutline || loadGuideOutline;
+
+    /**
+     * Outline of the guide, once loaded
+     * @type {Array<Object>|null}
+     */
+    this.outline = null;
+
+    /**
+     * Element the dashboard is rendered in
+     * @type {HTMLElement|null}
+     */
+    this.element = null;
+
+    /**
+     * Dialog showing the dashboard
+     * @type {Dialog|null}
+     * @private
+     */
+    this.dialog = null;
+
+    /**
+     * Removes the progress store listener
+     * @type {Function|null}
+     * @private
+     */
+    this.unsubscribe = null;
+
+    this.handleShow = () => this.open();
+
+    if (options.autoInit) {
+      this.initialize();
+    }
+  }
+
+  /**
+   * Open the dashboard when asked to with SHOW_DASHBOARD_EVENT
+   * @returns {void}
+   */
+  initialize() {
+    window.addEventListener(SHOW_DASHBOARD_EVENT, this.handleShow);
+  }
+
+  /**
+   * Show the dashboard in a dialog
+   * @returns {Promise<void>} Resolves once the statistics are shown
+   */
+  async open() {
+    if (!this.dialog) {
+      this.element = createElement('div', styles.dashboard);
+      this.dialog = new Dialog({
+        title: 'Progress Statistics',
+        content: this.element,
+        maxWidth: '720px',
+        onClose: () => this.stopUpdating(),
+        actions: [
+          {
+            text: 'Export summary',
+            onClick: () => {
+              this.exportSummary();
+              return false;
+            }
+          },
+          { text: 'Close', primary: true }
+        ]
+      });
+    }
+
+    this.dialog.show();
+    this.stopUpdating();
+    this.unsubscribe = this.store.subscribe(() => this.render());
+
+    this.element.replaceChildren(createElement('p', styles.message, 'Loading statistics…'));
+    this.outline = await this.loadOutline();
+    this.render();
+  }
+
+  /**
+   * Stop following progress changes
+   * @private
+   * @returns {void}
+   */
+  stopUpdating() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Get the current statistics
+   * @returns {Object|null} Statistics, or null before the outline is loaded
+   */
+  getStats() {
+    return this.outline ? calculateProgressStats(this.outline, this.store) : null;
+  }
+
+  /**
+   * Show the current statistics
+   * @param {HTMLElement} [container] - Element to render into; defaults to
+   *   the dialog's
+   * @returns {void}
+   */
+  render(container = this.element) {
+    const stats = this.getStats();
+    if (!container || !stats) return;
+
+    container.replaceChildren(
+      this.createOverview(stats),
+      this.createPanel('Section completion', this.createSectionChart(stats)),
+      this.createPanel('Completed over time', this.createTimeline(stats)),
+      this.createPanel('Time spent', this.createTimeChart(stats))
+    );
+  }
+
+  /**
+   * Create a titled part of the dashboard
+   * @private
+   * @param {string} title - Heading
+   * @param {HTMLElement} content - Chart or message
+   * @returns {HTMLElement} The panel
+   */
+  createPanel(title, content) {
+    const panel = createElement('section', styles.panel);
+    panel.append(createElement('h4', styles.panelTitle, title), content);
+    return panel;
+  }
+
+  /**
+   * Create the overall figures
+   * @private
+   * @param {Object} stats - Statistics
+   * @returns {HTMLElement} The overview
+   */
+  createOverview(stats) {
+    const overview = createElement('div', styles.overview);
+    [
+      [`${stats.percentage}%`, `${stats.completed} of ${stats.total} steps completed`],
+      [formatMinutes(stats.timeSpent / 60000), 'spent reading'],
+      [formatMinutes(stats.remainingMinutes), 'estimated time left']
+    ].forEach(([value, label]) => {
+      const figure = createElement('div', styles.figure);
+      figure.append(createElement('span', styles.figureValue, value), createElement('span', styles.figureLabel, label));
+      overview.appendChild(figure);
+    });
+    return overview;
+  }
+
+  /**
+   * Create a bar with a label for each section
+   * @private
+   * @param {Array<Object>} rows - Sections
+   * @param {function(Object): number} getShare - Bar length of a section, 0-100
+   * @param {function(Object): string} getLabel - Value shown next to the bar
+   * @param {function(Object): string} getDescription - Text for assistive technology
+   * @returns {HTMLElement} The chart
+   */
+  createBarChart(rows, getShare, getLabel, getDescription) {
+    const chart = createElement('ul', styles.barChart);
+    rows.forEach(row => {
+      const item = createElement('li', styles.barRow);
+      const bar = createElement('span', styles.bar);
+      const fill = createElement('span', styles.barFill);
+      fill.style.width = `${Math.max(0, Math.min(100, getShare(row)))}%`;
+      bar.appendChild(fill);
+      bar.setAttribute('role', 'img');
+      bar.setAttribute('aria-label', getDescription(row));
+
+      item.append(createElement('span', styles.barLabel, row.title), bar, createElement('span', styles.barValue, getLabel(row)));
+      chart.appendChild(item);
+    });
+    return chart;
+  }
+
+  /**
+   * Create the completion chart of the sections
+   * @private
+   * @param {Object} stats - Statistics
+   * @returns {HTMLElement} The chart
+   */
+  createSectionChart(stats) {
+    return this.createBarChart(
+      stats.sections,
+      section => section.percentage,
+      section => `${section.completed}/${section.total}` +
+        (section.remainingMinutes ? ` · ${formatMinutes(section.remainingMinutes)} left` : ''),
+      section => `${section.title}: ${section.percentage}% completed`
+    );
+  }
+
+  /**
+   * Create the chart of the time spent per section
+   * @private
+   * @param {Object} stats - Statistics
+   * @returns {HTMLElement} The chart, or a message before any time is counted
+   */
+  createTimeChart(stats) {
+    const longest = Math.max(...stats.sections.map(section => section.timeSpent));
+    if (!(longest > 0)) {
+      return createElement('p', styles.message, 'Time spent reading each section will show here.');
+    }
+
+    return this.createBarChart(
+      stats.sections,
+      section => (section.timeSpent / longest) * 100,
+      section => formatMinutes(section.timeSpent / 60000),
+      section => `${section.title}: ${formatMinutes(section.timeSpent / 60000)}`
+    );
+  }
+
+  /**
+   * Create the chart of completions per day: a bar for each day and a line
+   * for the running total
+   * @private
+   * @param {Object} stats - Statistics
+   * @returns {HTMLElement|SVGElement} The chart, or a message before
+   *   anything is completed
+   */
+  createTimeline(stats) {
+    const days = stats.timeline;
+    if (!days.length) {
+      return createElement('p', styles.message, 'Complete steps to see them here over time.');
+    }
+
+    const { width, height } = TIMELINE_SIZE;
+    const last = days[days.length - 1];
+    const mostInADay = Math.max(...days.map(day => day.count));
+    const slot = width / days.length;
+
+    const svg = createSvgElement('svg', {
+      class: styles.timeline,
+      viewBox: `0 0 ${width} ${height}`,
+      preserveAspectRatio: 'none',
+      role: 'img',
+      'aria-label': `${last.total} completed between ${days[0].date} and ${last.date}`
+    });
+
+    const points = days.map((day, index) => {
+      const barHeight = (day.count / mostInADay) * (height / 2);
+      const bar = createSvgElement('rect', {
+        class: styles.timelineBar,
+        x: index * slot + slot * 0.2,
+        y: height - barHeight,
+        width: slot * 0.6,
+        height: barHeight
+      });
+      const title = createSvgElement('title');
+      title.textContent = `${day.date}: ${day.count} completed, ${day.total} in total`;
+      bar.appendChild(title);
+      svg.appendChild(bar);
+
+      return `${index * slot + slot / 2},${height - (day.total / last.total) * (height - 4)}`;
+    });
+
+    svg.appendChild(createSvgElement('polyline', { class: styles.timelineLine, points: points.join(' ') }));
+
+    const chart = createElement('div', styles.timelineChart);
+    const axis = createElement('div', styles.timelineAxis);
+    axis.append(createElement('span', '', days[0].date), createElement('span', '', last.date));
+    chart.append(svg, axis);
+    return chart;
+  }
+
+  /**
+   * Download the statistics as a Markdown file
+   * @returns {boolean} Whether there was anything to export
+   */
+  exportSummary() {
+    const stats = this.getStats();
+    if (!stats) return false;
+
+    const date = new Date();
+    const blob = new Blob([formatProgressReport(stats, date)], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `grimoire-progress-${date.toISOString().slice(0, 10)}.md`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return true;
+  }
+
+  /**
+   * Remove the dashboard and its listeners
+   * @returns {void}
+   */
+  destroy() {
+    window.removeEventListener(SHOW_DASHBOARD_EVENT, this.handleShow);
+    this.stopUpdating();
+    if (this.dialog) {
+      this.dialog.destroy();
+      this.dialog = null;
+    }
+    this.element = null;
+  }
+}
+
+export default ProgressDashboard;
@@ -0,0 +1,9 @@
+/**
+ * Grimoire
+ * ProgressDashboard Component Export
+ */
+
+import { ProgressDashboard, SHOW_DASHBOARD_EVENT } from './ProgressDashboard';
+
+export { ProgressDashboard, SHOW_DASHBOARD_EVENT };
+export default ProgressDashboard;
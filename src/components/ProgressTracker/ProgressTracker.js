@@ -1,17 +1,29 @@
 import styles from './ProgressTracker.module.css';
+import progressStore, {
+  STEP_SELECTOR,
+  getItemId,
+  getStepId,
+  getStepContent,
+  getStepSnapshot,
+  getLegacyItemKey,
+  getLegacyStepKey
+} from '../../scripts/utils/progress-store.js';
+import { diffLines, getChangedLines } from '../../scripts/utils/text-diff.js';
 
 /**
  * ProgressTracker Component
- * Tracks and persists user progress through guides and tutorials
+ * Adds checkboxes to guide checklists and shows a progress summary. Progress
+ * is kept in the shared progress store. Completed steps that were edited
+ * since are flagged with what changed.
  */
 export class ProgressTracker {
   constructor(options = {}) {
     /**
-     * Storage key prefix for progress items
-     * @type {string}
+     * Store that keeps the progress
+     * @type {import('../../scripts/utils/progress-store.js').ProgressStore}
      * @private
      */
-    this.storageKeyPrefix = options.storageKeyPrefix || 'sdde_progress_';
+    this.store = options.store || progressStore;
     
     /**
      * CSS selectors for trackable elements
@@ -21,6 +33,13 @@ export class ProgressTracker {
     this.trackableSelectors = options.trackableSelectors || 
       '.tutorial-section ol > li, .steps-section ol > li, .guide-section ol > li, [data-track-progress] li';
     
+    /**
+     * CSS selector for guide steps that can be completed as a whole
+     * @type {string}
+     * @private
+     */
+    this.stepSelector = options.stepSelector || STEP_SELECTOR;
+    
     /**
      * Whether the component is initialized
      * @type {boolean}
@@ -36,11 +55,11 @@ export class ProgressTracker {
     this.trackedElements = [];
     
     /**
-     * Map of progress items by ID
-     * @type {Map<string, boolean>}
+     * Removes the progress store listener
+     * @type {Function|null}
      * @private
      */
-    this.progressItems = new Map();
+    this.unsubscribe = null;
     
     // Auto-initialize if specified
     if (options.autoInit) {
@@ -59,41 +78,16 @@ export class ProgressTracker {
     // Apply any new options
     Object.assign(this, options);
     
-    this.loadProgressFromStorage();
     this.initProgressCheckboxes();
     this.setupMutationObserver();
     
+    // Show changes made here, by the walkthrough or by other trackers
+    this.unsubscribe = this.store.subscribe(change => this.syncWithStore(change));
+    
     this.initialized = true;
     console.log('Progress tracker initialized');
   }
   
-  /**
-   * Load saved progress from localStorage
-   * @private
-   * @returns {void}
-   */
-  loadProgressFromStorage() {
-    // Clear existing progress
-    this.progressItems.clear();
-    
-    // Check if localStorage is available
-    if (typeof localStorage === 'undefined') {
-      console.warn('localStorage is not available for progress tracking');
-      return;
-    }
-    
-    // Retrieve all progress items from localStorage
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(this.storageKeyPrefix)) {
-        const value = localStorage.getItem(key) === 'true';
-        this.progressItems.set(key, value);
-      }
-    }
-    
-    console.log(`Loaded ${this.progressItems.size} progress items from storage`);
-  }
-  
   /**
    * Add progress tracking checkboxes to tutorial steps
    * @private
@@ -113,63 +107,224 @@ export class ProgressTracker {
         checkbox.type = 'checkbox';
         checkbox.className = styles.progressCheck;
         
-        // Generate unique ID for this step
+        // Progress is kept by an id made from the item's text
         const itemId = this.generateItemId(item);
         checkbox.dataset.progressId = itemId;
+        this.store.adoptLegacy(itemId, getLegacyItemKey(item));
         
-        // Check if this item has saved progress
-        checkbox.checked = this.progressItems.get(itemId) || false;
+        checkbox.checked = this.store.isCompleted(itemId);
+        item.classList.toggle(styles.completed, checkbox.checked);
         
-        // Save progress to localStorage when toggled
+        // Save progress when toggled
         checkbox.addEventListener('change', () => {
           this.updateProgress(itemId, checkbox.checked);
-          
-          // Add or remove 'completed' class from parent item
-          if (checkbox.checked) {
-            item.classList.add(styles.completed);
-          } else {
-            item.classList.remove(styles.completed);
-          }
         });
         
-        // Apply completed class if needed
-        if (checkbox.checked) {
-          item.classList.add(styles.completed);
-        }
-        
         // Insert checkbox before the first child
         item.insertBefore(checkbox, item.firstChild);
-        
-        // Add to tracked elements
-        this.trackedElements.push(item);
       }
+      
+      // Add to tracked elements
+      this.trackedElements.push(item);
+    });
+    
+    // Mark guide steps that were completed as a whole
+    document.querySelectorAll(this.stepSelector).forEach(step => {
+      this.store.adoptLegacy(this.getStepId(step), getLegacyStepKey(step));
+      this.updateStepState(step);
     });
     
     console.log(`Initialized ${this.trackedElements.length} progress checkboxes`);
   }
   
   /**
-   * Generate a unique ID for a progress item
+   * Get the progress id of a checklist item
    * @private
    * @param {HTMLElement} element - The element to generate an ID for
-   * @returns {string} The unique ID
+   * @returns {string} An id made from its step and text
    */
   generateItemId(element) {
-    // Get page path
-    const path = window.location.pathname;
+    return getItemId(element);
+  }
+  
+  /**
+   * Get the progress id of a guide step
+   * @param {HTMLElement} step - A guide step, e.g. a `details.guide-section`
+   * @returns {string} The step ID
+   */
+  getStepId(step) {
+    return getStepId(step);
+  }
+  
+  /**
+   * Check whether a guide step has been completed
+   * @param {HTMLElement} step - A guide step
+   * @returns {boolean} Whether the step is completed
+   */
+  isStepCompleted(step) {
+    return this.store.isCompleted(this.getStepId(step));
+  }
+  
+  /**
+   * Mark a guide step as completed or not. Completing a step also checks
+   * the tracked items inside it.
+   * @param {HTMLElement} step - A guide step
+   * @param {boolean} completed - Whether the step is completed
+   * @returns {void}
+   */
+  setStepCompleted(step, completed) {
+    const stepId = this.getStepId(step);
+    const ids = [stepId];
+    
+    // Check the step's own items
+    if (completed) {
+      step.querySelectorAll(`.${styles.progressCheck}`).forEach(checkbox => {
+        ids.push(checkbox.dataset.progressId);
+      });
+    }
     
-    // Get section ID if available
-    const section = element.closest('section, article, div[id]');
-    const sectionId = section ? section.id || 'main' : 'main';
+    // Remember the content the step was completed with
+    this.store.setCompleted(ids, completed, { [stepId]: getStepSnapshot(step) });
+  }
+  
+  /**
+   * Check whether a completed guide step was edited after it was completed
+   * @param {HTMLElement} step - A guide step
+   * @returns {boolean} Whether its content changed since
+   */
+  isStepOutdated(step) {
+    const completion = this.store.getCompletion(this.getStepId(step));
+    return Boolean(completion && completion.fingerprint &&
+      completion.fingerprint !== getStepSnapshot(step).fingerprint);
+  }
+  
+  /**
+   * Show whether a guide step is completed, and whether it changed since
+   * @private
+   * @param {HTMLElement} step - A guide step
+   * @returns {void}
+   */
+  updateStepState(step) {
+    const stepId = this.getStepId(step);
+    const completion = this.store.getCompletion(stepId);
+    step.classList.toggle(styles.stepCompleted, Boolean(completion));
+    
+    const snapshot = completion ? getStepSnapshot(step) : null;
+    if (completion && !completion.fingerprint) {
+      // Completed before content was recorded; compare with it from now on
+      this.store.setSnapshot(stepId, snapshot);
+    }
     
-    // Get text content (limited to prevent long IDs)
-    const text = element.textContent.trim().substring(0, 30);
+    const isOutdated = Boolean(completion && completion.fingerprint &&
+      completion.fingerprint !== snapshot.fingerprint);
+    this.showStepUpdate(step, isOutdated ? completion : null, snapshot);
+  }
+  
+  /**
+   * Get the lines of a guide step that changed since it was completed. Added
+   * lines come with their text and removed lines with the start that was
+   * stored; runs of removed lines recorded without it only with how many
+   * there were.
+   * @private
+   * @param {HTMLElement} step - A guide step
+   * @param {Object} completion - Its completion record
+   * @param {Object} snapshot - Its content now
+   * @returns {Array<{type: string, text?: string, count?: number}>} The changes in order
+   */
+  getStepChanges(step, completion, snapshot) {
+    const content = getStepContent(step);
+    const textByHash = new Map(snapshot.lines.map((hash, index) => [hash, content[index]]));
+    const excerpts = completion.excerpts || [];
+    const removedByHash = new Map((completion.lines || []).map((hash, index) => [hash, excerpts[index]]));
+    const changes = [];
+    
+    getChangedLines(diffLines(completion.lines || [], snapshot.lines)).forEach(line => {
+      const previous = changes[changes.length - 1];
+      const removed = removedByHash.get(line.text);
+      if (line.type === 'added') {
+        changes.push({ type: 'added', text: textByHash.get(line.text) });
+      } else if (removed) {
+        changes.push({ type: 'removed', text: removed });
+      } else if (previous && previous.type === 'removed' && !previous.text) {
+        previous.count++;
+      } else {
+        changes.push({ type: 'removed', count: 1 });
+      }
+    });
+    return changes;
+  }
+  
+  /**
+   * Show or remove the notice that a completed step was edited, with the
+   * lines that changed and a button to mark the new version as reviewed
+   * @private
+   * @param {HTMLElement} step - A guide step
+   * @param {Object|null} completion - Its completion record if it changed
+   *   since, otherwise null
+   * @param {Object|null} snapshot - Its content now
+   * @returns {void}
+   */
+  showStepUpdate(step, completion, snapshot) {
+    step.classList.toggle(styles.stepUpdated, Boolean(completion));
+    
+    const existing = step.querySelector('[data-progress-ui="step-update"]');
+    if (existing) {
+      // Keep an open diff open while the content stays the same
+      if (completion && existing.dataset.fingerprint === snapshot.fingerprint) return;
+      existing.remove();
+    }
+    if (!completion) return;
+    
+    const notice = document.createElement('div');
+    notice.className = styles.stepUpdate;
+    notice.dataset.progressUi = 'step-update';
+    notice.dataset.fingerprint = snapshot.fingerprint;
+    notice.setAttribute('role', 'note');
+    
+    const message = document.createElement('p');
+    message.textContent = 'Updated since you completed it';
+    
+    const changes = document.createElement('details');
+    const changesTitle = document.createElement('summary');
+    changesTitle.textContent = 'What changed';
+    const list = document.createElement('ul');
+    list.className = styles.stepDiff;
+    this.getStepChanges(step, completion, snapshot).forEach(change => {
+      const item = document.createElement('li');
+      if (change.type === 'added') {
+        item.className = styles.diffAdded;
+        const text = document.createElement('ins');
+        text.textContent = change.text;
+        item.appendChild(text);
+      } else if (change.text) {
+        item.className = styles.diffRemoved;
+        const text = document.createElement('del');
+        text.textContent = change.text;
+        item.appendChild(text);
+      } else {
+        item.className = styles.diffRemoved;
+        item.textContent = change.count === 1 ? '1 line removed' : `${change.count} lines removed`;
+      }
+      list.appendChild(item);
+    });
+    changes.append(changesTitle, list);
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = styles.stepUpdateButton;
+    button.textContent = 'Mark as reviewed';
+    button.addEventListener('click', () => {
+      this.store.setSnapshot(this.getStepId(step), getStepSnapshot(step));
+    });
     
-    // Get position within parent 
-    const parent = element.parentNode;
-    const index = Array.from(parent.children).indexOf(element);
+    notice.append(message, changes, button);
     
-    return `${this.storageKeyPrefix}${path}_${sectionId}_${index}_${text}`;
+    const summary = step.querySelector('summary');
+    if (summary) {
+      summary.after(notice);
+    } else {
+      step.prepend(notice);
+    }
   }
   
   /**
@@ -179,45 +334,54 @@ export class ProgressTracker {
    * @returns {void}
    */
   updateProgress(itemId, completed) {
-    // Update in-memory map
-    this.progressItems.set(itemId, completed);
-    
-    // Save to localStorage if available
-    if (typeof localStorage !== 'undefined') {
-      if (completed) {
-        localStorage.setItem(itemId, 'true');
-      } else {
-        localStorage.removeItem(itemId);
-      }
-    }
-    
-    // Update progress summary
-    this.updateProgressSummary();
-    
-    // Dispatch event for other components
-    document.dispatchEvent(new CustomEvent('progress-updated', {
-      detail: {
-        itemId,
-        completed,
-        totalItems: this.trackedElements.length,
-        completedItems: this.getCompletedCount()
-      }
-    }));
+    this.store.setCompleted(itemId, completed);
     
     // Announce progress update to screen readers
     this.announceProgressUpdate(completed ? 'completed' : 'marked as incomplete');
   }
   
+  /**
+   * Show the stored progress on the checkboxes, steps and summary
+   * @private
+   * @param {import('../../scripts/utils/progress-store.js').ProgressChange} change - What changed
+   * @returns {void}
+   */
+  syncWithStore(change) {
+    this.trackedElements.forEach(item => {
+      const checkbox = item.querySelector(`.${styles.progressCheck}`);
+      if (!checkbox) return;
+      
+      checkbox.checked = this.store.isCompleted(checkbox.dataset.progressId);
+      item.classList.toggle(styles.completed, checkbox.checked);
+    });
+    
+    document.querySelectorAll(this.stepSelector).forEach(step => this.updateStepState(step));
+    
+    // The summary counts checklist items; steps without any leave it as is
+    const trackedIds = this.getTrackedIds();
+    if (!change.ids.length || change.ids.some(id => trackedIds.includes(id))) {
+      this.updateProgressSummary();
+    }
+  }
+  
   /**
    * Get the total number of completed items
    * @returns {number} The number of completed items
    */
   getCompletedCount() {
-    let count = 0;
-    for (const completed of this.progressItems.values()) {
-      if (completed) count++;
-    }
-    return count;
+    return this.getTrackedIds().filter(id => this.store.isCompleted(id)).length;
+  }
+  
+  /**
+   * Get the progress ids of the tracked checklist items
+   * @private
+   * @returns {string[]} Progress ids
+   */
+  getTrackedIds() {
+    return this.trackedElements
+      .map(item => item.querySelector(`.${styles.progressCheck}`))
+      .filter(Boolean)
+      .map(checkbox => checkbox.dataset.progressId);
   }
   
   /**
@@ -397,41 +561,8 @@ export class ProgressTracker {
    * @returns {void}
    */
   resetPageProgress() {
-    const pagePath = window.location.pathname;
-    const pageKeyPrefix = `${this.storageKeyPrefix}${pagePath}`;
-    
-    // Check if localStorage is available
-    if (typeof localStorage === 'undefined') {
-      console.warn('localStorage is not available for progress tracking');
-      return;
-    }
-    
-    // Remove all progress items for this page
-    for (const key of this.progressItems.keys()) {
-      if (key.startsWith(pageKeyPrefix)) {
-        localStorage.removeItem(key);
-        this.progressItems.delete(key);
-      }
-    }
-    
-    // Uncheck all checkboxes
-    document.querySelectorAll(`.${styles.progressCheck}`).forEach(checkbox => {
-      checkbox.checked = false;
-      
-      // Remove completed class from parent
-      const listItem = checkbox.closest('li');
-      if (listItem) {
-        listItem.classList.remove(styles.completed);
-      }
-    });
-    
-    // Update summary
-    this.updateProgressSummary();
-    
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('progress-reset', {
-      detail: { path: pagePath }
-    }));
+    const stepIds = Array.from(document.querySelectorAll(this.stepSelector), step => this.getStepId(step));
+    this.store.reset([...this.getTrackedIds(), ...stepIds]);
   }
   
   /**
@@ -439,38 +570,7 @@ export class ProgressTracker {
    * @returns {void}
    */
   resetAllProgress() {
-    // Check if localStorage is available
-    if (typeof localStorage === 'undefined') {
-      console.warn('localStorage is not available for progress tracking');
-      return;
-    }
-    
-    // Remove all progress items
-    for (const key of this.progressItems.keys()) {
-      if (key.startsWith(this.storageKeyPrefix)) {
-        localStorage.removeItem(key);
-      }
-    }
-    
-    // Clear the map
-    this.progressItems.clear();
-    
-    // Uncheck all checkboxes
-    document.querySelectorAll(`.${styles.progressCheck}`).forEach(checkbox => {
-      checkbox.checked = false;
-      
-      // Remove completed class from parent
-      const listItem = checkbox.closest('li');
-      if (listItem) {
-        listItem.classList.remove(styles.completed);
-      }
-    });
-    
-    // Update summary
-    this.updateProgressSummary();
-    
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('progress-reset-all'));
+    this.store.reset();
     
     // Announce to screen readers
     this.announceProgressUpdate('reset for all pages');
@@ -1,19 +1,38 @@
 import styles from './ProgressTracker.module.css';
+import progressStore, {
+  ProgressStore,
+  ProgressChange,
+  CompletionRecord,
+  StepSnapshot,
+  STEP_SELECTOR,
+  getItemId,
+  getStepId,
+  getStepContent,
+  getStepSnapshot,
+  getLegacyItemKey,
+  getLegacyStepKey
+} from '../../scripts/utils/progress-store.js';
+import { diffLines, getChangedLines } from '../../scripts/utils/text-diff.js';
 
 /**
  * Options for configuring the ProgressTracker
  */
 export interface ProgressTrackerOptions {
   /**
-   * Storage key prefix for progress items
+   * Store that keeps the progress; defaults to the shared progress store
    */
-  storageKeyPrefix?: string;
+  store?: ProgressStore;
   
   /**
    * CSS selectors for trackable elements
    */
   trackableSelectors?: string;
   
+  /**
+   * CSS selector for guide steps that can be completed as a whole
+   */
+  stepSelector?: string;
+  
   /**
    * Whether to initialize automatically
    */
@@ -41,45 +60,47 @@ export interface ProgressSummary {
 }
 
 /**
- * Progress update event detail
+ * A change to a guide step since it was completed
  */
-export interface ProgressUpdateEventDetail {
+interface StepChange {
   /**
-   * ID of the updated item
+   * Whether lines were added or removed
    */
-  itemId: string;
+  type: 'added' | 'removed';
   
   /**
-   * Whether the item is completed
+   * Text of an added line, or the stored start of a removed one
    */
-  completed: boolean;
+  text: string;
   
   /**
-   * Total number of tracked items
+   * Number of lines removed in a row, for lines stored without their start
    */
-  totalItems: number;
-  
-  /**
-   * Number of completed items
-   */
-  completedItems: number;
+  count: number;
 }
 
 /**
  * ProgressTracker Component
- * Tracks and persists user progress through guides and tutorials
+ * Adds checkboxes to guide checklists and shows a progress summary. Progress
+ * is kept in the shared progress store. Completed steps that were edited
+ * since are flagged with what changed.
  */
 export class ProgressTracker {
   /**
-   * Storage key prefix for progress items
+   * Store that keeps the progress
    */
-  private storageKeyPrefix: string;
+  private store: ProgressStore;
   
   /**
    * CSS selectors for trackable elements
    */
   private trackableSelectors: string;
   
+  /**
+   * CSS selector for guide steps that can be completed as a whole
+   */
+  private stepSelector: string;
+  
   /**
    * Whether the component is initialized
    */
@@ -91,9 +112,9 @@ export class ProgressTracker {
   private trackedElements: HTMLElement[];
   
   /**
-   * Map of progress items by ID
+   * Removes the progress store listener
    */
-  private progressItems: Map<string, boolean>;
+  private unsubscribe: (() => void) | null;
   
   /**
    * Mutation observer to track DOM changes
@@ -104,14 +125,16 @@ export class ProgressTracker {
    * Create a new ProgressTracker instance
    */
   constructor(options: ProgressTrackerOptions = {}) {
-    this.storageKeyPrefix = options.storageKeyPrefix || 'sdde_progress_';
+    this.store = options.store || progressStore;
     
     this.trackableSelectors = options.trackableSelectors || 
       '.tutorial-section ol > li, .steps-section ol > li, .guide-section ol > li, [data-track-progress] li';
     
+    this.stepSelector = options.stepSelector || STEP_SELECTOR;
+    
     this.initialized = false;
     this.trackedElements = [];
-    this.progressItems = new Map();
+    this.unsubscribe = null;
     this.observer = null;
     
     // Auto-initialize if specified
@@ -129,39 +152,16 @@ export class ProgressTracker {
     // Apply any new options
     Object.assign(this, options);
     
-    this.loadProgressFromStorage();
     this.initProgressCheckboxes();
     this.setupMutationObserver();
     
+    // Show changes made here, by the walkthrough or by other trackers
+    this.unsubscribe = this.store.subscribe(change => this.syncWithStore(change));
+    
     this.initialized = true;
     console.log('Progress tracker initialized');
   }
   
-  /**
-   * Load saved progress from localStorage
-   */
-  private loadProgressFromStorage(): void {
-    // Clear existing progress
-    this.progressItems.clear();
-    
-    // Check if localStorage is available
-    if (typeof localStorage === 'undefined') {
-      console.warn('localStorage is not available for progress tracking');
-      return;
-    }
-    
-    // Retrieve all progress items from localStorage
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(this.storageKeyPrefix)) {
-        const value = localStorage.getItem(key) === 'true';
-        this.progressItems.set(key, value);
-      }
-    }
-    
-    console.log(`Loaded ${this.progressItems.size} progress items from storage`);
-  }
-  
   /**
    * Add progress tracking checkboxes to tutorial steps
    */
@@ -180,60 +180,206 @@ export class ProgressTracker {
         checkbox.type = 'checkbox';
         checkbox.className = styles.progressCheck;
         
-        // Generate unique ID for this step
+        // Progress is kept by an id made from the item's text
         const itemId = this.generateItemId(element);
         checkbox.dataset.progressId = itemId;
+        this.store.adoptLegacy(itemId, getLegacyItemKey(element));
         
-        // Check if this item has saved progress
-        checkbox.checked = this.progressItems.get(itemId) || false;
+        checkbox.checked = this.store.isCompleted(itemId);
+        element.classList.toggle(styles.completed, checkbox.checked);
         
-        // Save progress to localStorage when toggled
+        // Save progress when toggled
         checkbox.addEventListener('change', () => {
           this.updateProgress(itemId, checkbox.checked);
-          
-          // Add or remove 'completed' class from parent item
-          if (checkbox.checked) {
-            element.classList.add(styles.completed);
-          } else {
-            element.classList.remove(styles.completed);
-          }
         });
         
-        // Apply completed class if needed
-        if (checkbox.checked) {
-          element.classList.add(styles.completed);
-        }
-        
         // Insert checkbox before the first child
         element.insertBefore(checkbox, element.firstChild);
-        
-        // Add to tracked elements
-        this.trackedElements.push(element);
       }
+      
+      // Add to tracked elements
+      this.trackedElements.push(element);
+    });
+    
+    // Mark guide steps that were completed as a whole
+    document.querySelectorAll<HTMLElement>(this.stepSelector).forEach(step => {
+      this.store.adoptLegacy(this.getStepId(step), getLegacyStepKey(step));
+      this.updateStepState(step);
     });
     
     console.log(`Initialized ${this.trackedElements.length} progress checkboxes`);
   }
   
   /**
-   * Generate a unique ID for a progress item
+   * Get the progress id of a checklist item, made from its step and text
    */
   private generateItemId(element: HTMLElement): string {
-    // Get page path
-    const path = window.location.pathname;
+    return getItemId(element);
+  }
+  
+  /**
+   * Get the progress id of a guide step
+   */
+  getStepId(step: HTMLElement): string {
+    return getStepId(step);
+  }
+  
+  /**
+   * Check whether a guide step has been completed
+   */
+  isStepCompleted(step: HTMLElement): boolean {
+    return this.store.isCompleted(this.getStepId(step));
+  }
+  
+  /**
+   * Mark a guide step as completed or not. Completing a step also checks
+   * the tracked items inside it.
+   */
+  setStepCompleted(step: HTMLElement, completed: boolean): void {
+    const stepId = this.getStepId(step);
+    const ids = [stepId];
+    
+    // Check the step's own items
+    if (completed) {
+      step.querySelectorAll<HTMLInputElement>(`.${styles.progressCheck}`).forEach(checkbox => {
+        ids.push(checkbox.dataset.progressId || '');
+      });
+    }
     
-    // Get section ID if available
-    const section = element.closest('section, article, div[id]');
-    const sectionId = section ? (section as HTMLElement).id || 'main' : 'main';
+    // Remember the content the step was completed with
+    this.store.setCompleted(ids.filter(Boolean), completed, { [stepId]: getStepSnapshot(step) });
+  }
+  
+  /**
+   * Check whether a completed guide step was edited after it was completed
+   */
+  isStepOutdated(step: HTMLElement): boolean {
+    const completion = this.store.getCompletion(this.getStepId(step));
+    return Boolean(completion && completion.fingerprint &&
+      completion.fingerprint !== getStepSnapshot(step).fingerprint);
+  }
+  
+  /**
+   * Show whether a guide step is completed, and whether it changed since
+   */
+  private updateStepState(step: HTMLElement): void {
+    const stepId = this.getStepId(step);
+    const completion = this.store.getCompletion(stepId);
+    step.classList.toggle(styles.stepCompleted, Boolean(completion));
+    
+    if (!completion) {
+      this.showStepUpdate(step, null, null);
+      return;
+    }
+    
+    const snapshot = getStepSnapshot(step);
+    if (!completion.fingerprint) {
+      // Completed before content was recorded; compare with it from now on
+      this.store.setSnapshot(stepId, snapshot);
+    }
+    
+    const isOutdated = Boolean(completion.fingerprint && completion.fingerprint !== snapshot.fingerprint);
+    this.showStepUpdate(step, isOutdated ? completion : null, snapshot);
+  }
+  
+  /**
+   * Get the lines of a guide step that changed since it was completed. Added
+   * lines come with their text and removed lines with the start that was
+   * stored; runs of removed lines recorded without it only with how many
+   * there were.
+   * @param step - A guide step
+   * @param completion - Its completion record
+   * @param snapshot - Its content now
+   * @returns The changes in order
+   */
+  private getStepChanges(step: HTMLElement, completion: CompletionRecord, snapshot: StepSnapshot): StepChange[] {
+    const content = getStepContent(step);
+    const textByHash = new Map(snapshot.lines.map((hash, index) => [hash, content[index]]));
+    const excerpts = completion.excerpts || [];
+    const removedByHash = new Map((completion.lines || []).map((hash, index) => [hash, excerpts[index]]));
+    const changes: StepChange[] = [];
+    
+    getChangedLines(diffLines(completion.lines || [], snapshot.lines)).forEach(line => {
+      const previous = changes[changes.length - 1];
+      const removed = removedByHash.get(line.text);
+      if (line.type === 'added') {
+        changes.push({ type: 'added', text: textByHash.get(line.text) || line.text, count: 1 });
+      } else if (removed) {
+        changes.push({ type: 'removed', text: removed, count: 1 });
+      } else if (previous && previous.type === 'removed' && !previous.text) {
+        previous.count++;
+      } else {
+        changes.push({ type: 'removed', text: '', count: 1 });
+      }
+    });
+    return changes;
+  }
+  
+  /**
+   * Show or remove the notice that a completed step was edited, with the
+   * lines that changed and a button to mark the new version as reviewed
+   */
+  private showStepUpdate(step: HTMLElement, completion: CompletionRecord | null, snapshot: StepSnapshot | null): void {
+    step.classList.toggle(styles.stepUpdated, Boolean(completion));
     
-    // Get text content (limited to prevent long IDs)
-    const text = element.textContent?.trim().substring(0, 30) || '';
+    const existing = step.querySelector<HTMLElement>('[data-progress-ui="step-update"]');
+    if (existing) {
+      // Keep an open diff open while the content stays the same
+      if (completion && snapshot && existing.dataset.fingerprint === snapshot.fingerprint) return;
+      existing.remove();
+    }
+    if (!completion || !snapshot) return;
+    
+    const notice = document.createElement('div');
+    notice.className = styles.stepUpdate;
+    notice.dataset.progressUi = 'step-update';
+    notice.dataset.fingerprint = snapshot.fingerprint;
+    notice.setAttribute('role', 'note');
+    
+    const message = document.createElement('p');
+    message.textContent = 'Updated since you completed it';
+    
+    const changes = document.createElement('details');
+    const changesTitle = document.createElement('summary');
+    changesTitle.textContent = 'What changed';
+    const list = document.createElement('ul');
+    list.className = styles.stepDiff;
+    this.getStepChanges(step, completion, snapshot).forEach(change => {
+      const item = document.createElement('li');
+      if (change.type === 'added') {
+        item.className = styles.diffAdded;
+        const text = document.createElement('ins');
+        text.textContent = change.text;
+        item.appendChild(text);
+      } else if (change.text) {
+        item.className = styles.diffRemoved;
+        const text = document.createElement('del');
+        text.textContent = change.text;
+        item.appendChild(text);
+      } else {
+        item.className = styles.diffRemoved;
+        item.textContent = change.count === 1 ? '1 line removed' : `${change.count} lines removed`;
+      }
+      list.appendChild(item);
+    });
+    changes.append(changesTitle, list);
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = styles.stepUpdateButton;
+    button.textContent = 'Mark as reviewed';
+    button.addEventListener('click', () => {
+      this.store.setSnapshot(this.getStepId(step), getStepSnapshot(step));
+    });
     
-    // Get position within parent 
-    const parent = element.parentNode;
-    const index = parent ? Array.from(parent.children).indexOf(element) : 0;
+    notice.append(message, changes, button);
     
-    return `${this.storageKeyPrefix}${path}_${sectionId}_${index}_${text}`;
+    const summary = step.querySelector('summary');
+    if (summary) {
+      summary.after(notice);
+    } else {
+      step.prepend(notice);
+    }
   }
   
   /**
@@ -295,44 +441,48 @@ export class ProgressTracker {
    * Update progress for a specific item
    */
   updateProgress(itemId: string, completed: boolean): void {
-    // Update in-memory map
-    this.progressItems.set(itemId, completed);
-    
-    // Save to localStorage if available
-    if (typeof localStorage !== 'undefined') {
-      if (completed) {
-        localStorage.setItem(itemId, 'true');
-      } else {
-        localStorage.removeItem(itemId);
-      }
-    }
-    
-    // Update progress summary
-    this.updateProgressSummary();
-    
-    // Dispatch event for other components
-    document.dispatchEvent(new CustomEvent<ProgressUpdateEventDetail>('progress-updated', {
-      detail: {
-        itemId,
-        completed,
-        totalItems: this.trackedElements.length,
-        completedItems: this.getCompletedCount()
-      }
-    }));
+    this.store.setCompleted(itemId, completed);
     
     // Announce progress update to screen readers
     this.announceProgressUpdate(completed ? 'completed' : 'marked as incomplete');
   }
   
+  /**
+   * Show the stored progress on the checkboxes, steps and summary
+   */
+  private syncWithStore(change: ProgressChange): void {
+    this.trackedElements.forEach(element => {
+      const checkbox = element.querySelector<HTMLInputElement>(`.${styles.progressCheck}`);
+      if (!checkbox) return;
+      
+      checkbox.checked = this.store.isCompleted(checkbox.dataset.progressId || '');
+      element.classList.toggle(styles.completed, checkbox.checked);
+    });
+    
+    document.querySelectorAll<HTMLElement>(this.stepSelector).forEach(step => this.updateStepState(step));
+    
+    // The summary counts checklist items; steps without any leave it as is
+    const trackedIds = this.getTrackedIds();
+    if (!change.ids.length || change.ids.some(id => trackedIds.includes(id))) {
+      this.updateProgressSummary();
+    }
+  }
+  
   /**
    * Get the total number of completed items
    */
   getCompletedCount(): number {
-    let count = 0;
-    for (const completed of this.progressItems.values()) {
-      if (completed) count++;
-    }
-    return count;
+    return this.getTrackedIds().filter(id => this.store.isCompleted(id)).length;
+  }
+  
+  /**
+   * Get the progress ids of the tracked checklist items
+   */
+  private getTrackedIds(): string[] {
+    return this.trackedElements
+      .map(element => element.querySelector<HTMLInputElement>(`.${styles.progressCheck}`))
+      .map(checkbox => (checkbox && checkbox.dataset.progressId) || '')
+      .filter(Boolean);
   }
   
   /**
@@ -488,107 +638,18 @@ export class ProgressTracker {
    * Reset progress for the current page
    */
   resetProgress(): void {
-    // Filter out progress items only for the current page
-    const path = window.location.pathname;
-    
-    // Collect keys to remove
-    const keysToRemove: string[] = [];
-    
-    // Check each progress item
-    this.progressItems.forEach((value, key) => {
-      if (key.includes(path)) {
-        keysToRemove.push(key);
-      }
-    });
-    
-    // Remove from in-memory map
-    keysToRemove.forEach(key => {
-      this.progressItems.delete(key);
-      
-      // Remove from localStorage if available
-      if (typeof localStorage !== 'undefined') {
-        localStorage.removeItem(key);
-      }
-    });
-    
-    // Reset UI state
-    this.trackedElements.forEach(element => {
-      // Remove completed class
-      element.classList.remove(styles.completed);
-      
-      // Uncheck checkboxes
-      const checkbox = element.querySelector(`.${styles.progressCheck}`) as HTMLInputElement;
-      if (checkbox) {
-        checkbox.checked = false;
-      }
-    });
-    
-    // Update progress summary
-    this.updateProgressSummary();
-    
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('progress-reset', {
-      detail: {
-        totalItems: this.trackedElements.length,
-        completedItems: 0
-      }
-    }));
+    const stepIds = Array.from(document.querySelectorAll<HTMLElement>(this.stepSelector), step => this.getStepId(step));
+    this.store.reset([...this.getTrackedIds(), ...stepIds]);
     
     // Announce reset to screen readers
     this.announceProgressUpdate('reset');
-    
-    console.log(`Progress reset for ${path} (${keysToRemove.length} items)`);
   }
   
   /**
    * Reset all progress across the entire site
    */
   resetAllProgress(): void {
-    // Clear in-memory map
-    this.progressItems.clear();
-    
-    // Clear localStorage if available
-    if (typeof localStorage !== 'undefined') {
-      // Collect keys to remove (only those with our prefix)
-      const keysToRemove: string[] = [];
-      
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(this.storageKeyPrefix)) {
-          keysToRemove.push(key);
-        }
-      }
-      
-      // Remove each item
-      keysToRemove.forEach(key => {
-        localStorage.removeItem(key);
-      });
-      
-      console.log(`Cleared ${keysToRemove.length} progress items from localStorage`);
-    }
-    
-    // Reset UI state
-    this.trackedElements.forEach(element => {
-      // Remove completed class
-      element.classList.remove(styles.completed);
-      
-      // Uncheck checkboxes
-      const checkbox = element.querySelector(`.${styles.progressCheck}`) as HTMLInputElement;
-      if (checkbox) {
-        checkbox.checked = false;
-      }
-    });
-    
-    // Update progress summary
-    this.updateProgressSummary();
-    
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('progress-reset-all', {
-      detail: {
-        totalItems: this.trackedElements.length,
-        completedItems: 0
-      }
-    }));
+    this.store.reset();
     
     // Announce reset to screen readers
     this.announceProgressUpdate('reset for all pages');
@@ -605,12 +666,17 @@ export class ProgressTracker {
    * Destroy the progress tracker and clean up
    */
   destroy(): void {
-    // Stop observing DOM changes
+    // Stop observing DOM and progress changes
     if (this.observer) {
       this.observer.disconnect();
       this.observer = null;
     }
     
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    
     // Remove all checkboxes
     this.trackedElements.forEach(element => {
       const checkbox = element.querySelector(`.${styles.progressCheck}`);
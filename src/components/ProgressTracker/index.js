@@ -1 +1,9 @@
-export { ProgressTracker } from './ProgressTracker'; 
\ No newline at end of file
+/**
+ * Grimoire
+ * ProgressTracker Component Export
+ */
+
+import { ProgressTracker } from './ProgressTracker';
+
+export { ProgressTracker };
+export default ProgressTracker;
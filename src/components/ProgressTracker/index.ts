@@ -8,8 +8,7 @@ import { ProgressTracker } from './ProgressTracker';
 export { ProgressTracker };
 export type { 
   ProgressTrackerOptions,
-  ProgressSummary,
-  ProgressUpdateEventDetail
+  ProgressSummary
 } from './ProgressTracker';
 
 export default ProgressTracker; 
\ No newline at end of file
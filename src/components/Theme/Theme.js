@@ -2,10 +2,14 @@
  * Grimoire
  * Theme Component
  * 
- * Manages theme settings and switching between light and dark themes
+ * Theme toggles and switching between light and dark themes. The theme is
+ * kept and applied by the theme service; the themes on offer come from the
+ * theme registry unless given in the options.
  */
 
 import styles from './Theme.module.css';
+import themeRegistry from '../../scripts/utils/theme-registry.js';
+import themeService from '../../scripts/utils/theme-service.js';
 
 class Theme {
   constructor(options = {}) {
@@ -13,37 +17,37 @@ class Theme {
      * Available themes in the application
      * @type {Array<string>}
      */
-    this.availableThemes = options.themes || ['light', 'dark', 'dracula', 'high-contrast'];
+    this.availableThemes = options.themes || themeRegistry.getThemeIds();
     
     /**
-     * Current active theme
-     * @type {string}
+     * Whether the available themes follow the theme registry
+     * @type {boolean}
      */
-    this.currentTheme = options.defaultTheme || 'dark';
+    this.followRegistry = !options.themes;
     
     /**
-     * Storage key for saving theme preference
+     * Theme used until the theme service is started
      * @type {string}
      */
-    this.storageKey = options.storageKey || 'sdde_theme_preference';
+    this.defaultTheme = options.defaultTheme || 'dark';
     
     /**
-     * Whether the component is initialized
-     * @type {boolean}
+     * Current active theme
+     * @type {string}
      */
-    this.initialized = false;
+    this.currentTheme = this.defaultTheme;
     
     /**
-     * Whether to use localStorage for persistent settings
-     * @type {boolean}
+     * Service that keeps and applies the theme
+     * @type {import('../../scripts/utils/theme-service.js').ThemeService}
      */
-    this.persistSettings = options.persistSettings !== false;
+    this.service = options.service || themeService;
     
     /**
-     * Element that will have the data-theme attribute
-     * @type {HTMLElement}
+     * Whether the component is initialized
+     * @type {boolean}
      */
-    this.rootElement = options.rootElement || document.documentElement;
+    this.initialized = false;
     
     // Auto initialize if specified
     if (options.autoInit) {
@@ -58,40 +62,25 @@ class Theme {
   initialize() {
     if (this.initialized) return;
     
-    // Load saved theme from localStorage
-    this.loadSavedTheme();
-    
-    // Apply the current theme
-    this.applyTheme(this.currentTheme);
-    
-    // Set up system theme detection if needed
-    this.setupSystemThemeDetection();
+    // Apply the saved theme and follow the system and the schedule
+    this.service.start();
+    this.currentTheme = this.service.getTheme();
+    this.service.subscribe(({ theme }) => {
+      this.currentTheme = theme;
+    });
     
     // Set up theme toggle buttons
     this.setupThemeToggles();
     
+    // Offer themes imported later
+    if (this.followRegistry) {
+      themeRegistry.subscribe(themeIds => this.updateAvailableThemes(themeIds));
+    }
+    
     console.log(`Theme initialized with ${this.currentTheme} theme`);
     this.initialized = true;
   }
   
-  /**
-   * Load the saved theme from localStorage
-   * @private
-   * @returns {void}
-   */
-  loadSavedTheme() {
-    if (!this.persistSettings) return;
-    
-    try {
-      const savedTheme = localStorage.getItem(this.storageKey);
-      if (savedTheme && this.availableThemes.includes(savedTheme)) {
-        this.currentTheme = savedTheme;
-      }
-    } catch (error) {
-      console.warn('Could not access localStorage for theme settings', error);
-    }
-  }
-  
   /**
    * Apply the specified theme to the document
    * @param {string} theme - Theme name to apply
@@ -104,42 +93,19 @@ class Theme {
       return false;
     }
     
-    // Remove all theme classes first
-    this.availableThemes.forEach(t => {
-      this.rootElement.classList.remove(`theme-${t}`);
-    });
-    
-    // Set data-theme attribute
-    this.rootElement.setAttribute('data-theme', theme);
-    
-    // Add theme class
-    this.rootElement.classList.add(`theme-${theme}`);
-    
-    // Update current theme
+    if (!this.service.setTheme(theme)) return false;
     this.currentTheme = theme;
-    
-    // Save to localStorage if enabled
-    this.saveThemePreference();
-    
-    // Dispatch theme change event
-    this.dispatchThemeChangeEvent();
-    
     return true;
   }
   
   /**
-   * Save the current theme preference to localStorage
+   * Offer the registered themes
    * @private
+   * @param {Array<string>} themeIds - Registered theme ids
    * @returns {void}
    */
-  saveThemePreference() {
-    if (!this.persistSettings) return;
-    
-    try {
-      localStorage.setItem(this.storageKey, this.currentTheme);
-    } catch (error) {
-      console.warn('Could not save theme setting to localStorage', error);
-    }
+  updateAvailableThemes(themeIds) {
+    this.availableThemes = themeIds;
   }
   
   /**
@@ -147,9 +113,8 @@ class Theme {
    * @returns {string} The new active theme
    */
   toggleTheme() {
-    const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-    this.applyTheme(newTheme);
-    return newTheme;
+    this.currentTheme = this.service.toggleTheme();
+    return this.currentTheme;
   }
   
   /**
@@ -162,47 +127,31 @@ class Theme {
   }
   
   /**
-   * Get the current active theme
-   * @returns {string} The current theme
+   * Follow the operating system's light or dark setting
+   * @returns {boolean} Success status
    */
-  getTheme() {
-    return this.currentTheme;
+  useSystemTheme() {
+    return this.service.useSystemTheme();
   }
   
   /**
-   * Set up detection for system theme preference changes
-   * @private
-   * @returns {void}
+   * Switch between the light and dark theme at set times of day, or at
+   * sunrise and sunset
+   * @param {Object} [schedule] - When to switch, e.g.
+   *   `{ type: 'sun', latitude: 51.5 }` or `{ type: 'times', light: '07:00', dark: '19:00' }`
+   * @param {Object} [themes] - `lightTheme` and `darkTheme` to switch between
+   * @returns {boolean} Success status
    */
-  setupSystemThemeDetection() {
-    // Check if the browser supports prefers-color-scheme
-    if (window.matchMedia) {
-      const darkModeMediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-      
-      // Define handler function
-      const handleSystemThemeChange = (e) => {
-        // Only auto-switch if no explicit user preference is saved
-        if (!localStorage.getItem(this.storageKey)) {
-          const systemTheme = e.matches ? 'dark' : 'light';
-          this.applyTheme(systemTheme);
-        }
-      };
-      
-      // Set initial theme based on system preference if no saved preference
-      if (!localStorage.getItem(this.storageKey)) {
-        const systemTheme = darkModeMediaQuery.matches ? 'dark' : 'light';
-        this.applyTheme(systemTheme);
-      }
-      
-      // Add listener for changes
-      try {
-        // Try using the modern API (newer browsers)
-        darkModeMediaQuery.addEventListener('change', handleSystemThemeChange);
-      } catch (error) {
-        // Fall back to deprecated API (older browsers)
-        darkModeMediaQuery.addListener(handleSystemThemeChange);
-      }
-    }
+  useSchedule(schedule, themes) {
+    return this.service.useSchedule(schedule, themes);
+  }
+  
+  /**
+   * Get the current active theme
+   * @returns {string} The current theme
+   */
+  getTheme() {
+    return this.currentTheme;
   }
   
   /**
@@ -285,19 +234,6 @@ class Theme {
     
     return toggleContainer;
   }
-  
-  /**
-   * Dispatch a theme change event
-   * @private
-   * @returns {void}
-   */
-  dispatchThemeChangeEvent() {
-    document.dispatchEvent(new CustomEvent('theme-changed', {
-      detail: {
-        theme: this.currentTheme
-      }
-    }));
-  }
 }
 
 export default Theme; 
\ No newline at end of file
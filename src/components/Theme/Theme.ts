@@ -2,27 +2,23 @@
  * Grimoire
  * Theme Component
  * 
- * Manages theme settings and switching between light and dark themes
+ * Theme toggles and switching between light and dark themes. The theme is
+ * kept and applied by the theme service; the themes on offer come from the
+ * theme registry unless given in the options.
  */
 
 import styles from './Theme.module.css';
+import themeRegistry from '../../scripts/utils/theme-registry.js';
+import themeService, { type ThemeService } from '../../scripts/utils/theme-service.js';
 
 // Define theme options interface
 interface ThemeOptions {
   themes?: string[];
   defaultTheme?: string;
-  storageKey?: string;
-  persistSettings?: boolean;
-  rootElement?: HTMLElement;
+  service?: ThemeService;
   autoInit?: boolean;
 }
 
-// Define custom event interface
-interface ThemeChangedEventDetail {
-  theme: string;
-  previousTheme: string;
-}
-
 class Theme {
   /**
    * Available themes in the application
@@ -30,40 +26,40 @@ class Theme {
   private availableThemes: string[];
   
   /**
-   * Current active theme
+   * Whether the available themes follow the theme registry
    */
-  private currentTheme: string;
+  private followRegistry: boolean;
   
   /**
-   * Storage key for saving theme preference
+   * Theme used until the theme service is started
    */
-  private storageKey: string;
+  private defaultTheme: string;
   
   /**
-   * Whether the component is initialized
+   * Current active theme
    */
-  private initialized: boolean;
+  private currentTheme: string;
   
   /**
-   * Whether to use localStorage for persistent settings
+   * Service that keeps and applies the theme
    */
-  private persistSettings: boolean;
+  private service: ThemeService;
   
   /**
-   * Element that will have the data-theme attribute
+   * Whether the component is initialized
    */
-  private rootElement: HTMLElement;
+  private initialized: boolean;
   
   /**
    * Initialize a new theme manager
    */
   constructor(options: ThemeOptions = {}) {
-    this.availableThemes = options.themes || ['light', 'dark', 'dracula', 'high-contrast'];
-    this.currentTheme = options.defaultTheme || 'dark';
-    this.storageKey = options.storageKey || 'sdde_theme_preference';
+    this.availableThemes = options.themes || themeRegistry.getThemeIds();
+    this.followRegistry = !options.themes;
+    this.defaultTheme = options.defaultTheme || 'dark';
+    this.currentTheme = this.defaultTheme;
+    this.service = options.service || themeService;
     this.initialized = false;
-    this.persistSettings = options.persistSettings !== false;
-    this.rootElement = options.rootElement || document.documentElement;
     
     // Auto initialize if specified
     if (options.autoInit) {
@@ -77,39 +73,28 @@ class Theme {
   initialize(): void {
     if (this.initialized) return;
     
-    // Load saved theme from localStorage
-    this.loadSavedTheme();
-    
-    // Apply the current theme
-    this.applyTheme(this.currentTheme);
-    
-    // Set up system theme detection if needed
-    this.setupSystemThemeDetection();
+    // Apply the saved theme and follow the system and the schedule
+    this.service.start();
+    this.currentTheme = this.service.getTheme();
+    this.service.subscribe(({ theme }) => {
+      this.currentTheme = theme;
+      document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+        this.updateToggleButtonState(button as HTMLElement);
+      });
+    });
     
     // Set up theme toggle buttons
     this.setupThemeToggles();
     
+    // Offer themes imported later
+    if (this.followRegistry) {
+      themeRegistry.subscribe(themeIds => this.updateAvailableThemes(themeIds));
+    }
+    
     console.log(`Theme initialized with ${this.currentTheme} theme`);
     this.initialized = true;
   }
   
-  /**
-   * Load the saved theme from localStorage
-   * @private
-   */
-  private loadSavedTheme(): void {
-    if (!this.persistSettings) return;
-    
-    try {
-      const savedTheme = localStorage.getItem(this.storageKey);
-      if (savedTheme && this.availableThemes.includes(savedTheme)) {
-        this.currentTheme = savedTheme;
-      }
-    } catch (error) {
-      console.warn('Could not access localStorage for theme settings', error);
-    }
-  }
-  
   /**
    * Apply the specified theme to the document
    * @param theme - Theme name to apply
@@ -122,44 +107,18 @@ class Theme {
       return false;
     }
     
-    // Store previous theme for event
-    const previousTheme = this.currentTheme;
-    
-    // Remove all theme classes first
-    this.availableThemes.forEach(t => {
-      this.rootElement.classList.remove(`theme-${t}`);
-    });
-    
-    // Set data-theme attribute
-    this.rootElement.setAttribute('data-theme', theme);
-    
-    // Add theme class
-    this.rootElement.classList.add(`theme-${theme}`);
-    
-    // Update current theme
+    if (!this.service.setTheme(theme)) return false;
     this.currentTheme = theme;
-    
-    // Save to localStorage if enabled
-    this.saveThemePreference();
-    
-    // Dispatch theme change event
-    this.dispatchThemeChangeEvent(previousTheme);
-    
     return true;
   }
   
   /**
-   * Save the current theme preference to localStorage
+   * Offer the registered themes
    * @private
+   * @param themeIds - Registered theme ids
    */
-  private saveThemePreference(): void {
-    if (!this.persistSettings) return;
-    
-    try {
-      localStorage.setItem(this.storageKey, this.currentTheme);
-    } catch (error) {
-      console.warn('Could not save theme setting to localStorage', error);
-    }
+  private updateAvailableThemes(themeIds: string[]): void {
+    this.availableThemes = themeIds;
   }
   
   /**
@@ -167,9 +126,8 @@ class Theme {
    * @returns The new active theme
    */
   toggleTheme(): string {
-    const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-    this.applyTheme(newTheme);
-    return newTheme;
+    this.currentTheme = this.service.toggleTheme();
+    return this.currentTheme;
   }
   
   /**
@@ -182,47 +140,31 @@ class Theme {
   }
   
   /**
-   * Get the current active theme
-   * @returns The current theme
+   * Follow the operating system's light or dark setting
+   * @returns Success status
    */
-  getTheme(): string {
-    return this.currentTheme;
+  useSystemTheme(): boolean {
+    return this.service.useSystemTheme();
   }
   
   /**
-   * Set up detection for system theme preference changes
-   * @private
+   * Switch between the light and dark theme at set times of day, or at
+   * sunrise and sunset
+   * @param schedule - When to switch, e.g. `{ type: 'sun', latitude: 51.5 }`
+   *   or `{ type: 'times', light: '07:00', dark: '19:00' }`
+   * @param themes - `lightTheme` and `darkTheme` to switch between
+   * @returns Success status
    */
-  private setupSystemThemeDetection(): void {
-    // Check if the browser supports prefers-color-scheme
-    if (window.matchMedia) {
-      const darkModeMediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-      
-      // Define handler function
-      const handleSystemThemeChange = (e: MediaQueryListEvent): void => {
-        // Only auto-switch if no explicit user preference is saved
-        if (!localStorage.getItem(this.storageKey)) {
-          const systemTheme = e.matches ? 'dark' : 'light';
-          this.applyTheme(systemTheme);
-        }
-      };
-      
-      // Set initial theme based on system preference if no saved preference
-      if (!localStorage.getItem(this.storageKey)) {
-        const systemTheme = darkModeMediaQuery.matches ? 'dark' : 'light';
-        this.applyTheme(systemTheme);
-      }
-      
-      // Add listener for changes
-      try {
-        // Try using the modern API (newer browsers)
-        darkModeMediaQuery.addEventListener('change', handleSystemThemeChange);
-      } catch (e) {
-        // Fallback for older browsers
-        // @ts-ignore: Older browsers MediaQueryList implementation
-        darkModeMediaQuery.addListener(handleSystemThemeChange);
-      }
-    }
+  useSchedule(...args: Parameters<ThemeService['useSchedule']>): boolean {
+    return this.service.useSchedule(...args);
+  }
+  
+  /**
+   * Get the current active theme
+   * @returns The current theme
+   */
+  getTheme(): string {
+    return this.currentTheme;
   }
   
   /**
@@ -233,13 +175,21 @@ class Theme {
     // Find all toggle buttons with data-theme-toggle attribute
     const toggleButtons = document.querySelectorAll('[data-theme-toggle]');
     
-    toggleButtons.forEach(button => {
+    toggleButtons.forEach(element => {
+      const button = element as HTMLElement;
+      
+      // Skip if already initialized
+      if (button.dataset.themeInitialized === 'true') return;
+      
       button.addEventListener('click', () => {
         this.toggleTheme();
       });
       
       // Update button state
-      this.updateToggleButtonState(button as HTMLElement);
+      this.updateToggleButtonState(button);
+      
+      // Mark as initialized
+      button.dataset.themeInitialized = 'true';
     });
   }
   
@@ -301,7 +251,7 @@ class Theme {
    * @param button - The button element to update
    */
   private updateToggleButtonState(button: HTMLElement): void {
-    const isDark = this.currentTheme === 'dark';
+    const isDark = this.service.getThemeMode() === 'dark';
     const iconEl = button.querySelector('.theme-toggle-icon') as HTMLElement | null;
     const textEl = button.querySelector('.theme-toggle-text') as HTMLElement | null;
     
@@ -315,23 +265,6 @@ class Theme {
       if (textEl) textEl.textContent = 'Light Mode';
     }
   }
-  
-  /**
-   * Dispatch a custom event when theme changes
-   * @private
-   * @param previousTheme - The theme that was active before the change
-   */
-  private dispatchThemeChangeEvent(previousTheme: string = ''): void {
-    const event = new CustomEvent<ThemeChangedEventDetail>('themeChanged', {
-      bubbles: true,
-      detail: {
-        theme: this.currentTheme,
-        previousTheme: previousTheme
-      }
-    });
-    
-    window.dispatchEvent(event);
-  }
 }
 
 export default Theme; 
\ No newline at end of file
@@ -0,0 +1,371 @@
+import styles from './Walkthrough.module.css';
+
+/**
+ * Marker class of the start buttons, which stays the same whatever the
+ * CSS module names its classes
+ * @type {string}
+ */
+const START_BUTTON_CLASS = 'walkthrough-start';
+
+/**
+ * Walkthrough Component
+ * Presents a guide section one step at a time with Back/Next controls
+ *
+ * Each `details.guide-section` of a section is a step. Only the current step
+ * is shown, opened with its explanation and code blocks. Advancing marks the
+ * step complete in ProgressTracker, and starting a walkthrough again resumes
+ * at the first step that is not complete yet.
+ */
+export class Walkthrough {
+  constructor(options = {}) {
+    /**
+     * ProgressTracker used to read and record completed steps
+     * @type {Object|null}
+     */
+    this.progressTracker = options.progressTracker || null;
+
+    /**
+     * CSS selector for guide sections
+     * @type {string}
+     */
+    this.sectionSelector = options.sectionSelector || '.section';
+
+    /**
+     * CSS selector for the steps of a section
+     * @type {string}
+     */
+    this.stepSelector = options.stepSelector || 'details.guide-section';
+
+    /**
+     * Section being walked through
+     * @type {HTMLElement|null}
+     */
+    this.section = null;
+
+    /**
+     * Steps of the current section
+     * @type {Array<HTMLElement>}
+     */
+    this.steps = [];
+
+    /**
+     * Index of the step being shown
+     * @type {number}
+     */
+    this.currentIndex = -1;
+
+    /**
+     * Navigation bar shown under the current step
+     * @type {HTMLElement|null}
+     * @private
+     */
+    this.controls = null;
+
+    /**
+     * Hidden state of each step before the walkthrough started
+     * @type {Map<HTMLElement, boolean>}
+     * @private
+     */
+    this.previousHidden = new Map();
+
+    /**
+     * Whether the component is initialized
+     * @type {boolean}
+     */
+    this.initialized = false;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleContentLoaded = this.handleContentLoaded.bind(this);
+
+    // Auto-initialize if specified
+    if (options.autoInit) {
+      this.initialize();
+    }
+  }
+
+  /**
+   * Add walkthrough buttons to guide sections, now and whenever content loads
+   * @param {Object} [options] - Initialization options
+   * @returns {void}
+   */
+  initialize(options = {}) {
+    if (this.initialized) return;
+
+    // Apply any new options
+    Object.assign(this, options);
+
+    this.addStartButtons();
+    window.addEventListener('content-loaded', this.handleContentLoaded);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Handle newly loaded guide content
+   * @private
+   */
+  handleContentLoaded() {
+    // The section being walked through was replaced
+    if (this.section && !this.section.isConnected) {
+      this.stop();
+    }
+
+    this.addStartButtons();
+  }
+
+  /**
+   * Get the steps of a section
+   * @param {HTMLElement} section - Guide section
+   * @returns {Array<HTMLElement>} The section's steps
+   */
+  getSteps(section) {
+    return Array.from(section.querySelectorAll(this.stepSelector));
+  }
+
+  /**
+   * Check whether a step has been completed
+   * @param {HTMLElement} step - Guide step
+   * @returns {boolean} Whether the step is completed
+   */
+  isCompleted(step) {
+    return Boolean(this.progressTracker && this.progressTracker.isStepCompleted(step));
+  }
+
+  /**
+   * Get the step a walkthrough of a section should resume at
+   * @param {HTMLElement} section - Guide section
+   * @returns {number} Index of the first unfinished step, or 0 if all are done
+   */
+  getResumeIndex(section) {
+    const index = this.getSteps(section).findIndex(step => !this.isCompleted(step));
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Add a start button to each guide section with more than one step
+   * @param {HTMLElement|Document} [container=document] - Container to search
+   * @returns {void}
+   */
+  addStartButtons(container = document) {
+    container.querySelectorAll(this.sectionSelector).forEach(section => {
+      if (section.querySelector(`.${START_BUTTON_CLASS}`)) return;
+
+      const steps = this.getSteps(section);
+      if (steps.length < 2) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = [START_BUTTON_CLASS, styles.startButton].filter(Boolean).join(' ');
+      button.textContent = steps.some(step => this.isCompleted(step)) ? 'Resume walkthrough' : 'Start walkthrough';
+      button.addEventListener('click', () => this.start(section));
+
+      steps[0].parentNode.insertBefore(button, steps[0]);
+    });
+  }
+
+  /**
+   * Whether a walkthrough is in progress
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.section !== null;
+  }
+
+  /**
+   * Start walking through a section
+   * @param {HTMLElement} section - Guide section
+   * @param {number} [index] - Step to start at; defaults to the first unfinished step
+   * @returns {boolean} Whether the walkthrough started
+   */
+  start(section, index) {
+    const steps = this.getSteps(section);
+    if (!steps.length) return false;
+
+    if (this.isActive()) this.stop();
+
+    this.section = section;
+    this.steps = steps;
+    steps.forEach(step => this.previousHidden.set(step, step.hidden));
+    section.classList.add(styles.active);
+
+    this.controls = this.createControls();
+    document.addEventListener('keydown', this.handleKeydown);
+
+    this.goTo(index !== undefined ? index : this.getResumeIndex(section));
+
+    document.dispatchEvent(new CustomEvent('walkthrough-started', {
+      detail: { section, index: this.currentIndex }
+    }));
+
+    return true;
+  }
+
+  /**
+   * Create the Back/Next navigation bar
+   * @private
+   * @returns {HTMLElement} The navigation bar
+   */
+  createControls() {
+    const controls = document.createElement('div');
+    controls.className = styles.controls;
+    controls.setAttribute('role', 'navigation');
+    controls.setAttribute('aria-label', 'Walkthrough');
+
+    const backButton = document.createElement('button');
+    backButton.type = 'button';
+    backButton.className = styles.backButton;
+    backButton.textContent = 'Back';
+    backButton.addEventListener('click', () => this.back());
+
+    const status = document.createElement('span');
+    status.className = styles.status;
+    status.setAttribute('aria-live', 'polite');
+
+    const nextButton = document.createElement('button');
+    nextButton.type = 'button';
+    nextButton.className = styles.nextButton;
+    nextButton.addEventListener('click', () => this.next());
+
+    const exitButton = document.createElement('button');
+    exitButton.type = 'button';
+    exitButton.className = styles.exitButton;
+    exitButton.textContent = 'Exit walkthrough';
+    exitButton.addEventListener('click', () => this.stop());
+
+    controls.append(backButton, status, nextButton, exitButton);
+    controls.backButton = backButton;
+    controls.nextButton = nextButton;
+    controls.status = status;
+
+    return controls;
+  }
+
+  /**
+   * Show a step of the current section
+   * @param {number} index - Step index
+   * @returns {void}
+   */
+  goTo(index) {
+    if (!this.isActive()) return;
+
+    this.currentIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+    const step = this.steps[this.currentIndex];
+
+    this.steps.forEach(other => {
+      other.hidden = other !== step;
+      other.classList.toggle(styles.current, other === step);
+    });
+    step.open = true;
+    step.after(this.controls);
+
+    const isLast = this.currentIndex === this.steps.length - 1;
+    const summary = step.querySelector('summary');
+    this.controls.backButton.disabled = this.currentIndex === 0;
+    this.controls.nextButton.textContent = isLast ? 'Finish' : 'Next';
+    this.controls.status.textContent = `Step ${this.currentIndex + 1} of ${this.steps.length}` +
+      (summary ? `: ${summary.textContent.trim()}` : '') +
+      (this.isCompleted(step) ? ' (done)' : '');
+
+    // Bring the step into view and give it focus for keyboard and screen reader users
+    if (summary) summary.focus({ preventScroll: true });
+    if (step.scrollIntoView) step.scrollIntoView({ block: 'start', behavior: 'smooth' });
+
+    document.dispatchEvent(new CustomEvent('walkthrough-step', {
+      detail: { section: this.section, step, index: this.currentIndex, total: this.steps.length }
+    }));
+  }
+
+  /**
+   * Mark the current step complete and move to the next one, or finish
+   * after the last step
+   * @returns {void}
+   */
+  next() {
+    if (!this.isActive()) return;
+
+    const step = this.steps[this.currentIndex];
+    if (this.progressTracker) {
+      this.progressTracker.setStepCompleted(step, true);
+    }
+
+    if (this.currentIndex < this.steps.length - 1) {
+      this.goTo(this.currentIndex + 1);
+    } else {
+      this.finish();
+    }
+  }
+
+  /**
+   * Go back to the previous step
+   * @returns {void}
+   */
+  back() {
+    if (this.isActive() && this.currentIndex > 0) {
+      this.goTo(this.currentIndex - 1);
+    }
+  }
+
+  /**
+   * End the walkthrough after its last step
+   * @private
+   */
+  finish() {
+    const section = this.section;
+    this.stop();
+
+    document.dispatchEvent(new CustomEvent('walkthrough-finished', {
+      detail: { section }
+    }));
+  }
+
+  /**
+   * Leave walkthrough mode and show all steps again
+   * @returns {void}
+   */
+  stop() {
+    if (!this.isActive()) return;
+
+    this.steps.forEach(step => {
+      step.hidden = this.previousHidden.get(step) || false;
+      step.classList.remove(styles.current);
+    });
+    this.section.classList.remove(styles.active);
+    if (this.controls) this.controls.remove();
+    document.removeEventListener('keydown', this.handleKeydown);
+
+    // Offer to resume where the reader left off
+    const startButton = this.section.querySelector(`.${START_BUTTON_CLASS}`);
+    if (startButton) {
+      startButton.textContent = 'Resume walkthrough';
+      if (this.section.isConnected) startButton.focus();
+    }
+
+    this.section = null;
+    this.steps = [];
+    this.currentIndex = -1;
+    this.controls = null;
+    this.previousHidden.clear();
+  }
+
+  /**
+   * Leave the walkthrough with Escape
+   * @private
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape' && !event.defaultPrevented) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Remove the component's buttons and listeners
+   * @returns {void}
+   */
+  destroy() {
+    this.stop();
+    document.querySelectorAll(`.${START_BUTTON_CLASS}`).forEach(button => button.remove());
+    window.removeEventListener('content-loaded', this.handleContentLoaded);
+    this.initialized = false;
+  }
+}
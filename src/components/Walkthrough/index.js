@@ -0,0 +1,9 @@
+/**
+ * Grimoire
+ * Walkthrough Component Export
+ */
+
+import { Walkthrough } from './Walkthrough';
+
+export { Walkthrough };
+export default Walkthrough;
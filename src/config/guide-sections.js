@@ -0,0 +1,74 @@
+/**
+ * Guide Sections
+ * Grimoire
+ *
+ * Ordered list of the guide's content files. The slug is used in route
+ * URLs (`#/decky-loader/3`), the id is the id of the file's `.section`
+ * element.
+ */
+
+/**
+ * @typedef {Object} GuideSection
+ * @property {string} slug - Route slug
+ * @property {string} id - Id of the file's `.section` element
+ * @property {string} title - Display title
+ * @property {string} file - Content file path
+ */
+
+/** @type {GuideSection[]} */
+export const GUIDE_SECTIONS = [
+  {
+    slug: 'getting-started',
+    id: 'section-i',
+    title: 'Getting Started',
+    file: 'src/content/sections/getting-started.html'
+  },
+  {
+    slug: 'optimizations',
+    id: 'section-ii',
+    title: 'Optimizations',
+    file: 'src/content/sections/optimizations.html'
+  },
+  {
+    slug: 'gaming',
+    id: 'section-iii',
+    title: 'Gaming',
+    file: 'src/content/sections/gaming.html'
+  },
+  {
+    slug: 'decky-loader',
+    id: 'section-iv',
+    title: 'Decky Loader',
+    file: 'src/content/sections/decky-loader.html'
+  },
+  {
+    slug: 'references',
+    id: 'decky-loader-plugins',
+    title: 'References',
+    file: 'src/content/references/references.html'
+  }
+];
+
+/**
+ * File loaded before the guide sections when showing the whole guide
+ * @type {string}
+ */
+export const INTRO_FILE = 'src/content/sections/intro.html';
+
+/**
+ * Find a guide section by its route slug
+ * @param {string} slug - Section slug
+ * @returns {GuideSection|undefined} The section entry
+ */
+export function findSectionBySlug(slug) {
+  return GUIDE_SECTIONS.find(section => section.slug === slug);
+}
+
+/**
+ * Find a guide section by the id of its `.section` element
+ * @param {string} id - Element id
+ * @returns {GuideSection|undefined} The section entry
+ */
+export function findSectionById(id) {
+  return GUIDE_SECTIONS.find(section => section.id === id);
+}
@@ -1,8 +1,11 @@
 /**
  * Enhanced Internationalization (i18n) support for Grimoire
- * Includes RTL language support and improved language management
+ * Includes RTL language support and improved language management.
+ * Translations are ICU MessageFormat strings, see scripts/utils/message-format.js
  */
 
+import { compileMessage, MessageFormatError } from './scripts/utils/message-format.js';
+
 class I18n {
   constructor() {
     this.translations = {};
@@ -97,12 +100,15 @@ class I18n {
     } catch (error) {
       console.error(`Error loading translations for ${locale}:`, error);
       
-      // Use fallback locale if it's different from the current one
       if (locale !== this.fallbackLocale) {
         console.info(`Falling back to ${this.fallbackLocale} translations`);
-        await this.loadTranslations(this.fallbackLocale);
       }
     }
+    
+    // Keys a locale is missing are taken from the fallback locale
+    if (locale !== this.fallbackLocale) {
+      await this.loadTranslations(this.fallbackLocale);
+    }
   }
 
   /**
@@ -221,32 +227,32 @@ class I18n {
   }
 
   /**
-   * Get a translated string by key
+   * Get a translated string by key. The message is looked up in the current
+   * locale, then its base language, then the fallback locale, and formatted
+   * with the plural rules of the locale it was found in.
    * @param {string} key - The translation key
-   * @param {Object} [replacements={}] - Key-value pairs for variable replacements
+   * @param {Object} [replacements={}] - Values of the message's arguments
    * @returns {string} The translated string
    */
   t(key, replacements = {}) {
-    // Get translations for current locale
-    const translations = this.translations[this.currentLocale] || {};
-    
-    // Get the translated string
-    let translatedString = this._getNestedValue(translations, key);
-    
-    // If no translation found, try fallback locale
-    if (translatedString === key && this.currentLocale !== this.fallbackLocale) {
-      const fallbackTranslations = this.translations[this.fallbackLocale] || {};
-      translatedString = this._getNestedValue(fallbackTranslations, key);
-    }
-    
-    // If still no translation found, return the key
-    if (translatedString === key) {
-      console.warn(`Translation missing for key: ${key}`);
-      return key;
+    for (const locale of this._getLocaleChain()) {
+      const message = this._getNestedValue(this.translations[locale] || {}, key);
+      if (typeof message !== 'string' || message === key) continue;
+      
+      try {
+        return compileMessage(message, locale)(replacements);
+      } catch (error) {
+        const cannotFormat = error instanceof MessageFormatError ||
+          error instanceof RangeError || error instanceof TypeError;
+        if (!cannotFormat) throw error;
+        // A broken translation, or a value it cannot format such as an
+        // invalid date, falls back to the next locale
+        console.warn(`Translation for key ${key} in ${locale} cannot be formatted: ${error.message}`);
+      }
     }
     
-    // Replace variables in the string
-    return this._replaceVariables(translatedString, replacements);
+    console.warn(`Translation missing for key: ${key}`);
+    return key;
   }
 
   /**
@@ -272,16 +278,14 @@ class I18n {
   }
 
   /**
-   * Replace variables in a string with values
-   * @param {string} str - The string with variables
-   * @param {Object} replacements - Key-value pairs for replacements
-   * @returns {string} The string with replaced variables
+   * Get the locales a key is looked up in, in order
+   * @returns {string[]} The current locale, its base language and the
+   *   fallback locale
    * @private
    */
-  _replaceVariables(str, replacements) {
-    return str.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return replacements[key] !== undefined ? replacements[key] : match;
-    });
+  _getLocaleChain() {
+    const chain = [this.currentLocale, this.currentLocale.split('-')[0], this.fallbackLocale];
+    return chain.filter((locale, index) => chain.indexOf(locale) === index);
   }
 
   /**
@@ -1,6 +1,7 @@
 /**
  * Enhanced Internationalization (i18n) support for Grimoire
- * Includes RTL language support and improved language management
+ * Includes RTL language support and improved language management.
+ * Translations are ICU MessageFormat strings, see scripts/utils/message-format.js
  */
 
 import {
@@ -11,6 +12,7 @@ import {
   Translations,
   I18nInterface
 } from './types/i18n';
+import { compileMessage, MessageFormatError } from './scripts/utils/message-format.js';
 
 class I18n implements I18nInterface {
   private translations: Record<string, Translations>;
@@ -111,12 +113,15 @@ class I18n implements I18nInterface {
     } catch (error) {
       console.error(`Error loading translations for ${locale}:`, error);
       
-      // Use fallback locale if it's different from the current one
       if (locale !== this.fallbackLocale) {
         console.info(`Falling back to ${this.fallbackLocale} translations`);
-        await this.loadTranslations(this.fallbackLocale);
       }
     }
+    
+    // Keys a locale is missing are taken from the fallback locale
+    if (locale !== this.fallbackLocale) {
+      await this.loadTranslations(this.fallbackLocale);
+    }
   }
 
   /**
@@ -236,32 +241,32 @@ class I18n implements I18nInterface {
   }
 
   /**
-   * Get a translated string by key
+   * Get a translated string by key. The message is looked up in the current
+   * locale, then its base language, then the fallback locale, and formatted
+   * with the plural rules of the locale it was found in.
    * @param key - The translation key
-   * @param replacements - Key-value pairs for variable replacements
+   * @param replacements - Values of the message's arguments
    * @returns The translated string
    */
   t(key: string, replacements: TranslationReplacements = {}): string {
-    // Get translations for current locale
-    const translations = this.translations[this.currentLocale] || {};
-    
-    // Get the translated string
-    let translatedString = this._getNestedValue(translations, key);
-    
-    // If no translation found, try fallback locale
-    if (translatedString === key && this.currentLocale !== this.fallbackLocale) {
-      const fallbackTranslations = this.translations[this.fallbackLocale] || {};
-      translatedString = this._getNestedValue(fallbackTranslations, key);
-    }
-    
-    // If still no translation found, return the key
-    if (translatedString === key) {
-      console.warn(`Translation missing for key: ${key}`);
-      return key;
+    for (const locale of this._getLocaleChain()) {
+      const message = this._getNestedValue(this.translations[locale] || {}, key);
+      if (typeof message !== 'string' || message === key) continue;
+      
+      try {
+        return compileMessage(message, locale)(replacements);
+      } catch (error) {
+        const cannotFormat = error instanceof MessageFormatError ||
+          error instanceof RangeError || error instanceof TypeError;
+        if (!cannotFormat) throw error;
+        // A broken translation, or a value it cannot format such as an
+        // invalid date, falls back to the next locale
+        console.warn(`Translation for key ${key} in ${locale} cannot be formatted: ${error.message}`);
+      }
     }
     
-    // Replace variables in the string
-    return this._replaceVariables(translatedString, replacements);
+    console.warn(`Translation missing for key: ${key}`);
+    return key;
   }
 
   /**
@@ -294,16 +299,13 @@ class I18n implements I18nInterface {
   }
 
   /**
-   * Replace variables in a string with their values
-   * @param str - String with variables
-   * @param replacements - Object with variable values
-   * @returns String with replaced variables
+   * Get the locales a key is looked up in, in order
+   * @returns The current locale, its base language and the fallback locale
    * @private
    */
-  private _replaceVariables(str: string, replacements: TranslationReplacements): string {
-    return str.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return replacements[key] !== undefined ? String(replacements[key]) : match;
-    });
+  private _getLocaleChain(): string[] {
+    const chain = [this.currentLocale, this.currentLocale.split('-')[0], this.fallbackLocale];
+    return chain.filter((locale, index) => chain.indexOf(locale) === index);
   }
 
   /**
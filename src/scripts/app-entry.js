@@ -0,0 +1,82 @@
+/**
+ * Page script for index.html
+ * Kept out of the page itself so the Content Security Policy does not need
+ * to allow inline scripts.
+ */
+
+import appInit from './app-init.js';
+import { initActions } from './utils/actions.js';
+
+// Handle data-action buttons (copy, reload)
+initActions();
+
+// Navigation handling
+document.querySelectorAll('[data-section]').forEach(link => {
+    link.addEventListener('click', (event) => {
+        event.preventDefault();
+        const sectionId = link.getAttribute('data-section');
+        appInit.loadContent(sectionId);
+        
+        // Update URL without page reload
+        history.pushState({section: sectionId}, '', `#${sectionId}`);
+        
+        // Close mobile navigation if open
+        document.getElementById('navigation').classList.remove('open');
+    });
+});
+
+// Mobile menu toggle
+document.getElementById('menu-toggle').addEventListener('click', () => {
+    document.getElementById('navigation').classList.toggle('open');
+});
+
+// Handle browser back/forward
+window.addEventListener('popstate', (event) => {
+    if (event.state && event.state.section) {
+        appInit.loadContent(event.state.section);
+    } else {
+        // Default to home page if no state
+        appInit.loadContent('home');
+    }
+});
+
+// Check for URL hash on load
+document.addEventListener('DOMContentLoaded', () => {
+    const hash = window.location.hash.substring(1);
+    if (hash) {
+        appInit.loadContent(hash);
+    }
+});
+
+// Register service worker for offline support
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/src/scripts/services/service-worker.js')
+        .then(registration => {
+            console.log('Service Worker registered with scope:', registration.scope);
+            
+            // Check for updates
+            registration.addEventListener('updatefound', () => {
+                const newWorker = registration.installing;
+                console.log('Service Worker update found!');
+                
+                newWorker.addEventListener('statechange', () => {
+                    if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                        // New content is available, show refresh notification
+                        appInit.showUpdateNotification();
+                    }
+                });
+            });
+        })
+        .catch(error => {
+            console.error('Service Worker registration failed:', error);
+        });
+        
+    // Handle refresh request from user
+    let refreshing = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!refreshing) {
+            refreshing = true;
+            window.location.reload();
+        }
+    });
+}
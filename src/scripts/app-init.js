@@ -8,17 +8,27 @@ import NotificationSystem from '../components/NotificationSystem/index.js';
 import ErrorHandler from '../components/ErrorHandler/index.js';
 import PageLoader from '../components/PageLoader/index.js';
 import HelpCenter from '../components/HelpCenter/index.js';
+import ProgressTracker from '../components/ProgressTracker/index.js';
+import Walkthrough from '../components/Walkthrough/index.js';
+import ProgressDashboard from '../components/ProgressDashboard/index.js';
+import GamepadNavigation from '../components/GamepadNavigation/index.js';
 
 // Import performance optimization utilities
 import { initPerformanceMonitoring, measureExecutionTime, logPerformanceMetrics } from './utils/performance-monitor.js';
 import { initImageOptimizer, preloadImages } from './utils/image-optimizer.js';
 import { runWhenIdle } from './utils/dom-optimizer.js';
-import { contentCache, dataCache, imageCache } from './utils/cache-optimizer.js';
+import { contentCache, imageCache } from './utils/cache-optimizer.js';
+import { searchPage, highlightElement, clearHighlights, loadSearchIndex } from './utils/search-engine.js';
+import TimeTracker from './utils/time-tracker.js';
+import SectionState from './utils/section-state.js';
+import themeRegistry from './utils/theme-registry.js';
+import themeService from './utils/theme-service.js';
 
 class AppInitializer {
   constructor() {
     this.initialized = false;
     this.components = {};
+    this.searchHighlights = [];
     
     // Start performance monitoring early
     initPerformanceMonitoring();
@@ -50,6 +60,12 @@ class AppInitializer {
       // Initialize HelpCenter
       this.initHelpCenter();
       
+      // Initialize step progress and walkthrough mode
+      this.initWalkthrough();
+      
+      // Initialize gamepad navigation
+      this.initGamepadNavigation();
+      
       // Setup event listeners and UI interactions
       this.setupEventListeners();
       
@@ -184,6 +200,37 @@ class AppInitializer {
     });
   }
 
+  /**
+   * Initialize step progress, the walkthrough mode and progress statistics
+   */
+  initWalkthrough() {
+    console.log('Initializing Walkthrough');
+    
+    this.components.progressTracker = new ProgressTracker({ autoInit: true });
+    this.components.walkthrough = new Walkthrough({
+      progressTracker: this.components.progressTracker,
+      autoInit: true
+    });
+    this.components.progressDashboard = new ProgressDashboard({ autoInit: true });
+    
+    // Count reading time for the progress statistics
+    this.components.timeTracker = new TimeTracker();
+    this.components.timeTracker.start();
+    
+    // Reopen the steps the reader left open
+    this.components.sectionState = new SectionState();
+    this.components.sectionState.start();
+  }
+
+  /**
+   * Initialize gamepad navigation
+   */
+  initGamepadNavigation() {
+    console.log('Initializing GamepadNavigation');
+    
+    this.components.gamepadNavigation = new GamepadNavigation({ autoInit: true });
+  }
+
   /**
    * Initialize performance optimizations
    */
@@ -461,8 +508,9 @@ class AppInitializer {
     
     // Theme toggle
     const themeToggle = document.getElementById('theme-toggle');
-    if (themeToggle) {
+    if (themeToggle && themeToggle.dataset.themeInitialized !== 'true') {
       themeToggle.addEventListener('click', measureExecutionTime(this.toggleTheme.bind(this), 'toggleTheme'));
+      themeToggle.dataset.themeInitialized = 'true';
     }
     
     // Help button
@@ -501,6 +549,15 @@ class AppInitializer {
       
       // Apply debounce to search input to prevent excessive processing
       searchInput.addEventListener('input', this.debounce(this.handleSearch.bind(this), 300));
+      
+      // Fetch the index of the sections that are not loaded yet, and search
+      // them too once it arrives
+      searchInput.addEventListener('focus', () => loadSearchIndex(), { once: true });
+      window.addEventListener('search-index-loaded', () => {
+        if (searchInput.value.trim()) {
+          searchInput.dispatchEvent(new Event('input'));
+        }
+      });
     }
     
     // Handle all copy buttons with event delegation
@@ -548,44 +605,38 @@ class AppInitializer {
   initThemePreference() {
     console.log('Initializing theme preference');
     
-    // Get user's preferred theme
-    const savedTheme = localStorage.getItem('theme');
-    const prefersDarkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    
-    // Set initial theme
-    if (savedTheme) {
-      document.documentElement.setAttribute('data-theme', savedTheme);
-    } else if (prefersDarkMode) {
-      document.documentElement.setAttribute('data-theme', 'dark');
-    } else {
-      document.documentElement.setAttribute('data-theme', 'light');
-    }
+    // Write the built-in and imported themes to the page
+    themeRegistry.installStyles();
     
-    // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-      // Only update theme if user hasn't explicitly set a preference
-      if (!localStorage.getItem('theme')) {
-        document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
-      }
-    });
+    // Apply the saved theme and follow the system and the schedule
+    themeService.start();
   }
 
   /**
    * Toggle between light and dark themes
    */
   toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
+    const newTheme = themeService.toggleTheme();
+    const theme = themeRegistry.get(newTheme);
     
     this.components.notificationSystem.info({
-      message: `Switched to ${newTheme} theme`,
+      message: `Switched to ${theme ? theme.name : newTheme} theme`,
       duration: 2000
     });
   }
 
+  /**
+   * Switch to a theme, e.g. from the theme selector
+   * @param {string} theme - Theme id, or `system` to follow the system
+   */
+  setTheme(theme) {
+    if (theme === 'system') {
+      themeService.useSystemTheme();
+    } else {
+      themeService.setTheme(theme);
+    }
+  }
+
   /**
    * Handle click on a copy button
    * @param {Event} event - Click event
@@ -630,80 +681,34 @@ class AppInitializer {
    * @param {Event} event - Input event
    */
   handleSearch(event) {
-    const searchTerm = event.target.value.toLowerCase().trim();
-    const container = document.getElementById('dynamic-content');
+    const searchTerm = event.target.value.trim();
     
     // Clear previous search results
-    document.querySelectorAll('.search-highlight').forEach(el => {
-      el.classList.remove('search-highlight');
-    });
+    clearHighlights(this.searchHighlights);
+    this.searchHighlights = [];
     
     // If search term is empty, exit early
     if (!searchTerm) {
       return;
     }
     
-    // Check if we have cached results for this search term
-    const cachedResults = dataCache.get(`search:${searchTerm}`);
-    if (cachedResults) {
-      this.displaySearchResults(cachedResults, searchTerm);
-      return;
-    }
-    
-    // Find all text content
-    const textElements = container.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, td, th, code, pre');
-    const results = [];
-    
-    // Search through each element
-    textElements.forEach(element => {
-      const text = element.innerText.toLowerCase();
-      if (text.includes(searchTerm)) {
-        // Highlight the matching element
-        element.classList.add('search-highlight');
-        
-        // Add to results
-        results.push({
-          element: element,
-          text: element.innerText,
-          parent: this.findParentHeader(element)
-        });
-      }
+    // Highlight the matches in the content, as the in-page search does
+    const results = searchPage(searchTerm);
+    results.forEach(({ document: result, terms }) => {
+      if (!result.element) return;
+      this.searchHighlights.push(...highlightElement(result.element, terms, {
+        className: 'search-highlight',
+        exclude: result.exclude
+      }));
     });
     
-    // Cache the results for future searches
-    dataCache.set(`search:${searchTerm}`, results, 3600000); // Cache for 1 hour
-    
     // Display search results
     this.displaySearchResults(results, searchTerm);
   }
   
-  /**
-   * Find the parent header for a given element
-   * @param {HTMLElement} element - The element to find parent header for
-   * @returns {string} The parent header text
-   */
-  findParentHeader(element) {
-    let current = element;
-    
-    while (current && current.tagName !== 'BODY') {
-      // Check if the current element is inside a section with a header
-      if (current.tagName === 'SECTION' || current.classList.contains('guide-section')) {
-        const header = current.querySelector('h1, h2, h3, h4, h5, h6');
-        if (header) {
-          return header.innerText;
-        }
-      }
-      
-      // Move up the DOM tree
-      current = current.parentElement;
-    }
-    
-    return 'General';
-  }
-  
   /**
    * Display search results
-   * @param {Array} results - Search results
+   * @param {Array} results - Results from the search engine
    * @param {string} searchTerm - The search term
    */
   displaySearchResults(results, searchTerm) {
@@ -717,17 +722,21 @@ class AppInitializer {
     searchResultsContainer.innerHTML = '';
     
     if (results.length === 0) {
-      searchResultsContainer.innerHTML = `<p class="no-results">No results found for "${searchTerm}"</p>`;
+      const noResults = document.createElement('p');
+      noResults.className = 'no-results';
+      noResults.textContent = `No results found for "${searchTerm}"`;
+      searchResultsContainer.appendChild(noResults);
       return;
     }
     
-    // Group results by parent section
-    const groupedResults = {};
+    // Group results by section, keeping the best-ranked section first
+    const groupedResults = new Map();
     results.forEach(result => {
-      if (!groupedResults[result.parent]) {
-        groupedResults[result.parent] = [];
+      const section = result.document.section || 'General';
+      if (!groupedResults.has(section)) {
+        groupedResults.set(section, []);
       }
-      groupedResults[result.parent].push(result);
+      groupedResults.get(section).push(result);
     });
     
     // Create results list
@@ -741,29 +750,42 @@ class AppInitializer {
     resultsList.appendChild(countElement);
     
     // Add grouped results
-    Object.entries(groupedResults).forEach(([parent, groupResults]) => {
+    groupedResults.forEach((groupResults, section) => {
       const groupElement = document.createElement('div');
       groupElement.className = 'result-group';
       
       const groupHeader = document.createElement('h3');
       groupHeader.className = 'group-header';
-      groupHeader.textContent = parent;
+      groupHeader.textContent = section;
       groupElement.appendChild(groupHeader);
       
       const groupList = document.createElement('ul');
-      groupResults.forEach(result => {
+      groupResults.forEach(({ document: result, snippet }) => {
         const listItem = document.createElement('li');
         
-        // Highlight the search term in the result text
-        const highlightedText = result.text.replace(
-          new RegExp(searchTerm, 'gi'),
-          match => `<mark>${match}</mark>`
-        );
+        // The snippet already has the matched words highlighted
+        const title = document.createElement('strong');
+        title.textContent = result.title;
+        listItem.appendChild(title);
         
-        listItem.innerHTML = highlightedText;
+        if (snippet) {
+          const snippetElement = document.createElement('div');
+          snippetElement.className = 'search-result-snippet';
+          snippetElement.innerHTML = snippet;
+          listItem.appendChild(snippetElement);
+        }
         
         // Add click handler to scroll to the result
         listItem.addEventListener('click', () => {
+          // Sections that are not loaded yet are opened through their route
+          if (!result.element) {
+            window.location.hash = result.url;
+            return;
+          }
+          
+          if (result.element.localName === 'details') {
+            result.element.open = true;
+          }
           result.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
           
           // Flash the element to make it noticeable
@@ -8,12 +8,21 @@ import { NotificationSystem } from '../components/NotificationSystem';
 import { ErrorHandler } from '../components/ErrorHandler';
 import { PageLoader } from '../components/PageLoader';
 import { HelpCenter } from '../components/HelpCenter';
+import { ProgressTracker } from '../components/ProgressTracker';
+import { Walkthrough } from '../components/Walkthrough';
+import { ProgressDashboard } from '../components/ProgressDashboard/index.js';
+import { GamepadNavigation } from '../components/GamepadNavigation';
 
 // Import performance optimization utilities
 import { initPerformanceMonitoring, measureExecutionTime, logPerformanceMetrics } from './utils/performance-monitor';
 import { initImageOptimizer, preloadImages } from './utils/image-optimizer';
 import { runWhenIdle } from './utils/dom-optimizer';
 import { contentCache, dataCache, imageCache } from './utils/cache-optimizer';
+import { searchPage, highlightElement, clearHighlights, loadSearchIndex } from './utils/search-engine.js';
+import { TimeTracker } from './utils/time-tracker.js';
+import { SectionState } from './utils/section-state.js';
+import themeRegistry from './utils/theme-registry.js';
+import themeService from './utils/theme-service.js';
 
 // Import notification types
 import type { NotificationOptions as NotificationSystemOptions } from '../types/notification-system';
@@ -69,6 +78,12 @@ interface ComponentMap {
   errorHandler: ErrorHandler;
   pageLoader: PageLoader;
   helpCenter: HelpCenter;
+  progressTracker: ProgressTracker;
+  walkthrough: Walkthrough;
+  progressDashboard: ProgressDashboard;
+  timeTracker: TimeTracker;
+  sectionState: SectionState;
+  gamepadNavigation: GamepadNavigation;
   [key: string]: any;
 }
 
@@ -80,10 +95,12 @@ interface PreloadResult {
 class AppInitializer {
   private initialized: boolean;
   private components: Partial<ComponentMap>;
+  private searchHighlights: HTMLElement[];
   
   constructor() {
     this.initialized = false;
     this.components = {};
+    this.searchHighlights = [];
     
     // Start performance monitoring early
     initPerformanceMonitoring();
@@ -115,6 +132,12 @@ class AppInitializer {
       // Initialize HelpCenter
       this.initHelpCenter();
       
+      // Initialize step progress and walkthrough mode
+      this.initWalkthrough();
+      
+      // Initialize gamepad navigation
+      this.initGamepadNavigation();
+      
       // Setup event listeners and UI interactions
       this.setupEventListeners();
       
@@ -269,6 +292,37 @@ class AppInitializer {
     this.components.helpCenter = new HelpCenter(options);
   }
 
+  /**
+   * Initialize step progress, the walkthrough mode and progress statistics
+   */
+  private initWalkthrough(): void {
+    console.log('Initializing Walkthrough');
+    
+    this.components.progressTracker = new ProgressTracker({ autoInit: true });
+    this.components.walkthrough = new Walkthrough({
+      progressTracker: this.components.progressTracker,
+      autoInit: true
+    });
+    this.components.progressDashboard = new ProgressDashboard({ autoInit: true });
+    
+    // Count reading time for the progress statistics
+    this.components.timeTracker = new TimeTracker();
+    this.components.timeTracker.start();
+    
+    // Reopen the steps the reader left open
+    this.components.sectionState = new SectionState();
+    this.components.sectionState.start();
+  }
+
+  /**
+   * Initialize gamepad navigation
+   */
+  private initGamepadNavigation(): void {
+    console.log('Initializing GamepadNavigation');
+    
+    this.components.gamepadNavigation = new GamepadNavigation({ autoInit: true });
+  }
+
   /**
    * Initialize performance optimizations
    */
@@ -557,8 +611,9 @@ class AppInitializer {
   private setupEventListeners(): void {
     // Theme toggle button
     const themeToggleButton = document.getElementById('theme-toggle');
-    if (themeToggleButton) {
+    if (themeToggleButton && themeToggleButton.dataset.themeInitialized !== 'true') {
       themeToggleButton.addEventListener('click', () => this.toggleTheme());
+      themeToggleButton.dataset.themeInitialized = 'true';
     }
     
     // Help button
@@ -589,6 +644,15 @@ class AppInitializer {
         this.handleSearch(event);
       }, 300));
       
+      // Fetch the index of the sections that are not loaded yet, and search
+      // them too once it arrives
+      searchInput.addEventListener('focus', () => loadSearchIndex(), { once: true });
+      window.addEventListener('search-index-loaded', () => {
+        if (searchInput.value.trim()) {
+          searchInput.dispatchEvent(new Event('input'));
+        }
+      });
+      
       // Clear search button
       const searchClear = document.getElementById('search-clear');
       if (searchClear) {
@@ -671,66 +735,28 @@ class AppInitializer {
    * Initialize theme preference
    */
   private initThemePreference(): void {
-    // Check for saved preference
-    const savedTheme = localStorage.getItem('theme');
+    // Write the built-in and imported themes to the page
+    themeRegistry.installStyles();
     
-    if (savedTheme) {
-      // Apply saved theme
-      document.documentElement.setAttribute('data-theme', savedTheme);
-      
-      // Update theme toggle button
+    // Apply the saved theme and follow the system and the schedule
+    themeService.start();
+    
+    // Keep the theme toggle button in step with the theme
+    const updateThemeToggle = (): void => {
       const themeToggle = document.getElementById('theme-toggle');
       if (themeToggle) {
-        if (savedTheme === 'dark') {
-          themeToggle.classList.add('dark-mode');
-        } else {
-          themeToggle.classList.remove('dark-mode');
-        }
-      }
-    } else {
-      // Detect system preference
-      if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-        document.documentElement.setAttribute('data-theme', 'dark');
-        
-        // Update theme toggle button
-        const themeToggle = document.getElementById('theme-toggle');
-        if (themeToggle) {
-          themeToggle.classList.add('dark-mode');
-        }
+        themeToggle.classList.toggle('dark-mode', themeService.getThemeMode() === 'dark');
       }
-    }
-    
-    // Listen for system preference changes
-    if (window.matchMedia) {
-      window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', e => {
-        if (!localStorage.getItem('theme')) {
-          document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
-        }
-      });
-    }
+    };
+    updateThemeToggle();
+    themeService.subscribe(updateThemeToggle);
   }
   
   /**
    * Toggle between light and dark theme
    */
   private toggleTheme(): void {
-    const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    
-    // Update theme attribute
-    document.documentElement.setAttribute('data-theme', newTheme);
-    
-    // Save preference
-    localStorage.setItem('theme', newTheme);
-    
-    // Update theme toggle button
-    const themeToggle = document.getElementById('theme-toggle');
-    if (themeToggle) {
-      themeToggle.classList.toggle('dark-mode');
-    }
-    
-    // Dispatch theme change event
-    document.dispatchEvent(new CustomEvent('theme-changed', { detail: { theme: newTheme } }));
+    themeService.toggleTheme();
   }
   
   /**
@@ -805,7 +831,7 @@ class AppInitializer {
    */
   private handleSearch(event: Event): void {
     const input = event.target as HTMLInputElement;
-    const searchTerm = input.value.trim().toLowerCase();
+    const searchTerm = input.value.trim();
     
     // Get containers
     const contentContainer = document.getElementById('dynamic-content');
@@ -819,9 +845,8 @@ class AppInitializer {
       noResultsMessage.style.display = 'none';
       
       // Remove highlights
-      document.querySelectorAll('.search-highlight').forEach(el => {
-        el.classList.remove('search-highlight');
-      });
+      clearHighlights(this.searchHighlights);
+      this.searchHighlights = [];
       
       return;
     }
@@ -867,46 +892,39 @@ class AppInitializer {
   /**
    * Perform search on content
    */
-  private performSearch(searchTerm: string): HTMLElement[] {
-    const contentContainer = document.getElementById('dynamic-content');
-    if (!contentContainer) return [];
-    
-    // Get all text-containing elements
-    const elements = contentContainer.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, td, th');
-    
-    // Filter elements containing the search term
-    return Array.from(elements).filter(el => {
-      const text = el.textContent?.toLowerCase() || '';
-      return text.includes(searchTerm);
-    }) as HTMLElement[];
+  private performSearch(searchTerm: string): ReturnType<typeof searchPage> {
+    return searchPage(searchTerm);
   }
   
   /**
    * Display search results
    */
-  private displaySearchResults(results: HTMLElement[], searchTerm: string): void {
+  private displaySearchResults(results: ReturnType<typeof searchPage>, searchTerm: string): void {
     // Remove existing highlights
-    document.querySelectorAll('.search-highlight').forEach(el => {
-      el.classList.remove('search-highlight');
-    });
-    
-    // Highlight search results
-    results.forEach(element => {
-      element.classList.add('search-highlight');
-      
-      // Scroll to first result
-      if (element === results[0]) {
-        element.scrollIntoView({
-          behavior: 'smooth',
-          block: 'center'
-        });
-      }
-    });
+    clearHighlights(this.searchHighlights);
+    
+    // Highlight the matches, as the in-page search does
+    this.searchHighlights = results.flatMap(({ document: result, terms }) =>
+      (result.element
+        ? highlightElement(result.element, terms, {
+          className: 'search-highlight',
+          exclude: result.exclude
+        })
+        : [])
+    );
+    
+    // Scroll to first result
+    if (this.searchHighlights.length > 0) {
+      this.searchHighlights[0].scrollIntoView({
+        behavior: 'smooth',
+        block: 'center'
+      });
+    }
     
     // Update search count
     const searchCount = document.getElementById('search-count');
     if (searchCount) {
-      searchCount.textContent = `${results.length} results found`;
+      searchCount.textContent = `${results.length} results found for "${searchTerm}"`;
       searchCount.style.display = 'block';
     }
   }
@@ -3,6 +3,8 @@
  */
 
 import { debounce } from '../utils/index.js';
+import { findSectionById } from '../../config/guide-sections.js';
+import { GuideRouter } from '../routing/guide-router.js';
 
 /**
  * Initialize navigation and active section tracking
@@ -14,7 +16,8 @@ function initNavigation() {
   navLinks.forEach(link => {
     link.addEventListener('click', function(e) {
       const targetId = link.getAttribute('href');
-      if (targetId.startsWith('#')) {
+      // Route links (#/section/step) are handled by GuideRouter on hashchange
+      if (targetId.startsWith('#') && !GuideRouter.parse(targetId)) {
         e.preventDefault();
         
         const targetElement = document.querySelector(targetId);
@@ -54,11 +57,13 @@ function initNavigation() {
     });
     
     // Update active link
+    const currentSection = findSectionById(currentSectionId);
     navLinks.forEach(link => {
       link.classList.remove('active');
       const href = link.getAttribute('href');
       
       if (href === '#' + currentSectionId || 
+          (currentSection && href === GuideRouter.format(currentSection.slug)) ||
           (currentSectionId === '' && href === '#top')) {
         link.classList.add('active');
       }
@@ -98,7 +103,14 @@ function initScrollHandlers() {
  */
 function handleUrlHash() {
   const hash = window.location.hash;
-  if (hash) {
+  
+  // Deep links are resolved by GuideRouter, which also opens the target step
+  if (window.guideRouter && hash) {
+    window.guideRouter.resolve();
+    return;
+  }
+  
+  if (hash && !GuideRouter.parse(hash)) {
     setTimeout(() => {
       const targetElement = document.querySelector(hash);
       if (targetElement) {
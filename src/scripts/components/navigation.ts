@@ -3,6 +3,8 @@
  */
 
 import { debounce } from '../utils/index.js';
+import { findSectionById } from '../../config/guide-sections.js';
+import { GuideRouter } from '../routing/guide-router.js';
 
 /**
  * Initialize navigation and active section tracking
@@ -14,7 +16,8 @@ function initNavigation(): void {
   navLinks.forEach(link => {
     link.addEventListener('click', function(e: MouseEvent): void {
       const targetId: string | null = link.getAttribute('href');
-      if (targetId && targetId.startsWith('#')) {
+      // Route links (#/section/step) are handled by GuideRouter on hashchange
+      if (targetId && targetId.startsWith('#') && !GuideRouter.parse(targetId)) {
         e.preventDefault();
         
         const targetElement: HTMLElement | null = document.querySelector(targetId);
@@ -55,11 +58,13 @@ function initNavigation(): void {
     });
     
     // Update active link
+    const currentSection = findSectionById(currentSectionId);
     navLinks.forEach(link => {
       link.classList.remove('active');
       const href: string | null = link.getAttribute('href');
       
       if (href === '#' + currentSectionId || 
+          (currentSection && href === GuideRouter.format(currentSection.slug)) ||
           (currentSectionId === '' && href === '#top')) {
         link.classList.add('active');
       }
@@ -99,7 +104,14 @@ function initScrollHandlers(): void {
  */
 function handleUrlHash(): void {
   const hash: string = window.location.hash;
-  if (hash) {
+  
+  // Deep links are resolved by GuideRouter, which also opens the target step
+  if (window.guideRouter && hash) {
+    window.guideRouter.resolve();
+    return;
+  }
+  
+  if (hash && !GuideRouter.parse(hash)) {
     setTimeout(() => {
       const targetElement: HTMLElement | null = document.querySelector(hash);
       if (targetElement) {
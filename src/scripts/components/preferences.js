@@ -1,13 +1,13 @@
 /**
  * User Preferences Manager for Grimoire Guide
  * Handles user preferences including theme, accessibility, and display options
+ * The theme itself is kept by the theme service.
  */
 
+import { connectThemeSelect } from '../utils/theme-service.js';
+
 // Default user preferences with descriptions for documentation
 const defaultPreferences = {
-    // Theme preferences
-    theme: 'theme-dracula',           // Color theme for the application
-    
     // Text preferences
     fontSize: 'font-size-medium',     // Base font size for text content
     lineHeight: 'line-height-normal', // Spacing between lines of text
@@ -175,12 +175,7 @@ function showPreferencesDialog() {
                     <span class="preference-description">Choose your preferred color theme</span>
                 </div>
                 <div class="select-wrapper">
-                    <select id="theme-select" aria-label="Select theme">
-                        <option value="theme-dracula">Dracula (Default)</option>
-                        <option value="theme-light">Light</option>
-                        <option value="theme-dark">Dark</option>
-                        <option value="theme-high-contrast">High Contrast</option>
-                    </select>
+                    <select id="theme-select" aria-label="Select theme"></select>
                 </div>
             </div>
         </div>
@@ -423,6 +418,17 @@ function showPreferencesDialog() {
                 <button class="action-button" id="import-prefs-btn">Import</button>
             </div>
         </div>
+        
+        <div class="preference-group">
+            <h4>Search</h4>
+            <div class="preference-item">
+                <div>
+                    <span class="preference-label">Search History</span>
+                    <span class="preference-description">Forget recent searches; saved searches are kept</span>
+                </div>
+                <button class="action-button" id="clear-search-history-btn">Clear</button>
+            </div>
+        </div>
     `;
     
     // Add action buttons
@@ -493,6 +499,12 @@ function showPreferencesDialog() {
     
     // Import button handler
     document.getElementById('import-prefs-btn').addEventListener('click', importPreferences);
+    
+    // Clear search history handler; the search module owns the history
+    document.getElementById('clear-search-history-btn').addEventListener('click', function() {
+        window.dispatchEvent(new CustomEvent('clear-search-history'));
+        showNotification('Search history cleared');
+    });
 }
 
 /**
@@ -531,8 +543,13 @@ function initTabSwitching() {
  * Set up event handlers for form controls
  */
 function setupFormEventHandlers() {
+    // Theme select, driven by the theme service
+    const themeSelect = document.getElementById('theme-select');
+    if (themeSelect) {
+        connectThemeSelect(themeSelect);
+    }
+    
     // Selection controls
-    setupSelectControl('theme-select', 'theme');
     setupSelectControl('font-size-select', 'fontSize');
     setupSelectControl('line-height-select', 'lineHeight');
     setupSelectControl('code-height-select', 'codeHeight');
@@ -709,11 +726,6 @@ function makePreferenceItemsClickable() {
 function previewPreference(key, value) {
     // Special handling for different preference types
     switch (key) {
-        case 'theme':
-            document.body.classList.remove('theme-dracula', 'theme-light', 'theme-dark', 'theme-high-contrast');
-            document.body.classList.add(value);
-            break;
-            
         case 'fontSize':
             document.body.classList.remove('font-size-small', 'font-size-medium', 'font-size-large');
             document.body.classList.add(value);
@@ -875,7 +887,6 @@ function updateExpandedCodeBlocks(autoExpand) {
 function updateFormFromPreferences() {
     // Update select controls
     const selects = {
-        'theme-select': userPreferences.theme,
         'font-size-select': userPreferences.fontSize,
         'line-height-select': userPreferences.lineHeight,
         'code-height-select': userPreferences.codeHeight,
@@ -1075,6 +1086,9 @@ function loadPreferences() {
         const storedPrefs = localStorage.getItem('userPreferences');
         if (storedPrefs) {
             userPreferences = {...defaultPreferences, ...JSON.parse(storedPrefs)};
+            
+            // The theme is kept by the theme service now
+            delete userPreferences.theme;
             console.log('Loaded preferences from storage');
         }
     } catch (error) {
@@ -1135,7 +1149,6 @@ function applyPreferences() {
  */
 function removeAllPreferenceClasses() {
     const classes = [
-        'theme-dracula', 'theme-light', 'theme-dark', 'theme-high-contrast',
         'font-size-small', 'font-size-medium', 'font-size-large',
         'line-height-compact', 'line-height-normal', 'line-height-relaxed',
         'code-height-compact', 'code-height-standard', 'code-height-expanded',
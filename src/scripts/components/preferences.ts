@@ -1,13 +1,13 @@
 /**
  * User Preferences Manager for Grimoire Guide
  * Handles user preferences including theme, accessibility, and display options
+ * The theme itself is kept by the theme service.
  */
 
+import { connectThemeSelect } from '../utils/theme-service.js';
+
 // Define interfaces for type safety
 interface UserPreference {
-  // Theme preferences
-  theme: string;
-  
   // Text preferences
   fontSize: string;
   lineHeight: string;
@@ -40,9 +40,6 @@ interface NotificationOptions {
 
 // Default user preferences with descriptions for documentation
 const defaultPreferences: UserPreference = {
-  // Theme preferences
-  theme: 'theme-dracula',           // Color theme for the application
-  
   // Text preferences
   fontSize: 'font-size-medium',     // Base font size for text content
   lineHeight: 'line-height-normal', // Spacing between lines of text
@@ -74,6 +71,9 @@ let userPreferences: UserPreference = {...defaultPreferences};
 // Track real-time preview changes to avoid saving unwanted changes
 let previewChanges = false;
 
+// Disconnects the theme select from the theme service when the dialog closes
+let disconnectThemeSelect: (() => void) | null = null;
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', function(): void {
   console.log('Initializing preferences manager...');
@@ -188,12 +188,7 @@ function showPreferencesDialog(): void {
             <div class="preference-item">
               <span class="preference-label">Theme</span>
               <div class="preference-control">
-                <select id="theme-select">
-                  <option value="theme-light">Light</option>
-                  <option value="theme-dark">Dark</option>
-                  <option value="theme-dracula">Dracula</option>
-                  <option value="theme-cyberdeck">Cyberdeck</option>
-                </select>
+                <select id="theme-select"></select>
               </div>
             </div>
             
@@ -481,8 +476,11 @@ function initTabSwitching(): void {
  * Set up form event handlers for preferences dialog
  */
 function setupFormEventHandlers(): void {
-  // Theme select
-  setupSelectControl('theme-select', 'theme');
+  // Theme select, driven by the theme service
+  const themeSelect = document.getElementById('theme-select') as HTMLSelectElement | null;
+  if (themeSelect) {
+    disconnectThemeSelect = connectThemeSelect(themeSelect);
+  }
   
   // Text preferences
   setupSelectControl('font-size-select', 'fontSize');
@@ -574,7 +572,7 @@ function makePreferenceItemsClickable(): void {
   });
 }
 
-type StringPreferences = 'theme' | 'fontSize' | 'lineHeight' | 'codeHeight' | 'contentWidth' | 'codeBlockFontSize';
+type StringPreferences = 'fontSize' | 'lineHeight' | 'codeHeight' | 'contentWidth' | 'codeBlockFontSize';
 type BooleanPreferences = 'syntaxHighlighting' | 'darkCodeBlocks' | 'highContrast' | 'dyslexicFont' | 'reducedMotion' | 'compactSidebar' | 'markVisitedLinks' | 'autoExpandCode' | 'smoothScrolling';
 
 /**
@@ -595,13 +593,6 @@ function previewPreference(key: keyof UserPreference, value: string | boolean):
   
   // Apply the preference change for preview
   switch (key) {
-    case 'theme':
-      // Remove all theme classes
-      document.body.classList.remove('theme-light', 'theme-dark', 'theme-dracula', 'theme-cyberdeck');
-      // Add the new theme class
-      document.body.classList.add(value as string);
-      break;
-      
     case 'fontSize':
       // Remove all font size classes
       document.body.classList.remove('font-size-small', 'font-size-medium', 'font-size-large', 'font-size-x-large');
@@ -777,7 +768,6 @@ function updateExpandedCodeBlocks(autoExpand: boolean): void {
 function updateFormFromPreferences(): void {
   // Update select controls
   const selectControls: [string, keyof UserPreference][] = [
-    ['theme-select', 'theme'],
     ['font-size-select', 'fontSize'],
     ['line-height-select', 'lineHeight'],
     ['code-height-select', 'codeHeight'],
@@ -824,6 +814,10 @@ function closePreferencesDialog(): void {
   previewChanges = false;
   
   // Remove dialog
+  if (disconnectThemeSelect) {
+    disconnectThemeSelect();
+    disconnectThemeSelect = null;
+  }
   dialog.remove();
   
   // Reload preferences from localStorage (discard changes)
@@ -867,6 +861,9 @@ function loadPreferences(): void {
         ...defaultPreferences,
         ...parsedPrefs
       };
+      
+      // The theme is kept by the theme service now
+      delete (userPreferences as Partial<UserPreference> & { theme?: string }).theme;
     } else {
       // Use default preferences if none saved
       userPreferences = {...defaultPreferences};
@@ -881,10 +878,6 @@ function loadPreferences(): void {
  * Apply all preferences to the current page
  */
 function applyPreferences(): void {
-  // Apply theme
-  document.body.classList.remove('theme-light', 'theme-dark', 'theme-dracula', 'theme-cyberdeck');
-  document.body.classList.add(userPreferences.theme);
-  
   // Apply font size
   document.body.classList.remove('font-size-small', 'font-size-medium', 'font-size-large', 'font-size-x-large');
   document.body.classList.add(userPreferences.fontSize);
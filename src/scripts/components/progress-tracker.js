@@ -7,6 +7,8 @@
  * @version 1.0.0
  */
 
+import progressStore, { getItemId, getLegacyItemKey } from '../utils/progress-store.js';
+
 /**
  * @typedef {Object} ProgressItem
  * @property {string} id - Unique identifier for the progress item
@@ -22,27 +24,12 @@
  * @property {number} percentage - Percentage of completion (0-100)
  */
 
-/**
- * @typedef {Object} ProgressUpdateEvent
- * @property {string} itemId - ID of the updated item
- * @property {boolean} completed - New completion state
- * @property {number} totalItems - Total number of items
- * @property {number} completedItems - Number of completed items
- */
-
 /**
  * @class ProgressTracker
  * @classdesc Tracks and persists user progress through guides and tutorials
  */
 class ProgressTracker {
   constructor() {
-    /**
-     * Storage key prefix for progress items
-     * @type {string}
-     * @private
-     */
-    this.storageKeyPrefix = 'sdde_progress_';
-    
     /**
      * Whether the component is initialized
      * @type {boolean}
@@ -56,13 +43,6 @@ class ProgressTracker {
      * @private 
      */
     this.trackedElements = [];
-    
-    /**
-     * Map of progress items by ID
-     * @type {Map<string, boolean>}
-     * @private
-     */
-    this.progressItems = new Map();
   }
   
   /**
@@ -72,35 +52,16 @@ class ProgressTracker {
   initialize() {
     if (this.initialized) return;
     
-    this.loadProgressFromStorage();
     this.initProgressCheckboxes();
     this.setupMutationObserver();
     
+    // Progress is kept in the shared store, which other trackers change too
+    progressStore.subscribe(() => this.syncWithStore());
+    
     this.initialized = true;
     console.log('Progress tracker initialized');
   }
   
-  /**
-   * Load saved progress from localStorage
-   * @private
-   * @returns {void}
-   */
-  loadProgressFromStorage() {
-    // Clear existing progress
-    this.progressItems.clear();
-    
-    // Retrieve all progress items from localStorage
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(this.storageKeyPrefix)) {
-        const value = localStorage.getItem(key) === 'true';
-        this.progressItems.set(key, value);
-      }
-    }
-    
-    console.log(`Loaded ${this.progressItems.size} progress items from storage`);
-  }
-  
   /**
    * Add progress tracking checkboxes to tutorial steps
    * @private
@@ -125,51 +86,36 @@ class ProgressTracker {
         checkbox.type = 'checkbox';
         checkbox.className = 'progress-check';
         
-        // Generate unique ID for this step
+        // Progress is kept by an id made from the item's text
         const itemId = this.generateItemId(item);
         checkbox.dataset.progressId = itemId;
+        progressStore.adoptLegacy(itemId, getLegacyItemKey(item));
+        checkbox.checked = progressStore.isCompleted(itemId);
         
-        // Check if this item has saved progress
-        checkbox.checked = this.progressItems.get(itemId) || false;
-        
-        // Save progress to localStorage when toggled
+        // Save progress when toggled
         checkbox.addEventListener('change', () => {
           this.updateProgress(itemId, checkbox.checked);
         });
         
         // Insert checkbox before the first child
         item.insertBefore(checkbox, item.firstChild);
-        
-        // Add to tracked elements
-        this.trackedElements.push(item);
       }
+      
+      // Add to tracked elements
+      this.trackedElements.push(item);
     });
     
     console.log(`Initialized ${this.trackedElements.length} progress checkboxes`);
   }
   
   /**
-   * Generate a unique ID for a progress item
+   * Get the progress id of a progress item
    * @private
    * @param {HTMLElement} element - The element to generate an ID for
-   * @returns {string} The unique ID
+   * @returns {string} An id made from its step and text
    */
   generateItemId(element) {
-    // Get page path
-    const path = window.location.pathname;
-    
-    // Get section ID if available
-    const section = element.closest('section, article, div[id]');
-    const sectionId = section ? section.id || 'main' : 'main';
-    
-    // Get text content (limited to prevent long IDs)
-    const text = element.textContent.trim().substring(0, 30);
-    
-    // Get position within parent 
-    const parent = element.parentNode;
-    const index = Array.from(parent.children).indexOf(element);
-    
-    return `${this.storageKeyPrefix}${path}_${sectionId}_${index}_${text}`;
+    return getItemId(element);
   }
   
   /**
@@ -179,28 +125,31 @@ class ProgressTracker {
    * @returns {void}
    */
   updateProgress(itemId, completed) {
-    // Update in-memory map
-    this.progressItems.set(itemId, completed);
-    
-    // Save to localStorage
-    if (completed) {
-      localStorage.setItem(itemId, 'true');
-    } else {
-      localStorage.removeItem(itemId);
-    }
+    progressStore.setCompleted(itemId, completed);
+  }
+  
+  /**
+   * Show the stored progress on the checkboxes and summary
+   * @private
+   * @returns {void}
+   */
+  syncWithStore() {
+    this.getTrackedCheckboxes().forEach(checkbox => {
+      checkbox.checked = progressStore.isCompleted(checkbox.dataset.progressId);
+    });
     
-    // Update progress summary
     this.updateProgressSummary();
-    
-    // Dispatch event for other components
-    document.dispatchEvent(new CustomEvent('progress-updated', {
-      detail: {
-        itemId,
-        completed,
-        totalItems: this.trackedElements.length,
-        completedItems: this.getCompletedCount()
-      }
-    }));
+  }
+  
+  /**
+   * Get the checkboxes of the tracked items
+   * @private
+   * @returns {Array<HTMLInputElement>} The checkboxes
+   */
+  getTrackedCheckboxes() {
+    return this.trackedElements
+      .map(item => item.querySelector('.progress-check'))
+      .filter(Boolean);
   }
   
   /**
@@ -208,11 +157,8 @@ class ProgressTracker {
    * @returns {number} The number of completed items
    */
   getCompletedCount() {
-    let count = 0;
-    for (const completed of this.progressItems.values()) {
-      if (completed) count++;
-    }
-    return count;
+    return this.getTrackedCheckboxes()
+      .filter(checkbox => progressStore.isCompleted(checkbox.dataset.progressId)).length;
   }
   
   /**
@@ -297,29 +243,7 @@ class ProgressTracker {
    * @returns {void}
    */
   resetPageProgress() {
-    const pagePath = window.location.pathname;
-    const pageKeyPrefix = `${this.storageKeyPrefix}${pagePath}`;
-    
-    // Remove all progress items for this page
-    for (const key of this.progressItems.keys()) {
-      if (key.startsWith(pageKeyPrefix)) {
-        localStorage.removeItem(key);
-        this.progressItems.delete(key);
-      }
-    }
-    
-    // Uncheck all checkboxes
-    document.querySelectorAll('.progress-check').forEach(checkbox => {
-      checkbox.checked = false;
-    });
-    
-    // Update summary
-    this.updateProgressSummary();
-    
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('progress-reset', {
-      detail: { path: pagePath }
-    }));
+    progressStore.reset(this.getTrackedCheckboxes().map(checkbox => checkbox.dataset.progressId));
   }
   
   /**
@@ -327,24 +251,7 @@ class ProgressTracker {
    * @returns {void}
    */
   resetAllProgress() {
-    // Remove all progress items
-    for (const key of this.progressItems.keys()) {
-      localStorage.removeItem(key);
-    }
-    
-    // Clear the map
-    this.progressItems.clear();
-    
-    // Uncheck all checkboxes
-    document.querySelectorAll('.progress-check').forEach(checkbox => {
-      checkbox.checked = false;
-    });
-    
-    // Update summary
-    this.updateProgressSummary();
-    
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('progress-reset-all'));
+    progressStore.reset();
   }
   
   /**
@@ -3,6 +3,8 @@
  * Handles tracking user progress through tutorials and guides
  */
 
+import progressStore, { getItemId, getLegacyItemKey } from '../utils/progress-store.js';
+
 // Define interfaces for TypeScript
 interface ProgressItem {
   id: string;
@@ -17,30 +19,16 @@ interface ProgressSummary {
   percentage: number;
 }
 
-interface ProgressUpdateEvent {
-  itemId: string;
-  completed: boolean;
-  totalItems: number;
-  completedItems: number;
-}
-
 /**
  * Progress Tracker class
  * Tracks and persists user progress through guides and tutorials
  */
 class ProgressTracker {
-  private storageKeyPrefix: string;
   private initialized: boolean;
   private trackedElements: HTMLElement[];
-  private progressItems: Map<string, boolean>;
   private mutationObserver?: MutationObserver;
   
   constructor() {
-    /**
-     * Storage key prefix for progress items
-     */
-    this.storageKeyPrefix = 'sdde_progress_';
-    
     /**
      * Whether the component is initialized
      */
@@ -50,11 +38,6 @@ class ProgressTracker {
      * DOM Elements being tracked
      */
     this.trackedElements = [];
-    
-    /**
-     * Map of progress items by ID
-     */
-    this.progressItems = new Map();
   }
   
   /**
@@ -63,33 +46,16 @@ class ProgressTracker {
   initialize(): void {
     if (this.initialized) return;
     
-    this.loadProgressFromStorage();
     this.initProgressCheckboxes();
     this.setupMutationObserver();
     
+    // Progress is kept in the shared store, which other trackers change too
+    progressStore.subscribe(() => this.syncWithStore());
+    
     this.initialized = true;
     console.log('Progress tracker initialized');
   }
   
-  /**
-   * Load saved progress from localStorage
-   */
-  private loadProgressFromStorage(): void {
-    // Clear existing progress
-    this.progressItems.clear();
-    
-    // Retrieve all progress items from localStorage
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(this.storageKeyPrefix)) {
-        const value = localStorage.getItem(key) === 'true';
-        this.progressItems.set(key, value);
-      }
-    }
-    
-    console.log(`Loaded ${this.progressItems.size} progress items from storage`);
-  }
-  
   /**
    * Add progress tracking checkboxes to tutorial steps
    */
@@ -112,95 +78,71 @@ class ProgressTracker {
         checkbox.type = 'checkbox';
         checkbox.className = 'progress-check';
         
-        // Generate unique ID for this step
+        // Progress is kept by an id made from the item's text
         const itemId = this.generateItemId(item as HTMLElement);
         checkbox.dataset.progressId = itemId;
+        progressStore.adoptLegacy(itemId, getLegacyItemKey(item));
+        checkbox.checked = progressStore.isCompleted(itemId);
         
-        // Check if this item has saved progress
-        checkbox.checked = this.progressItems.get(itemId) || false;
-        
-        // Save progress to localStorage when toggled
+        // Save progress when toggled
         checkbox.addEventListener('change', () => {
           this.updateProgress(itemId, checkbox.checked);
         });
         
         // Insert checkbox before the first child
         item.insertBefore(checkbox, item.firstChild);
-        
-        // Add to tracked elements
-        this.trackedElements.push(item as HTMLElement);
       }
+      
+      // Add to tracked elements
+      this.trackedElements.push(item as HTMLElement);
     });
     
     console.log(`Initialized ${this.trackedElements.length} progress checkboxes`);
   }
   
   /**
-   * Generate a unique ID for a progress item
+   * Get the progress id of a checklist item, made from its step and text
    */
   private generateItemId(element: HTMLElement): string {
-    // Get page path
-    const path = window.location.pathname;
-    
-    // Get section ID if available
-    const section = element.closest('section, article, div[id]');
-    const sectionId = section ? section.id || 'main' : 'main';
-    
-    // Get text content (limited to prevent long IDs)
-    const text = element.textContent ? element.textContent.trim().substring(0, 30) : '';
-    
-    // Get position within parent 
-    const parent = element.parentNode;
-    let index = 0;
-    if (parent) {
-      index = Array.from(parent.children).indexOf(element);
-    }
-    
-    return `${this.storageKeyPrefix}${path}_${sectionId}_${index}_${text}`;
+    return getItemId(element);
   }
   
   /**
    * Update progress for a specific item
    */
   updateProgress(itemId: string, completed: boolean): void {
-    // Update in-memory map
-    this.progressItems.set(itemId, completed);
-    
-    // Save to localStorage
-    if (completed) {
-      localStorage.setItem(itemId, 'true');
-    } else {
-      localStorage.removeItem(itemId);
-    }
-    
-    // Update progress summary
-    this.updateProgressSummary();
-    
-    // Dispatch event for other components
-    document.dispatchEvent(new CustomEvent('progress-updated', {
-      detail: {
-        itemId,
-        completed,
-        totalItems: this.trackedElements.length,
-        completedItems: this.getCompletedCount()
-      } as ProgressUpdateEvent
-    }));
+    progressStore.setCompleted(itemId, completed);
     
     // Announce progress update for screen readers
     this.announceProgressUpdate(completed ? 'completed' : 'reset');
   }
   
+  /**
+   * Show the stored progress on the checkboxes and summary
+   */
+  private syncWithStore(): void {
+    this.getTrackedCheckboxes().forEach(checkbox => {
+      checkbox.checked = progressStore.isCompleted(checkbox.dataset.progressId || '');
+    });
+    
+    this.updateProgressSummary();
+  }
+  
+  /**
+   * Get the checkboxes of the tracked items
+   */
+  private getTrackedCheckboxes(): HTMLInputElement[] {
+    return this.trackedElements
+      .map(item => item.querySelector<HTMLInputElement>('.progress-check'))
+      .filter((checkbox): checkbox is HTMLInputElement => Boolean(checkbox));
+  }
+  
   /**
    * Get count of completed items
    */
   private getCompletedCount(): number {
-    let count = 0;
-    document.querySelectorAll('.progress-check').forEach((checkbox: Element) => {
-      if ((checkbox as HTMLInputElement).checked) {
-        count++;
-      }
-    });
-    return count;
+    return this.getTrackedCheckboxes()
+      .filter(checkbox => progressStore.isCompleted(checkbox.dataset.progressId || '')).length;
   }
   
   /**
@@ -302,31 +244,7 @@ class ProgressTracker {
       return;
     }
     
-    const path = window.location.pathname;
-    const itemsToReset: string[] = [];
-    
-    // Find all progress items for this page
-    this.progressItems.forEach((value, key) => {
-      if (key.includes(path)) {
-        itemsToReset.push(key);
-      }
-    });
-    
-    // Reset each item
-    itemsToReset.forEach(key => {
-      // Remove from localStorage
-      localStorage.removeItem(key);
-      // Remove from in-memory map
-      this.progressItems.delete(key);
-    });
-    
-    // Reset checkboxes
-    document.querySelectorAll('.progress-check').forEach((checkbox: Element) => {
-      (checkbox as HTMLInputElement).checked = false;
-    });
-    
-    // Update summary
-    this.updateProgressSummary();
+    progressStore.reset(this.getTrackedCheckboxes().map(checkbox => checkbox.dataset.progressId || ''));
     
     // Announce reset
     this.announceProgressUpdate('reset-page');
@@ -340,24 +258,7 @@ class ProgressTracker {
       return;
     }
     
-    // Remove all progress items from localStorage
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(this.storageKeyPrefix)) {
-        localStorage.removeItem(key);
-      }
-    }
-    
-    // Clear in-memory map
-    this.progressItems.clear();
-    
-    // Reset checkboxes
-    document.querySelectorAll('.progress-check').forEach((checkbox: Element) => {
-      (checkbox as HTMLInputElement).checked = false;
-    });
-    
-    // Update summary
-    this.updateProgressSummary();
+    progressStore.reset();
     
     // Announce reset
     this.announceProgressUpdate('reset-all');
@@ -40,13 +40,6 @@ export function initializeApplication() {
       progressTracker.createSettingsUI(container);
     };
     
-    // Listen for theme changes and update progress tracker styles
-    document.addEventListener('theme-changed', (e) => {
-      // Adjust progress tracker styles based on theme
-      const theme = e.detail.theme;
-      document.documentElement.setAttribute('data-theme', theme);
-    });
-    
     // Register with service worker if available
     if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
       navigator.serviceWorker.controller.postMessage({
@@ -8,6 +8,7 @@ import { initializeI18n, getTranslation } from '../i18n/i18n-manager';
 import { settingsManager } from '../settings/settings-manager';
 import { accessibilityManager } from '../accessibility/accessibility-manager';
 import { progressTracker } from '../progress/progress-tracker';
+import themeService from '../utils/theme-service.js';
 
 // Define initialization options interface
 interface InitializationOptions {
@@ -66,12 +67,8 @@ export async function initializeApplication(options: InitializationOptions = {})
       }
     }
     
-    // Listen for theme changes
-    if (window.matchMedia) {
-      window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        updateTheme(e.matches ? 'dark' : 'light');
-      });
-    }
+    // Apply the saved theme and follow the system and the schedule
+    themeService.start();
     
     // Register with service worker if available
     if ('serviceWorker' in navigator) {
@@ -106,13 +103,8 @@ export async function initializeApplication(options: InitializationOptions = {})
  * @param theme The theme to apply ('light' or 'dark')
  */
 export function updateTheme(theme: 'light' | 'dark'): void {
-  document.documentElement.setAttribute('data-theme', theme);
-  settingsManager.setSetting('theme', theme);
-  
-  // Dispatch theme change event
-  document.dispatchEvent(new CustomEvent('theme-changed', {
-    detail: { theme }
-  }));
+  // The theme service saves and applies the theme and announces the change
+  themeService.setTheme(theme);
   
   console.log(`Theme updated to: ${theme}`);
 }
@@ -101,13 +101,13 @@ function createWindow(): void {
     }
   });
 
-  // Set up Content Security Policy
+  // Set up Content Security Policy (no inline scripts, loaded content uses data-action handlers)
   session.defaultSession.webRequest.onHeadersReceived((details, callback) => {
     callback({
       responseHeaders: {
         ...details.responseHeaders,
         'Content-Security-Policy': [
-          'default-src \'self\'; script-src \'self\' \'unsafe-inline\'; style-src \'self\' \'unsafe-inline\'; img-src \'self\' data:; font-src \'self\' data:;'
+          'default-src \'self\'; script-src \'self\'; style-src \'self\' \'unsafe-inline\'; img-src \'self\' data:; font-src \'self\' data:;'
         ]
       }
     });
@@ -9,5 +9,5 @@ export { default as layout } from './layout.js';
 export { default as main } from './main.js';
 export { default as renderer } from './renderer.js';
 export { default as settingsManager } from './settings-manager.js';
-export { default as theme } from './theme.js';
+export { default as theme } from '../utils/theme-service.js';
 export { default as uiImprovements } from './ui-improvements.js';
@@ -3,24 +3,27 @@
  * Main JavaScript
  */
 
-import themeManager from './theme.js';
+import themeService from '../utils/theme-service.js';
+import themeRegistry from '../utils/theme-registry.js';
+
+// Write the registered themes to the page and apply the saved theme
+themeRegistry.installStyles();
+themeService.start();
 
-// Initialize theme manager
 document.addEventListener('DOMContentLoaded', () => {
-  // Theme manager is already initialized in its module
-  // You can now use it throughout your application
+  // The theme service keeps the theme for the whole application
   
   // Example: Add theme toggle button functionality
   const themeToggle = document.querySelector('[data-theme-toggle]');
-  if (themeToggle) {
+  if (themeToggle && themeToggle.dataset.themeInitialized !== 'true') {
     themeToggle.addEventListener('click', () => {
-      themeManager.toggleTheme();
+      themeService.toggleTheme();
     });
+    themeToggle.dataset.themeInitialized = 'true';
   }
   
   // Listen for theme changes
-  window.addEventListener('themeChanged', (event) => {
-    const { theme } = event.detail;
+  themeService.subscribe(({ theme }) => {
     // Update any theme-dependent UI elements
     console.log(`Theme changed to: ${theme}`);
   });
@@ -5,15 +5,16 @@
 
 // Import the Theme class
 import Theme from '../../components/Theme/Theme';
+import themeRegistry from '../utils/theme-registry.js';
+import themeService from '../utils/theme-service.js';
 
-// Create an interface for theme changed event
-interface ThemeChangedEvent extends CustomEvent {
-  detail: {
-    theme: string;
-  };
+// Create an interface for theme changed event details
+interface ThemeChangedDetail {
+  theme: string;
 }
 
-// Create a theme manager instance
+// Write the registered themes to the page, then create a theme manager
+themeRegistry.installStyles();
 const themeManager = new Theme({
   autoInit: true
 });
@@ -26,17 +27,17 @@ document.addEventListener('DOMContentLoaded', (): void => {
   // You can now use it throughout your application
   
   // Example: Add theme toggle button functionality
-  const themeToggle = document.querySelector('[data-theme-toggle]');
-  if (themeToggle) {
+  const themeToggle = document.querySelector<HTMLElement>('[data-theme-toggle]');
+  if (themeToggle && themeToggle.dataset.themeInitialized !== 'true') {
     themeToggle.addEventListener('click', (): void => {
       themeManager.toggleTheme();
     });
+    themeToggle.dataset.themeInitialized = 'true';
   }
   
   // Listen for theme changes
-  window.addEventListener('themeChanged', ((event: ThemeChangedEvent): void => {
-    const { theme } = event.detail;
+  themeService.subscribe(({ theme }: ThemeChangedDetail): void => {
     // Update any theme-dependent UI elements
     console.log(`Theme changed to: ${theme}`);
-  }) as EventListener);
+  });
 }); 
\ No newline at end of file
@@ -6,6 +6,7 @@
 
 import i18n from '../i18n.js';
 import { accessibilityManager } from '../utils/accessibility.js';
+import { connectThemeSelect } from '../utils/theme-service.js';
 
 class SettingsManager {
   constructor() {
@@ -103,37 +104,9 @@ class SettingsManager {
     const themeSelector = document.getElementById('theme-selector');
     if (!themeSelector) return;
     
-    // Set initial value from localStorage or system preference
-    const savedTheme = localStorage.getItem('theme') || 'system';
-    themeSelector.value = savedTheme;
-    
-    // Apply the theme
-    this.applyTheme(savedTheme);
-    
-    // Add change event listener
-    themeSelector.addEventListener('change', () => {
-      const newTheme = themeSelector.value;
-      this.applyTheme(newTheme);
-      localStorage.setItem('theme', newTheme);
-    });
-  }
-  
-  /**
-   * Apply the selected theme to the document
-   * @param {string} theme - Theme to apply (light, dark, or system)
-   */
-  applyTheme(theme) {
-    // Remove existing theme classes
-    document.documentElement.classList.remove('theme-light', 'theme-dark');
-    
-    if (theme === 'system') {
-      // Use system preference
-      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-      document.documentElement.classList.add(prefersDark ? 'theme-dark' : 'theme-light');
-    } else {
-      // Use selected theme
-      document.documentElement.classList.add(`theme-${theme}`);
-    }
+    // The theme service fills in the themes, applies the choice and keeps
+    // the selector in step with theme changes made elsewhere
+    connectThemeSelect(themeSelector);
   }
   
   /**
@@ -8,6 +8,7 @@
 import { store, actions, selectors, type UserPreferences } from '../state';
 // Import as default if accessibilityManager is the default export
 import accessibilityManager from '../utils/accessibility';
+import { connectThemeSelect } from '../utils/theme-service.js';
 
 /**
  * SettingsManager class for handling application settings
@@ -133,15 +134,9 @@ class SettingsManager {
     const themeSelector = document.getElementById('theme-selector') as HTMLSelectElement | null;
     if (!themeSelector) return;
     
-    // Set initial value from store
-    const currentTheme = selectors.getTheme();
-    themeSelector.value = currentTheme;
-    
-    // Add change event listener
-    themeSelector.addEventListener('change', () => {
-      const newTheme = themeSelector.value as 'light' | 'dark' | 'system';
-      actions.setTheme(newTheme);
-    });
+    // The theme service fills in the themes, applies the choice and keeps
+    // the selector in step with theme changes made elsewhere
+    connectThemeSelect(themeSelector);
   }
   
   /**
@@ -202,9 +197,6 @@ class SettingsManager {
     
     // Subscribe to preference changes
     store.subscribe('preferences', state => {
-      // Update theme
-      this.updateThemeSelector(state.theme);
-      
       // Update language
       this.updateLanguageSelector(state.language);
     });
@@ -233,16 +225,6 @@ class SettingsManager {
     }
   }
   
-  /**
-   * Update theme selector UI
-   */
-  private updateThemeSelector(theme: 'light' | 'dark' | 'system'): void {
-    const themeSelector = document.getElementById('theme-selector') as HTMLSelectElement | null;
-    if (themeSelector && themeSelector.value !== theme) {
-      themeSelector.value = theme;
-    }
-  }
-  
   /**
    * Update language selector UI
    */
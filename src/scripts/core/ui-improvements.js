@@ -5,6 +5,7 @@
  */
 
 import KeyboardShortcuts from '../../components/KeyboardShortcuts/KeyboardShortcuts';
+import themeService from '../utils/theme-service.js';
 
 document.addEventListener('DOMContentLoaded', function() {
     // Check if new header exists, otherwise show warning
@@ -34,17 +35,17 @@ function initializeThemeSwitcher() {
     const themeSwitcher = document.getElementById('theme-toggle');
     if (!themeSwitcher) return;
     
-    // Set initial theme from localStorage
-    const savedTheme = localStorage.getItem('theme');
-    if (savedTheme) {
-        document.body.classList.add(savedTheme);
-    }
+    // Skip a toggle another theme controller already handles
+    if (themeSwitcher.dataset.themeInitialized === 'true') return;
+    
+    // Apply the saved theme and follow the system and the schedule
+    themeService.start();
     
     // Toggle theme on click
     themeSwitcher.addEventListener('click', function() {
-        const isDark = document.body.classList.toggle('light-theme');
-        localStorage.setItem('theme', isDark ? 'light-theme' : '');
+        themeService.toggleTheme();
     });
+    themeSwitcher.dataset.themeInitialized = 'true';
 }
 
 /**
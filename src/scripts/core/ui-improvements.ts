@@ -6,6 +6,7 @@
  */
 
 import KeyboardShortcuts from '../../components/KeyboardShortcuts/KeyboardShortcuts';
+import themeService from '../utils/theme-service.js';
 
 // Define the type for the KeyboardShortcuts class
 interface KeyboardShortcutsInstance {
@@ -45,17 +46,17 @@ function initializeThemeSwitcher(): void {
     const themeSwitcher = document.getElementById('theme-toggle');
     if (!themeSwitcher) return;
     
-    // Set initial theme from localStorage
-    const savedTheme = localStorage.getItem('theme');
-    if (savedTheme) {
-        document.body.classList.add(savedTheme);
-    }
+    // Skip a toggle another theme controller already handles
+    if (themeSwitcher.dataset.themeInitialized === 'true') return;
+    
+    // Apply the saved theme and follow the system and the schedule
+    themeService.start();
     
     // Toggle theme on click
     themeSwitcher.addEventListener('click', function() {
-        const isDark = document.body.classList.toggle('light-theme');
-        localStorage.setItem('theme', isDark ? 'light-theme' : '');
+        themeService.toggleTheme();
     });
+    themeSwitcher.dataset.themeInitialized = 'true';
 }
 
 /**
@@ -522,7 +522,8 @@ function initLightbox() {
  * Handle URL hash to navigate to section
  */
 function handleUrlHash() {
-  if (window.location.hash) {
+  // Route hashes such as #/gaming/2 are applied by GuideRouter
+  if (window.location.hash && !window.location.hash.startsWith('#/')) {
     const targetId = window.location.hash;
     const targetElement = document.querySelector(targetId);
     
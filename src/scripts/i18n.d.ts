@@ -10,9 +10,9 @@ declare module '../i18n.js' {
     /**
      * Translate a key to the current language
      * @param key - The translation key
-     * @param params - Optional parameters for interpolation
+     * @param params - Values of the message's arguments
      */
-    t(key: string, params?: Record<string, string>): string;
+    t(key: string, params?: Record<string, string | number | Date>): string;
     
     /**
      * Get the current language code
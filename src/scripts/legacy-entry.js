@@ -0,0 +1,232 @@
+/**
+ * Page script for index-legacy.html
+ * Kept out of the page itself so the Content Security Policy does not need
+ * to allow inline scripts.
+ */
+
+import i18n from '../i18n.js';
+import accessibilityManager from '../accessibility.js';
+
+// Copy to clipboard for buttons in the legacy markup
+window.copyToClipboard = function(button) {
+    const codeBlock = button.nextElementSibling;
+    const codeText = codeBlock.textContent;
+
+    navigator.clipboard.writeText(codeText).then(() => {
+        // Change button text temporarily
+        const originalText = button.textContent;
+        button.textContent = 'Copied!';
+        button.classList.add('copied');
+        // Revert button text after 2 seconds
+        setTimeout(() => {
+            button.textContent = originalText;
+            button.classList.remove('copied');
+        }, 2000);
+    }).catch(err => {
+        console.error('Failed to copy text: ', err);
+        button.textContent = 'Failed!';
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 2000);
+    });
+};
+
+// Show update notification
+function showUpdateNotification() {
+    // Create update notification
+    const updateNotification = document.createElement('div');
+    updateNotification.className = 'update-notification';
+    updateNotification.innerHTML = `
+        <div class="update-notification-content">
+            <p>A new version of the guide is available!</p>
+            <button id="update-button">Update Now</button>
+            <button id="dismiss-update">Later</button>
+        </div>
+    `;
+
+    // Style the notification
+    updateNotification.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        background-color: var(--dracula-purple, #bd93f9);
+        color: var(--dracula-background, #282a36);
+        padding: 15px;
+        border-radius: 8px;
+        box-shadow: 0 5px 15px rgba(0,0,0,0.3);
+        z-index: 10000;
+        max-width: 300px;
+    `;
+
+    // Add to body
+    document.body.appendChild(updateNotification);
+
+    // Add event listeners
+    document.getElementById('update-button').addEventListener('click', () => {
+        if (navigator.serviceWorker.controller) {
+            // Send message to skip waiting
+            navigator.serviceWorker.controller.postMessage('skipWaiting');
+        }
+        updateNotification.remove();
+    });
+
+    document.getElementById('dismiss-update').addEventListener('click', () => {
+        updateNotification.remove();
+    });
+}
+
+// Register service worker for offline support
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/service-worker.js')
+            .then(registration => {
+                console.log('Service Worker registered with scope:', registration.scope);
+
+                // Check for updates
+                registration.addEventListener('updatefound', () => {
+                    const newWorker = registration.installing;
+                    console.log('Service Worker update found!');
+                    // Show update notification when ready
+                    newWorker.addEventListener('statechange', () => {
+                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                            showUpdateNotification();
+                        }
+                    });
+                });
+            })
+            .catch(error => {
+                console.error('Service Worker registration failed:', error);
+            });
+
+        // Listen for controller change
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            console.log('Service Worker controller changed - reloading page');
+            window.location.reload();
+        });
+    });
+
+    // Check for online/offline status
+    window.addEventListener('online', () => {
+        document.body.classList.remove('offline');
+        console.log('You are now online');
+
+        // Show notification
+        const onlineNotification = document.createElement('div');
+        onlineNotification.className = 'status-notification online';
+        onlineNotification.textContent = 'You are now online';
+
+        // Style notification
+        onlineNotification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background-color: var(--dracula-green, #50fa7b);
+            color: var(--dracula-background, #282a36);
+            padding: 10px 15px;
+            border-radius: 4px;
+            font-weight: bold;
+            z-index: 10000;
+            animation: fadeOut 3s forwards;
+        `;
+
+        document.body.appendChild(onlineNotification);
+
+        // Remove after animation
+        setTimeout(() => {
+            onlineNotification.remove();
+        }, 3000);
+    });
+
+    window.addEventListener('offline', () => {
+        document.body.classList.add('offline');
+        console.log('You are now offline');
+
+        // Show notification
+        const offlineNotification = document.createElement('div');
+        offlineNotification.className = 'status-notification offline';
+        offlineNotification.textContent = 'You are now offline - showing cached content';
+
+        // Style notification
+        offlineNotification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background-color: var(--dracula-orange, #ffb86c);
+            color: var(--dracula-background, #282a36);
+            padding: 10px 15px;
+            border-radius: 4px;
+            font-weight: bold;
+            z-index: 10000;
+            animation: fadeOut 3s forwards;
+        `;
+
+        document.body.appendChild(offlineNotification);
+
+        // Remove after animation
+        setTimeout(() => {
+            offlineNotification.remove();
+        }, 3000);
+    });
+
+    // Add fadeOut animation
+    const style = document.createElement('style');
+    style.textContent = `
+        @keyframes fadeOut {
+            0% { opacity: 1; }
+            70% { opacity: 1; }
+            100% { opacity: 0; }
+        }
+    `;
+    document.head.appendChild(style);
+
+    // Set initial offline status
+    if (!navigator.onLine) {
+        document.body.classList.add('offline');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    // Header toggle functionality
+    const headerToggle = document.getElementById('header-toggle');
+    const header = document.querySelector('.sdde-header');
+
+    headerToggle.addEventListener('click', function() {
+        header.classList.toggle('expanded');
+    });
+
+    // Theme toggle functionality
+    const themeToggle = document.getElementById('theme-toggle');
+    themeToggle.addEventListener('click', function() {
+        document.body.classList.toggle('light-theme');
+
+        // Save preference to localStorage
+        const isLightTheme = document.body.classList.contains('light-theme');
+        localStorage.setItem('lightTheme', isLightTheme);
+    });
+
+    // Search toggle functionality
+    const searchToggle = document.getElementById('search-toggle');
+    const searchInput = document.getElementById('search-input');
+
+    searchToggle.addEventListener('click', function() {
+        searchInput.focus();
+        header.classList.remove('expanded');
+    });
+
+    // Restore theme preference
+    if (localStorage.getItem('lightTheme') === 'true') {
+        document.body.classList.add('light-theme');
+    }
+});
+
+// Initialize components
+document.addEventListener('DOMContentLoaded', async () => {
+    // Initialize i18n
+    await i18n.initializeI18n();
+
+    // Initialize accessibility manager
+    await accessibilityManager.initialize();
+
+    // Any additional initialization can go here
+    console.log('Application initialized');
+});
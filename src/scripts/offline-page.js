@@ -0,0 +1,18 @@
+/**
+ * Page script for offline.html
+ * Kept out of the page itself so the Content Security Policy does not need
+ * to allow inline scripts.
+ */
+
+// Try again button
+document.getElementById('reconnect-button').addEventListener('click', () => {
+    window.location.reload();
+});
+
+// Check for online status changes
+window.addEventListener('online', () => {
+    window.location.reload();
+});
+
+// This would ideally be populated dynamically based on cached content
+// from the service worker, but this is a simple static version
@@ -0,0 +1,335 @@
+/**
+ * Guide Router
+ * Grimoire
+ *
+ * Hash routes for guide sections and their steps, e.g. `#/decky-loader/3`.
+ * Sections are loaded through ContentLoader, the matching
+ * `details.guide-section` is opened and scrolled into view, and the sidebar
+ * link for the section is kept active. Plain anchor hashes such as
+ * `#section-iv` keep working.
+ */
+
+import { GUIDE_SECTIONS } from '../../config/guide-sections.js';
+
+const ROUTE_PATTERN = /^#\/([a-z0-9-]+)(?:\/(\d+))?\/?$/;
+
+export class GuideRouter {
+  /**
+   * @param {Object} options - Router options
+   * @param {Object} options.contentLoader - ContentLoader used to load sections
+   * @param {Array<Object>} [options.sections] - Guide section manifest
+   * @param {string} [options.navSelector] - Selector for navigation links to keep in sync
+   * @param {number} [options.scrollOffset] - Space to leave above scrolled-to elements
+   * @param {string} [options.baseTitle] - Page title prefix
+   */
+  constructor(options = {}) {
+    this.contentLoader = options.contentLoader;
+    this.sections = options.sections || GUIDE_SECTIONS;
+    this.navSelector = options.navSelector || '.sidebar a';
+    this.scrollOffset = options.scrollOffset !== undefined ? options.scrollOffset : 50;
+    this.baseTitle = options.baseTitle || document.title || 'Grimoire';
+
+    /**
+     * Route currently shown, or null when the whole guide is shown
+     * @type {{slug: string, step: ?number}|null}
+     */
+    this.currentRoute = null;
+
+    /**
+     * Whether the router is listening for navigation
+     * @type {boolean}
+     */
+    this.started = false;
+
+    /**
+     * Hash last applied by resolve(), so the popstate and hashchange events
+     * of one navigation apply it only once
+     * @type {string|null}
+     */
+    this.resolvedHash = null;
+
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleToggle = this.handleToggle.bind(this);
+  }
+
+  /**
+   * Parse a route hash
+   * @param {string} hash - Location hash, including the leading `#`
+   * @returns {{slug: string, step: ?number}|null} Parsed route, or null for non-route hashes
+   */
+  static parse(hash) {
+    const match = ROUTE_PATTERN.exec(hash || '');
+    if (!match) return null;
+
+    return {
+      slug: match[1],
+      step: match[2] ? Number(match[2]) : null
+    };
+  }
+
+  /**
+   * Build a route hash
+   * @param {string} slug - Section slug
+   * @param {number} [step] - 1-based step number
+   * @returns {string} Hash such as `#/decky-loader/3`
+   */
+  static format(slug, step) {
+    return step ? `#/${slug}/${step}` : `#/${slug}`;
+  }
+
+  /**
+   * Start listening for back/forward navigation and resolve the current URL
+   * @returns {Promise<boolean>} Resolves once the current URL has been applied
+   */
+  start() {
+    if (!this.started) {
+      window.addEventListener('popstate', this.handlePopState);
+      window.addEventListener('hashchange', this.handlePopState);
+      document.addEventListener('toggle', this.handleToggle, true);
+      this.started = true;
+    }
+
+    return this.resolve();
+  }
+
+  /**
+   * Stop listening for navigation
+   */
+  stop() {
+    window.removeEventListener('popstate', this.handlePopState);
+    window.removeEventListener('hashchange', this.handlePopState);
+    document.removeEventListener('toggle', this.handleToggle, true);
+    this.started = false;
+  }
+
+  /**
+   * Navigate to a section and optionally one of its steps
+   * @param {string} slug - Section slug
+   * @param {number} [step] - 1-based step number
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing
+   * @returns {Promise<boolean>} Whether the route could be shown
+   */
+  navigate(slug, step, options = {}) {
+    const hash = GuideRouter.format(slug, step);
+
+    if (window.location.hash !== hash) {
+      if (options.replace) {
+        window.history.replaceState({ slug, step: step || null }, '', hash);
+      } else {
+        window.history.pushState({ slug, step: step || null }, '', hash);
+      }
+    }
+
+    return this.resolve();
+  }
+
+  /**
+   * Apply the current location hash
+   * @returns {Promise<boolean>} Whether a matching target was found
+   */
+  async resolve() {
+    const hash = window.location.hash;
+    this.resolvedHash = hash;
+    const route = GuideRouter.parse(hash);
+
+    if (route) {
+      return this.showRoute(route);
+    }
+
+    if (hash.length > 1) {
+      return this.showAnchor(decodeURIComponent(hash.slice(1)));
+    }
+
+    return false;
+  }
+
+  /**
+   * Show a section route
+   * @private
+   * @param {{slug: string, step: ?number}} route - Parsed route
+   * @returns {Promise<boolean>} Whether the section was shown
+   */
+  async showRoute(route) {
+    const section = this.sections.find(entry => entry.slug === route.slug);
+    if (!section) {
+      console.warn(`Unknown guide section "${route.slug}"`);
+      return false;
+    }
+
+    if (!document.getElementById(section.id)) {
+      try {
+        await this.contentLoader.loadContent(section.file);
+      } catch (error) {
+        // Superseded by a newer navigation, which will apply its own route
+        if (error.name === 'AbortError') return false;
+        throw error;
+      }
+      window.dispatchEvent(new CustomEvent('content-loaded', { detail: { section: section.slug } }));
+    }
+
+    const sectionElement = document.getElementById(section.id);
+    if (!sectionElement) return false;
+
+    const stepElement = route.step ? this.findStep(sectionElement, route.step) : null;
+    if (stepElement) {
+      stepElement.open = true;
+    }
+
+    this.currentRoute = { slug: section.slug, step: stepElement ? route.step : null };
+    this.scrollTo(stepElement || sectionElement);
+    this.syncNavigation(section);
+    document.title = `${this.baseTitle} - ${section.title}`;
+
+    window.dispatchEvent(new CustomEvent('route-changed', {
+      detail: {
+        slug: section.slug,
+        step: this.currentRoute.step,
+        section: sectionElement,
+        stepElement
+      }
+    }));
+
+    return true;
+  }
+
+  /**
+   * Show a plain anchor, loading the whole guide first if the anchor is
+   * not on the page
+   * @private
+   * @param {string} id - Target element id
+   * @returns {Promise<boolean>} Whether the anchor was found
+   */
+  async showAnchor(id) {
+    if (!document.getElementById(id) && this.currentRoute) {
+      const loaded = await this.contentLoader.loadInitialContent();
+      if (!loaded) return false;
+      window.dispatchEvent(new CustomEvent('content-loaded'));
+    }
+
+    const target = document.getElementById(id);
+    if (!target) return false;
+
+    this.currentRoute = null;
+
+    const details = target.closest('details');
+    if (details) {
+      details.open = true;
+    }
+
+    this.scrollTo(target);
+
+    const sectionElement = target.closest('.section');
+    const section = sectionElement && this.sections.find(entry => entry.id === sectionElement.id);
+    this.syncNavigation(section, `#${id}`);
+
+    return true;
+  }
+
+  /**
+   * Find a step's `details.guide-section` within a section
+   * @param {HTMLElement} sectionElement - The section element
+   * @param {number} step - 1-based step number
+   * @returns {HTMLElement|null} The step element
+   */
+  findStep(sectionElement, step) {
+    const numbered = sectionElement.querySelector(`details.guide-section[data-step="${step}"]`);
+    if (numbered) return numbered;
+
+    return sectionElement.querySelectorAll('details.guide-section')[step - 1] || null;
+  }
+
+  /**
+   * Get the route for a step element
+   * @param {HTMLElement} stepElement - A `details.guide-section` element
+   * @returns {{slug: string, step: number}|null} The step's route
+   */
+  getStepRoute(stepElement) {
+    const sectionElement = stepElement.closest('.section');
+    const section = sectionElement && this.sections.find(entry => entry.id === sectionElement.id);
+    if (!section) return null;
+
+    const steps = Array.from(sectionElement.querySelectorAll('details.guide-section'));
+    const index = steps.indexOf(stepElement);
+    if (index === -1) return null;
+
+    return { slug: section.slug, step: Number(stepElement.dataset.step) || index + 1 };
+  }
+
+  /**
+   * Keep the address bar pointing at the most recently opened step, so the
+   * URL can always be shared
+   * @private
+   * @param {Event} event - The toggle event
+   */
+  handleToggle(event) {
+    const target = event.target;
+    if (!target.matches || !target.matches('details.guide-section') || !target.open) return;
+
+    const route = this.getStepRoute(target);
+    if (!route) return;
+
+    const hash = GuideRouter.format(route.slug, route.step);
+    if (window.location.hash !== hash) {
+      window.history.replaceState({ slug: route.slug, step: route.step }, '', hash);
+      this.resolvedHash = hash;
+      this.currentRoute = route;
+      this.syncNavigation(this.sections.find(entry => entry.slug === route.slug));
+    }
+  }
+
+  /**
+   * Handle browser back/forward and manual hash edits
+   * @private
+   */
+  handlePopState() {
+    // A link click fires both events; the second finds the hash applied
+    if (window.location.hash === this.resolvedHash) return;
+
+    this.resolve().catch(error => {
+      console.error('Failed to apply route:', error);
+    });
+  }
+
+  /**
+   * Scroll an element into view below the header
+   * @private
+   * @param {HTMLElement} element - Element to scroll to
+   */
+  scrollTo(element) {
+    const top = element.getBoundingClientRect().top + window.scrollY - this.scrollOffset;
+    window.scrollTo({ top, behavior: 'smooth' });
+
+    const summary = element.matches('details') ? element.querySelector('summary') : null;
+    if (summary) {
+      summary.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Mark the navigation link for a section as active
+   * @param {Object} [section] - Section manifest entry
+   * @param {string} [anchorHash] - Anchor hash that was navigated to
+   */
+  syncNavigation(section, anchorHash) {
+    const hrefs = new Set();
+    if (anchorHash) hrefs.add(anchorHash);
+    if (section) {
+      hrefs.add(`#${section.id}`);
+      hrefs.add(GuideRouter.format(section.slug));
+    }
+
+    document.querySelectorAll(this.navSelector).forEach(link => {
+      const href = link.getAttribute('href');
+      const active = hrefs.has(href);
+      link.classList.toggle('active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+}
+
+export default GuideRouter;
@@ -9,6 +9,7 @@
 export { Router } from './router';
 export type { Route, RouterOptions } from './router';
 export { default as routes } from './routes';
+export { GuideRouter } from './guide-router.js';
 
 // Export a createRouter helper function
 import { Router, RouterOptions } from './router';
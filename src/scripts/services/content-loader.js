@@ -3,31 +3,266 @@
  * Loads HTML fragments into the main content area
  */
 
+import { GUIDE_SECTIONS, INTRO_FILE, findSectionBySlug } from '../../config/guide-sections.js';
+import { GuideRouter } from '../routing/guide-router.js';
+import { LRUCache } from '../utils/cache-optimizer.js';
+import { sanitizeFragment, escapeHTML } from '../utils/html-sanitizer.js';
+import { initActions } from '../utils/actions.js';
+import { annotateRisks } from '../utils/command-risk.js';
+import { renderTemplate } from '../utils/command-templates.js';
+import { getContentCandidates, isFallbackContent, markUntranslatedContent } from '../utils/localized-content.js';
+
+/**
+ * Create the error a superseded load is rejected with
+ * @param {string} contentFile - File whose load was cancelled
+ * @returns {Error} An error named `AbortError`
+ */
+function createAbortError(contentFile) {
+    const error = new Error(`Loading ${contentFile} was cancelled`);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Run a callback when the browser is idle
+ * @param {Function} callback - Callback to run
+ */
+function whenIdle(callback) {
+    if (typeof window.requestIdleCallback === 'function') {
+        window.requestIdleCallback(callback, { timeout: 2000 });
+    } else {
+        setTimeout(callback, 200);
+    }
+}
+
 class ContentLoader {
-    constructor(contentContainer) {
+    /**
+     * @param {HTMLElement} contentContainer - Element content is loaded into
+     * @param {Object} [options] - Loader options
+     * @param {number} [options.cacheEntries=20] - Maximum number of cached files
+     * @param {number} [options.cacheSize=2097152] - Maximum combined length of cached HTML
+     */
+    constructor(contentContainer, options = {}) {
         this.contentContainer = contentContainer;
-        this.contentCache = {};
+        this.contentCache = new LRUCache(options.cacheEntries || 20, {
+            maxSize: options.cacheSize || 2 * 1024 * 1024,
+            sizeOf: html => html.length
+        });
+        this.pendingFetches = new Map();
+        this.abortController = null;
         this.currentSection = null;
         this.loadingQueue = Promise.resolve();
+        this.hoverPrefetchEnabled = false;
+        this.localeReloadEnabled = false;
+        this.missingTranslations = new Set();
+        this.shownFiles = [];
     }
     
     /**
-     * Load a content file into the container
+     * Load a content file into the container. Replacing the content cancels
+     * any load still in progress; appends run in order after it.
      * @param {string} contentFile - Path to the HTML content file
      * @param {boolean} append - Whether to append or replace content
-     * @returns {Promise} Promise that resolves when content is loaded
+     * @returns {Promise} Promise that resolves when content is loaded, or
+     *   rejects with an `AbortError` if a newer load supersedes it
      */
     async loadContent(contentFile, append = false) {
-        // Queue this load operation
-        this.loadingQueue = this.loadingQueue.then(() => this._loadContentInternal(contentFile, append));
-        return this.loadingQueue;
+        let load;
+        
+        if (append) {
+            const signal = this.abortController ? this.abortController.signal : null;
+            load = this.loadingQueue.then(() => this._loadContentInternal(contentFile, append, signal));
+        } else {
+            if (this.abortController) {
+                this.abortController.abort();
+            }
+            this.abortController = new AbortController();
+            load = this._loadContentInternal(contentFile, append, this.abortController.signal);
+        }
+        
+        // Later appends wait for this load whether or not it succeeds
+        this.loadingQueue = load.catch(() => {});
+        return load;
+    }
+    
+    /**
+     * Get a content file from the cache or the server. Concurrent requests
+     * for the same file share one fetch.
+     * @param {string} contentFile - Path to the HTML content file
+     * @param {Object} [options] - Fetch options
+     * @param {AbortSignal} [options.signal] - Signal that cancels the fetch
+     * @param {string} [options.priority] - Fetch priority hint
+     * @returns {Promise<string>} The file's HTML
+     */
+    fetchContent(contentFile, options = {}) {
+        const cached = this.contentCache.get(contentFile);
+        if (cached !== undefined) {
+            console.log(`Loaded ${contentFile} from cache`);
+            return Promise.resolve(cached);
+        }
+        
+        const pending = this.pendingFetches.get(contentFile);
+        if (pending && !(pending.signal && pending.signal.aborted)) {
+            return pending.promise;
+        }
+        
+        const entry = { signal: options.signal || null };
+        entry.promise = fetch(contentFile, {
+            signal: options.signal || undefined,
+            priority: options.priority
+        })
+            .then(response => {
+                if (!response.ok) {
+                    const error = new Error(`Failed to load ${contentFile}: ${response.status} ${response.statusText}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return response.text();
+            })
+            .then(htmlContent => {
+                this.contentCache.set(contentFile, htmlContent);
+                console.log(`Loaded ${contentFile} from server`);
+                return htmlContent;
+            })
+            .finally(() => {
+                if (this.pendingFetches.get(contentFile) === entry) {
+                    this.pendingFetches.delete(contentFile);
+                }
+            });
+        
+        this.pendingFetches.set(contentFile, entry);
+        return entry.promise;
+    }
+    
+    /**
+     * Get a content file in the current locale. Each section falls back to
+     * the English file on its own when it has not been translated.
+     * @param {string} contentFile - Path to the English HTML content file
+     * @param {Object} [options] - Fetch options, as for `fetchContent`
+     * @returns {Promise<{html: string, locale: string}>} The HTML and the
+     *   locale it is written in
+     */
+    async resolveContent(contentFile, options = {}) {
+        const candidates = getContentCandidates(contentFile);
+        const english = candidates.pop();
+        
+        for (const candidate of candidates) {
+            if (this.missingTranslations.has(candidate.file)) continue;
+            
+            try {
+                return { html: await this.fetchContent(candidate.file, options), locale: candidate.locale };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // Only remember translations that do not exist, other failures are retried
+                if (error.status === 404) {
+                    this.missingTranslations.add(candidate.file);
+                }
+            }
+        }
+        
+        return { html: await this.fetchContent(english.file, options), locale: english.locale };
+    }
+    
+    /**
+     * Fetch a content file into the cache without showing it. Skipped when
+     * the user has asked to save data.
+     * @param {string} contentFile - Path to the HTML content file
+     * @returns {Promise<boolean>} Whether the file is now cached
+     */
+    prefetch(contentFile) {
+        const connection = navigator.connection;
+        if (connection && connection.saveData) {
+            return Promise.resolve(false);
+        }
+        
+        return this.resolveContent(contentFile, { priority: 'low' })
+            .then(() => true)
+            .catch(() => false);
+    }
+    
+    /**
+     * Prefetch the guide sections before and after a file once the browser
+     * is idle
+     * @param {string} contentFile - Path of the file being shown
+     */
+    prefetchAdjacent(contentFile) {
+        const index = GUIDE_SECTIONS.findIndex(section => section.file === contentFile);
+        if (index === -1) return;
+        
+        const neighbours = [GUIDE_SECTIONS[index - 1], GUIDE_SECTIONS[index + 1]].filter(Boolean);
+        whenIdle(() => {
+            neighbours.forEach(section => this.prefetch(section.file));
+        });
+    }
+    
+    /**
+     * Prefetch a section when a link to its route is hovered or focused
+     */
+    enableHoverPrefetch() {
+        if (this.hoverPrefetchEnabled) return;
+        this.hoverPrefetchEnabled = true;
+        
+        const handleIntent = (event) => {
+            const link = event.target.closest && event.target.closest('a[href^="#/"]');
+            if (!link) return;
+            
+            const route = GuideRouter.parse(link.getAttribute('href'));
+            const section = route && findSectionBySlug(route.slug);
+            if (section) {
+                this.prefetch(section.file);
+            }
+        };
+        
+        document.addEventListener('mouseover', handleIntent);
+        document.addEventListener('focusin', handleIntent);
+    }
+    
+    /**
+     * Load the files currently shown again, e.g. after the locale changed
+     * @returns {Promise<boolean>} Whether anything was reloaded; rejects with
+     *   an `AbortError` if a newer load supersedes it
+     */
+    async reloadContent() {
+        const [first, ...rest] = this.shownFiles;
+        if (!first) return false;
+        
+        await this.loadContent(first);
+        for (const file of rest) {
+            await this.loadContent(file, true);
+        }
+        return true;
+    }
+    
+    /**
+     * Reload the content shown whenever the locale changes
+     * @param {Function} [onReload] - Called once the content has been reloaded
+     */
+    enableLocaleReload(onReload) {
+        if (this.localeReloadEnabled) return;
+        this.localeReloadEnabled = true;
+        
+        document.addEventListener('locale-changed', () => {
+            this.reloadContent()
+                .then(reloaded => {
+                    if (reloaded && onReload) onReload();
+                })
+                .catch(error => {
+                    if (error.name !== 'AbortError') {
+                        console.error('Failed to reload content:', error);
+                    }
+                });
+        });
     }
     
     /**
      * Internal method to handle content loading
      */
-    async _loadContentInternal(contentFile, append) {
+    async _loadContentInternal(contentFile, append, signal) {
         try {
+            if (signal && signal.aborted) {
+                throw createAbortError(contentFile);
+            }
+            
             // Show loading indicator
             const loadingIndicator = document.createElement('div');
             loadingIndicator.className = 'loading-indicator';
@@ -46,28 +281,21 @@ class ContentLoader {
                 loadingIndicatorAdded = true;
             }
             
-            // Check cache first
-            let htmlContent;
-            if (this.contentCache[contentFile]) {
-                htmlContent = this.contentCache[contentFile];
-                console.log(`Loaded ${contentFile} from cache`);
-            } else {
-                // Fetch the content file
-                const response = await fetch(contentFile);
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${contentFile}: ${response.status} ${response.statusText}`);
-                }
-                
-                htmlContent = await response.text();
-                
-                // Cache the content
-                this.contentCache[contentFile] = htmlContent;
-                console.log(`Loaded ${contentFile} from server`);
+            const { html: htmlContent, locale } = await this.resolveContent(contentFile, { signal });
+            
+            // A newer load owns the container now
+            if (signal && signal.aborted) {
+                throw createAbortError(contentFile);
             }
             
-            // Create a temporary container
+            // Create a temporary container holding the sanitized content
             const tempContainer = document.createElement('div');
-            tempContainer.innerHTML = htmlContent;
+            tempContainer.appendChild(sanitizeFragment(htmlContent));
+            
+            // English shown in place of a missing translation says so
+            if (isFallbackContent(locale)) {
+                tempContainer.insertBefore(markUntranslatedContent(tempContainer), tempContainer.firstChild);
+            }
             
             // Remove the loading indicator safely
             if (loadingIndicatorAdded && loadingIndicator.parentNode === this.contentContainer) {
@@ -78,6 +306,14 @@ class ContentLoader {
                 }
             }
             
+            // Track the files shown so they can be reloaded in another locale
+            if (append) {
+                this.shownFiles.push(contentFile);
+            } else {
+                this.currentSection = contentFile;
+                this.shownFiles = [contentFile];
+            }
+            
             // Append or replace content
             if (append) {
                 // Move all child nodes to the content container
@@ -85,8 +321,8 @@ class ContentLoader {
                     this.contentContainer.appendChild(tempContainer.firstChild);
                 }
             } else {
-                // Replace content
-                this.contentContainer.innerHTML = tempContainer.innerHTML;
+                // Replace content, moving the sanitized nodes rather than reparsing their HTML
+                this.contentContainer.replaceChildren(...tempContainer.childNodes);
             }
             
             // Initialize any dynamic elements in the newly loaded content
@@ -95,9 +331,19 @@ class ContentLoader {
             // Process content layout
             processContentLayout(this.contentContainer);
             
+            // Warm the cache with the sections the reader is likely to open next
+            if (!append) {
+                this.prefetchAdjacent(contentFile);
+            }
+            
             // Return the content container for chaining
             return this.contentContainer;
         } catch (error) {
+            // A cancelled load leaves the container to the load that replaced it
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            
             console.error('Error loading content:', error);
             
             // Show error message in the container
@@ -105,8 +351,8 @@ class ContentLoader {
             errorElement.className = 'error-message';
             errorElement.innerHTML = `
                 <h3>Error Loading Content</h3>
-                <p>${error.message}</p>
-                <button onclick="window.location.reload()">Reload Page</button>
+                <p>${escapeHTML(error.message)}</p>
+                <button type="button" data-action="reload">Reload Page</button>
             `;
             
             // Safe removal of loading indicator
@@ -136,10 +382,19 @@ class ContentLoader {
         document.querySelectorAll('.code-block .copy-button').forEach(button => {
             if (!button._initialized) {
                 button._initialized = true;
-                // Copy functionality is handled globally by copyToClipboard function
+                // Copy functionality is handled by the delegated "copy" action
             }
         });
         
+        // Turn command placeholders into inputs and badge risky commands
+        document.querySelectorAll('.code-block').forEach(block => {
+            const code = block.querySelector('code') || block.querySelector('pre');
+            if (code) {
+                renderTemplate(code);
+            }
+            annotateRisks(block);
+        });
+        
         // Handle details elements for animations
         document.querySelectorAll('details.guide-section').forEach(details => {
             const summary = details.querySelector('summary');
@@ -200,8 +455,8 @@ class ContentLoader {
             }
         });
         
-        // Initialize section links for navigation
-        document.querySelectorAll('a[href^="#"]').forEach(link => {
+        // Initialize section links for navigation (route links like #/gaming/2 are left to GuideRouter)
+        document.querySelectorAll('a[href^="#"]:not([href^="#/"])').forEach(link => {
             if (!link._initialized) {
                 link._initialized = true;
                 link.addEventListener('click', (e) => {
@@ -245,22 +500,14 @@ class ContentLoader {
     async loadInitialContent() {
         try {
             // First load the introduction
-            await this.loadContent('src/content/sections/intro.html');
+            await this.loadContent(INTRO_FILE);
             
             // Add a small delay between loads to ensure DOM stability
             await new Promise(resolve => setTimeout(resolve, 50));
             
             // Then load each section sequentially
-            const sections = [
-                'src/content/sections/section-i.html',
-                'src/content/sections/section-ii.html',
-                'src/content/sections/section-iii.html',
-                'src/content/sections/section-iv.html',
-                'src/content/sections/references.html'
-            ];
-            
-            for (const section of sections) {
-                await this.loadContent(section, true);
+            for (const section of GUIDE_SECTIONS) {
+                await this.loadContent(section.file, true);
                 // Small delay between sections to ensure DOM stability
                 await new Promise(resolve => setTimeout(resolve, 50));
             }
@@ -270,8 +517,8 @@ class ContentLoader {
             // Add loaded class to body
             document.body.classList.add('content-loaded');
             
-            // Initialize navigation based on URL hash if present
-            if (window.location.hash) {
+            // Initialize navigation based on URL hash if present (routes are applied by GuideRouter)
+            if (window.location.hash && !GuideRouter.parse(window.location.hash)) {
                 const targetId = window.location.hash.substring(1);
                 const targetElement = document.getElementById(targetId);
                 if (targetElement) {
@@ -292,7 +539,9 @@ class ContentLoader {
             
             return true;
         } catch (error) {
-            console.error('Failed to load initial content:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Failed to load initial content:', error);
+            }
             return false;
         }
     }
@@ -315,8 +564,25 @@ document.addEventListener('DOMContentLoaded', function() {
         mainContent.appendChild(contentContainer);
     }
     
-    // Initialize the content loader
+    // Initialize the content loader and router
     window.contentLoader = new ContentLoader(contentContainer);
+    window.guideRouter = new GuideRouter({ contentLoader: window.contentLoader });
+    window.contentLoader.enableHoverPrefetch();
+    
+    // Show the sections in the new locale and return to the current route
+    window.contentLoader.enableLocaleReload(() => {
+        window.dispatchEvent(new CustomEvent('content-loaded'));
+        window.guideRouter.resolve();
+    });
+    
+    // Handle data-action buttons (copy, reload) in loaded content
+    initActions();
+    
+    // A deep link only needs its own section, otherwise load the whole guide
+    if (GuideRouter.parse(window.location.hash)) {
+        window.guideRouter.start();
+        return;
+    }
     
     // Load initial content
     window.contentLoader.loadInitialContent().then(success => {
@@ -326,6 +592,8 @@ document.addEventListener('DOMContentLoaded', function() {
             // Notify other scripts that content is loaded
             window.dispatchEvent(new CustomEvent('content-loaded'));
         }
+        
+        window.guideRouter.start();
     });
 });
 
@@ -489,3 +757,6 @@ function processContentLayout(contentElement) {
 
   // Additional layout processing functions can be added here
 }
+
+export { ContentLoader };
+export default ContentLoader;
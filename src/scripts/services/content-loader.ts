@@ -3,6 +3,66 @@
  * Loads HTML fragments into the main content area
  */
 
+import { GUIDE_SECTIONS, INTRO_FILE, findSectionBySlug } from '../../config/guide-sections.js';
+import { GuideRouter } from '../routing/guide-router.js';
+import { LRUCache } from '../utils/cache-optimizer.js';
+import { sanitizeFragment, escapeHTML } from '../utils/html-sanitizer.js';
+import { initActions } from '../utils/actions.js';
+import { annotateRisks } from '../utils/command-risk.js';
+import { renderTemplate } from '../utils/command-templates.js';
+import { getContentCandidates, isFallbackContent, markUntranslatedContent } from '../utils/localized-content.js';
+
+/**
+ * Options for creating a ContentLoader
+ */
+interface ContentLoaderOptions {
+    /** Maximum number of cached files */
+    cacheEntries?: number;
+    /** Maximum combined length of cached HTML */
+    cacheSize?: number;
+}
+
+/**
+ * A fetch that other loads of the same file can share
+ */
+interface PendingFetch {
+    signal: AbortSignal | null;
+    promise: Promise<string>;
+}
+
+/**
+ * A content file resolved for the current locale
+ */
+interface ResolvedContent {
+    /** The file's HTML */
+    html: string;
+    /** Locale the HTML is written in */
+    locale: string;
+}
+
+/**
+ * Create the error a superseded load is rejected with
+ * @param contentFile - File whose load was cancelled
+ * @returns An error named `AbortError`
+ */
+function createAbortError(contentFile: string): Error {
+    const error = new Error(`Loading ${contentFile} was cancelled`);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Run a callback when the browser is idle
+ * @param callback - Callback to run
+ */
+function whenIdle(callback: () => void): void {
+    if (typeof window.requestIdleCallback === 'function') {
+        window.requestIdleCallback(callback, { timeout: 2000 });
+    } else {
+        setTimeout(callback, 200);
+    }
+}
+
 /**
  * Represents the ContentLoader class that handles loading of content fragments
  */
@@ -13,9 +73,19 @@ class ContentLoader {
     private contentContainer: HTMLElement;
     
     /**
-     * Cache for loaded content to avoid reloading
+     * Size-bounded cache of loaded content to avoid reloading
      */
-    private contentCache: Record<string, string>;
+    private contentCache: LRUCache;
+    
+    /**
+     * Fetches in flight, keyed by file
+     */
+    private pendingFetches: Map<string, PendingFetch>;
+    
+    /**
+     * Controller of the latest replacing load
+     */
+    private abortController: AbortController | null;
     
     /**
      * Currently active section
@@ -23,38 +93,255 @@ class ContentLoader {
     private currentSection: string | null;
     
     /**
-     * Queue for loading operations to ensure proper sequence
+     * Queue for appending loads to ensure proper sequence
      */
     private loadingQueue: Promise<any>;
     
+    /**
+     * Whether hovered route links are prefetched
+     */
+    private hoverPrefetchEnabled: boolean;
+    
+    /**
+     * Whether the content is reloaded when the locale changes
+     */
+    private localeReloadEnabled: boolean;
+    
+    /**
+     * Translated files known not to exist
+     */
+    private missingTranslations: Set<string>;
+    
+    /**
+     * Files shown in the container, in order
+     */
+    private shownFiles: string[];
+    
     /**
      * Creates a new ContentLoader
      * @param contentContainer - The DOM element to load content into
+     * @param options - Cache options
      */
-    constructor(contentContainer: HTMLElement) {
+    constructor(contentContainer: HTMLElement, options: ContentLoaderOptions = {}) {
         this.contentContainer = contentContainer;
-        this.contentCache = {};
+        this.contentCache = new LRUCache(options.cacheEntries || 20, {
+            maxSize: options.cacheSize || 2 * 1024 * 1024,
+            sizeOf: (html: string) => html.length
+        });
+        this.pendingFetches = new Map();
+        this.abortController = null;
         this.currentSection = null;
         this.loadingQueue = Promise.resolve();
+        this.hoverPrefetchEnabled = false;
+        this.localeReloadEnabled = false;
+        this.missingTranslations = new Set();
+        this.shownFiles = [];
     }
     
     /**
-     * Load a content file into the container
+     * Load a content file into the container. Replacing the content cancels
+     * any load still in progress; appends run in order after it.
      * @param contentFile - Path to the HTML content file
      * @param append - Whether to append or replace content
-     * @returns Promise that resolves when content is loaded
+     * @returns Promise that resolves when content is loaded, or rejects with
+     *   an `AbortError` if a newer load supersedes it
      */
     async loadContent(contentFile: string, append = false): Promise<HTMLElement> {
-        // Queue this load operation
-        this.loadingQueue = this.loadingQueue.then(() => this._loadContentInternal(contentFile, append));
-        return this.loadingQueue;
+        let load: Promise<HTMLElement>;
+        
+        if (append) {
+            const signal = this.abortController ? this.abortController.signal : null;
+            load = this.loadingQueue.then(() => this._loadContentInternal(contentFile, append, signal));
+        } else {
+            if (this.abortController) {
+                this.abortController.abort();
+            }
+            this.abortController = new AbortController();
+            load = this._loadContentInternal(contentFile, append, this.abortController.signal);
+        }
+        
+        // Later appends wait for this load whether or not it succeeds
+        this.loadingQueue = load.catch(() => {});
+        return load;
+    }
+    
+    /**
+     * Get a content file from the cache or the server. Concurrent requests
+     * for the same file share one fetch.
+     * @param contentFile - Path to the HTML content file
+     * @param options - Abort signal and fetch priority hint
+     * @returns The file's HTML
+     */
+    fetchContent(contentFile: string, options: { signal?: AbortSignal | null; priority?: string } = {}): Promise<string> {
+        const cached = this.contentCache.get(contentFile);
+        if (cached !== undefined) {
+            console.log(`Loaded ${contentFile} from cache`);
+            return Promise.resolve(cached);
+        }
+        
+        const pending = this.pendingFetches.get(contentFile);
+        if (pending && !(pending.signal && pending.signal.aborted)) {
+            return pending.promise;
+        }
+        
+        const signal = options.signal || null;
+        const promise = fetch(contentFile, {
+            signal: signal || undefined,
+            priority: options.priority
+        } as RequestInit)
+            .then(response => {
+                if (!response.ok) {
+                    const error = new Error(`Failed to load ${contentFile}: ${response.status} ${response.statusText}`) as Error & { status?: number };
+                    error.status = response.status;
+                    throw error;
+                }
+                return response.text();
+            })
+            .then(htmlContent => {
+                this.contentCache.set(contentFile, htmlContent);
+                console.log(`Loaded ${contentFile} from server`);
+                return htmlContent;
+            })
+            .finally(() => {
+                if (this.pendingFetches.get(contentFile) === entry) {
+                    this.pendingFetches.delete(contentFile);
+                }
+            });
+        const entry: PendingFetch = { signal, promise };
+        
+        this.pendingFetches.set(contentFile, entry);
+        return promise;
+    }
+    
+    /**
+     * Get a content file in the current locale. Each section falls back to
+     * the English file on its own when it has not been translated.
+     * @param contentFile - Path to the English HTML content file
+     * @param options - Fetch options, as for `fetchContent`
+     * @returns The HTML and the locale it is written in
+     */
+    async resolveContent(contentFile: string, options: { signal?: AbortSignal | null; priority?: string } = {}): Promise<ResolvedContent> {
+        const candidates = getContentCandidates(contentFile);
+        const english = candidates.pop() as { file: string; locale: string };
+        
+        for (const candidate of candidates) {
+            if (this.missingTranslations.has(candidate.file)) continue;
+            
+            try {
+                return { html: await this.fetchContent(candidate.file, options), locale: candidate.locale };
+            } catch (error) {
+                if (error instanceof Error && error.name === 'AbortError') throw error;
+                // Only remember translations that do not exist, other failures are retried
+                if ((error as { status?: number }).status === 404) {
+                    this.missingTranslations.add(candidate.file);
+                }
+            }
+        }
+        
+        return { html: await this.fetchContent(english.file, options), locale: english.locale };
+    }
+    
+    /**
+     * Fetch a content file into the cache without showing it. Skipped when
+     * the user has asked to save data.
+     * @param contentFile - Path to the HTML content file
+     * @returns Whether the file is now cached
+     */
+    prefetch(contentFile: string): Promise<boolean> {
+        const connection = (navigator as Navigator & { connection?: { saveData?: boolean } }).connection;
+        if (connection && connection.saveData) {
+            return Promise.resolve(false);
+        }
+        
+        return this.resolveContent(contentFile, { priority: 'low' })
+            .then(() => true)
+            .catch(() => false);
+    }
+    
+    /**
+     * Prefetch the guide sections before and after a file once the browser
+     * is idle
+     * @param contentFile - Path of the file being shown
+     */
+    prefetchAdjacent(contentFile: string): void {
+        const index = GUIDE_SECTIONS.findIndex(section => section.file === contentFile);
+        if (index === -1) return;
+        
+        const neighbours = [GUIDE_SECTIONS[index - 1], GUIDE_SECTIONS[index + 1]].filter(Boolean);
+        whenIdle(() => {
+            neighbours.forEach(section => this.prefetch(section.file));
+        });
+    }
+    
+    /**
+     * Prefetch a section when a link to its route is hovered or focused
+     */
+    enableHoverPrefetch(): void {
+        if (this.hoverPrefetchEnabled) return;
+        this.hoverPrefetchEnabled = true;
+        
+        const handleIntent = (event: Event): void => {
+            const target = event.target as Element | null;
+            const link = target && target.closest ? target.closest('a[href^="#/"]') : null;
+            if (!link) return;
+            
+            const route = GuideRouter.parse(link.getAttribute('href') || '');
+            const section = route && findSectionBySlug(route.slug);
+            if (section) {
+                this.prefetch(section.file);
+            }
+        };
+        
+        document.addEventListener('mouseover', handleIntent);
+        document.addEventListener('focusin', handleIntent);
+    }
+    
+    /**
+     * Load the files currently shown again, e.g. after the locale changed
+     * @returns Whether anything was reloaded; rejects with an `AbortError` if
+     *   a newer load supersedes it
+     */
+    async reloadContent(): Promise<boolean> {
+        const [first, ...rest] = this.shownFiles;
+        if (!first) return false;
+        
+        await this.loadContent(first);
+        for (const file of rest) {
+            await this.loadContent(file, true);
+        }
+        return true;
+    }
+    
+    /**
+     * Reload the content shown whenever the locale changes
+     * @param onReload - Called once the content has been reloaded
+     */
+    enableLocaleReload(onReload?: () => void): void {
+        if (this.localeReloadEnabled) return;
+        this.localeReloadEnabled = true;
+        
+        document.addEventListener('locale-changed', () => {
+            this.reloadContent()
+                .then(reloaded => {
+                    if (reloaded && onReload) onReload();
+                })
+                .catch(error => {
+                    if (!(error instanceof Error && error.name === 'AbortError')) {
+                        console.error('Failed to reload content:', error);
+                    }
+                });
+        });
     }
     
     /**
      * Internal method to handle content loading
      */
-    private async _loadContentInternal(contentFile: string, append: boolean): Promise<HTMLElement> {
+    private async _loadContentInternal(contentFile: string, append: boolean, signal: AbortSignal | null): Promise<HTMLElement> {
         try {
+            if (signal && signal.aborted) {
+                throw createAbortError(contentFile);
+            }
+            
             // Show loading indicator
             const loadingIndicator = document.createElement('div');
             loadingIndicator.className = 'loading-indicator';
@@ -73,28 +360,21 @@ class ContentLoader {
                 loadingIndicatorAdded = true;
             }
             
-            // Check cache first
-            let htmlContent: string;
-            if (this.contentCache[contentFile]) {
-                htmlContent = this.contentCache[contentFile];
-                console.log(`Loaded ${contentFile} from cache`);
-            } else {
-                // Fetch the content file
-                const response = await fetch(contentFile);
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${contentFile}: ${response.status} ${response.statusText}`);
-                }
-                
-                htmlContent = await response.text();
-                
-                // Cache the content
-                this.contentCache[contentFile] = htmlContent;
-                console.log(`Loaded ${contentFile} from server`);
+            const { html: htmlContent, locale } = await this.resolveContent(contentFile, { signal });
+            
+            // A newer load owns the container now
+            if (signal && signal.aborted) {
+                throw createAbortError(contentFile);
             }
             
-            // Create a temporary container
+            // Create a temporary container holding the sanitized content
             const tempContainer = document.createElement('div');
-            tempContainer.innerHTML = htmlContent;
+            tempContainer.appendChild(sanitizeFragment(htmlContent));
+            
+            // English shown in place of a missing translation says so
+            if (isFallbackContent(locale)) {
+                tempContainer.insertBefore(markUntranslatedContent(tempContainer), tempContainer.firstChild);
+            }
             
             // Remove the loading indicator safely
             if (loadingIndicatorAdded && loadingIndicator.parentNode === this.contentContainer) {
@@ -105,6 +385,14 @@ class ContentLoader {
                 }
             }
             
+            // Track the files shown so they can be reloaded in another locale
+            if (append) {
+                this.shownFiles.push(contentFile);
+            } else {
+                this.currentSection = contentFile;
+                this.shownFiles = [contentFile];
+            }
+            
             // Append or replace content
             if (append) {
                 // Move all child nodes to the content container
@@ -112,8 +400,8 @@ class ContentLoader {
                     this.contentContainer.appendChild(tempContainer.firstChild);
                 }
             } else {
-                // Replace content
-                this.contentContainer.innerHTML = tempContainer.innerHTML;
+                // Replace content, moving the sanitized nodes rather than reparsing their HTML
+                this.contentContainer.replaceChildren(...tempContainer.childNodes);
             }
             
             // Initialize any dynamic elements in the newly loaded content
@@ -122,9 +410,19 @@ class ContentLoader {
             // Process content layout
             processContentLayout(this.contentContainer);
             
+            // Warm the cache with the sections the reader is likely to open next
+            if (!append) {
+                this.prefetchAdjacent(contentFile);
+            }
+            
             // Return the content container for chaining
             return this.contentContainer;
         } catch (error) {
+            // A cancelled load leaves the container to the load that replaced it
+            if (error instanceof Error && error.name === 'AbortError') {
+                throw error;
+            }
+            
             console.error('Error loading content:', error);
             
             // Show error message in the container
@@ -132,8 +430,8 @@ class ContentLoader {
             errorElement.className = 'error-message';
             errorElement.innerHTML = `
                 <h3>Error Loading Content</h3>
-                <p>${error instanceof Error ? error.message : 'Unknown error'}</p>
-                <button onclick="window.location.reload()">Reload Page</button>
+                <p>${escapeHTML(error instanceof Error ? error.message : 'Unknown error')}</p>
+                <button type="button" data-action="reload">Reload Page</button>
             `;
             
             // Safe removal of loading indicator
@@ -168,8 +466,17 @@ class ContentLoader {
             const extendedButton = button as ExtendedElement;
             if (!extendedButton._initialized) {
                 extendedButton._initialized = true;
-                // Copy functionality is handled globally by copyToClipboard function
+                // Copy functionality is handled by the delegated "copy" action
+            }
+        });
+        
+        // Turn command placeholders into inputs and badge risky commands
+        document.querySelectorAll<HTMLElement>('.code-block').forEach(block => {
+            const code = block.querySelector<HTMLElement>('code') || block.querySelector<HTMLElement>('pre');
+            if (code) {
+                renderTemplate(code);
             }
+            annotateRisks(block);
         });
         
         // Handle details elements for animations
@@ -238,8 +545,8 @@ class ContentLoader {
             }
         });
         
-        // Initialize section links for navigation
-        document.querySelectorAll('a[href^="#"]').forEach(link => {
+        // Initialize section links for navigation (route links like #/gaming/2 are left to GuideRouter)
+        document.querySelectorAll('a[href^="#"]:not([href^="#/"])').forEach(link => {
             const extendedLink = link as ExtendedElement & HTMLAnchorElement;
             if (!extendedLink._initialized) {
                 extendedLink._initialized = true;
@@ -285,22 +592,14 @@ class ContentLoader {
     async loadInitialContent(): Promise<boolean> {
         try {
             // First load the introduction
-            await this.loadContent('src/content/sections/intro.html');
+            await this.loadContent(INTRO_FILE);
             
             // Add a small delay between loads to ensure DOM stability
             await new Promise(resolve => setTimeout(resolve, 50));
             
             // Then load each section sequentially
-            const sections = [
-                'src/content/sections/section-i.html',
-                'src/content/sections/section-ii.html',
-                'src/content/sections/section-iii.html',
-                'src/content/sections/section-iv.html',
-                'src/content/sections/references.html'
-            ];
-            
-            for (const section of sections) {
-                await this.loadContent(section, true);
+            for (const section of GUIDE_SECTIONS) {
+                await this.loadContent(section.file, true);
                 // Small delay between sections to ensure DOM stability
                 await new Promise(resolve => setTimeout(resolve, 50));
             }
@@ -310,8 +609,8 @@ class ContentLoader {
             // Add loaded class to body
             document.body.classList.add('content-loaded');
             
-            // Initialize navigation based on URL hash if present
-            if (window.location.hash) {
+            // Initialize navigation based on URL hash if present (routes are applied by GuideRouter)
+            if (window.location.hash && !GuideRouter.parse(window.location.hash)) {
                 const targetId = window.location.hash.substring(1);
                 const targetElement = document.getElementById(targetId);
                 if (targetElement) {
@@ -332,7 +631,9 @@ class ContentLoader {
             
             return true;
         } catch (error) {
-            console.error('Failed to load initial content:', error);
+            if (!(error instanceof Error && error.name === 'AbortError')) {
+                console.error('Failed to load initial content:', error);
+            }
             return false;
         }
     }
@@ -516,8 +817,25 @@ document.addEventListener('DOMContentLoaded', function() {
         mainContent.appendChild(contentContainer);
     }
     
-    // Initialize the content loader
+    // Initialize the content loader and router
     window.contentLoader = new ContentLoader(contentContainer);
+    window.guideRouter = new GuideRouter({ contentLoader: window.contentLoader });
+    window.contentLoader.enableHoverPrefetch();
+    
+    // Show the sections in the new locale and return to the current route
+    window.contentLoader.enableLocaleReload(() => {
+        window.dispatchEvent(new CustomEvent('content-loaded'));
+        window.guideRouter.resolve();
+    });
+    
+    // Handle data-action buttons (copy, reload) in loaded content
+    initActions();
+    
+    // A deep link only needs its own section, otherwise load the whole guide
+    if (GuideRouter.parse(window.location.hash)) {
+        window.guideRouter.start();
+        return;
+    }
     
     // Load initial content
     window.contentLoader.loadInitialContent().then(success => {
@@ -527,6 +845,8 @@ document.addEventListener('DOMContentLoaded', function() {
             // Notify other scripts that content is loaded
             window.dispatchEvent(new CustomEvent('content-loaded'));
         }
+        
+        window.guideRouter.start();
     });
 });
 
@@ -534,7 +854,9 @@ document.addEventListener('DOMContentLoaded', function() {
 declare global {
     interface Window {
         contentLoader: ContentLoader;
+        guideRouter: GuideRouter;
     }
 }
 
+export { ContentLoader };
 export default ContentLoader; 
\ No newline at end of file
@@ -1,13 +1,13 @@
 /**
  * Progress Tracker for Grimoire Guide
- * Allows users to mark sections as completed and track overall progress
+ * Allows users to mark sections as completed and track overall progress.
+ * Completion is kept in the shared progress store.
  */
 
+import progressStore, { getSectionProgressId } from '../utils/progress-store.js';
+
 class ProgressTracker {
   constructor() {
-    this.storageKey = 'sdde-progress';
-    this.progressData = this.loadProgress();
-    
     // Map of section IDs that can be tracked
     this.trackableSections = [
       'intro',
@@ -32,6 +32,32 @@ class ProgressTracker {
       this.addProgressControls();
       this.updateProgressIndicators();
     });
+    
+    // Show progress changed here or by the other trackers
+    progressStore.subscribe(() => this.syncWithStore());
+  }
+  
+  /**
+   * Get the progress store id of a trackable section
+   */
+  getProgressId(sectionId) {
+    return getSectionProgressId(document.getElementById(sectionId) || sectionId);
+  }
+  
+  /**
+   * Check whether a section is completed
+   */
+  isSectionCompleted(sectionId) {
+    return progressStore.isCompleted(this.getProgressId(sectionId));
+  }
+  
+  /**
+   * Get the completion of the trackable sections
+   */
+  getProgressSummary() {
+    const completed = this.trackableSections.filter(sectionId => this.isSectionCompleted(sectionId)).length;
+    const total = this.trackableSections.length;
+    return { completed, total, percentage: Math.round((completed / total) * 100) };
   }
   
   /**
@@ -60,9 +86,7 @@ class ProgressTracker {
     progressContainer.className = 'progress-container';
     
     // Calculate overall progress
-    const completedCount = Object.values(this.progressData).filter(Boolean).length;
-    const totalCount = this.trackableSections.length;
-    const progressPercentage = Math.round((completedCount / totalCount) * 100);
+    const { percentage: progressPercentage } = this.getProgressSummary();
     
     // Add HTML content
     progressContainer.innerHTML = `
@@ -111,7 +135,7 @@ class ProgressTracker {
       control.dataset.sectionId = sectionId;
       
       // Check if section is completed
-      const isCompleted = this.progressData[sectionId] || false;
+      const isCompleted = this.isSectionCompleted(sectionId);
       
       // Set initial state
       control.classList.toggle('completed', isCompleted);
@@ -162,9 +186,7 @@ class ProgressTracker {
     fab.className = 'progress-fab';
     
     // Calculate progress for the indicator
-    const completedCount = Object.values(this.progressData).filter(Boolean).length;
-    const totalCount = this.trackableSections.length;
-    const progressPercentage = Math.round((completedCount / totalCount) * 100);
+    const { percentage: progressPercentage } = this.getProgressSummary();
     
     // Set content with progress indicator
     fab.innerHTML = `
@@ -209,14 +231,16 @@ class ProgressTracker {
     dialog.className = 'progress-dialog';
     
     // Calculate progress stats
-    const completedCount = Object.values(this.progressData).filter(Boolean).length;
-    const totalCount = this.trackableSections.length;
-    const progressPercentage = Math.round((completedCount / totalCount) * 100);
+    const {
+      completed: completedCount,
+      total: totalCount,
+      percentage: progressPercentage
+    } = this.getProgressSummary();
     
     // Build section completion list
     let sectionsList = '';
     this.trackableSections.forEach(sectionId => {
-      const isCompleted = this.progressData[sectionId] || false;
+      const isCompleted = this.isSectionCompleted(sectionId);
       const section = document.getElementById(sectionId);
       
       if (section) {
@@ -276,6 +300,21 @@ class ProgressTracker {
           </div>
         </div>
         
+        <h4>Profile</h4>
+        <div class="progress-dialog-profiles">
+          <select id="dialog-profile-select" class="progress-dialog-profile-select" aria-label="Progress profile"></select>
+          <textarea id="dialog-profile-notes" class="progress-dialog-profile-notes" rows="2" placeholder="Notes, e.g. which Deck this is" aria-label="Profile notes"></textarea>
+          <div class="progress-dialog-profile-new">
+            <input type="text" id="dialog-profile-name" placeholder="New profile name" aria-label="New profile name">
+            <button id="dialog-profile-create" class="dialog-btn dialog-btn-secondary">Add Profile</button>
+          </div>
+          <div class="progress-dialog-profile-actions">
+            <button id="dialog-profile-export" class="dialog-btn dialog-btn-secondary">Export Profile</button>
+            <button id="dialog-profile-import" class="dialog-btn dialog-btn-secondary">Import Profile</button>
+            <button id="dialog-profile-delete" class="dialog-btn dialog-btn-danger">Delete Profile</button>
+          </div>
+        </div>
+        
         <h4>Section Completion</h4>
         <div class="progress-dialog-sections">
           ${sectionsList}
@@ -283,6 +322,7 @@ class ProgressTracker {
         
         <div class="progress-dialog-actions">
           <button id="dialog-reset-progress" class="dialog-btn dialog-btn-danger">Reset Progress</button>
+          <button id="dialog-statistics" class="dialog-btn dialog-btn-secondary">Statistics</button>
           <button id="dialog-close" class="dialog-btn dialog-btn-primary">Close</button>
         </div>
       </div>
@@ -301,25 +341,19 @@ class ProgressTracker {
       dialog.remove();
     });
     
-    // Add event listeners to checkboxes
+    // The statistics dashboard is opened by the app
+    document.getElementById('dialog-statistics').addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('show-progress-dashboard'));
+      dialog.remove();
+    });
+    
+    this.setupProfileControls(dialog);
+    
+    // Add event listeners to checkboxes; the dialog is updated with the
+    // rest of the page when the store changes
     dialog.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
       checkbox.addEventListener('change', () => {
-        const sectionId = checkbox.dataset.sectionId;
-        this.toggleSectionProgress(sectionId, null, checkbox.checked);
-        
-        // Update UI inside the dialog
-        const completedCount = Object.values(this.progressData).filter(Boolean).length;
-        const progressPercentage = Math.round((completedCount / totalCount) * 100);
-        
-        const chartPath = dialog.querySelector('.progress-circular-path');
-        chartPath.setAttribute('stroke-dasharray', `${progressPercentage}, 100`);
-        
-        const chartText = dialog.querySelector('.progress-circular-text');
-        chartText.textContent = `${progressPercentage}%`;
-        
-        const statValues = dialog.querySelectorAll('.progress-stat-value');
-        statValues[0].textContent = completedCount;
-        statValues[1].textContent = totalCount - completedCount;
+        this.toggleSectionProgress(checkbox.dataset.sectionId, null, checkbox.checked);
       });
     });
     
@@ -343,34 +377,203 @@ class ProgressTracker {
     }, 10);
   }
   
+  /**
+   * Show the profiles in the progress dialog's switcher
+   */
+  updateProfileControls(dialog) {
+    const select = dialog.querySelector('#dialog-profile-select');
+    const notes = dialog.querySelector('#dialog-profile-notes');
+    const profiles = progressStore.getProfiles();
+    
+    // Names are entered by the user, so they are set as text
+    select.replaceChildren(...profiles.map(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.selected = profile.active;
+      return option;
+    }));
+    
+    if (document.activeElement !== notes) {
+      notes.value = progressStore.getProfile().notes;
+    }
+    dialog.querySelector('#dialog-profile-delete').disabled = profiles.length < 2;
+  }
+  
+  /**
+   * Set up the profile switcher, notes and profile buttons of the progress
+   * dialog
+   */
+  setupProfileControls(dialog) {
+    const select = dialog.querySelector('#dialog-profile-select');
+    const notes = dialog.querySelector('#dialog-profile-notes');
+    const nameInput = dialog.querySelector('#dialog-profile-name');
+    
+    // Switching is announced as a progress change, which updates the dialog
+    select.addEventListener('change', () => {
+      progressStore.switchProfile(select.value);
+      this.showNotification(`Switched to ${progressStore.getProfile().name}`);
+    });
+    
+    notes.addEventListener('change', () => {
+      progressStore.updateProfile(progressStore.getProfile().id, { notes: notes.value });
+    });
+    
+    dialog.querySelector('#dialog-profile-create').addEventListener('click', () => {
+      const profileId = progressStore.createProfile(nameInput.value);
+      if (!profileId) {
+        nameInput.focus();
+        return;
+      }
+      
+      nameInput.value = '';
+      progressStore.switchProfile(profileId);
+      this.showNotification(`Created profile ${progressStore.getProfile().name}`);
+    });
+    
+    dialog.querySelector('#dialog-profile-export').addEventListener('click', () => {
+      this.exportProfileFile();
+    });
+    
+    dialog.querySelector('#dialog-profile-import').addEventListener('click', () => {
+      this.importProfileFile(dialog);
+    });
+    
+    dialog.querySelector('#dialog-profile-delete').addEventListener('click', () => {
+      const profile = progressStore.getProfile();
+      if (confirm(`Delete the profile "${profile.name}" and its progress?`) &&
+          progressStore.deleteProfile(profile.id)) {
+        this.updateProfileControls(dialog);
+        this.showNotification(`Deleted profile ${profile.name}`);
+      }
+    });
+    
+    this.updateProfileControls(dialog);
+  }
+  
+  /**
+   * Download the active profile as a JSON file
+   */
+  exportProfileFile() {
+    const profile = progressStore.getProfile();
+    const blob = new Blob([JSON.stringify(progressStore.exportProfile(profile.id), null, 2)], {
+      type: 'application/json'
+    });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `grimoire-progress-${profile.id}.json`;
+    a.style.display = 'none';
+    
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+    
+    this.showNotification(`Exported profile ${profile.name}`);
+  }
+  
+  /**
+   * Import a profile from a JSON file as a new profile and switch to it
+   */
+  importProfileFile(dialog) {
+    // Kept inside the dialog so choosing a file does not close it
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json';
+    fileInput.style.display = 'none';
+    
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.remove();
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const profileId = progressStore.importProfile(JSON.parse(reader.result));
+          if (!profileId) {
+            throw new Error('Not a progress profile');
+          }
+          
+          progressStore.switchProfile(profileId);
+          this.showNotification(`Imported profile ${progressStore.getProfile().name}`);
+        } catch (error) {
+          this.showNotification('Error importing profile: not a progress profile file');
+          console.error('Error importing profile:', error);
+        }
+      };
+      reader.readAsText(file);
+    });
+    
+    dialog.querySelector('.progress-dialog-content').appendChild(fileInput);
+    fileInput.click();
+  }
+  
   /**
    * Toggle progress state for a section
    */
   toggleSectionProgress(sectionId, controlElement, forcedState = null) {
-    // Get current state
-    const currentState = this.progressData[sectionId] || false;
-    
     // Determine new state
-    const newState = (forcedState !== null) ? forcedState : !currentState;
+    const newState = (forcedState !== null) ? forcedState : !this.isSectionCompleted(sectionId);
     
-    // Update progress data
-    this.progressData[sectionId] = newState;
+    // Controls, links and indicators follow the store
+    progressStore.setCompleted(this.getProgressId(sectionId), newState);
+  }
+  
+  /**
+   * Show the stored progress on the section controls, sidebar links,
+   * indicators and an open progress dialog
+   */
+  syncWithStore() {
+    this.trackableSections.forEach(sectionId => {
+      const isCompleted = this.isSectionCompleted(sectionId);
+      
+      const section = document.getElementById(sectionId);
+      const control = section && section.querySelector('.progress-control');
+      if (control) {
+        control.classList.toggle('completed', isCompleted);
+        control.setAttribute('aria-checked', isCompleted);
+        control.title = isCompleted ? 'Mark as incomplete' : 'Mark as completed';
+      }
+      
+      this.updateSidebarLink(sectionId, isCompleted);
+    });
     
-    // Save to localStorage
-    this.saveProgress();
+    this.updateProgressIndicators();
     
-    // Update UI if control element is provided
-    if (controlElement) {
-      controlElement.classList.toggle('completed', newState);
-      controlElement.setAttribute('aria-checked', newState);
-      controlElement.title = newState ? 'Mark as incomplete' : 'Mark as completed';
+    const dialog = document.querySelector('.progress-dialog');
+    if (dialog) {
+      this.updateProgressDialog(dialog);
     }
+  }
+  
+  /**
+   * Update the checkboxes and statistics of the progress dialog
+   */
+  updateProgressDialog(dialog) {
+    const { completed, total, percentage } = this.getProgressSummary();
     
-    // Update sidebar link
-    this.updateSidebarLink(sectionId, newState);
+    dialog.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = this.isSectionCompleted(checkbox.dataset.sectionId);
+    });
     
-    // Update overall progress indicators
-    this.updateProgressIndicators();
+    const chartPath = dialog.querySelector('.progress-circular-path');
+    chartPath.setAttribute('stroke-dasharray', `${percentage}, 100`);
+    
+    const chartText = dialog.querySelector('.progress-circular-text');
+    chartText.textContent = `${percentage}%`;
+    
+    const statValues = dialog.querySelectorAll('.progress-stat-value');
+    statValues[0].textContent = completed;
+    statValues[1].textContent = total - completed;
+    
+    this.updateProfileControls(dialog);
   }
   
   /**
@@ -382,9 +585,7 @@ class ProgressTracker {
     const progressText = document.querySelector('.progress-text');
     
     if (progressBar && progressText) {
-      const completedCount = Object.values(this.progressData).filter(Boolean).length;
-      const totalCount = this.trackableSections.length;
-      const progressPercentage = Math.round((completedCount / totalCount) * 100);
+      const { percentage: progressPercentage } = this.getProgressSummary();
       
       progressBar.style.width = `${progressPercentage}%`;
       progressText.textContent = `${progressPercentage}% Complete`;
@@ -393,9 +594,7 @@ class ProgressTracker {
     // Update floating progress FAB
     const fab = document.getElementById('progress-fab');
     if (fab) {
-      const completedCount = Object.values(this.progressData).filter(Boolean).length;
-      const totalCount = this.trackableSections.length;
-      const progressPercentage = Math.round((completedCount / totalCount) * 100);
+      const { percentage: progressPercentage } = this.getProgressSummary();
       
       const fabPath = fab.querySelector('.progress-fab-path');
       if (fabPath) {
@@ -447,7 +646,7 @@ class ProgressTracker {
     confirmDialog.innerHTML = `
       <div class="confirm-dialog-content">
         <h3>Reset Progress</h3>
-        <p>Are you sure you want to reset all your progress? This cannot be undone.</p>
+        <p>Are you sure you want to reset all progress of this profile? This cannot be undone.</p>
         <div class="confirm-dialog-actions">
           <button id="cancel-reset" class="dialog-btn">Cancel</button>
           <button id="confirm-reset" class="dialog-btn dialog-btn-danger">Reset All Progress</button>
@@ -490,30 +689,8 @@ class ProgressTracker {
    * Reset all progress
    */
   resetProgress() {
-    // Clear progress data
-    this.progressData = {};
-    
-    // Save to localStorage
-    this.saveProgress();
-    
-    // Update UI
-    this.trackableSections.forEach(sectionId => {
-      const section = document.getElementById(sectionId);
-      if (!section) return;
-      
-      const control = section.querySelector('.progress-control');
-      if (control) {
-        control.classList.remove('completed');
-        control.setAttribute('aria-checked', false);
-        control.title = 'Mark as completed';
-      }
-      
-      // Update sidebar link
-      this.updateSidebarLink(sectionId, false);
-    });
-    
-    // Update overall progress indicators
-    this.updateProgressIndicators();
+    // Clear progress everywhere; the page follows the store
+    progressStore.reset();
     
     // Show notification
     this.showNotification('Progress has been reset');
@@ -539,33 +716,11 @@ class ProgressTracker {
       }, 500);
     }, 3000);
   }
-  
-  /**
-   * Load progress data from localStorage
-   */
-  loadProgress() {
-    try {
-      const savedData = localStorage.getItem(this.storageKey);
-      return savedData ? JSON.parse(savedData) : {};
-    } catch (error) {
-      console.error('Error loading progress data:', error);
-      return {};
-    }
-  }
-  
-  /**
-   * Save progress data to localStorage
-   */
-  saveProgress() {
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.progressData));
-    } catch (error) {
-      console.error('Error saving progress data:', error);
-    }
-  }
 }
 
 // Initialize progress tracker when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   window.progressTracker = new ProgressTracker();
 });
+
+export default ProgressTracker;
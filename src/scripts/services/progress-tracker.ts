@@ -1,29 +1,24 @@
 /**
  * Progress Tracker for Grimoire Guide
- * Allows users to mark sections as completed and track overall progress
+ * Allows users to mark sections as completed and track overall progress.
+ * Completion is kept in the shared progress store.
  */
 
+import progressStore, { getSectionProgressId } from '../utils/progress-store.js';
+
 /**
- * Interface for the progress data stored in localStorage
+ * Completion of the trackable sections
  */
-interface ProgressData {
-  [sectionId: string]: boolean;
+interface ProgressSummary {
+  completed: number;
+  total: number;
+  percentage: number;
 }
 
 /**
  * Manages user progress through the guide content
  */
 class ProgressTracker {
-  /**
-   * Key used for localStorage
-   */
-  private storageKey: string;
-  
-  /**
-   * Data structure to track progress of each section
-   */
-  private progressData: ProgressData;
-  
   /**
    * List of section IDs that can be tracked
    */
@@ -33,9 +28,6 @@ class ProgressTracker {
    * Initialize the progress tracker
    */
   constructor() {
-    this.storageKey = 'sdde-progress';
-    this.progressData = this.loadProgress();
-    
     // Map of section IDs that can be tracked
     this.trackableSections = [
       'intro',
@@ -60,6 +52,32 @@ class ProgressTracker {
       this.addProgressControls();
       this.updateProgressIndicators();
     });
+    
+    // Show progress changed here or by the other trackers
+    progressStore.subscribe(() => this.syncWithStore());
+  }
+  
+  /**
+   * Get the progress store id of a trackable section
+   */
+  private getProgressId(sectionId: string): string {
+    return getSectionProgressId(document.getElementById(sectionId) || sectionId);
+  }
+  
+  /**
+   * Check whether a section is completed
+   */
+  isSectionCompleted(sectionId: string): boolean {
+    return progressStore.isCompleted(this.getProgressId(sectionId));
+  }
+  
+  /**
+   * Get the completion of the trackable sections
+   */
+  getProgressSummary(): ProgressSummary {
+    const completed = this.trackableSections.filter(sectionId => this.isSectionCompleted(sectionId)).length;
+    const total = this.trackableSections.length;
+    return { completed, total, percentage: Math.round((completed / total) * 100) };
   }
   
   /**
@@ -88,9 +106,7 @@ class ProgressTracker {
     progressContainer.className = 'progress-container';
     
     // Calculate overall progress
-    const completedCount = Object.values(this.progressData).filter(Boolean).length;
-    const totalCount = this.trackableSections.length;
-    const progressPercentage = Math.round((completedCount / totalCount) * 100);
+    const { percentage: progressPercentage } = this.getProgressSummary();
     
     // Add HTML content
     progressContainer.innerHTML = `
@@ -142,7 +158,7 @@ class ProgressTracker {
       control.dataset.sectionId = sectionId;
       
       // Check if section is completed
-      const isCompleted = this.progressData[sectionId] || false;
+      const isCompleted = this.isSectionCompleted(sectionId);
       
       // Set initial state
       control.classList.toggle('completed', isCompleted);
@@ -193,9 +209,7 @@ class ProgressTracker {
     fab.className = 'progress-fab';
     
     // Calculate progress for the indicator
-    const completedCount = Object.values(this.progressData).filter(Boolean).length;
-    const totalCount = this.trackableSections.length;
-    const progressPercentage = Math.round((completedCount / totalCount) * 100);
+    const { percentage: progressPercentage } = this.getProgressSummary();
     
     // Set content with progress indicator
     fab.innerHTML = `
@@ -240,14 +254,16 @@ class ProgressTracker {
     dialog.className = 'progress-dialog';
     
     // Calculate progress stats
-    const completedCount = Object.values(this.progressData).filter(Boolean).length;
-    const totalCount = this.trackableSections.length;
-    const progressPercentage = Math.round((completedCount / totalCount) * 100);
+    const {
+      completed: completedCount,
+      total: totalCount,
+      percentage: progressPercentage
+    } = this.getProgressSummary();
     
     // Build section completion list
     let sectionsList = '';
     this.trackableSections.forEach(sectionId => {
-      const isCompleted = this.progressData[sectionId] || false;
+      const isCompleted = this.isSectionCompleted(sectionId);
       const section = document.getElementById(sectionId);
       
       if (section) {
@@ -307,6 +323,21 @@ class ProgressTracker {
           </div>
         </div>
         
+        <h4>Profile</h4>
+        <div class="progress-dialog-profiles">
+          <select id="dialog-profile-select" class="progress-dialog-profile-select" aria-label="Progress profile"></select>
+          <textarea id="dialog-profile-notes" class="progress-dialog-profile-notes" rows="2" placeholder="Notes, e.g. which Deck this is" aria-label="Profile notes"></textarea>
+          <div class="progress-dialog-profile-new">
+            <input type="text" id="dialog-profile-name" placeholder="New profile name" aria-label="New profile name">
+            <button id="dialog-profile-create" class="dialog-btn dialog-btn-secondary">Add Profile</button>
+          </div>
+          <div class="progress-dialog-profile-actions">
+            <button id="dialog-profile-export" class="dialog-btn dialog-btn-secondary">Export Profile</button>
+            <button id="dialog-profile-import" class="dialog-btn dialog-btn-secondary">Import Profile</button>
+            <button id="dialog-profile-delete" class="dialog-btn dialog-btn-danger">Delete Profile</button>
+          </div>
+        </div>
+        
         <h4>Section Completion</h4>
         <div class="progress-dialog-sections">
           ${sectionsList}
@@ -314,6 +345,7 @@ class ProgressTracker {
         
         <div class="progress-dialog-actions">
           <button id="dialog-reset-progress" class="dialog-btn dialog-btn-danger">Reset Progress</button>
+          <button id="dialog-statistics" class="dialog-btn dialog-btn-secondary">Statistics</button>
           <button id="dialog-close" class="dialog-btn dialog-btn-primary">Close</button>
         </div>
       </div>
@@ -338,41 +370,27 @@ class ProgressTracker {
       });
     }
     
-    // Add event listeners to checkboxes
-    const dialogContent = dialog.querySelector('.progress-dialog-content');
-    if (dialogContent) {
-      const checkboxes = dialog.querySelectorAll('input[type="checkbox"]');
-      checkboxes.forEach((checkbox: Element) => {
-        const checkboxElement = checkbox as HTMLInputElement;
-        checkboxElement.addEventListener('change', () => {
-          const sectionId = checkboxElement.dataset.sectionId;
-          if (sectionId) {
-            this.toggleSectionProgress(sectionId, null, checkboxElement.checked);
-            
-            // Update UI inside the dialog
-            const completedCount = Object.values(this.progressData).filter(Boolean).length;
-            const progressPercentage = Math.round((completedCount / totalCount) * 100);
-            
-            const chartPath = dialog.querySelector('.progress-circular-path');
-            if (chartPath) {
-              chartPath.setAttribute('stroke-dasharray', `${progressPercentage}, 100`);
-            }
-            
-            const chartText = dialog.querySelector('.progress-circular-text');
-            if (chartText) {
-              chartText.textContent = `${progressPercentage}%`;
-            }
-            
-            const statValues = dialog.querySelectorAll('.progress-stat-value');
-            if (statValues.length >= 2) {
-              statValues[0].textContent = completedCount.toString();
-              statValues[1].textContent = (totalCount - completedCount).toString();
-            }
-          }
-        });
+    // The statistics dashboard is opened by the app
+    const statisticsButton = document.getElementById('dialog-statistics');
+    if (statisticsButton) {
+      statisticsButton.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('show-progress-dashboard'));
+        dialog.remove();
       });
     }
     
+    this.setupProfileControls(dialog);
+    
+    // Add event listeners to checkboxes; the dialog is updated with the
+    // rest of the page when the store changes
+    dialog.querySelectorAll<HTMLInputElement>('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        if (checkbox.dataset.sectionId) {
+          this.toggleSectionProgress(checkbox.dataset.sectionId, null, checkbox.checked);
+        }
+      });
+    });
+    
     // Close on escape key
     const keydownHandler = (e: KeyboardEvent) => {
       if (e.key === 'Escape') {
@@ -400,34 +418,232 @@ class ProgressTracker {
     }, 10);
   }
   
+  /**
+   * Show the profiles in the progress dialog's switcher
+   */
+  private updateProfileControls(dialog: HTMLElement): void {
+    const select = dialog.querySelector<HTMLSelectElement>('#dialog-profile-select');
+    const notes = dialog.querySelector<HTMLTextAreaElement>('#dialog-profile-notes');
+    const deleteButton = dialog.querySelector<HTMLButtonElement>('#dialog-profile-delete');
+    const profiles = progressStore.getProfiles();
+    
+    // Names are entered by the user, so they are set as text
+    if (select) {
+      select.replaceChildren(...profiles.map(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.active;
+        return option;
+      }));
+    }
+    
+    if (notes && document.activeElement !== notes) {
+      notes.value = progressStore.getProfile()?.notes || '';
+    }
+    if (deleteButton) {
+      deleteButton.disabled = profiles.length < 2;
+    }
+  }
+  
+  /**
+   * Set up the profile switcher, notes and profile buttons of the progress
+   * dialog
+   */
+  private setupProfileControls(dialog: HTMLElement): void {
+    const select = dialog.querySelector<HTMLSelectElement>('#dialog-profile-select');
+    const notes = dialog.querySelector<HTMLTextAreaElement>('#dialog-profile-notes');
+    const nameInput = dialog.querySelector<HTMLInputElement>('#dialog-profile-name');
+    
+    // Switching is announced as a progress change, which updates the dialog
+    if (select) {
+      select.addEventListener('change', () => {
+        progressStore.switchProfile(select.value);
+        this.showNotification(`Switched to ${progressStore.getProfile()?.name}`);
+      });
+    }
+    
+    if (notes) {
+      notes.addEventListener('change', () => {
+        const profile = progressStore.getProfile();
+        if (profile) {
+          progressStore.updateProfile(profile.id, { notes: notes.value });
+        }
+      });
+    }
+    
+    const createButton = dialog.querySelector('#dialog-profile-create');
+    if (createButton && nameInput) {
+      createButton.addEventListener('click', () => {
+        const profileId = progressStore.createProfile(nameInput.value);
+        if (!profileId) {
+          nameInput.focus();
+          return;
+        }
+        
+        nameInput.value = '';
+        progressStore.switchProfile(profileId);
+        this.showNotification(`Created profile ${progressStore.getProfile()?.name}`);
+      });
+    }
+    
+    const exportButton = dialog.querySelector('#dialog-profile-export');
+    if (exportButton) {
+      exportButton.addEventListener('click', () => this.exportProfileFile());
+    }
+    
+    const importButton = dialog.querySelector('#dialog-profile-import');
+    if (importButton) {
+      importButton.addEventListener('click', () => this.importProfileFile(dialog));
+    }
+    
+    const deleteButton = dialog.querySelector('#dialog-profile-delete');
+    if (deleteButton) {
+      deleteButton.addEventListener('click', () => {
+        const profile = progressStore.getProfile();
+        if (profile && confirm(`Delete the profile "${profile.name}" and its progress?`) &&
+            progressStore.deleteProfile(profile.id)) {
+          this.updateProfileControls(dialog);
+          this.showNotification(`Deleted profile ${profile.name}`);
+        }
+      });
+    }
+    
+    this.updateProfileControls(dialog);
+  }
+  
+  /**
+   * Download the active profile as a JSON file
+   */
+  private exportProfileFile(): void {
+    const profile = progressStore.getProfile();
+    if (!profile) return;
+    
+    const blob = new Blob([JSON.stringify(progressStore.exportProfile(profile.id), null, 2)], {
+      type: 'application/json'
+    });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `grimoire-progress-${profile.id}.json`;
+    a.style.display = 'none';
+    
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+    
+    this.showNotification(`Exported profile ${profile.name}`);
+  }
+  
+  /**
+   * Import a profile from a JSON file as a new profile and switch to it
+   */
+  private importProfileFile(dialog: HTMLElement): void {
+    // Kept inside the dialog so choosing a file does not close it
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json';
+    fileInput.style.display = 'none';
+    
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files ? fileInput.files[0] : null;
+      fileInput.remove();
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const profileId = progressStore.importProfile(JSON.parse(String(reader.result)));
+          if (!profileId) {
+            throw new Error('Not a progress profile');
+          }
+          
+          progressStore.switchProfile(profileId);
+          this.showNotification(`Imported profile ${progressStore.getProfile()?.name}`);
+        } catch (error) {
+          this.showNotification('Error importing profile: not a progress profile file');
+          console.error('Error importing profile:', error);
+        }
+      };
+      reader.readAsText(file);
+    });
+    
+    const content = dialog.querySelector('.progress-dialog-content') || dialog;
+    content.appendChild(fileInput);
+    fileInput.click();
+  }
+  
   /**
    * Toggle progress state for a section
    */
   private toggleSectionProgress(sectionId: string, controlElement: HTMLElement | null, forcedState: boolean | null = null): void {
-    // Get current state
-    const currentState = this.progressData[sectionId] || false;
-    
     // Determine new state
-    const newState = (forcedState !== null) ? forcedState : !currentState;
+    const newState = (forcedState !== null) ? forcedState : !this.isSectionCompleted(sectionId);
+    
+    // Controls, links and indicators follow the store
+    progressStore.setCompleted(this.getProgressId(sectionId), newState);
+  }
+  
+  /**
+   * Show the stored progress on the section controls, sidebar links,
+   * indicators and an open progress dialog
+   */
+  private syncWithStore(): void {
+    this.trackableSections.forEach(sectionId => {
+      const isCompleted = this.isSectionCompleted(sectionId);
+      
+      const section = document.getElementById(sectionId);
+      const control = section ? section.querySelector('.progress-control') : null;
+      if (control instanceof HTMLElement) {
+        control.classList.toggle('completed', isCompleted);
+        control.setAttribute('aria-checked', isCompleted.toString());
+        control.title = isCompleted ? 'Mark as incomplete' : 'Mark as completed';
+      }
+      
+      this.updateSidebarLink(sectionId, isCompleted);
+    });
     
-    // Update progress data
-    this.progressData[sectionId] = newState;
+    this.updateProgressIndicators();
     
-    // Save to localStorage
-    this.saveProgress();
+    const dialog = document.querySelector<HTMLElement>('.progress-dialog');
+    if (dialog) {
+      this.updateProgressDialog(dialog);
+    }
+  }
+  
+  /**
+   * Update the checkboxes and statistics of the progress dialog
+   */
+  private updateProgressDialog(dialog: HTMLElement): void {
+    const { completed, total, percentage } = this.getProgressSummary();
+    
+    dialog.querySelectorAll<HTMLInputElement>('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = this.isSectionCompleted(checkbox.dataset.sectionId || '');
+    });
     
-    // Update UI if control element is provided
-    if (controlElement) {
-      controlElement.classList.toggle('completed', newState);
-      controlElement.setAttribute('aria-checked', newState.toString());
-      controlElement.title = newState ? 'Mark as incomplete' : 'Mark as completed';
+    const chartPath = dialog.querySelector('.progress-circular-path');
+    if (chartPath) {
+      chartPath.setAttribute('stroke-dasharray', `${percentage}, 100`);
     }
     
-    // Update sidebar link
-    this.updateSidebarLink(sectionId, newState);
+    const chartText = dialog.querySelector('.progress-circular-text');
+    if (chartText) {
+      chartText.textContent = `${percentage}%`;
+    }
     
-    // Update overall progress indicators
-    this.updateProgressIndicators();
+    const statValues = dialog.querySelectorAll('.progress-stat-value');
+    if (statValues.length >= 2) {
+      statValues[0].textContent = completed.toString();
+      statValues[1].textContent = (total - completed).toString();
+    }
+    
+    this.updateProfileControls(dialog);
   }
   
   /**
@@ -439,9 +655,7 @@ class ProgressTracker {
     const progressText = document.querySelector('.progress-text');
     
     if (progressBar instanceof HTMLElement && progressText) {
-      const completedCount = Object.values(this.progressData).filter(Boolean).length;
-      const totalCount = this.trackableSections.length;
-      const progressPercentage = Math.round((completedCount / totalCount) * 100);
+      const { percentage: progressPercentage } = this.getProgressSummary();
       
       progressBar.style.width = `${progressPercentage}%`;
       progressText.textContent = `${progressPercentage}% Complete`;
@@ -450,9 +664,7 @@ class ProgressTracker {
     // Update floating progress FAB
     const fab = document.getElementById('progress-fab');
     if (fab) {
-      const completedCount = Object.values(this.progressData).filter(Boolean).length;
-      const totalCount = this.trackableSections.length;
-      const progressPercentage = Math.round((completedCount / totalCount) * 100);
+      const { percentage: progressPercentage } = this.getProgressSummary();
       
       const fabPath = fab.querySelector('.progress-fab-path');
       if (fabPath) {
@@ -504,7 +716,7 @@ class ProgressTracker {
     confirmDialog.innerHTML = `
       <div class="confirm-dialog-content">
         <h3>Reset Progress</h3>
-        <p>Are you sure you want to reset all your progress? This cannot be undone.</p>
+        <p>Are you sure you want to reset all progress of this profile? This cannot be undone.</p>
         <div class="confirm-dialog-actions">
           <button id="cancel-reset" class="dialog-btn">Cancel</button>
           <button id="confirm-reset" class="dialog-btn dialog-btn-danger">Reset All Progress</button>
@@ -560,30 +772,8 @@ class ProgressTracker {
    * Reset all progress
    */
   private resetProgress(): void {
-    // Clear progress data
-    this.progressData = {};
-    
-    // Save to localStorage
-    this.saveProgress();
-    
-    // Update UI
-    this.trackableSections.forEach(sectionId => {
-      const section = document.getElementById(sectionId);
-      if (!section) return;
-      
-      const control = section.querySelector('.progress-control');
-      if (control instanceof HTMLElement) {
-        control.classList.remove('completed');
-        control.setAttribute('aria-checked', 'false');
-        control.title = 'Mark as completed';
-      }
-      
-      // Update sidebar link
-      this.updateSidebarLink(sectionId, false);
-    });
-    
-    // Update overall progress indicators
-    this.updateProgressIndicators();
+    // Clear progress everywhere; the page follows the store
+    progressStore.reset();
     
     // Show notification
     this.showNotification('Progress has been reset');
@@ -610,29 +800,6 @@ class ProgressTracker {
     }, 3000);
   }
   
-  /**
-   * Load progress data from localStorage
-   */
-  private loadProgress(): ProgressData {
-    try {
-      const savedData = localStorage.getItem(this.storageKey);
-      return savedData ? JSON.parse(savedData) : {};
-    } catch (error) {
-      console.error('Error loading progress data:', error);
-      return {};
-    }
-  }
-  
-  /**
-   * Save progress data to localStorage
-   */
-  private saveProgress(): void {
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.progressData));
-    } catch (error) {
-      console.error('Error saving progress data:', error);
-    }
-  }
 }
 
 // Initialize progress tracker when DOM is ready
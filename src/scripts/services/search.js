@@ -1,8 +1,13 @@
 /**
  * Search functionality for Grimoire Guide
  * Provides real-time content searching with highlighted results
+ *
+ * Matching and ranking are done by the shared search engine, so the results
+ * highlighted here are the ones the search modal lists.
  */
 
+import { indexPage, searchPage, highlightElement, clearHighlights } from '../utils/search-engine.js';
+
 class SearchEngine {
     constructor(options = {}) {
         // Default configuration
@@ -23,12 +28,6 @@ class SearchEngine {
         this.currentSearchTerm = '';
         this.searchResults = [];
         this.currentResultIndex = -1;
-        this.contentNodes = [];
-        this.searchableElements = [
-            'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 
-            'li', 'td', 'th', 'dt', 'dd', 'code',
-            'summary', 'figcaption', 'button', 'a'
-        ];
         
         // Initialize search functionality
         this.init();
@@ -228,11 +227,6 @@ class SearchEngine {
             return;
         }
         
-        // Index all searchable content if we haven't already
-        if (this.contentNodes.length === 0) {
-            this.indexContent();
-        }
-        
         // Search through content
         this.searchContent(searchTerm);
         
@@ -249,57 +243,30 @@ class SearchEngine {
      * Index all searchable content in the guide
      */
     indexContent() {
-        this.contentNodes = [];
-        
-        // Find all searchable elements in the content area
-        this.searchableElements.forEach(tag => {
-            const elements = this.contentContainer.querySelectorAll(tag);
-            elements.forEach(element => {
-                // Skip elements in code blocks that are already highlighted
-                if (element.closest(`.${this.config.highlightClass}`)) {
-                    return;
-                }
-                
-                // Store reference to text-containing elements
-                if (element.textContent.trim()) {
-                    this.contentNodes.push(element);
-                }
-            });
-        });
+        indexPage();
     }
     
     /**
-     * Search through indexed content for the search term
+     * Highlight the matches of the search term in the content
      * @param {string} searchTerm - The term to search for
      */
     searchContent(searchTerm) {
-        // Create case-insensitive regular expression for searching
-        const searchRegex = new RegExp(`(${this.escapeRegExp(searchTerm)})`, 'gi');
+        const results = searchPage(searchTerm);
         
-        // Search through all indexed content nodes
-        this.contentNodes.forEach(element => {
-            const elementContent = element.textContent;
-            
-            // Skip if no match
-            if (!searchRegex.test(elementContent)) {
+        results.forEach(({ document: result, terms }) => {
+            if (!result.element || !this.contentContainer.contains(result.element)) {
                 return;
             }
             
-            // Replace text with highlighted version
-            const originalHTML = element.innerHTML;
-            const newHTML = originalHTML.replace(searchRegex, `<span class="${this.config.highlightClass}">$1</span>`);
-            
-            // Only update if changes were made
-            if (newHTML !== originalHTML) {
-                element.innerHTML = newHTML;
-                
-                // Collect all highlights in this element
-                const highlights = element.querySelectorAll(`.${this.config.highlightClass}`);
-                highlights.forEach(highlight => {
-                    this.searchResults.push(highlight);
-                });
-            }
+            this.searchResults.push(...highlightElement(result.element, terms, {
+                className: this.config.highlightClass,
+                exclude: result.exclude
+            }));
         });
+        
+        // Step through the highlights in reading order
+        this.searchResults.sort((a, b) =>
+            (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
     }
     
     /**
@@ -383,18 +350,7 @@ class SearchEngine {
      * Clear all search highlights
      */
     clearHighlights() {
-        this.searchResults.forEach(highlight => {
-            // Remove highlight by replacing with its text content
-            const parent = highlight.parentNode;
-            if (parent) {
-                const text = document.createTextNode(highlight.textContent);
-                parent.replaceChild(text, highlight);
-            }
-        });
-        
-        // After directly manipulating the DOM, we need to re-index content
-        // for future searches
-        this.contentNodes = [];
+        clearHighlights(this.searchResults);
     }
     
     /**
@@ -422,15 +378,6 @@ class SearchEngine {
         // Reset current search term
         this.currentSearchTerm = '';
     }
-    
-    /**
-     * Escape special characters in search term for use in regex
-     * @param {string} string - The string to escape
-     * @returns {string} The escaped string
-     */
-    escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
 }
 
 // Initialize search when the DOM is ready
@@ -443,3 +390,5 @@ document.addEventListener('DOMContentLoaded', () => {
         window.searchEngine.indexContent();
     }
 });
+
+export default SearchEngine;
@@ -25,6 +25,7 @@ const STATIC_ASSETS = [
   '/main.js',
   '/preload.js',
   '/offline.html', // Fallback page for when offline
+  '/src/scripts/offline-page.js',
   '/src/ui-main.js',
   '/src/utils.js',
   '/src/i18n.js',
@@ -78,6 +79,11 @@ const DOCUMENT_ASSETS = [
   '/README.md'
 ];
 
+// Guide content to cache, so search works offline
+const CONTENT_ASSETS = [
+  '/src/content/search-index.json'
+];
+
 // Icon assets
 const ICON_ASSETS = [
   '/icons/icon-72x72.png',
@@ -136,6 +142,13 @@ self.addEventListener('install', event => {
         .then(cache => {
           console.log('[Service Worker] Precaching Document Files');
           return cache.addAll(DOCUMENT_ASSETS);
+        }),
+
+      // Cache the search index so guide content can be searched offline
+      caches.open(CACHE_NAMES.content)
+        .then(cache => {
+          console.log('[Service Worker] Precaching Search Index');
+          return cache.addAll(CONTENT_ASSETS);
         })
     ])
     .then(() => {
@@ -121,6 +121,11 @@ const DOCUMENT_ASSETS: string[] = [
   '/README.md'
 ];
 
+// Guide content to cache, so search works offline
+const CONTENT_ASSETS: string[] = [
+  '/src/content/search-index.json'
+];
+
 // Icon assets
 const ICON_ASSETS: string[] = [
   '/icons/icon-72x72.png',
@@ -180,6 +185,13 @@ self.addEventListener('install', (event: ExtendableEvent) => {
         .then(cache => {
           console.log('[Service Worker] Precaching Document Files');
           return cache.addAll(DOCUMENT_ASSETS);
+        }),
+
+      // Cache the search index so guide content can be searched offline
+      caches.open(CACHE_NAMES.content)
+        .then(cache => {
+          console.log('[Service Worker] Precaching Search Index');
+          return cache.addAll(CONTENT_ASSETS);
         })
     ])
     .then(() => {
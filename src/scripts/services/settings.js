@@ -5,6 +5,7 @@
 
 import i18n from '../i18n.js';
 import accessibilityManager from './accessibility.js';
+import themeService from '../utils/theme-service.js';
 
 class SettingsManager {
   constructor() {
@@ -281,14 +282,12 @@ class SettingsManager {
       { id: 'system', label: i18n.t('settings.theme.system') }
     ];
     
-    const currentTheme = localStorage.getItem('theme') || 'system';
-    
     const radioGroup = document.createElement('div');
     radioGroup.className = 'radio-group';
     radioGroup.setAttribute('role', 'radiogroup');
     radioGroup.setAttribute('aria-labelledby', 'theme-label');
     
-    themes.forEach(theme => {
+    const inputs = themes.map(theme => {
       const radio = document.createElement('label');
       radio.className = 'radio-label';
       
@@ -296,17 +295,13 @@ class SettingsManager {
       input.type = 'radio';
       input.name = 'theme';
       input.value = theme.id;
-      input.checked = currentTheme === theme.id;
       
       input.addEventListener('change', () => {
         if (input.checked) {
           if (theme.id === 'system') {
-            localStorage.removeItem('theme');
-            const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-            document.documentElement.setAttribute('data-theme', isDark ? 'dark' : 'light');
+            themeService.useSystemTheme();
           } else {
-            localStorage.setItem('theme', theme.id);
-            document.documentElement.setAttribute('data-theme', theme.id);
+            themeService.setTheme(theme.id);
           }
         }
       });
@@ -317,8 +312,20 @@ class SettingsManager {
       radio.appendChild(input);
       radio.appendChild(span);
       radioGroup.appendChild(radio);
+      return input;
     });
     
+    // Show the current choice, also when the theme is changed elsewhere
+    const updateChecked = () => {
+      const { source, theme } = themeService.getPreference();
+      const current = source === 'manual' ? theme : 'system';
+      inputs.forEach(input => {
+        input.checked = input.value === current;
+      });
+    };
+    updateChecked();
+    themeService.subscribe(updateChecked);
+    
     themeGroup.appendChild(radioGroup);
     section.appendChild(themeGroup);
     
@@ -5,6 +5,8 @@
 
 import i18n from '../i18n.js';
 import accessibilityManager from '../utils/accessibility';
+import themeRegistry from '../utils/theme-registry.js';
+import themeService from '../utils/theme-service.js';
 
 /**
  * Interface for section configuration
@@ -355,16 +357,12 @@ class SettingsManager {
       { id: 'light', label: i18n.t('settings.theme.light') },
       { id: 'dark', label: i18n.t('settings.theme.dark') },
       { id: 'steam-deck', label: i18n.t('settings.theme.steam-deck') }
-    ];
-    
-    // Get current theme from localStorage or default to system
-    const currentTheme = localStorage.getItem('theme') || 'system';
+    ].filter(theme => theme.id === 'system' || themeRegistry.has(theme.id));
     
     themes.forEach(theme => {
       const themeButton = document.createElement('button');
-      themeButton.className = `theme-option ${theme.id === currentTheme ? 'active' : ''}`;
+      themeButton.className = 'theme-option';
       themeButton.setAttribute('data-theme', theme.id);
-      themeButton.setAttribute('aria-pressed', theme.id === currentTheme ? 'true' : 'false');
       
       const themeIcon = document.createElement('span');
       themeIcon.className = 'theme-icon';
@@ -393,42 +391,29 @@ class SettingsManager {
       
       // Add event listener to change theme
       themeButton.addEventListener('click', () => {
-        // Update active state
-        themeOptions.querySelectorAll('.theme-option').forEach(btn => {
-          btn.classList.remove('active');
-          btn.setAttribute('aria-pressed', 'false');
-        });
-        
-        themeButton.classList.add('active');
-        themeButton.setAttribute('aria-pressed', 'true');
-        
-        // Save preference
-        localStorage.setItem('theme', theme.id);
-        
-        // Apply theme
-        document.documentElement.setAttribute('data-theme', theme.id);
-        
-        // If system theme, check preferences
         if (theme.id === 'system') {
-          const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-          document.documentElement.classList.toggle('dark-theme', prefersDark);
+          themeService.useSystemTheme();
         } else {
-          // Apply theme class directly
-          document.documentElement.classList.remove('dark-theme', 'light-theme', 'steam-deck-theme');
-          
-          if (theme.id === 'dark') {
-            document.documentElement.classList.add('dark-theme');
-          } else if (theme.id === 'light') {
-            document.documentElement.classList.add('light-theme');
-          } else if (theme.id === 'steam-deck') {
-            document.documentElement.classList.add('steam-deck-theme');
-          }
+          themeService.setTheme(theme.id);
         }
       });
       
       themeOptions.appendChild(themeButton);
     });
     
+    // Show the current choice, also when the theme is changed elsewhere
+    const updateActive = (): void => {
+      const { source, theme } = themeService.getPreference();
+      const current = source === 'manual' ? theme : 'system';
+      themeOptions.querySelectorAll<HTMLElement>('.theme-option').forEach(button => {
+        const isActive = button.getAttribute('data-theme') === current;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      });
+    };
+    updateActive();
+    themeService.subscribe(updateActive);
+    
     themeGroup.appendChild(themeLabel);
     themeGroup.appendChild(themeDesc);
     themeGroup.appendChild(themeOptions);
@@ -7,6 +7,7 @@
 
 import store from './store';
 import selectors from './selectors';
+import themeService from '../utils/theme-service.js';
 import type { 
   UserPreferences, 
   ProgressState, 
@@ -19,18 +20,12 @@ import type {
 const setTheme = (theme: UserPreferences['theme']): void => {
   store.setState('preferences', { theme });
   
-  // Apply theme to document
+  // The theme service applies the theme and announces the change
   if (theme === 'system') {
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+    themeService.useSystemTheme();
   } else {
-    document.documentElement.setAttribute('data-theme', theme);
+    themeService.setTheme(theme);
   }
-  
-  // Dispatch theme change event
-  document.dispatchEvent(new CustomEvent('theme-changed', {
-    detail: { theme }
-  }));
 };
 
 const setFontSize = (fontSize: UserPreferences['fontSize']): void => {
@@ -0,0 +1,215 @@
+/**
+ * Declarative Actions
+ * Delegated click handling for `data-action` attributes
+ *
+ * Loaded content cannot carry inline event handlers (they are stripped by the
+ * sanitizer and blocked by the Content Security Policy). Elements name an
+ * action instead, e.g. `<button class="copy-button" data-action="copy">`,
+ * and a single listener on the document runs the registered handler.
+ */
+
+import { confirmRiskyCopy } from './command-risk.js';
+import { readTemplate } from './command-templates.js';
+
+/**
+ * Registered action handlers by name
+ * @type {Map<string, Function>}
+ */
+const actions = new Map();
+
+/**
+ * Roots that already have the delegated listener
+ * @type {WeakSet<EventTarget>}
+ */
+const initializedRoots = new WeakSet();
+
+/**
+ * Register an action handler
+ * @param {string} name - Action name used in `data-action`
+ * @param {Function} handler - Called with the element and the click event
+ */
+export function registerAction(name, handler) {
+  actions.set(name, handler);
+}
+
+/**
+ * Remove an action handler
+ * @param {string} name - Action name
+ * @returns {boolean} Whether a handler was removed
+ */
+export function unregisterAction(name) {
+  return actions.delete(name);
+}
+
+/**
+ * Run the action named by an element's `data-action` attribute
+ * @param {HTMLElement} element - Element with a `data-action` attribute
+ * @param {Event} [event] - Triggering event
+ * @returns {boolean} Whether a handler was found
+ */
+export function runAction(element, event) {
+  const name = element.getAttribute('data-action');
+  const handler = actions.get(name);
+
+  if (!handler) {
+    console.warn(`Unknown action "${name}"`);
+    return false;
+  }
+
+  try {
+    handler(element, event);
+  } catch (error) {
+    console.error(`Action "${name}" failed:`, error);
+  }
+
+  return true;
+}
+
+/**
+ * Handle clicks on `data-action` elements
+ * @private
+ * @param {MouseEvent} event - Click event
+ */
+function handleClick(event) {
+  const target = event.target;
+  const element = target && target.closest ? target.closest('[data-action]') : null;
+  if (!element || element.disabled) return;
+
+  if (runAction(element, event)) {
+    event.preventDefault();
+  }
+}
+
+/**
+ * Start handling `data-action` clicks within a root
+ * @param {Document|HTMLElement} [root=document] - Element to listen on
+ * @returns {Function} Function that stops handling clicks
+ */
+export function initActions(root = document) {
+  if (!initializedRoots.has(root)) {
+    root.addEventListener('click', handleClick);
+    initializedRoots.add(root);
+  }
+
+  return () => {
+    root.removeEventListener('click', handleClick);
+    initializedRoots.delete(root);
+  };
+}
+
+/**
+ * Show temporary feedback on a button
+ * @private
+ * @param {HTMLElement} button - Button to update
+ * @param {string} text - Feedback text
+ * @param {string} [className] - Class added while the feedback is shown
+ */
+function showFeedback(button, text, className) {
+  const originalText = button.dataset.originalText || button.textContent;
+  button.dataset.originalText = originalText;
+  button.textContent = text;
+  if (className) button.classList.add(className);
+
+  clearTimeout(button._feedbackTimeout);
+  button._feedbackTimeout = setTimeout(() => {
+    button.textContent = originalText;
+    if (className) button.classList.remove(className);
+    delete button.dataset.originalText;
+  }, 2000);
+}
+
+/**
+ * Copy text with the `execCommand` fallback for when the Clipboard API is
+ * unavailable
+ * @private
+ * @param {string} text - Text to copy
+ * @returns {boolean} Whether the text was copied
+ */
+function copyWithTextArea(text) {
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  textArea.style.position = 'fixed';
+  document.body.appendChild(textArea);
+  textArea.select();
+
+  try {
+    return document.execCommand('copy');
+  } catch (error) {
+    return false;
+  } finally {
+    document.body.removeChild(textArea);
+  }
+}
+
+/**
+ * Get the code element a copy button copies from
+ * @private
+ * @param {HTMLElement} button - Copy button
+ * @returns {HTMLElement|null} The code element
+ */
+function getCopyTarget(button) {
+  const block = button.closest('.code-block');
+  return block ? block.querySelector('code') || block.querySelector('pre') : button.nextElementSibling;
+}
+
+/**
+ * Get the text a copy button copies: the code in its `.code-block` with any
+ * template placeholders filled in
+ * @param {HTMLElement} button - Copy button
+ * @returns {string} Text to copy
+ */
+export function getCopyText(button) {
+  const code = getCopyTarget(button);
+  return code ? readTemplate(code).text.trim() : '';
+}
+
+/**
+ * Copy the text for a copy button to the clipboard. Template placeholders
+ * must be filled in first, and commands flagged as risky are only copied
+ * after the user confirms.
+ * @param {HTMLElement} button - Copy button
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+export async function copyFromButton(button) {
+  const code = getCopyTarget(button);
+  const invalid = code ? readTemplate(code).invalid : [];
+  if (invalid.length) {
+    invalid[0].focus();
+    showFeedback(button, 'Fill in the highlighted values');
+    return false;
+  }
+
+  // Check the text that is copied for risks
+  const text = getCopyText(button);
+  const block = button.closest('.code-block') || code;
+  if (block && !(await confirmRiskyCopy(block, button, text))) {
+    return false;
+  }
+
+  let copied;
+
+  try {
+    await navigator.clipboard.writeText(text);
+    copied = true;
+  } catch (error) {
+    copied = copyWithTextArea(text);
+    if (!copied) {
+      console.error('Could not copy text:', error);
+    }
+  }
+
+  showFeedback(button, copied ? 'Copied!' : 'Failed!', copied ? 'copied' : null);
+  return copied;
+}
+
+registerAction('copy', copyFromButton);
+registerAction('reload', () => window.location.reload());
+
+export default {
+  registerAction,
+  unregisterAction,
+  runAction,
+  initActions,
+  getCopyText,
+  copyFromButton
+};
@@ -10,10 +10,17 @@ export class LRUCache {
   /**
    * Create a new LRU Cache
    * @param {number} capacity - Maximum number of items to store
+   * @param {Object} [options] - Size limit options
+   * @param {number} [options.maxSize=Infinity] - Maximum combined size of all items
+   * @param {Function} [options.sizeOf] - Returns the size of a value (defaults to 1 per item)
    */
-  constructor(capacity = 100) {
+  constructor(capacity = 100, options = {}) {
     this.capacity = capacity;
+    this.maxSize = options.maxSize || Infinity;
+    this.sizeOf = options.sizeOf || (() => 1);
+    this.totalSize = 0;
     this.cache = new Map();
+    this.sizes = new Map();
     this.expirations = new Map(); // For time-based expiration
   }
   
@@ -48,14 +55,28 @@ export class LRUCache {
    * @param {number} [ttl] - Time to live in milliseconds
    */
   set(key, value, ttl = null) {
-    // If the cache is at capacity and this is a new key, delete the least recently used item
-    if (this.cache.size >= this.capacity && !this.cache.has(key)) {
+    const size = this.sizeOf(value);
+    
+    // Values larger than the whole cache are not stored
+    if (size > this.maxSize) {
+      this.delete(key);
+      return this;
+    }
+    
+    // Re-inserting moves the key to the most recently used position
+    this.delete(key);
+    
+    // Evict least recently used items until the new item fits
+    while (this.cache.size > 0 &&
+           (this.cache.size >= this.capacity || this.totalSize + size > this.maxSize)) {
       const lruKey = this.cache.keys().next().value;
       this.delete(lruKey);
     }
     
     // Add to cache
     this.cache.set(key, value);
+    this.sizes.set(key, size);
+    this.totalSize += size;
     
     // Set expiration if ttl is provided
     if (ttl) {
@@ -74,6 +95,10 @@ export class LRUCache {
    */
   delete(key) {
     this.expirations.delete(key);
+    if (this.sizes.has(key)) {
+      this.totalSize -= this.sizes.get(key);
+      this.sizes.delete(key);
+    }
     return this.cache.delete(key);
   }
   
@@ -101,7 +126,9 @@ export class LRUCache {
    */
   clear() {
     this.cache.clear();
+    this.sizes.clear();
     this.expirations.clear();
+    this.totalSize = 0;
   }
   
   /**
@@ -0,0 +1,219 @@
+/**
+ * Color Contrast
+ * Grimoire
+ *
+ * WCAG 2 contrast ratios of theme colors, for the theme editor. A ratio is
+ * between 1 (no contrast) and 21 (black on white); AA asks for 4.5 for body
+ * text and 3 for large text and interface parts such as focus rings.
+ *
+ * https://www.w3.org/TR/WCAG21/#contrast-minimum
+ */
+
+/**
+ * Minimum AA ratio for body text
+ * @type {number}
+ */
+export const WCAG_AA_TEXT = 4.5;
+
+/**
+ * Minimum AA ratio for large text and interface parts
+ * @type {number}
+ */
+export const WCAG_AA_LARGE = 3;
+
+/**
+ * @typedef {Object} ContrastPair
+ * @property {string} label - What the pair is used for
+ * @property {string} foreground - Color token drawn on top
+ * @property {string} background - Color token behind it
+ * @property {number} minimum - Ratio AA asks for
+ * @property {boolean} bodyText - Whether the pair is body text; a theme
+ *   that fails one of these cannot be saved
+ */
+
+/**
+ * Color token pairs of a theme that are checked
+ * @type {ContrastPair[]}
+ */
+export const CONTRAST_PAIRS = [
+  { label: 'Body text', foreground: 'text', background: 'background', minimum: WCAG_AA_TEXT, bodyText: true },
+  { label: 'Text on surfaces', foreground: 'text', background: 'surface', minimum: WCAG_AA_TEXT, bodyText: true },
+  { label: 'Secondary text', foreground: 'textMuted', background: 'background', minimum: WCAG_AA_TEXT, bodyText: false },
+  { label: 'Links', foreground: 'link', background: 'background', minimum: WCAG_AA_TEXT, bodyText: false },
+  { label: 'Text on primary buttons', foreground: 'textOnPrimary', background: 'primary', minimum: WCAG_AA_TEXT, bodyText: false },
+  { label: 'Primary accent', foreground: 'primary', background: 'background', minimum: WCAG_AA_LARGE, bodyText: false },
+  { label: 'Accent', foreground: 'accent', background: 'background', minimum: WCAG_AA_LARGE, bodyText: false },
+  { label: 'Focus ring', foreground: 'focus', background: 'background', minimum: WCAG_AA_LARGE, bodyText: false }
+];
+
+/**
+ * @typedef {Object} RgbaColor
+ * @property {number} r - Red, 0-255
+ * @property {number} g - Green, 0-255
+ * @property {number} b - Blue, 0-255
+ * @property {number} a - Alpha, 0-1
+ */
+
+/**
+ * Read a component of rgb() or an alpha value
+ * @private
+ * @param {string} value - Number or percentage
+ * @param {number} scale - Value of 100%
+ * @returns {number} The component
+ */
+function readComponent(value, scale) {
+  return value.endsWith('%') ? (parseFloat(value) / 100) * scale : parseFloat(value);
+}
+
+/**
+ * Convert HSL to RGB
+ * @private
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation, 0-1
+ * @param {number} lightness - Lightness, 0-1
+ * @returns {number[]} Red, green and blue, 0-255
+ */
+function hslToRgb(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const degrees = ((hue % 360) + 360) % 360;
+  const channel = n => {
+    const k = (n + degrees / 30) % 12;
+    return (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+/**
+ * Parse a color of a theme manifest
+ * @param {string} value - Hex, rgb(), hsl() or transparent color
+ * @returns {RgbaColor|null} The color, or null if it cannot be read
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  if (color === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    const channel = index => parseInt(digits.slice(index * 2, index * 2 + 2), 16);
+    return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+  }
+
+  const fn = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!fn) return null;
+
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  const alpha = parts[3] === undefined ? 1 : readComponent(parts[3], 1);
+  let rgb;
+  if (fn[1].startsWith('rgb')) {
+    rgb = parts.slice(0, 3).map(part => readComponent(part, 255));
+  } else {
+    if (!parts[1].endsWith('%') || !parts[2].endsWith('%')) return null;
+    rgb = hslToRgb(parseFloat(parts[0]), readComponent(parts[1], 1), readComponent(parts[2], 1));
+  }
+
+  if (rgb.concat(alpha).some(number => Number.isNaN(number))) return null;
+  const clamp = (number, max) => Math.max(0, Math.min(max, number));
+  return { r: clamp(rgb[0], 255), g: clamp(rgb[1], 255), b: clamp(rgb[2], 255), a: clamp(alpha, 1) };
+}
+
+/**
+ * Draw a color over another
+ * @private
+ * @param {RgbaColor} top - Color on top
+ * @param {RgbaColor} bottom - Opaque color behind it
+ * @returns {RgbaColor} The opaque result
+ */
+function blend(top, bottom) {
+  const mix = key => top[key] * top.a + bottom[key] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * Get the relative luminance of an opaque color
+ * @param {RgbaColor} color - The color
+ * @returns {number} Luminance, 0 for black to 1 for white
+ */
+export function relativeLuminance(color) {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * linear(color.r) + 0.7152 * linear(color.g) + 0.0722 * linear(color.b);
+}
+
+/**
+ * Get the contrast ratio of two colors. A translucent background is drawn
+ * over white, and a translucent foreground over the background.
+ * @param {string} foreground - Color drawn on top
+ * @param {string} background - Color behind it
+ * @returns {number|null} Ratio from 1 to 21, or null if a color cannot be read
+ */
+export function contrastRatio(foreground, background) {
+  const top = parseColor(foreground);
+  const bottom = parseColor(background);
+  if (!top || !bottom) return null;
+
+  const opaqueBottom = blend(bottom, { r: 255, g: 255, b: 255, a: 1 });
+  const lighter = relativeLuminance(blend(top, opaqueBottom));
+  const darker = relativeLuminance(opaqueBottom);
+  return (Math.max(lighter, darker) + 0.05) / (Math.min(lighter, darker) + 0.05);
+}
+
+/**
+ * @typedef {ContrastPair & {ratio: number|null, passes: boolean}} ContrastResult
+ */
+
+/**
+ * Check the contrast of a theme's colors. Pairs with a token the theme does
+ * not set are left out.
+ * @param {Object<string, string>} colors - Color tokens of the theme
+ * @returns {ContrastResult[]} Results in CONTRAST_PAIRS order
+ */
+export function checkThemeContrast(colors) {
+  return CONTRAST_PAIRS
+    .filter(pair => colors[pair.foreground] && colors[pair.background])
+    .map(pair => {
+      const ratio = contrastRatio(colors[pair.foreground], colors[pair.background]);
+      return { ...pair, ratio, passes: ratio !== null && ratio >= pair.minimum };
+    });
+}
+
+/**
+ * Get the body text pairs of a theme that fail AA
+ * @param {Object<string, string>} colors - Color tokens of the theme
+ * @returns {ContrastResult[]} Failing pairs; empty when the theme can be saved
+ */
+export function getBodyTextFailures(colors) {
+  return checkThemeContrast(colors).filter(result => result.bodyText && !result.passes);
+}
+
+/**
+ * Format a contrast ratio for display
+ * @param {number|null} ratio - The ratio
+ * @returns {string} E.g. `4.52:1`, or `–` when unknown
+ */
+export function formatContrastRatio(ratio) {
+  return ratio === null ? '–' : `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`;
+}
+
+export default {
+  WCAG_AA_TEXT,
+  WCAG_AA_LARGE,
+  CONTRAST_PAIRS,
+  parseColor,
+  relativeLuminance,
+  contrastRatio,
+  checkThemeContrast,
+  getBodyTextFailures,
+  formatContrastRatio
+};
@@ -0,0 +1,249 @@
+/**
+ * Command Risk Annotations
+ * Flags risky shell commands in code blocks and confirms before copying them
+ *
+ * A code block's risks come from its `data-risk` attribute (a comma or space
+ * separated list of ids) plus whatever the patterns below detect in the
+ * command text. Risky blocks get a badge per
+ * risk with an explanation, and copying them asks for confirmation first.
+ */
+
+import { readTemplate } from './command-templates.js';
+
+/**
+ * Known risks, in the order badges are shown
+ * @type {Object<string, {label: string, description: string, patterns: RegExp[]}>}
+ */
+export const COMMAND_RISKS = {
+  destructive: {
+    label: 'Destructive',
+    description: 'Deletes or overwrites data. There is no undo, so double-check paths and device names.',
+    patterns: [
+      /\brm\s+(?:-\w*\s+)*-\w*[rf]/,
+      /\bdd\s+[^\n]*\bof=/,
+      /\b(?:mkfs(?:\.\w+)?|wipefs|shred|btrfs-convert)\b/,
+      />\s*\/dev\/(?:sd|nvme|mmcblk)/
+    ]
+  },
+  'readonly-disabled': {
+    label: 'Disables read-only filesystem',
+    description: 'Makes the SteamOS system partition writable. Changes there can break the system and are lost on the next SteamOS update.',
+    patterns: [
+      /\bsteamos-readonly\s+disable\b/
+    ]
+  },
+  'remote-script': {
+    label: 'Runs downloaded code',
+    description: 'Pipes content from the internet straight into a shell. Only run it if you trust the source.',
+    patterns: [
+      /\b(?:curl|wget)\b[^\n|]*\|\s*(?:sudo\s+(?:-\S+\s+)*)?(?:ba|z|da)?sh\b/,
+      /\b(?:ba|z)?sh\s+(?:-c\s+)?["']?\$\(\s*(?:curl|wget)\b/,
+      /\b(?:ba|z)?sh\s+<\(\s*(?:curl|wget)\b/
+    ]
+  },
+  root: {
+    label: 'Needs root',
+    description: 'Runs with administrator (root) privileges and can change any file on the system. You will be asked for your password.',
+    patterns: [
+      /(?:^|[\s;&|(])(?:sudo|pkexec|doas)\s/m,
+      /(?:^|[\s;&|(])su(?:\s+-)?\s*$/m
+    ]
+  }
+};
+
+const RISK_ORDER = Object.keys(COMMAND_RISKS);
+
+/**
+ * Parse a `data-risk` attribute value
+ * @param {string} [value] - Comma or space separated risk ids
+ * @returns {string[]} Known risk ids in display order
+ */
+export function parseRiskList(value) {
+  const ids = String(value || '').split(/[\s,]+/).filter(Boolean);
+  return RISK_ORDER.filter(id => ids.includes(id));
+}
+
+/**
+ * Detect risks in command text
+ * @param {string} text - Shell command(s)
+ * @returns {string[]} Detected risk ids in display order
+ */
+export function detectCommandRisks(text) {
+  return RISK_ORDER.filter(id => COMMAND_RISKS[id].patterns.some(pattern => pattern.test(text)));
+}
+
+/**
+ * Get the command text of a code block as it would be copied, with any
+ * template placeholders filled in
+ * @param {HTMLElement} block - A `.code-block` or `pre` element
+ * @returns {string} The command text
+ */
+function getCommandText(block) {
+  const code = block.querySelector('code') || block.querySelector('pre') || block;
+  return readTemplate(code).text;
+}
+
+/**
+ * Get the risks of a code block
+ * @param {HTMLElement} block - A `.code-block` or `pre` element
+ * @param {string} [text] - Command to check instead of the block's own
+ * @returns {string[]} Risk ids in display order
+ */
+export function getBlockRisks(block, text = getCommandText(block)) {
+  const declared = block.getAttribute('data-risk');
+  const ids = new Set([...parseRiskList(declared), ...detectCommandRisks(text)]);
+  return RISK_ORDER.filter(id => ids.has(id));
+}
+
+/**
+ * Find a risk notice of a code block
+ * @param {HTMLElement} block - A `.code-block` or `pre` element
+ * @param {string} className - Class of the notice
+ * @returns {HTMLElement|null} The notice
+ */
+function findNotice(block, className) {
+  if (block.tagName !== 'PRE') return block.querySelector(`:scope > .${className}`);
+
+  const sibling = className === 'risk-badges' ? block.previousElementSibling : block.nextElementSibling;
+  return sibling && sibling.classList.contains(className) ? sibling : null;
+}
+
+/**
+ * Insert a risk notice for a code block. Notices go inside a `.code-block`,
+ * but next to a bare `pre` so they do not become part of its text.
+ * @param {HTMLElement} block - A `.code-block` or `pre` element
+ * @param {HTMLElement} notice - Badges go before the command, the
+ *   confirmation after it
+ */
+function insertNotice(block, notice) {
+  const before = notice.classList.contains('risk-badges');
+
+  if (block.tagName === 'PRE') {
+    if (before) block.before(notice);
+    else block.after(notice);
+  } else if (before) {
+    block.insertBefore(notice, block.firstChild);
+  } else {
+    block.appendChild(notice);
+  }
+}
+
+let tooltipCount = 0;
+
+/**
+ * Render risk badges on a code block. Running it again only updates the
+ * `data-risk` attribute.
+ * @param {HTMLElement} block - A `.code-block` or `pre` element
+ * @param {Object} [classNames] - Extra classes, e.g. from a CSS module
+ * @returns {string[]} The block's risk ids
+ */
+export function annotateRisks(block, classNames = {}) {
+  const risks = getBlockRisks(block);
+  if (!risks.length) return risks;
+
+  block.setAttribute('data-risk', risks.join(' '));
+  block.classList.add('risky-command');
+  if (classNames.risky) block.classList.add(classNames.risky);
+
+  if (findNotice(block, 'risk-badges')) return risks;
+
+  const badges = document.createElement('div');
+  badges.className = ['risk-badges', classNames.badges].filter(Boolean).join(' ');
+
+  risks.forEach(id => {
+    const risk = COMMAND_RISKS[id];
+    const tooltipId = `risk-tooltip-${++tooltipCount}`;
+
+    const badge = document.createElement('span');
+    badge.className = ['risk-badge', `risk-${id}`, classNames.badge].filter(Boolean).join(' ');
+    badge.tabIndex = 0;
+    badge.setAttribute('aria-describedby', tooltipId);
+    badge.textContent = `⚠ ${risk.label}`;
+
+    const tooltip = document.createElement('span');
+    tooltip.id = tooltipId;
+    tooltip.className = ['risk-tooltip', classNames.tooltip].filter(Boolean).join(' ');
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.textContent = risk.description;
+
+    badge.appendChild(tooltip);
+    badges.appendChild(badge);
+  });
+
+  insertNotice(block, badges);
+  return risks;
+}
+
+/**
+ * Ask for confirmation before copying a risky command. Resolves right away
+ * for blocks without risks.
+ * @param {HTMLElement} block - A `.code-block` or `pre` element
+ * @param {HTMLElement} [returnFocus] - Element to focus when the confirmation closes
+ * @param {string} [text] - The text that is copied, if it is not the block's command
+ * @returns {Promise<boolean>} Whether the command may be copied
+ */
+export function confirmRiskyCopy(block, returnFocus, text) {
+  const risks = getBlockRisks(block, text);
+  if (!risks.length) return Promise.resolve(true);
+
+  const existing = findNotice(block, 'risk-confirm');
+  if (existing) existing._cancel();
+
+  return new Promise(resolve => {
+    const panel = document.createElement('div');
+    panel.className = 'risk-confirm';
+    panel.setAttribute('role', 'alertdialog');
+    panel.setAttribute('aria-label', 'Confirm copying a risky command');
+
+    const list = document.createElement('ul');
+    risks.forEach(id => {
+      const item = document.createElement('li');
+      const label = document.createElement('strong');
+      label.textContent = `${COMMAND_RISKS[id].label}: `;
+      item.append(label, COMMAND_RISKS[id].description);
+      list.appendChild(item);
+    });
+
+    const message = document.createElement('p');
+    message.textContent = 'Read this command before you run it.';
+
+    const confirmButton = document.createElement('button');
+    confirmButton.type = 'button';
+    confirmButton.className = 'risk-confirm-copy';
+    confirmButton.textContent = 'Copy anyway';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'risk-confirm-cancel';
+    cancelButton.textContent = 'Cancel';
+
+    const close = confirmed => {
+      panel.remove();
+      if (returnFocus) returnFocus.focus();
+      resolve(confirmed);
+    };
+
+    panel._cancel = () => close(false);
+    confirmButton.addEventListener('click', () => close(true));
+    cancelButton.addEventListener('click', () => close(false));
+    panel.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        close(false);
+      }
+    });
+
+    panel.append(message, list, cancelButton, confirmButton);
+    insertNotice(block, panel);
+    cancelButton.focus();
+  });
+}
+
+export default {
+  COMMAND_RISKS,
+  parseRiskList,
+  detectCommandRisks,
+  getBlockRisks,
+  annotateRisks,
+  confirmRiskyCopy
+};
@@ -0,0 +1,345 @@
+/**
+ * Command Templates
+ * Fill-in placeholders such as `{{APP_ID}}` in copyable commands
+ *
+ * Placeholders in a `<code>` element are replaced by inline input fields.
+ * Each placeholder name has a validation rule and an optional default; a
+ * code block can override them with a `data-params` attribute holding JSON,
+ * e.g. `data-params='{"DEVICE": {"default": "/dev/mmcblk0p6"}}'`. Values are
+ * shared by every block using the same name and remembered across sections
+ * and visits, and copying a block copies the filled-in command.
+ */
+
+/**
+ * Matches a placeholder and captures its name
+ * @type {RegExp}
+ */
+export const PLACEHOLDER_PATTERN = /\{\{\s*([A-Z][A-Z0-9_]*)\s*\}\}/g;
+
+const DEVICE_PATTERN = '^/dev/(?:mmcblk\\d+(?:p\\d+)?|sd[a-z]\\d*|nvme\\d+n\\d+(?:p\\d+)?)$';
+
+/**
+ * Rules for well-known placeholder names
+ * @type {Object<string, {label: string, description: string, pattern: string, default?: string}>}
+ */
+export const TEMPLATE_PARAMETERS = {
+  APP_ID: {
+    label: 'Steam app ID',
+    description: 'The number at the end of the game\'s Steam store page URL, e.g. 1091500.',
+    pattern: '^\\d{1,10}$'
+  },
+  USERNAME: {
+    label: 'Username',
+    description: 'Your Linux username. It is deck on a standard SteamOS install.',
+    pattern: '^[a-z_][a-z0-9_-]{0,31}$',
+    default: 'deck'
+  },
+  MOUNT_POINT: {
+    label: 'Mount point',
+    description: 'The folder the drive is mounted at, e.g. /run/media/mmcblk0p1 for the SD card.',
+    pattern: '^/[^\\s\'"]*$',
+    default: '/run/media/mmcblk0p1'
+  },
+  SD_CARD: {
+    label: 'SD card device',
+    description: 'The SD card partition, usually /dev/mmcblk0p1. Check it with lsblk before running the command.',
+    pattern: DEVICE_PATTERN,
+    default: '/dev/mmcblk0p1'
+  },
+  DEVICE: {
+    label: 'Device',
+    description: 'The device or partition to use, e.g. /dev/mmcblk0p1. Check it with lsblk before running the command.',
+    pattern: DEVICE_PATTERN
+  }
+};
+
+/**
+ * Rule for placeholder names without a known rule: any single word
+ * @type {{description: string, pattern: string}}
+ */
+const DEFAULT_RULE = {
+  description: 'Replace this with your own value.',
+  pattern: '^[^\\s\'"]+$'
+};
+
+const STORAGE_KEY = 'commandTemplateValues';
+
+/**
+ * Remembered values by placeholder name
+ * @type {Object<string, string>|null}
+ */
+let storedValues = null;
+
+/**
+ * Read remembered values from storage
+ * @private
+ * @returns {Object<string, string>} Values by placeholder name
+ */
+function loadValues() {
+  if (!storedValues) {
+    try {
+      storedValues = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      storedValues = {};
+    }
+  }
+  return storedValues;
+}
+
+/**
+ * Write remembered values to storage
+ * @private
+ */
+function saveValues() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(storedValues));
+  } catch (error) {
+    console.error('Could not save command template values:', error);
+  }
+}
+
+/**
+ * Find the placeholder names in a command
+ * @param {string} text - Command text
+ * @returns {string[]} Unique names in order of appearance
+ */
+export function findPlaceholders(text) {
+  const names = [];
+  for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Parse a `data-params` attribute value
+ * @param {string} [value] - JSON object of rule overrides by placeholder name
+ * @returns {Object<string, Object>} Rule overrides; empty if the value is invalid
+ */
+export function parseParamOverrides(value) {
+  if (!value) return {};
+
+  try {
+    const overrides = JSON.parse(value);
+    return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
+  } catch (error) {
+    console.warn('Ignoring invalid data-params attribute:', value);
+    return {};
+  }
+}
+
+/**
+ * Get the rule for a placeholder
+ * @param {string} name - Placeholder name
+ * @param {Object<string, Object>} [overrides] - Rule overrides from `data-params`
+ * @returns {{label: string, description: string, pattern: string, default?: string}} The rule
+ */
+export function getParamRule(name, overrides = {}) {
+  return {
+    label: name,
+    ...(TEMPLATE_PARAMETERS[name] || DEFAULT_RULE),
+    ...(overrides[name] || {})
+  };
+}
+
+/**
+ * Check a value against a placeholder rule
+ * @param {string} value - Value to check
+ * @param {{pattern?: string}} rule - Placeholder rule
+ * @returns {boolean} Whether the value is valid
+ */
+export function validateParam(value, rule) {
+  if (!value) return false;
+  if (!rule.pattern) return true;
+
+  try {
+    return new RegExp(rule.pattern).test(value);
+  } catch (error) {
+    console.warn(`Ignoring invalid placeholder pattern "${rule.pattern}"`);
+    return true;
+  }
+}
+
+/**
+ * Get the remembered value of a placeholder
+ * @param {string} name - Placeholder name
+ * @returns {string|undefined} The value, if one was entered before
+ */
+export function getParamValue(name) {
+  return loadValues()[name];
+}
+
+/**
+ * Remember the value of a placeholder and show it in every input for it
+ * @param {string} name - Placeholder name
+ * @param {string} value - New value
+ * @param {HTMLInputElement} [source] - Input the value was typed into
+ */
+export function setParamValue(name, value, source) {
+  loadValues()[name] = value;
+  saveValues();
+
+  document.querySelectorAll('input.template-param').forEach(input => {
+    if (input !== source && input.dataset.param === name) {
+      input.value = value;
+      updateInput(input);
+    }
+  });
+}
+
+/**
+ * Forget all remembered placeholder values
+ */
+export function clearParamValues() {
+  storedValues = {};
+  saveValues();
+}
+
+/**
+ * Replace placeholders in a command with values
+ * @param {string} template - Command with placeholders
+ * @param {Object<string, string>} values - Values by placeholder name
+ * @returns {string} The filled-in command; placeholders without a value are kept
+ */
+export function fillTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    values[name] ? values[name] : placeholder
+  );
+}
+
+/**
+ * Get the validation rule of a placeholder input. It is read from the
+ * input's `data-pattern` attribute so copies made with `cloneNode` keep it.
+ * @private
+ * @param {HTMLInputElement} input - Placeholder input
+ * @returns {{pattern?: string}} The rule
+ */
+function getInputRule(input) {
+  return { pattern: input.dataset.pattern };
+}
+
+/**
+ * Update an input's size and validity after its value changed
+ * @private
+ * @param {HTMLInputElement} input - Placeholder input
+ */
+function updateInput(input) {
+  const valid = validateParam(input.value, getInputRule(input));
+  input.size = Math.max(input.value.length, input.placeholder.length, 4);
+  input.classList.toggle('invalid', !valid);
+  input.setAttribute('aria-invalid', String(!valid));
+}
+
+/**
+ * Create the input for a placeholder
+ * @private
+ * @param {string} name - Placeholder name
+ * @param {Object} rule - Placeholder rule
+ * @param {string} [className] - Extra class, e.g. from a CSS module
+ * @returns {HTMLInputElement} The input
+ */
+function createInput(name, rule, className) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = ['template-param', className].filter(Boolean).join(' ');
+  input.dataset.param = name;
+  input.placeholder = name;
+  input.spellcheck = false;
+  input.autocomplete = 'off';
+  input.title = rule.description ? `${rule.label}: ${rule.description}` : rule.label;
+  input.setAttribute('aria-label', rule.label);
+  if (rule.pattern) input.dataset.pattern = rule.pattern;
+
+  const remembered = getParamValue(name);
+  input.value = remembered !== undefined ? remembered : (rule.default || '');
+  updateInput(input);
+
+  input.addEventListener('input', () => {
+    updateInput(input);
+    setParamValue(name, input.value, input);
+  });
+
+  // Keep typing from toggling the surrounding block or triggering shortcuts
+  input.addEventListener('click', event => event.stopPropagation());
+  input.addEventListener('keydown', event => event.stopPropagation());
+
+  return input;
+}
+
+/**
+ * Replace the placeholders in a code element with inputs. The original
+ * command is kept in the element's `data-template` attribute. Running it
+ * again does nothing.
+ * @param {HTMLElement} code - `code` element
+ * @param {Object} [options] - Render options
+ * @param {string} [options.className] - Extra class for the inputs
+ * @returns {HTMLInputElement[]} The inputs, empty if there are no placeholders
+ */
+export function renderTemplate(code, options = {}) {
+  if (code.hasAttribute('data-template')) {
+    return Array.from(code.querySelectorAll('input.template-param'));
+  }
+
+  const template = code.textContent;
+  if (!findPlaceholders(template).length) return [];
+
+  const block = code.closest('.code-block') || code.closest('pre') || code;
+  const overrides = parseParamOverrides(block.getAttribute('data-params'));
+  const inputs = [];
+  let lastIndex = 0;
+
+  code.setAttribute('data-template', template);
+  code.textContent = '';
+
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    code.append(template.slice(lastIndex, match.index));
+
+    const input = createInput(match[1], getParamRule(match[1], overrides), options.className);
+    code.appendChild(input);
+    inputs.push(input);
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  code.append(template.slice(lastIndex));
+  return inputs;
+}
+
+/**
+ * Read the command a code element should copy
+ * @param {HTMLElement} code - `code` element, possibly rendered as a template
+ * @returns {{text: string, invalid: HTMLInputElement[]}} The filled-in
+ *   command and the inputs whose values are not valid
+ */
+export function readTemplate(code) {
+  const template = code.getAttribute('data-template');
+  if (template === null) {
+    return { text: code.textContent, invalid: [] };
+  }
+
+  const inputs = Array.from(code.querySelectorAll('input.template-param'));
+  const values = {};
+  inputs.forEach(input => {
+    values[input.dataset.param] = input.value;
+  });
+
+  return {
+    text: fillTemplate(template, values),
+    invalid: inputs.filter(input => !validateParam(input.value, getInputRule(input)))
+  };
+}
+
+export default {
+  PLACEHOLDER_PATTERN,
+  TEMPLATE_PARAMETERS,
+  findPlaceholders,
+  parseParamOverrides,
+  getParamRule,
+  validateParam,
+  getParamValue,
+  setParamValue,
+  clearParamValues,
+  fillTemplate,
+  renderTemplate,
+  readTemplate
+};
@@ -0,0 +1,222 @@
+/**
+ * HTML Sanitizer
+ * Allowlist-based cleaning of HTML before it is injected into the page
+ *
+ * Guide sections, help topics and content packs are fetched as HTML. Anything
+ * outside the allowlist below is removed before it reaches the document:
+ * script-capable elements are dropped with their contents, other unknown
+ * elements are replaced by their children, and event handler attributes and
+ * `javascript:` URLs never survive. Interactive content uses `data-action`
+ * attributes instead (see utils/actions.js).
+ */
+
+/**
+ * Elements that are kept
+ * @type {Set<string>}
+ */
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'button', 'caption',
+  'code', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins',
+  'kbd', 'li', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 's', 'samp',
+  'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var'
+]);
+
+/**
+ * Elements that are removed together with everything inside them
+ * @type {Set<string>}
+ */
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'template', 'noscript', 'link', 'meta', 'base', 'form', 'input', 'textarea',
+  'select', 'option', 'svg', 'math', 'title'
+]);
+
+/**
+ * Attributes allowed on every kept element
+ * @type {Set<string>}
+ */
+const GLOBAL_ATTRIBUTES = new Set(['id', 'class', 'title', 'lang', 'dir', 'role', 'tabindex', 'hidden']);
+
+/**
+ * Attributes allowed on specific elements
+ * @type {Object<string, Set<string>>}
+ */
+const TAG_ATTRIBUTES = {
+  a: new Set(['href', 'target', 'rel', 'name']),
+  img: new Set(['src', 'alt', 'width', 'height', 'loading', 'decoding']),
+  button: new Set(['type', 'disabled']),
+  details: new Set(['open']),
+  ol: new Set(['start', 'type', 'reversed']),
+  td: new Set(['colspan', 'rowspan', 'headers']),
+  th: new Set(['colspan', 'rowspan', 'headers', 'scope']),
+  time: new Set(['datetime'])
+};
+
+/**
+ * Attributes holding URLs, which must use a safe scheme
+ * @type {Set<string>}
+ */
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+/**
+ * URL schemes that may be linked to; URLs without a scheme are relative
+ * @type {Set<string>}
+ */
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto', 'steam']);
+
+const SCHEME_PATTERN = /^([a-z][a-z0-9+.-]*):/i;
+const SAFE_IMAGE_DATA_PATTERN = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/]+=*$/i;
+
+/**
+ * Check whether a URL attribute value is safe to keep
+ * @param {string} tag - Lower-case element name
+ * @param {string} value - Attribute value
+ * @returns {boolean} Whether the URL may be kept
+ */
+function isSafeUrl(tag, value) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  // eslint-disable-next-line no-control-regex
+  const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+
+  if (tag === 'img' && SAFE_IMAGE_DATA_PATTERN.test(url)) {
+    return true;
+  }
+
+  const scheme = SCHEME_PATTERN.exec(url);
+  return !scheme || SAFE_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+/**
+ * Check whether an attribute may be kept on an element
+ * @param {string} tag - Lower-case element name
+ * @param {string} name - Lower-case attribute name
+ * @returns {boolean} Whether the attribute is allowed
+ */
+function isAllowedAttribute(tag, name) {
+  if (name.startsWith('on')) return false;
+  if (name.startsWith('data-') || name.startsWith('aria-')) return true;
+  if (GLOBAL_ATTRIBUTES.has(name)) return true;
+
+  const allowed = TAG_ATTRIBUTES[tag];
+  return Boolean(allowed && allowed.has(name));
+}
+
+/**
+ * Remove disallowed attributes from a kept element
+ * @param {Element} element - Element to clean
+ */
+function cleanAttributes(element) {
+  const tag = element.localName;
+
+  Array.from(element.attributes).forEach(attribute => {
+    const name = attribute.name.toLowerCase();
+
+    if (!isAllowedAttribute(tag, name) ||
+        (URL_ATTRIBUTES.has(name) && !isSafeUrl(tag, attribute.value))) {
+      element.removeAttribute(attribute.name);
+    }
+  });
+
+  // Links opening a new window must not get access to this one
+  if (tag === 'a' && element.getAttribute('target') === '_blank') {
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+}
+
+/**
+ * Clean the children of a node in place
+ * @param {Node} parent - Node whose children are cleaned
+ */
+function cleanChildren(parent) {
+  let node = parent.firstChild;
+
+  while (node) {
+    const next = node.nextSibling;
+
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      const tag = node.localName;
+
+      if (ALLOWED_TAGS.has(tag)) {
+        cleanAttributes(node);
+        cleanChildren(node);
+      } else if (DROPPED_TAGS.has(tag)) {
+        parent.removeChild(node);
+      } else {
+        // Keep the content of unknown elements, but not the element itself
+        cleanChildren(node);
+        while (node.firstChild) {
+          parent.insertBefore(node.firstChild, node);
+        }
+        parent.removeChild(node);
+      }
+    } else if (node.nodeType !== Node.TEXT_NODE) {
+      // Comments, processing instructions and CDATA are not needed
+      parent.removeChild(node);
+    }
+
+    node = next;
+  }
+}
+
+/**
+ * Parse and sanitize HTML into a document fragment
+ *
+ * The HTML is parsed in an inert template, so nothing in it loads or runs
+ * before it has been cleaned.
+ * @param {string} html - Untrusted HTML
+ * @returns {DocumentFragment} The sanitized content
+ */
+export function sanitizeFragment(html) {
+  const template = document.createElement('template');
+  template.innerHTML = String(html == null ? '' : html);
+
+  const fragment = template.content;
+  cleanChildren(fragment);
+
+  return document.importNode(fragment, true);
+}
+
+/**
+ * Sanitize an HTML string
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHTML(html) {
+  const container = document.createElement('div');
+  container.appendChild(sanitizeFragment(html));
+  return container.innerHTML;
+}
+
+/**
+ * Replace the content of an element with sanitized HTML
+ * @param {Element} element - Element to fill
+ * @param {string} html - Untrusted HTML
+ * @returns {Element} The element
+ */
+export function setSafeHTML(element, html) {
+  element.replaceChildren(sanitizeFragment(html));
+  return element;
+}
+
+/**
+ * Escape text for use inside HTML markup
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default {
+  sanitizeFragment,
+  sanitizeHTML,
+  setSafeHTML,
+  escapeHTML
+};
@@ -0,0 +1,97 @@
+/**
+ * Localized Content
+ * Grimoire
+ *
+ * Guide sections are written in English. A translation of a section lives
+ * in a directory named after its locale next to the English file, so
+ * `sections/gaming.html` is translated in `sections/es/gaming.html`. Each
+ * section falls back to English on its own when it has no translation.
+ */
+
+import i18n from '../../i18n.js';
+
+/**
+ * Locale the guide sections are written in
+ * @type {string}
+ */
+export const CONTENT_LOCALE = 'en';
+
+/**
+ * @typedef {Object} ContentCandidate
+ * @property {string} file - Path to try
+ * @property {string} locale - Locale of the file
+ */
+
+/**
+ * Get the locales to look for translated content in
+ * @param {string} locale - Current locale, e.g. `pt-BR`
+ * @returns {string[]} The locale and its base language, without the
+ *   content locale
+ */
+export function getContentLocales(locale) {
+  const chain = [locale, locale.split('-')[0]];
+  return chain.filter((entry, index) => entry && entry !== CONTENT_LOCALE && chain.indexOf(entry) === index);
+}
+
+/**
+ * Get the path of a content file's translation
+ * @param {string} file - Path of the English file
+ * @param {string} locale - Locale of the translation
+ * @returns {string} Path with the locale directory before the file name
+ */
+export function getLocalizedPath(file, locale) {
+  const slash = file.lastIndexOf('/');
+  return `${file.slice(0, slash + 1)}${locale}/${file.slice(slash + 1)}`;
+}
+
+/**
+ * Get the files to try for a content file, best match first
+ * @param {string} file - Path of the English file
+ * @param {string} [locale] - Locale to look for, the current locale by default
+ * @returns {ContentCandidate[]} Translations to try, then the English file
+ */
+export function getContentCandidates(file, locale = i18n.getCurrentLocale()) {
+  return getContentLocales(locale)
+    .map(entry => ({ file: getLocalizedPath(file, entry), locale: entry }))
+    .concat({ file, locale: CONTENT_LOCALE });
+}
+
+/**
+ * Check whether content in a locale is a fallback for the current locale
+ * @param {string} contentLocale - Locale of the loaded file
+ * @param {string} [locale] - Locale the reader asked for, the current locale
+ *   by default
+ * @returns {boolean} Whether the reader asked for a translation that is missing
+ */
+export function isFallbackContent(contentLocale, locale = i18n.getCurrentLocale()) {
+  return contentLocale === CONTENT_LOCALE && getContentLocales(locale).length > 0;
+}
+
+/**
+ * Mark English content shown in place of a missing translation. The top
+ * level elements get `lang` and `dir` attributes so screen readers and the
+ * text direction follow the content rather than the page.
+ * @param {DocumentFragment|HTMLElement} content - Loaded content
+ * @returns {HTMLElement} Banner to show before the content
+ */
+export function markUntranslatedContent(content) {
+  Array.from(content.children).forEach(element => {
+    element.setAttribute('lang', CONTENT_LOCALE);
+    element.setAttribute('dir', 'ltr');
+  });
+
+  const banner = document.createElement('aside');
+  banner.className = 'untranslated-notice';
+  banner.setAttribute('role', 'note');
+  banner.textContent = i18n.t('content.untranslated');
+  return banner;
+}
+
+export default {
+  CONTENT_LOCALE,
+  getContentLocales,
+  getLocalizedPath,
+  getContentCandidates,
+  isFallbackContent,
+  markUntranslatedContent
+};
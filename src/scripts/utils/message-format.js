@@ -0,0 +1,462 @@
+/**
+ * Message Format
+ * Grimoire
+ *
+ * ICU MessageFormat for translation strings, so a translation can choose its
+ * words by number or by value:
+ *
+ * ```
+ * {count, plural, =0 {No steps remaining} one {# step remaining} other {# steps remaining}}
+ * {mode, select, dark {Dark theme} other {Light theme}}
+ * Saved {when, date, short} at {when, time, short}, {ratio, number, percent} done
+ * ```
+ *
+ * Plural categories come from Intl.PluralRules, so a translation uses the
+ * categories of its language (Arabic has zero, one, two, few, many and
+ * other). `#` in a plural option is the number, formatted for the locale.
+ * A quote escapes syntax characters: `'{'` is a literal brace and `''` a
+ * quote. The older `{{name}}` placeholders are read as `{name}`.
+ *
+ * Compiled messages are cached by locale and text.
+ */
+
+const ARGUMENT_TYPES = ['number', 'date', 'time', 'plural', 'selectordinal', 'select'];
+const NUMBER_STYLES = { integer: { maximumFractionDigits: 0 }, percent: { style: 'percent' } };
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+const NAME_PATTERN = /[^\s,{}#']+/y;
+const KEY_PATTERN = /[^\s{}]+/y;
+const OFFSET_PATTERN = /offset:\s*(\d+)/y;
+const WHITESPACE_PATTERN = /\s*/y;
+const QUOTE = '\'';
+
+// Most compiled messages kept; translations are a few hundred strings
+const MAX_CACHE_SIZE = 500;
+
+const messageCache = new Map();
+const intlCache = new Map();
+
+/**
+ * Error thrown for a message that cannot be read
+ */
+export class MessageFormatError extends Error {
+  /**
+   * @param {string} problem - What is wrong
+   * @param {string} message - The message
+   * @param {number} position - Where in the message the problem is
+   */
+  constructor(problem, message, position) {
+    super(`${problem} at position ${position} of "${message}"`);
+    this.name = 'MessageFormatError';
+    this.position = position;
+  }
+}
+
+/**
+ * @typedef {string|Object} MessageNode
+ * Literal text, or an argument: `{ type: 'argument' | 'number' | 'date' |
+ * 'time' | 'plural' | 'select' | 'pound', name, ... }`
+ */
+
+/**
+ * Read a message, one character position at a time
+ * @private
+ */
+class MessageParser {
+  /**
+   * @param {string} message - Message to read
+   */
+  constructor(message) {
+    this.message = message;
+    this.index = 0;
+  }
+
+  /**
+   * Throw an error at the current position
+   * @param {string} problem - What is wrong
+   * @returns {never}
+   */
+  fail(problem) {
+    throw new MessageFormatError(problem, this.message, this.index);
+  }
+
+  /**
+   * Read a pattern at the current position
+   * @param {RegExp} pattern - Sticky pattern
+   * @returns {RegExpExecArray|null} The match, or null
+   */
+  match(pattern) {
+    pattern.lastIndex = this.index;
+    const match = pattern.exec(this.message);
+    if (match) this.index = pattern.lastIndex;
+    return match;
+  }
+
+  /**
+   * Skip whitespace
+   * @returns {void}
+   */
+  skipWhitespace() {
+    this.match(WHITESPACE_PATTERN);
+  }
+
+  /**
+   * Read a character that has to come next
+   * @param {string} char - The character
+   * @returns {void}
+   */
+  expect(char) {
+    if (this.message[this.index] !== char) {
+      this.fail(`Expected "${char}"`);
+    }
+    this.index++;
+  }
+
+  /**
+   * Read text and arguments up to the end or a closing brace
+   * @param {boolean} inPlural - Whether `#` is the plural number
+   * @param {boolean} nested - Whether a closing brace ends the text
+   * @returns {MessageNode[]} The nodes
+   */
+  parseNodes(inPlural, nested) {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push(text);
+      text = '';
+    };
+
+    while (this.index < this.message.length) {
+      const char = this.message[this.index];
+
+      if (char === '}') {
+        if (!nested) this.fail('Unexpected "}"');
+        break;
+      }
+      if (char === '{') {
+        flush();
+        nodes.push(this.parseArgument());
+        continue;
+      }
+      if (char === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        this.index++;
+        continue;
+      }
+      if (char === QUOTE) {
+        text += this.parseQuote(inPlural);
+        continue;
+      }
+
+      text += char;
+      this.index++;
+    }
+
+    if (nested && this.index >= this.message.length) {
+      this.fail('Expected "}"');
+    }
+    flush();
+    return nodes;
+  }
+
+  /**
+   * Read a quote: `''` is a quote, and a quote before a syntax character
+   * starts literal text up to the next single quote
+   * @param {boolean} inPlural - Whether `#` is a syntax character
+   * @returns {string} The text
+   */
+  parseQuote(inPlural) {
+    const next = this.message[this.index + 1];
+    if (next === QUOTE) {
+      this.index += 2;
+      return QUOTE;
+    }
+    if (next !== '{' && next !== '}' && !(next === '#' && inPlural)) {
+      this.index++;
+      return QUOTE;
+    }
+
+    let text = '';
+    this.index++;
+    while (this.index < this.message.length) {
+      if (this.message[this.index] === QUOTE) {
+        if (this.message[this.index + 1] !== QUOTE) {
+          this.index++;
+          break;
+        }
+        this.index++;
+      }
+      text += this.message[this.index];
+      this.index++;
+    }
+    return text;
+  }
+
+  /**
+   * Read an argument, from its opening brace
+   * @returns {MessageNode} The argument
+   */
+  parseArgument() {
+    this.expect('{');
+
+    // An older `{{name}}` placeholder
+    if (this.message[this.index] === '{') {
+      this.index++;
+      const legacy = this.match(NAME_PATTERN);
+      if (!legacy) this.fail('Expected an argument name');
+      this.expect('}');
+      this.expect('}');
+      return { type: 'argument', name: legacy[0], legacy: true };
+    }
+
+    this.skipWhitespace();
+    const name = this.match(NAME_PATTERN);
+    if (!name) this.fail('Expected an argument name');
+    this.skipWhitespace();
+
+    if (this.message[this.index] === '}') {
+      this.index++;
+      return { type: 'argument', name: name[0] };
+    }
+
+    this.expect(',');
+    this.skipWhitespace();
+    const type = this.match(NAME_PATTERN);
+    if (!type || !ARGUMENT_TYPES.includes(type[0])) {
+      this.fail(`Expected one of ${ARGUMENT_TYPES.join(', ')}`);
+    }
+    this.skipWhitespace();
+
+    if (type[0] === 'number' || type[0] === 'date' || type[0] === 'time') {
+      return this.parseFormattedArgument(name[0], type[0]);
+    }
+    return this.parseOptions(name[0], type[0]);
+  }
+
+  /**
+   * Read the style of a number, date or time argument
+   * @param {string} name - Argument name
+   * @param {string} type - `number`, `date` or `time`
+   * @returns {MessageNode} The argument
+   */
+  parseFormattedArgument(name, type) {
+    let style = null;
+    if (this.message[this.index] === ',') {
+      this.index++;
+      this.skipWhitespace();
+      const match = this.match(NAME_PATTERN);
+      style = match ? match[0] : null;
+      const styles = type === 'number' ? Object.keys(NUMBER_STYLES) : DATE_STYLES;
+      if (!styles.includes(style)) {
+        this.fail(`Expected a ${type} style: ${styles.join(', ')}`);
+      }
+      this.skipWhitespace();
+    }
+    this.expect('}');
+    return { type, name, style };
+  }
+
+  /**
+   * Read the options of a plural, selectordinal or select argument
+   * @param {string} name - Argument name
+   * @param {string} type - Argument type
+   * @returns {MessageNode} The argument
+   */
+  parseOptions(name, type) {
+    const plural = type !== 'select';
+    this.expect(',');
+    this.skipWhitespace();
+
+    let offset = 0;
+    if (plural) {
+      const match = this.match(OFFSET_PATTERN);
+      if (match) offset = Number(match[1]);
+      this.skipWhitespace();
+    }
+
+    const options = {};
+    while (this.message[this.index] !== '}') {
+      if (this.index >= this.message.length) this.fail('Expected "}"');
+      const key = this.match(KEY_PATTERN);
+      if (!key) this.fail('Expected an option');
+      if (plural && key[0].startsWith('=') && !/^=\d+(\.\d+)?$/.test(key[0])) {
+        this.fail('Expected a number after "="');
+      }
+      this.skipWhitespace();
+      this.expect('{');
+      options[key[0]] = this.parseNodes(plural, true);
+      this.expect('}');
+      this.skipWhitespace();
+    }
+    this.index++;
+
+    if (!options.other) {
+      this.fail(`The ${type} of "${name}" needs an "other" option`);
+    }
+    return {
+      type: plural ? 'plural' : 'select',
+      name,
+      ordinal: type === 'selectordinal',
+      offset,
+      options
+    };
+  }
+}
+
+/**
+ * Read a message into nodes
+ * @param {string} message - The message
+ * @returns {MessageNode[]} Text and arguments
+ * @throws {MessageFormatError} If the message cannot be read
+ */
+export function parseMessage(message) {
+  return new MessageParser(String(message)).parseNodes(false, false);
+}
+
+/**
+ * Get an Intl formatter, made once per locale and options
+ * @private
+ * @param {Function} Formatter - Intl constructor
+ * @param {string} locale - Locale code
+ * @param {Object} options - Formatter options
+ * @returns {Object} The formatter
+ */
+function getIntl(Formatter, locale, options) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!intlCache.has(key)) {
+    let formatter;
+    try {
+      formatter = new Formatter(locale, options);
+    } catch (error) {
+      // An unknown locale code formats like the runtime's default
+      formatter = new Formatter(undefined, options);
+    }
+    intlCache.set(key, formatter);
+  }
+  return intlCache.get(key);
+}
+
+/**
+ * Get the plural category of a number
+ * @private
+ * @param {number} number - The number
+ * @param {string} locale - Locale code
+ * @param {boolean} ordinal - Whether it is a position, as in "2nd"
+ * @returns {string} `zero`, `one`, `two`, `few`, `many` or `other`
+ */
+function getPluralCategory(number, locale, ordinal) {
+  if (typeof Intl.PluralRules !== 'function') {
+    return number === 1 && !ordinal ? 'one' : 'other';
+  }
+  return getIntl(Intl.PluralRules, locale, { type: ordinal ? 'ordinal' : 'cardinal' }).select(number);
+}
+
+/**
+ * Format nodes with values
+ * @private
+ * @param {MessageNode[]} nodes - The nodes
+ * @param {Object} values - Values by argument name
+ * @param {string} locale - Locale code
+ * @param {number|null} pluralNumber - Number `#` stands for
+ * @returns {string} The text
+ */
+function formatNodes(nodes, values, locale, pluralNumber) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+
+    if (node.type === 'pound') {
+      return getIntl(Intl.NumberFormat, locale, {}).format(pluralNumber);
+    }
+
+    const value = values[node.name];
+    const missing = value === undefined || value === null;
+
+    if (node.type === 'plural' && !missing) {
+      const number = Number(value);
+      const exact = node.options[`=${number}`];
+      const category = getPluralCategory(number - node.offset, locale, node.ordinal);
+      const option = exact || node.options[category] || node.options.other;
+      return formatNodes(option, values, locale, number - node.offset);
+    }
+    if (node.type === 'select') {
+      const key = String(value);
+      const option = Object.prototype.hasOwnProperty.call(node.options, key) ? node.options[key] : node.options.other;
+      return formatNodes(option, values, locale, pluralNumber);
+    }
+
+    // A missing value leaves the placeholder, as a hint for translators
+    if (missing) {
+      return node.legacy ? `{{${node.name}}}` : `{${node.name}}`;
+    }
+
+    if (node.type === 'number') {
+      return getIntl(Intl.NumberFormat, locale, NUMBER_STYLES[node.style] || {}).format(Number(value));
+    }
+    if (node.type === 'date' || node.type === 'time') {
+      const options = { [`${node.type}Style`]: node.style || 'medium' };
+      return getIntl(Intl.DateTimeFormat, locale, options).format(value instanceof Date ? value : new Date(value));
+    }
+
+    if (typeof value === 'number') {
+      return getIntl(Intl.NumberFormat, locale, {}).format(value);
+    }
+    if (value instanceof Date) {
+      return getIntl(Intl.DateTimeFormat, locale, { dateStyle: 'medium' }).format(value);
+    }
+    return String(value);
+  }).join('');
+}
+
+/**
+ * Compile a message for a locale. Compiled messages are cached.
+ * @param {string} message - The message
+ * @param {string} locale - Locale code whose plural rules and number and
+ *   date formats are used
+ * @returns {function(Object=): string} Function that formats the message with
+ *   values by argument name
+ * @throws {MessageFormatError} If the message cannot be read
+ */
+export function compileMessage(message, locale) {
+  const key = `${locale}|${message}`;
+  let compiled = messageCache.get(key);
+
+  if (!compiled) {
+    const nodes = parseMessage(message);
+    compiled = (values = {}) => formatNodes(nodes, values, locale, null);
+
+    if (messageCache.size >= MAX_CACHE_SIZE) {
+      messageCache.delete(messageCache.keys().next().value);
+    }
+    messageCache.set(key, compiled);
+  }
+
+  return compiled;
+}
+
+/**
+ * Format a message
+ * @param {string} message - The message
+ * @param {Object} [values] - Values by argument name
+ * @param {string} [locale='en'] - Locale code
+ * @returns {string} The formatted message
+ * @throws {MessageFormatError} If the message cannot be read
+ */
+export function formatMessage(message, values = {}, locale = 'en') {
+  return compileMessage(message, locale)(values);
+}
+
+/**
+ * Empty the compiled message cache
+ * @returns {void}
+ */
+export function clearMessageCache() {
+  messageCache.clear();
+}
+
+export default {
+  MessageFormatError,
+  parseMessage,
+  compileMessage,
+  formatMessage,
+  clearMessageCache
+};
@@ -0,0 +1,151 @@
+/**
+ * Persistent Storage
+ * Grimoire
+ *
+ * Keeps user data that should outlive the browser cache, like guide
+ * progress and the steps left open in each section, in the desktop app's
+ * main-process store, and in localStorage on the web.
+ *
+ * Reads are synchronous in both builds: localStorage holds a copy of the
+ * data. In the desktop app every write also goes to the main-process store
+ * through the `set-user-preference` IPC handler, and on start the values of
+ * the main-process store replace the copy. Data the main-process store does
+ * not have yet, saved in localStorage by an earlier version or by the web
+ * build, is moved there once.
+ *
+ * Keys whose value changed on start are announced with a
+ * `persistent-storage-changed` event on window.
+ */
+
+/**
+ * Keys kept in the main-process store in the desktop app
+ * @type {string[]}
+ */
+export const PERSISTENT_KEYS = ['guideProgress', 'guideReadingTime', 'sectionState', 'themePacks', 'themePreference'];
+
+/**
+ * Event dispatched on window when values were loaded from the main-process
+ * store
+ * @type {string}
+ */
+export const PERSISTENT_STORAGE_EVENT = 'persistent-storage-changed';
+
+/**
+ * Keys written while the main-process store is being loaded; their new
+ * value wins over the loaded one
+ * @type {Set<string>|null}
+ */
+let keysWrittenWhileLoading = null;
+
+/**
+ * Check whether the page runs in the desktop app
+ * @returns {boolean} Whether the main-process store is available
+ */
+export function isDesktopApp() {
+  return typeof window !== 'undefined' && Boolean(window.electronAPI && window.electronAPI.setUserPreference);
+}
+
+/**
+ * Read a value from the local copy
+ * @private
+ * @param {string} key - Storage key
+ * @returns {*} The stored value, or null
+ */
+function readLocal(key) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a value to the local copy
+ * @private
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {boolean} Whether the value was written
+ */
+function writeLocal(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error(`Could not save ${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Read a stored value
+ * @param {string} key - Storage key
+ * @param {*} [defaultValue=null] - Value to return when nothing is stored
+ * @returns {*} The stored value, or the default value
+ */
+export function readPersistent(key, defaultValue = null) {
+  const value = readLocal(key);
+  return value === null ? defaultValue : value;
+}
+
+/**
+ * Store a value, in the main-process store as well in the desktop app
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store; must survive JSON
+ * @returns {boolean} Whether the local copy was written
+ */
+export function writePersistent(key, value) {
+  const written = writeLocal(key, value);
+
+  if (isDesktopApp() && PERSISTENT_KEYS.includes(key)) {
+    if (keysWrittenWhileLoading) keysWrittenWhileLoading.add(key);
+    window.electronAPI.setUserPreference(key, value).catch(error => {
+      console.error(`Could not save ${key} in the app store:`, error);
+    });
+  }
+
+  return written;
+}
+
+/**
+ * Load the persistent keys from the main-process store, moving data it does
+ * not have yet from localStorage. Does nothing outside the desktop app.
+ * @returns {Promise<string[]>} Keys whose local value changed
+ */
+export async function initPersistentStorage() {
+  if (!isDesktopApp()) return [];
+
+  const api = window.electronAPI;
+  const changed = [];
+  keysWrittenWhileLoading = new Set();
+
+  try {
+    for (const key of PERSISTENT_KEYS) {
+      const stored = await api.getUserPreference(key, null);
+      if (keysWrittenWhileLoading.has(key)) continue;
+
+      const local = readLocal(key);
+      if (stored === null || stored === undefined) {
+        // Nothing in the app store yet: keep what this window has
+        if (local !== null) await api.setUserPreference(key, local);
+      } else if (JSON.stringify(stored) !== JSON.stringify(local)) {
+        writeLocal(key, stored);
+        changed.push(key);
+      }
+    }
+  } catch (error) {
+    console.warn('Could not load data from the app store:', error);
+  } finally {
+    keysWrittenWhileLoading = null;
+  }
+
+  if (changed.length) {
+    window.dispatchEvent(new CustomEvent(PERSISTENT_STORAGE_EVENT, { detail: { keys: changed } }));
+  }
+  return changed;
+}
+
+/**
+ * Resolves once the main-process store has been loaded
+ * @type {Promise<string[]>}
+ */
+export const persistentStorageReady = initPersistentStorage();
@@ -0,0 +1,286 @@
+/**
+ * Progress Statistics
+ * Grimoire
+ *
+ * Figures for the progress dashboard, computed from the progress store and
+ * the outline of the guide: completion per section, completions per day,
+ * time spent and the estimated time left.
+ *
+ * The time left is the estimated time of the unfinished steps: a step's
+ * `data-estimated-time` in minutes, or an equal share of its section's
+ * `data-estimated-time`, or DEFAULT_STEP_MINUTES.
+ */
+
+import { GUIDE_SECTIONS } from '../../config/guide-sections.js';
+import progressStore, { STEP_SELECTOR, getSectionProgressId, getStepId } from './progress-store.js';
+
+/**
+ * Estimated minutes of a step when neither it nor its section has an estimate
+ * @type {number}
+ */
+export const DEFAULT_STEP_MINUTES = 5;
+
+/**
+ * @typedef {Object} StepOutline
+ * @property {string} id - Progress id of the step
+ * @property {string} title - Step title
+ * @property {number|null} estimatedTime - Estimated minutes, if given
+ */
+
+/**
+ * @typedef {Object} SectionOutline
+ * @property {string} id - Progress id of the section
+ * @property {string} title - Section title
+ * @property {number|null} estimatedTime - Estimated minutes, if given
+ * @property {StepOutline[]} steps - Steps of the section
+ */
+
+/**
+ * @typedef {Object} SectionStats
+ * @property {string} id - Progress id of the section
+ * @property {string} title - Section title
+ * @property {number} completed - Completed steps
+ * @property {number} total - All steps
+ * @property {number} percentage - Completed share, 0-100
+ * @property {number} timeSpent - Time spent reading, in ms
+ * @property {number} remainingMinutes - Estimated minutes of the unfinished steps
+ */
+
+/**
+ * @typedef {Object} TimelineDay
+ * @property {string} date - Local date, `YYYY-MM-DD`
+ * @property {number} count - Steps and sections completed that day
+ * @property {number} total - Completed up to and including that day
+ */
+
+/**
+ * @typedef {Object} ProgressStats
+ * @property {SectionStats[]} sections - Figures per section, in guide order
+ * @property {number} completed - Completed steps
+ * @property {number} total - All steps
+ * @property {number} percentage - Completed share, 0-100
+ * @property {number} timeSpent - Time spent reading, in ms
+ * @property {number} remainingMinutes - Estimated minutes left
+ * @property {TimelineDay[]} timeline - Days with completions, oldest first
+ */
+
+/**
+ * Read a number from a data attribute
+ * @private
+ * @param {Element} element - Element with the attribute
+ * @param {string} name - Attribute name
+ * @returns {number|null} The positive number, or null
+ */
+function readMinutes(element, name) {
+  const value = Number(element.getAttribute(name));
+  return value > 0 ? value : null;
+}
+
+/**
+ * Get the outline of a section element
+ * @param {Element} section - A `.section` element
+ * @param {string} [title] - Title to use instead of the section heading
+ * @returns {SectionOutline} Its progress id, title, estimate and steps
+ */
+export function readSectionOutline(section, title) {
+  const heading = section.querySelector('h2');
+
+  return {
+    id: getSectionProgressId(section),
+    title: title || (heading ? heading.textContent.trim() : section.id),
+    estimatedTime: readMinutes(section, 'data-estimated-time'),
+    steps: Array.from(section.querySelectorAll(STEP_SELECTOR)).map(step => {
+      const summary = step.querySelector('summary');
+      return {
+        id: getStepId(step),
+        title: summary ? summary.textContent.replace(/^\s*\d+[.)]?\s*/, '').trim() : '',
+        estimatedTime: readMinutes(step, 'data-estimated-time')
+      };
+    })
+  };
+}
+
+/**
+ * Get the outline of every section of the guide, from the page when the
+ * section is shown and from its content file otherwise
+ * @param {function(string): Promise<string>} [fetchContent] - Fetches a
+ *   content file's HTML; defaults to the content loader's cache, then fetch
+ * @returns {Promise<SectionOutline[]>} Sections in guide order. A section
+ *   whose file cannot be read has no steps.
+ */
+export async function loadGuideOutline(fetchContent) {
+  const fetchFile = fetchContent || (file => (
+    window.contentLoader
+      ? window.contentLoader.fetchContent(file)
+      : fetch(file).then(response => response.text())
+  ));
+
+  return Promise.all(GUIDE_SECTIONS.map(async entry => {
+    let section = document.getElementById(entry.id);
+
+    if (!section) {
+      try {
+        const html = await fetchFile(entry.file);
+        section = new DOMParser().parseFromString(html, 'text/html').getElementById(entry.id);
+      } catch (error) {
+        console.warn(`Could not read ${entry.file} for progress statistics:`, error);
+      }
+    }
+
+    return section
+      ? readSectionOutline(section, entry.title)
+      : { id: entry.slug, title: entry.title, estimatedTime: null, steps: [] };
+  }));
+}
+
+/**
+ * Get the estimated minutes of a step
+ * @param {StepOutline} step - The step
+ * @param {SectionOutline} section - Its section
+ * @returns {number} Minutes
+ */
+export function getStepMinutes(step, section) {
+  if (step.estimatedTime) return step.estimatedTime;
+  if (section.estimatedTime) return section.estimatedTime / section.steps.length;
+  return DEFAULT_STEP_MINUTES;
+}
+
+/**
+ * Format a date as a local `YYYY-MM-DD` day
+ * @private
+ * @param {number} time - Time in ms since the epoch
+ * @returns {string} The day
+ */
+function toDay(time) {
+  const date = new Date(time);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Work out the statistics of the guide
+ * @param {SectionOutline[]} outline - Sections of the guide
+ * @param {import('./progress-store.js').ProgressStore} [store] - Progress store
+ * @returns {ProgressStats} The statistics
+ */
+export function calculateProgressStats(outline, store = progressStore) {
+  const completionTimes = [];
+
+  const sections = outline.map(section => {
+    // A section marked as completed completes all its steps
+    const sectionDone = store.isCompleted(section.id);
+    const sectionCompletion = store.getCompletion(section.id);
+    if (sectionCompletion && sectionCompletion.completedAt) {
+      completionTimes.push(sectionCompletion.completedAt);
+    }
+
+    let completed = 0;
+    let remainingMinutes = 0;
+    section.steps.forEach(step => {
+      const completion = store.getCompletion(step.id);
+      if (completion && completion.completedAt) completionTimes.push(completion.completedAt);
+
+      if (sectionDone || completion) {
+        completed++;
+      } else {
+        remainingMinutes += getStepMinutes(step, section);
+      }
+    });
+
+    const total = section.steps.length;
+    return {
+      id: section.id,
+      title: section.title,
+      completed,
+      total,
+      percentage: total ? Math.round((completed / total) * 100) : (sectionDone ? 100 : 0),
+      timeSpent: store.getTimeSpent(section.id),
+      remainingMinutes: Math.round(remainingMinutes)
+    };
+  });
+
+  // Completions per day, with the running total
+  const counts = new Map();
+  completionTimes.sort((a, b) => a - b).forEach(time => {
+    const day = toDay(time);
+    counts.set(day, (counts.get(day) || 0) + 1);
+  });
+  let runningTotal = 0;
+  const timeline = Array.from(counts, ([date, count]) => {
+    runningTotal += count;
+    return { date, count, total: runningTotal };
+  });
+
+  const sum = key => sections.reduce((total, section) => total + section[key], 0);
+  const completed = sum('completed');
+  const total = sum('total');
+
+  return {
+    sections,
+    completed,
+    total,
+    percentage: total ? Math.round((completed / total) * 100) : 0,
+    timeSpent: sum('timeSpent'),
+    remainingMinutes: sum('remainingMinutes'),
+    timeline
+  };
+}
+
+/**
+ * Format a duration for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} E.g. `1 h 5 min`, `12 min` or `< 1 min`
+ */
+export function formatMinutes(minutes) {
+  const rounded = Math.round(minutes);
+  if (rounded < 1) return minutes > 0 ? '< 1 min' : '0 min';
+
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  if (!hours) return `${rest} min`;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+/**
+ * Write the statistics as a Markdown report
+ * @param {ProgressStats} stats - Statistics from calculateProgressStats
+ * @param {Date} [date] - Date of the report
+ * @returns {string} The report
+ */
+export function formatProgressReport(stats, date = new Date()) {
+  const lines = [
+    '# Grimoire Progress',
+    '',
+    `Exported ${toDay(date.getTime())}.`,
+    '',
+    `- Completed: ${stats.completed} of ${stats.total} steps (${stats.percentage}%)`,
+    `- Time spent: ${formatMinutes(stats.timeSpent / 60000)}`,
+    `- Estimated time left: ${formatMinutes(stats.remainingMinutes)}`,
+    '',
+    '## Sections',
+    '',
+    '| Section | Completed | Time spent | Time left |',
+    '|---------|-----------|------------|-----------|',
+    ...stats.sections.map(section => (
+      `| ${section.title.replace(/\|/g, '\\|')} | ${section.completed}/${section.total} (${section.percentage}%) ` +
+      `| ${formatMinutes(section.timeSpent / 60000)} | ${formatMinutes(section.remainingMinutes)} |`
+    ))
+  ];
+
+  if (stats.timeline.length) {
+    lines.push('', '## Timeline', '', '| Date | Completed | Total |', '|------|-----------|-------|');
+    stats.timeline.forEach(day => lines.push(`| ${day.date} | ${day.count} | ${day.total} |`));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  DEFAULT_STEP_MINUTES,
+  readSectionOutline,
+  loadGuideOutline,
+  getStepMinutes,
+  calculateProgressStats,
+  formatMinutes,
+  formatProgressReport
+};
@@ -0,0 +1,956 @@
+/**
+ * Progress Store
+ * Grimoire
+ *
+ * The one record of what the user has completed in the guide, shared by the
+ * section controls, the sidebar and FAB, the step checklists and the
+ * walkthrough. Everything is keyed by ids derived from the content rather
+ * than its position, so progress survives steps being reordered or added:
+ *
+ * - a section by its route slug (`decky-loader`), or its id outside the
+ *   guide manifest (`intro`)
+ * - a step by its id, or its section slug and title the way the content
+ *   compiler would make its id (`gaming-installing-emudeck`)
+ * - a checklist item by its step or section and its text
+ *   (`decky-loader-configuring-decky-loader/open-the-quick-access-menu`)
+ *
+ * A completed step also keeps a fingerprint of its content at the time, and a
+ * short hash and the start of each line, so the trackers can tell when it
+ * was edited afterwards and show which lines changed without storing all of
+ * its text. The
+ * time spent reading each section is kept for the statistics under a key of
+ * its own, and saved now and then rather than as it is counted.
+ *
+ * Progress belongs to a named profile, so a device shared by several people
+ * or used to set up several Decks keeps each one's progress apart. Only the
+ * active profile is read and changed; a profile can be exported to a file
+ * and imported as a new profile elsewhere.
+ *
+ * Every change is announced with one `progress-changed` event on window.
+ * Progress is saved through persistent storage, so the desktop app keeps it
+ * in its main-process store.
+ *
+ * Progress saved by earlier versions under their own keys is imported on
+ * first load. Entries that were keyed by position are kept aside until the
+ * content they point at is shown, then moved to its stable id.
+ */
+
+import { findSectionById } from '../../config/guide-sections.js';
+import { PERSISTENT_STORAGE_EVENT, readPersistent, writePersistent } from './persistent-storage.js';
+
+const STORAGE_KEY = 'guideProgress';
+
+/**
+ * Key of the time spent reading, by profile id and section progress id. It
+ * is kept apart from the progress so saving it does not make other windows
+ * reload their progress.
+ * @type {string}
+ */
+export const READING_TIME_KEY = 'guideReadingTime';
+
+/**
+ * Id of the profile progress saved before profiles existed goes into
+ * @type {string}
+ */
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Format of exported profile files
+ * @type {string}
+ */
+export const PROFILE_EXPORT_FORMAT = 'grimoire-progress-profile';
+
+/**
+ * Event dispatched on window when progress changes
+ * @type {string}
+ */
+export const PROGRESS_CHANGED_EVENT = 'progress-changed';
+
+/**
+ * Selector for guide steps
+ * @type {string}
+ */
+export const STEP_SELECTOR = 'details.guide-section';
+
+/**
+ * Keys used by earlier progress trackers
+ * @type {{sections: string, stepPrefix: string, itemPrefix: string}}
+ */
+const LEGACY_KEYS = {
+  sections: 'sdde-progress',
+  stepPrefix: 'sdde_step_',
+  itemPrefix: 'sdde_progress_'
+};
+
+/**
+ * Elements inside a step that are not part of its content
+ * @type {string}
+ */
+const NON_CONTENT_SELECTOR = 'summary, button, input, script, style, [data-progress-ui]';
+
+/**
+ * Elements whose text starts a new line of step content
+ * @type {string}
+ */
+const BLOCK_SELECTOR = 'p, li, pre, h1, h2, h3, h4, h5, h6, blockquote, dt, dd, tr, div';
+
+/**
+ * Number of characters of each line of a completed step that are kept
+ * @type {number}
+ */
+const EXCERPT_LENGTH = 80;
+
+/**
+ * @typedef {Object} StepSnapshot
+ * @property {string} fingerprint - Hash of the content
+ * @property {string[]} lines - Hash of each line of text of the content
+ * @property {string[]} excerpts - Start of each line of text of the content
+ */
+
+/**
+ * @typedef {Object} CompletionRecord
+ * @property {number|null} completedAt - When it was completed, in ms since
+ *   the epoch; null for progress imported from earlier versions
+ * @property {string} [fingerprint] - Fingerprint of a step's content when it
+ *   was completed or last reviewed
+ * @property {string[]} [lines] - Hashes of the lines of that content
+ * @property {string[]} [excerpts] - Starts of the lines of that content
+ */
+
+/**
+ * @typedef {Object} ProgressState
+ * @property {Object<string, CompletionRecord>} completed - Completed ids
+ * @property {Object<string, true>} legacy - Imported positional keys not
+ *   matched to content yet
+ * @property {Object<string, number>} timeSpent - Time spent reading each
+ *   section, in ms, by section progress id, saved by earlier versions or
+ *   imported; time read since is kept under READING_TIME_KEY
+ */
+
+/**
+ * @typedef {Object} ProgressProfile
+ * @property {string} name - Name shown in the profile switcher
+ * @property {string} notes - The user's notes, e.g. which Deck it is for
+ * @property {number|null} createdAt - When it was created, in ms since the
+ *   epoch; null for the profile made from earlier progress
+ * @property {Object<string, CompletionRecord>} completed - Completed ids
+ * @property {Object<string, true>} legacy - Imported positional keys not
+ *   matched to content yet
+ * @property {Object<string, number>} timeSpent - Time spent reading each
+ *   section, in ms, by section progress id
+ */
+
+/**
+ * @typedef {Object} ProfileInfo
+ * @property {string} id - Profile id
+ * @property {string} name - Profile name
+ * @property {string} notes - Profile notes
+ * @property {number|null} createdAt - When it was created
+ * @property {boolean} active - Whether it is the active profile
+ */
+
+/**
+ * @typedef {Object} ProfileExport
+ * @property {string} format - PROFILE_EXPORT_FORMAT
+ * @property {number} version - Version of the file format
+ * @property {number} exportedAt - When it was exported, in ms since the epoch
+ * @property {{name: string, notes: string, completed: Object<string, CompletionRecord>, timeSpent: Object<string, number>}} profile
+ *   - The profile's progress
+ */
+
+/**
+ * @typedef {Object} StoredProgress
+ * @property {string} activeProfile - Id of the profile in use
+ * @property {Object<string, ProgressProfile>} profiles - Profiles by id
+ */
+
+/**
+ * @typedef {Object} ProgressChange
+ * @property {string[]} ids - Changed ids; empty when anything may have
+ *   changed, after a reset or a change in another window
+ * @property {boolean} completed - Whether they are completed now
+ */
+
+/**
+ * Convert text into an id part, like the content compiler does for step ids
+ * @param {string} text - Text to convert
+ * @returns {string} Lowercase, hyphen-separated slug
+ */
+export function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Count the elements before an element whose key is the same as its own,
+ * to tell apart steps or items with the same text
+ * @private
+ * @param {Element} element - Element to look up
+ * @param {Element[]} siblings - Elements the key must be unique among
+ * @param {Function} getKey - Key of an element
+ * @returns {string} The key, with `-2`, `-3`... for repeats
+ */
+function uniqueKey(element, siblings, getKey) {
+  const key = getKey(element);
+  const repeats = siblings.slice(0, siblings.indexOf(element)).filter(sibling => getKey(sibling) === key).length;
+  return repeats ? `${key}-${repeats + 1}` : key;
+}
+
+/**
+ * Get the progress id of a section
+ * @param {Element|string} section - Section element, or its element id
+ * @returns {string} Its route slug, or its element id outside the manifest
+ */
+export function getSectionProgressId(section) {
+  const element = typeof section === 'string' ? null : section;
+  const id = element ? element.id : section;
+  const entry = findSectionById(id);
+  return (element && element.getAttribute('data-slug')) || (entry && entry.slug) || id || 'main';
+}
+
+/**
+ * Get the progress id of a guide step
+ * @param {Element} step - A `details.guide-section` element
+ * @returns {string} The step id
+ */
+export function getStepId(step) {
+  if (step.id) return step.id;
+
+  const section = step.closest('.section[id], section[id]');
+  const prefix = section ? getSectionProgressId(section) : 'main';
+  const titleOf = element => {
+    const summary = element.querySelector('summary');
+    // Steps are numbered in their summary; the number is their position
+    const title = summary ? summary.textContent.replace(/^\s*\d+[.)]?\s*/, '') : '';
+    return `${prefix}-${slugify(title) || 'step'}`;
+  };
+
+  return uniqueKey(step, Array.from((section || document).querySelectorAll(STEP_SELECTOR)), titleOf);
+}
+
+/**
+ * Get the progress id of a checklist item
+ * @param {Element} item - A list item in a step or section
+ * @returns {string} The item id
+ */
+export function getItemId(item) {
+  const step = item.closest(STEP_SELECTOR);
+  const section = item.closest('.section[id], section[id]');
+  const parentId = step ? getStepId(step) : (section ? getSectionProgressId(section) : 'main');
+  const textOf = element => slugify(element.textContent).slice(0, 48).replace(/-+$/, '') || 'item';
+
+  return `${parentId}/${uniqueKey(item, Array.from(item.parentNode.children), textOf)}`;
+}
+
+/**
+ * Hash a text with 32-bit FNV-1a
+ * @private
+ * @param {string} text - Text to hash
+ * @returns {string} Hexadecimal hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Shorten a line of step content to the part that is stored
+ * @private
+ * @param {string} line - Line of text
+ * @returns {string} The line, cut off after EXCERPT_LENGTH characters
+ */
+function getExcerpt(line) {
+  return line.length > EXCERPT_LENGTH ? `${line.slice(0, EXCERPT_LENGTH - 1)}…` : line;
+}
+
+/**
+ * Get the lines of text of a guide step as it is now. Controls added by the
+ * page, like copy buttons and progress notices, and step numbers in headings
+ * are left out, so only edits to the content change them.
+ * @param {Element} step - A guide step
+ * @returns {string[]} Its lines of text
+ */
+export function getStepContent(step) {
+  const clone = step.cloneNode(true);
+  clone.querySelectorAll(NON_CONTENT_SELECTOR).forEach(element => element.remove());
+  clone.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    heading.textContent = heading.textContent.replace(/^\s*\d+[.)]?\s*/, '');
+  });
+  clone.querySelectorAll(BLOCK_SELECTOR).forEach(element => element.append('\n'));
+
+  return clone.textContent
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get the fingerprint of a guide step's content as it is now
+ * @param {Element} step - A guide step
+ * @returns {StepSnapshot} Its fingerprint and the hashes and starts of its
+ *   lines, in the order of getStepContent
+ */
+export function getStepSnapshot(step) {
+  const content = getStepContent(step);
+  return {
+    fingerprint: hashText(content.join('\n')),
+    lines: content.map(hashText),
+    excerpts: content.map(getExcerpt)
+  };
+}
+
+/**
+ * Get the key an earlier tracker saved a checklist item under
+ * @param {Element} item - A list item
+ * @returns {string} The legacy key
+ */
+export function getLegacyItemKey(item) {
+  const section = item.closest('section, article, div[id]');
+  const sectionId = section ? section.id || 'main' : 'main';
+  const text = item.textContent.trim().substring(0, 30);
+  const index = Array.from(item.parentNode.children).indexOf(item);
+
+  return `${LEGACY_KEYS.itemPrefix}${window.location.pathname}_${sectionId}_${index}_${text}`;
+}
+
+/**
+ * Get the key an earlier tracker saved a numbered step under
+ * @param {Element} step - A guide step
+ * @returns {string} The legacy key
+ */
+export function getLegacyStepKey(step) {
+  const section = step.closest('.section[id], section[id]');
+  const sectionId = section ? section.id : 'main';
+  let stepKey = step.id || step.dataset.step;
+
+  if (!stepKey) {
+    const steps = Array.from((section || document).querySelectorAll(STEP_SELECTOR));
+    stepKey = String(steps.indexOf(step) + 1);
+  }
+
+  return `${LEGACY_KEYS.stepPrefix}${sectionId}_${stepKey}`;
+}
+
+/**
+ * Check that a stored value is a plain object
+ * @private
+ * @param {*} value - Stored value
+ * @returns {boolean} Whether it is an object
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a stored completion record. Records saved by earlier versions kept
+ * the whole text of each line; only its hash and start are kept now.
+ * @private
+ * @param {CompletionRecord} record - Stored record
+ * @returns {CompletionRecord} The record
+ */
+function readCompletion(record) {
+  if (!isObject(record) || !Array.isArray(record.content)) return record;
+
+  const { content, ...completion } = record;
+  const lines = content.map(String);
+  return { ...completion, lines: lines.map(hashText), excerpts: lines.map(getExcerpt) };
+}
+
+/**
+ * Get an object's own property, ignoring ones every object inherits such
+ * as `constructor` or `toString`, which a profile id can be named after
+ * @private
+ * @param {Object} object - Object to read
+ * @param {string} key - Property name
+ * @returns {*} The value, or undefined if the object has no such property
+ */
+function getOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+/**
+ * Fill in a stored profile, ignoring parts that cannot be read
+ * @private
+ * @param {Object} stored - Stored profile
+ * @param {string} defaultName - Name if it has none
+ * @returns {ProgressProfile} The profile
+ */
+function readProfile(stored, defaultName) {
+  return {
+    name: typeof stored.name === 'string' && stored.name.trim() ? stored.name : defaultName,
+    notes: typeof stored.notes === 'string' ? stored.notes : '',
+    createdAt: typeof stored.createdAt === 'number' ? stored.createdAt : null,
+    completed: isObject(stored.completed)
+      ? Object.fromEntries(Object.entries(stored.completed).map(([id, record]) => [id, readCompletion(record)]))
+      : {},
+    legacy: isObject(stored.legacy) ? stored.legacy : {},
+    timeSpent: isObject(stored.timeSpent) ? stored.timeSpent : {}
+  };
+}
+
+/**
+ * @class ProgressStore
+ * @classdesc Completed sections, steps and checklist items
+ */
+export class ProgressStore {
+  constructor() {
+    /**
+     * Loaded profiles, read from storage on first use
+     * @type {StoredProgress|null}
+     * @private
+     */
+    this.data = null;
+
+    /**
+     * Time spent reading not saved yet, by profile id and section
+     * progress id
+     * @type {Object<string, Object<string, number>>}
+     * @private
+     */
+    this.pendingTime = {};
+
+    // Progress changed in another window, or was loaded from the app store
+    if (typeof window !== 'undefined') {
+      const reloadFromStorage = () => {
+        this.data = null;
+        this.notify({ ids: [], completed: false });
+      };
+
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) reloadFromStorage();
+      });
+      window.addEventListener(PERSISTENT_STORAGE_EVENT, (event) => {
+        if (event.detail.keys.includes(STORAGE_KEY)) reloadFromStorage();
+      });
+    }
+  }
+
+  /**
+   * Get the profiles, loading them and importing legacy progress if needed
+   * @private
+   * @returns {StoredProgress} The profiles
+   */
+  getData() {
+    if (!this.data) {
+      this.data = this.readData();
+      if (this.importLegacyProgress()) {
+        this.saveState();
+      }
+    }
+    return this.data;
+  }
+
+  /**
+   * Get the progress of the active profile
+   * @private
+   * @returns {ProgressState} The state
+   */
+  getState() {
+    const data = this.getData();
+    return getOwn(data.profiles, data.activeProfile);
+  }
+
+  /**
+   * Read the profiles from storage
+   * @private
+   * @returns {StoredProgress} The stored profiles, or a default profile
+   */
+  readData() {
+    const stored = readPersistent(STORAGE_KEY, {});
+    const data = isObject(stored) ? stored : {};
+    const profiles = {};
+
+    if (isObject(data.profiles)) {
+      Object.keys(data.profiles).filter(id => isObject(data.profiles[id])).forEach(id => {
+        profiles[id] = readProfile(data.profiles[id], id);
+      });
+    }
+
+    // Progress saved before profiles existed becomes the default profile
+    if (!Object.keys(profiles).length) {
+      profiles[DEFAULT_PROFILE_ID] = readProfile({ ...data, name: 'Default', createdAt: null }, 'Default');
+    }
+
+    return {
+      activeProfile: getOwn(profiles, data.activeProfile) ? data.activeProfile : Object.keys(profiles)[0],
+      profiles
+    };
+  }
+
+  /**
+   * Write the profiles to storage
+   * @private
+   */
+  saveState() {
+    writePersistent(STORAGE_KEY, this.data);
+  }
+
+  /**
+   * Announce a change
+   * @private
+   * @param {ProgressChange} change - What changed
+   */
+  notify(change) {
+    window.dispatchEvent(new CustomEvent(PROGRESS_CHANGED_EVENT, { detail: change }));
+  }
+
+  /**
+   * Move progress saved by earlier trackers into the state and remove
+   * their keys
+   * @private
+   * @returns {boolean} Whether anything was imported
+   */
+  importLegacyProgress() {
+    const state = this.getState();
+    let storage;
+    try {
+      storage = window.localStorage;
+    } catch (error) {
+      return false;
+    }
+
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key === LEGACY_KEYS.sections || key.startsWith(LEGACY_KEYS.stepPrefix) ||
+          key.startsWith(LEGACY_KEYS.itemPrefix)) {
+        keys.push(key);
+      }
+    }
+
+    keys.forEach(key => {
+      const value = storage.getItem(key);
+
+      if (key === LEGACY_KEYS.sections) {
+        // Whole sections, by element id
+        let sections = {};
+        try {
+          sections = JSON.parse(value) || {};
+        } catch (error) {
+          console.warn('Skipping unreadable legacy progress:', error);
+        }
+        Object.keys(sections).filter(id => sections[id]).forEach(id => {
+          state.completed[getSectionProgressId(id)] = { completedAt: null };
+        });
+      } else if (value === 'true') {
+        const stepKey = key.startsWith(LEGACY_KEYS.stepPrefix)
+          ? key.slice(LEGACY_KEYS.stepPrefix.length).replace(/^[^_]*_/, '')
+          : '';
+
+        // Steps saved by their own id already have a stable id; numbered
+        // steps and checklist items wait for their content
+        if (stepKey && !/^\d+$/.test(stepKey)) {
+          state.completed[stepKey] = { completedAt: null };
+        } else {
+          state.legacy[key] = true;
+        }
+      }
+
+      storage.removeItem(key);
+    });
+
+    return keys.length > 0;
+  }
+
+  /**
+   * Check whether a section, step or item is completed
+   * @param {string} id - Progress id
+   * @returns {boolean} Whether it is completed
+   */
+  isCompleted(id) {
+    return Object.prototype.hasOwnProperty.call(this.getState().completed, id);
+  }
+
+  /**
+   * Get when a section, step or item was completed
+   * @param {string} id - Progress id
+   * @returns {CompletionRecord|null} Its completion, or null if it is not completed
+   */
+  getCompletion(id) {
+    return this.isCompleted(id) ? this.getState().completed[id] : null;
+  }
+
+  /**
+   * Get every completed id
+   * @returns {string[]} Progress ids
+   */
+  getCompletedIds() {
+    return Object.keys(this.getState().completed);
+  }
+
+  /**
+   * Mark sections, steps or items as completed or not
+   * @param {string|string[]} ids - Progress ids
+   * @param {boolean} completed - Whether they are completed
+   * @param {Object<string, StepSnapshot>} [snapshots] - Content of completed
+   *   steps, by id
+   * @returns {void}
+   */
+  setCompleted(ids, completed, snapshots = {}) {
+    const state = this.getState();
+    const changed = [].concat(ids).filter(id => this.isCompleted(id) !== Boolean(completed));
+    if (!changed.length) return;
+
+    changed.forEach(id => {
+      if (completed) {
+        state.completed[id] = { completedAt: Date.now(), ...snapshots[id] };
+      } else {
+        delete state.completed[id];
+      }
+    });
+
+    this.saveState();
+    this.notify({ ids: changed, completed: Boolean(completed) });
+  }
+
+  /**
+   * Get the time spent reading a section
+   * @param {string} id - Progress id of the section
+   * @returns {number} Time in ms
+   */
+  getTimeSpent(id) {
+    return this.getProfileTimeSpent(this.getData().activeProfile)[id] || 0;
+  }
+
+  /**
+   * Add to the time spent reading a section. The time is kept in memory
+   * until saveTimeSpent is called, and not announced, since it changes
+   * every few seconds while the guide is read.
+   * @param {string} id - Progress id of the section
+   * @param {number} time - Time to add, in ms
+   * @returns {void}
+   */
+  addTimeSpent(id, time) {
+    if (!(time > 0)) return;
+
+    const profileId = this.getData().activeProfile;
+    const pending = getOwn(this.pendingTime, profileId) || (this.pendingTime[profileId] = {});
+    pending[id] = (pending[id] || 0) + Math.round(time);
+  }
+
+  /**
+   * Save the time spent reading that was added since the last save. It is
+   * added to what is stored, so time saved by other windows is kept.
+   * @returns {void}
+   */
+  saveTimeSpent() {
+    const profileIds = Object.keys(this.pendingTime);
+    if (!profileIds.length) return;
+
+    const stored = this.readReadingTime();
+    profileIds.forEach(profileId => {
+      const saved = getOwn(stored, profileId);
+      const times = isObject(saved) ? saved : {};
+      Object.entries(this.pendingTime[profileId]).forEach(([id, time]) => {
+        times[id] = (Number(times[id]) || 0) + time;
+      });
+      stored[profileId] = times;
+    });
+
+    this.pendingTime = {};
+    writePersistent(READING_TIME_KEY, stored);
+  }
+
+  /**
+   * Read the saved time spent reading
+   * @private
+   * @returns {Object<string, Object<string, number>>} Time by profile id and
+   *   section progress id
+   */
+  readReadingTime() {
+    const stored = readPersistent(READING_TIME_KEY, {});
+    return isObject(stored) ? stored : {};
+  }
+
+  /**
+   * Get the time spent reading each section in a profile: time from earlier
+   * versions or an imported file, saved time and time not saved yet
+   * @private
+   * @param {string} profileId - Profile id
+   * @returns {Object<string, number>} Time in ms by section progress id
+   */
+  getProfileTimeSpent(profileId) {
+    const profile = getOwn(this.getData().profiles, profileId);
+    const saved = getOwn(this.readReadingTime(), profileId);
+    const totals = { ...(profile ? profile.timeSpent : {}) };
+
+    [isObject(saved) ? saved : {}, getOwn(this.pendingTime, profileId) || {}].forEach(times => {
+      Object.entries(times).forEach(([id, time]) => {
+        totals[id] = (Number(totals[id]) || 0) + (Number(time) || 0);
+      });
+    });
+    return totals;
+  }
+
+  /**
+   * Forget the time spent reading in a profile
+   * @private
+   * @param {string} profileId - Profile id
+   * @returns {void}
+   */
+  clearTimeSpent(profileId) {
+    delete this.pendingTime[profileId];
+
+    const stored = this.readReadingTime();
+    if (getOwn(stored, profileId)) {
+      delete stored[profileId];
+      writePersistent(READING_TIME_KEY, stored);
+    }
+  }
+
+  /**
+   * Clear progress of the active profile
+   * @param {string[]} [ids] - Progress ids to clear; everything, including
+   *   the time spent, if omitted
+   * @returns {void}
+   */
+  reset(ids) {
+    if (ids) {
+      this.setCompleted(ids, false);
+      return;
+    }
+
+    Object.assign(this.getState(), { completed: {}, legacy: {}, timeSpent: {} });
+    this.clearTimeSpent(this.getData().activeProfile);
+    this.saveState();
+    this.notify({ ids: [], completed: false });
+  }
+
+  /**
+   * Record the content of a completed step, after the user reviewed how it
+   * changed or when it was completed before content was recorded
+   * @param {string} id - Progress id of the step
+   * @param {StepSnapshot} snapshot - Its content now
+   * @returns {boolean} Whether the step is completed
+   */
+  setSnapshot(id, snapshot) {
+    const completion = this.getCompletion(id);
+    if (!completion) return false;
+
+    const previous = completion.fingerprint;
+    this.getState().completed[id] = { ...completion, ...snapshot };
+    this.saveState();
+
+    // Recording a first snapshot changes nothing on the page
+    if (previous && previous !== snapshot.fingerprint) {
+      this.notify({ ids: [id], completed: true });
+    }
+    return true;
+  }
+
+  /**
+   * Move imported positional progress to the stable id of the content it
+   * points at
+   * @param {string} id - Stable progress id
+   * @param {string} legacyKey - Key an earlier tracker saved the content under
+   * @returns {boolean} Whether legacy progress was found
+   */
+  adoptLegacy(id, legacyKey) {
+    const state = this.getState();
+    if (!state.legacy[legacyKey]) return false;
+
+    delete state.legacy[legacyKey];
+    if (!this.isCompleted(id)) {
+      state.completed[id] = { completedAt: null };
+      this.saveState();
+      this.notify({ ids: [id], completed: true });
+    } else {
+      this.saveState();
+    }
+    return true;
+  }
+
+  /**
+   * Read progress from storage again
+   * @returns {void}
+   */
+  reload() {
+    this.data = null;
+  }
+
+  /**
+   * Get every profile
+   * @returns {ProfileInfo[]} Profiles, in the order they were created
+   */
+  getProfiles() {
+    const data = this.getData();
+    return Object.keys(data.profiles).map(id => this.getProfile(id));
+  }
+
+  /**
+   * Get a profile
+   * @param {string} [id] - Profile id; the active profile if omitted
+   * @returns {ProfileInfo|null} The profile, or null if there is none with the id
+   */
+  getProfile(id) {
+    const data = this.getData();
+    const profileId = id || data.activeProfile;
+    const profile = getOwn(data.profiles, profileId);
+    if (!profile) return null;
+
+    return {
+      id: profileId,
+      name: profile.name,
+      notes: profile.notes,
+      createdAt: profile.createdAt,
+      active: profileId === data.activeProfile
+    };
+  }
+
+  /**
+   * Add an empty profile
+   * @param {string} name - Profile name
+   * @param {string} [notes] - Profile notes
+   * @returns {string|null} Id of the new profile, or null without a name
+   */
+  createProfile(name, notes = '') {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return null;
+
+    const data = this.getData();
+    const base = slugify(trimmed) || 'profile';
+    let id = base;
+    for (let n = 2; getOwn(data.profiles, id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    data.profiles[id] = readProfile({ name: trimmed, notes, createdAt: Date.now() }, trimmed);
+    this.saveState();
+    return id;
+  }
+
+  /**
+   * Change the name or notes of a profile
+   * @param {string} id - Profile id
+   * @param {{name?: string, notes?: string}} changes - New name or notes
+   * @returns {boolean} Whether the profile exists
+   */
+  updateProfile(id, changes) {
+    const profile = getOwn(this.getData().profiles, id);
+    if (!profile) return false;
+
+    if (typeof changes.name === 'string' && changes.name.trim()) {
+      profile.name = changes.name.trim();
+    }
+    if (typeof changes.notes === 'string') {
+      profile.notes = changes.notes;
+    }
+    this.saveState();
+    return true;
+  }
+
+  /**
+   * Use another profile. Announced as a change of everything.
+   * @param {string} id - Profile id
+   * @returns {boolean} Whether the profile exists
+   */
+  switchProfile(id) {
+    const data = this.getData();
+    if (!getOwn(data.profiles, id)) return false;
+    if (data.activeProfile === id) return true;
+
+    data.activeProfile = id;
+    this.saveState();
+    this.notify({ ids: [], completed: false });
+    return true;
+  }
+
+  /**
+   * Remove a profile and its progress. The last profile cannot be removed;
+   * removing the active one switches to the first one left.
+   * @param {string} id - Profile id
+   * @returns {boolean} Whether it was removed
+   */
+  deleteProfile(id) {
+    const data = this.getData();
+    if (!getOwn(data.profiles, id) || Object.keys(data.profiles).length < 2) return false;
+
+    delete data.profiles[id];
+    this.clearTimeSpent(id);
+    if (data.activeProfile !== id) {
+      this.saveState();
+      return true;
+    }
+
+    data.activeProfile = Object.keys(data.profiles)[0];
+    this.saveState();
+    this.notify({ ids: [], completed: false });
+    return true;
+  }
+
+  /**
+   * Get a profile's progress for saving to a file
+   * @param {string} [id] - Profile id; the active profile if omitted
+   * @returns {ProfileExport|null} The export, or null if there is no such profile
+   */
+  exportProfile(id) {
+    const data = this.getData();
+    const profileId = id || data.activeProfile;
+    const profile = getOwn(data.profiles, profileId);
+    if (!profile) return null;
+
+    return {
+      format: PROFILE_EXPORT_FORMAT,
+      version: 1,
+      exportedAt: Date.now(),
+      profile: {
+        name: profile.name,
+        notes: profile.notes,
+        completed: profile.completed,
+        timeSpent: this.getProfileTimeSpent(profileId)
+      }
+    };
+  }
+
+  /**
+   * Add a profile from an export. It never replaces an existing profile,
+   * so progress made on another device sits next to this one's.
+   * @param {ProfileExport} exported - Result of exportProfile, e.g. read
+   *   from a file
+   * @returns {string|null} Id of the new profile, or null if the export
+   *   cannot be read
+   */
+  importProfile(exported) {
+    if (!isObject(exported) || exported.format !== PROFILE_EXPORT_FORMAT || !isObject(exported.profile)) {
+      return null;
+    }
+
+    const name = typeof exported.profile.name === 'string' ? exported.profile.name.trim() : '';
+    const id = this.createProfile(name || 'Imported');
+    if (!id) return null;
+
+    const profile = readProfile({ ...exported.profile, legacy: {} }, '');
+    Object.assign(this.getData().profiles[id], {
+      notes: profile.notes,
+      completed: profile.completed,
+      timeSpent: profile.timeSpent
+    });
+    this.saveState();
+    return id;
+  }
+
+  /**
+   * Call a function whenever progress changes
+   * @param {function(ProgressChange): void} listener - Change listener
+   * @returns {function(): void} Function that removes the listener
+   */
+  subscribe(listener) {
+    const handler = event => listener(event.detail);
+    window.addEventListener(PROGRESS_CHANGED_EVENT, handler);
+    return () => window.removeEventListener(PROGRESS_CHANGED_EVENT, handler);
+  }
+}
+
+// Create singleton instance
+const progressStore = new ProgressStore();
+
+// Export singleton
+export default progressStore;
@@ -0,0 +1,158 @@
+/**
+ * Search Analyzers
+ * Locale-specific word normalization and stop words for search
+ *
+ * Every analyzer lowercases words and removes Latin accents, so
+ * "configuracion" finds "configuración" in any language. Arabic and Hebrew
+ * also drop the vowel marks that are usually left out when typing, and
+ * Arabic unifies letter variants and the definite article. The guide is
+ * written in English, so English stop words are skipped in every locale.
+ */
+
+/**
+ * Locale whose analyzer is used for unsupported locales
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Latin combining accents, left over once a word is decomposed
+ * @type {RegExp}
+ */
+const LATIN_ACCENTS = /[\u0300-\u036f]/g;
+
+/**
+ * Arabic short vowels and other marks, and the tatweel used to stretch words
+ * @type {RegExp}
+ */
+const ARABIC_MARKS = /[\u0610-\u061a\u064b-\u065f\u0670\u06d6-\u06ed\u0640]/g;
+
+/**
+ * Hebrew points (niqqud) and cantillation marks
+ * @type {RegExp}
+ */
+const HEBREW_MARKS = /[\u0591-\u05bd\u05bf\u05c1\u05c2\u05c4\u05c5\u05c7]/g;
+
+/**
+ * Arabic definite article, alone or after a one-letter conjunction or
+ * preposition; longest first
+ * @type {string[]}
+ */
+const ARABIC_ARTICLES = ['وال', 'بال', 'كال', 'فال', 'ال', 'لل'];
+
+/**
+ * Hebrew letters and their final forms
+ * @type {Object<string, string>}
+ */
+const HEBREW_FINAL_LETTERS = {
+  'ך': 'כ',
+  'ם': 'מ',
+  'ן': 'נ',
+  'ף': 'פ',
+  'ץ': 'צ'
+};
+
+const ENGLISH_STOP_WORDS = [
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in',
+  'is', 'it', 'of', 'on', 'or', 'so', 'the', 'this', 'that', 'to', 'with'
+];
+
+// Written as normalized, without accents
+const SPANISH_STOP_WORDS = [
+  'al', 'como', 'con', 'de', 'del', 'el', 'en', 'es', 'esta', 'este', 'esto',
+  'la', 'las', 'lo', 'los', 'mas', 'no', 'o', 'para', 'pero', 'por', 'que',
+  'se', 'si', 'sin', 'su', 'sus', 'un', 'una', 'uno', 'y', 'ya'
+];
+
+// Written as normalized, without the definite article
+const ARABIC_STOP_WORDS = [
+  'في', 'من', 'الي', 'علي', 'عن', 'مع', 'هذا', 'هذه', 'ذلك', 'تلك', 'او', 'ثم',
+  'ان', 'كان', 'قد', 'لا', 'ما', 'لم', 'لن', 'هو', 'هي', 'كل', 'ذي'
+];
+
+// Written as normalized, with final letters in their regular form
+const HEBREW_STOP_WORDS = [
+  'של', 'את', 'על', 'עמ', 'אל', 'זה', 'זו', 'הוא', 'היא', 'הנ', 'המ', 'לא',
+  'כי', 'גמ', 'אמ', 'או', 'אבל', 'יש', 'אינ', 'כל', 'מה', 'רק', 'עוד'
+];
+
+/**
+ * Lowercase a word and remove its Latin accents
+ * @param {string} word - Word to normalize
+ * @returns {string} The normalized word
+ */
+function foldLatin(word) {
+  return word.normalize('NFKD').replace(LATIN_ACCENTS, '').toLowerCase();
+}
+
+/**
+ * Normalize an Arabic word: drop marks and the definite article, and write
+ * alef, yeh and teh marbuta variants one way
+ * @param {string} word - Word to normalize
+ * @returns {string} The normalized word
+ */
+function normalizeArabic(word) {
+  // Decomposing turns hamza and madda on alef into marks that are dropped
+  const letters = foldLatin(word)
+    .replace(ARABIC_MARKS, '')
+    .replace(/[آأإٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه');
+
+  const article = ARABIC_ARTICLES.find(prefix => letters.startsWith(prefix) && letters.length - prefix.length >= 2);
+  return article ? letters.slice(article.length) : letters;
+}
+
+/**
+ * Normalize a Hebrew word: drop points and write final letters like the
+ * others, so a partial word matches the start of a whole one
+ * @param {string} word - Word to normalize
+ * @returns {string} The normalized word
+ */
+function normalizeHebrew(word) {
+  return foldLatin(word)
+    .replace(HEBREW_MARKS, '')
+    .replace(/[ךםןףץ]/g, letter => HEBREW_FINAL_LETTERS[letter]);
+}
+
+/**
+ * Create an analyzer
+ * @param {string} locale - Locale code
+ * @param {Function} normalize - Word normalizer
+ * @param {string[]} [stopWords] - Normalized words of the locale not to index
+ * @returns {{locale: string, normalize: Function, stopWords: Set<string>}} The analyzer
+ */
+function createAnalyzer(locale, normalize, stopWords = []) {
+  return Object.freeze({
+    locale,
+    normalize,
+    stopWords: new Set([...ENGLISH_STOP_WORDS, ...stopWords])
+  });
+}
+
+/**
+ * Analyzers by locale code
+ * @type {Object<string, {locale: string, normalize: Function, stopWords: Set<string>}>}
+ */
+export const ANALYZERS = {
+  en: createAnalyzer('en', foldLatin),
+  es: createAnalyzer('es', foldLatin, SPANISH_STOP_WORDS),
+  ar: createAnalyzer('ar', normalizeArabic, ARABIC_STOP_WORDS),
+  he: createAnalyzer('he', normalizeHebrew, HEBREW_STOP_WORDS)
+};
+
+/**
+ * Get the analyzer for a locale
+ * @param {string} [locale] - Locale code, such as `es` or `es-MX`
+ * @returns {{locale: string, normalize: Function, stopWords: Set<string>}} Its analyzer, or the default one
+ */
+export function getAnalyzer(locale) {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return ANALYZERS[language] || ANALYZERS[DEFAULT_LOCALE];
+}
+
+export default {
+  DEFAULT_LOCALE,
+  ANALYZERS,
+  getAnalyzer
+};
@@ -0,0 +1,985 @@
+/**
+ * Search Engine
+ * Full-text search over the guide, shared by every search UI
+ *
+ * Text is split into words normalized by the analyzer for the interface
+ * language (see search-analyzers.js), which lowercases them and removes
+ * accents and vowel marks. Query words match
+ * indexed words exactly, by prefix ("inst" finds "install") or with a small
+ * number of typos ("instal" finds "install"); exact matches rank highest.
+ * Documents are ranked with BM25, weighting titles above headings above body
+ * text, and every query word must match. Queries can also hold phrases and
+ * filters (see search-query.js). Results carry the matched words so the
+ * search modal and the in-page navigator highlight the same text.
+ *
+ * Sections that have not been loaded yet are searched through the index
+ * built by scripts/build-content.js, which loadSearchIndex() fetches once.
+ */
+
+import i18n from '../../i18n.js';
+import { getAnalyzer } from './search-analyzers.js';
+import { parseQuery } from './search-query.js';
+import { findSectionById } from '../../config/guide-sections.js';
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} id - Unique id
+ * @property {string} title - Title, weighted highest
+ * @property {string} [headings] - Heading text
+ * @property {string} [body] - Body text
+ * @property {string} [code] - Text of its code blocks
+ * @property {string} [section] - Title of the section it belongs to
+ * @property {string} [sectionId] - Id of the section's element
+ * @property {string} [slug] - Route slug of the section
+ * @property {string[]} [tags] - Tags of the section and step, lowercase
+ * @property {number} [step] - 1-based step number, for steps
+ * @property {string} [url] - Link to the document
+ * @property {HTMLElement} [element] - Element the document was read from
+ * @property {string} [exclude] - Selector for parts of `element` that are other documents
+ */
+
+/**
+ * @typedef {Object} SearchAnalyzer
+ * @property {string} locale - Locale code
+ * @property {function(string): string} normalize - Normalizes a word
+ * @property {Set<string>} stopWords - Normalized words that are not indexed
+ */
+
+/**
+ * @typedef {Object} SearchFacets
+ * @property {Array<{id: string, slug: string, title: string, count: number}>} sections - Sections with results, best first
+ * @property {Array<{tag: string, count: number}>} tags - Tags of the results, most common first
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {SearchDocument} document - Matching document
+ * @property {number} score - Relevance, higher is better
+ * @property {string[]} terms - Indexed words that matched, for highlighting
+ * @property {string} snippet - HTML excerpt with the matches marked
+ */
+
+/**
+ * Relative weight of each document field
+ * @type {Object<string, number>}
+ */
+export const FIELD_WEIGHTS = {
+  title: 3,
+  headings: 2,
+  body: 1,
+  code: 1
+};
+
+/**
+ * Location of the prebuilt index of all guide sections
+ * @type {string}
+ */
+export const SEARCH_INDEX_URL = 'src/content/search-index.json';
+
+/**
+ * Score multiplier for each kind of match
+ * @type {{exact: number, prefix: number, fuzzy: number}}
+ */
+export const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.5
+};
+
+/**
+ * Matches a word: a run of letters and digits, with any accents or vowel
+ * marks on them
+ * @type {RegExp}
+ */
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{M}\p{N}]*/gu;
+
+/**
+ * Selector for guide sections
+ * @type {string}
+ */
+const SECTION_SELECTOR = '.section[id], main section[id], main article[id]';
+
+/**
+ * Selector for the steps of a section
+ * @type {string}
+ */
+const STEP_SELECTOR = 'details.guide-section';
+
+/**
+ * Elements whose text is not searchable
+ * @type {string}
+ */
+const IGNORED_SELECTOR = 'script, style, button, .copy-button, .search-navigation';
+
+/**
+ * Get the analyzer for the interface language
+ * @returns {SearchAnalyzer} The analyzer
+ */
+export function getActiveAnalyzer() {
+  return getAnalyzer(i18n.getCurrentLocale());
+}
+
+/**
+ * Normalize a word for indexing and matching
+ * @param {string} word - Word to normalize
+ * @param {SearchAnalyzer} [analyzer] - Analyzer to use; defaults to the active one
+ * @returns {string} The normalized word
+ */
+export function normalize(word, analyzer = getActiveAnalyzer()) {
+  return analyzer.normalize(word);
+}
+
+/**
+ * Split text into words with their positions
+ * @private
+ * @param {string} text - Text to split
+ * @param {SearchAnalyzer} analyzer - Analyzer to normalize the words with
+ * @returns {Array<{term: string, start: number, end: number}>} Words in order
+ */
+function splitWords(text, analyzer) {
+  const words = [];
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    const term = analyzer.normalize(match[0]);
+    // Single letters are noise, but single digits are step numbers
+    if (term.length > 1 || /\d/.test(term)) {
+      words.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return words;
+}
+
+/**
+ * Split text into searchable terms
+ * @param {string} text - Text to tokenize
+ * @param {SearchAnalyzer} [analyzer] - Analyzer to use; defaults to the active one
+ * @returns {string[]} Normalized terms, without stop words
+ */
+export function tokenize(text, analyzer = getActiveAnalyzer()) {
+  return splitWords(text, analyzer)
+    .map(word => word.term)
+    .filter(term => !analyzer.stopWords.has(term));
+}
+
+/**
+ * Get the number of edits (insertions, deletions, substitutions or swaps of
+ * neighbouring letters) needed to turn one word into another
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} The distance, or `max + 1` if it is larger than `max`
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const beforeRow = previousRow;
+    previousRow = row;
+    row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+      if (beforeRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforeRow[j - 2] + 1);
+      }
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+  }
+
+  return Math.min(row[b.length], max + 1);
+}
+
+/**
+ * Get the number of typos allowed in a query word
+ * @private
+ * @param {string} term - Query word
+ * @returns {number} Allowed edits
+ */
+function allowedEdits(term) {
+  if (term.length < 4 || /^\d+$/.test(term)) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Escape text for use in HTML
+ * @private
+ * @param {string} text - Text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Find the words in a text that match search terms
+ * @param {string} text - Text to search
+ * @param {Iterable<string>} terms - Matched terms, as returned with results
+ * @param {SearchAnalyzer} [analyzer] - Analyzer the terms came from; defaults to the active one
+ * @returns {Array<{start: number, end: number}>} Ranges of matching words
+ */
+export function findMatches(text, terms, analyzer = getActiveAnalyzer()) {
+  const termSet = terms instanceof Set ? terms : new Set(terms);
+  if (!termSet.size) return [];
+
+  return splitWords(text, analyzer)
+    .filter(word => termSet.has(word.term))
+    .map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Mark the words in a text that match search terms
+ * @param {string} text - Plain text
+ * @param {Iterable<string>} terms - Matched terms
+ * @param {SearchAnalyzer} [analyzer] - Analyzer the terms came from; defaults to the active one
+ * @returns {string} HTML with matches wrapped in `<mark>`
+ */
+export function highlight(text, terms, analyzer = getActiveAnalyzer()) {
+  let html = '';
+  let lastIndex = 0;
+
+  findMatches(text, terms, analyzer).forEach(({ start, end }) => {
+    html += `${escapeHtml(text.slice(lastIndex, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    lastIndex = end;
+  });
+
+  return html + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Cut the part of a text with the most matches, for showing under a result
+ * @param {string} text - Plain text
+ * @param {Iterable<string>} terms - Matched terms
+ * @param {number} [length=160] - Approximate snippet length in characters
+ * @param {SearchAnalyzer} [analyzer] - Analyzer the terms came from; defaults to the active one
+ * @returns {string} HTML snippet with matches wrapped in `<mark>`
+ */
+export function createSnippet(text, terms, length = 160, analyzer = getActiveAnalyzer()) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const matches = findMatches(source, terms, analyzer);
+  if (source.length <= length) return highlight(source, terms, analyzer);
+
+  // Start a little before the match that has the most matches after it
+  let start = 0;
+  let best = 0;
+  matches.forEach((match, index) => {
+    const count = matches.slice(index).filter(other => other.end - match.start <= length).length;
+    if (count > best) {
+      best = count;
+      start = Math.max(0, match.start - Math.floor(length / 4));
+    }
+  });
+
+  let end = Math.min(source.length, start + length);
+  start = Math.max(0, Math.min(start, end - length));
+
+  // Do not cut words in half
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < end) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  return (start > 0 ? '… ' : '') +
+    highlight(source.slice(start, end), terms, analyzer) +
+    (end < source.length ? ' …' : '');
+}
+
+/**
+ * Wrap the words in an element that match search terms in `<mark>` elements
+ * @param {Element} element - Element to highlight in
+ * @param {Iterable<string>} terms - Matched terms
+ * @param {Object} [options] - Highlight options
+ * @param {string} [options.className] - Class for the marks
+ * @param {string} [options.exclude] - Selector for descendants to leave alone
+ * @param {SearchAnalyzer} [options.analyzer] - Analyzer the terms came from; defaults to the active one
+ * @returns {HTMLElement[]} The marks, in document order
+ */
+export function highlightElement(element, terms, options = {}) {
+  const termSet = new Set(terms);
+  const analyzer = options.analyzer || getActiveAnalyzer();
+  const skipped = options.exclude ? `mark, ${IGNORED_SELECTOR}, ${options.exclude}` : `mark, ${IGNORED_SELECTOR}`;
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement && node.parentElement.closest(skipped)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  const marks = [];
+  textNodes.forEach(node => {
+    const nodeMarks = [];
+
+    // Split from the end so earlier offsets stay valid
+    findMatches(node.data, termSet, analyzer).reverse().forEach(({ start, end }) => {
+      const matchNode = node.splitText(start);
+      matchNode.splitText(end - start);
+
+      const mark = document.createElement('mark');
+      if (options.className) mark.className = options.className;
+      matchNode.replaceWith(mark);
+      mark.appendChild(matchNode);
+      nodeMarks.unshift(mark);
+    });
+
+    marks.push(...nodeMarks);
+  });
+
+  return marks;
+}
+
+/**
+ * Remove marks added by highlightElement
+ * @param {HTMLElement[]} marks - Marks to remove
+ * @returns {void}
+ */
+export function clearHighlights(marks) {
+  marks.forEach(mark => {
+    const parent = mark.parentNode;
+    if (!parent) return;
+
+    mark.replaceWith(...mark.childNodes);
+    parent.normalize();
+  });
+}
+
+/**
+ * Copy an element without its unsearchable and excluded parts
+ * @private
+ * @param {Element} element - Element to copy
+ * @param {string} [exclude] - Selector for descendants to leave out
+ * @returns {Element} The copy
+ */
+function cloneSearchable(element, exclude) {
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll(exclude ? `${IGNORED_SELECTOR}, ${exclude}` : IGNORED_SELECTOR)
+    .forEach(node => node.remove());
+
+  // Fill-in command templates keep their placeholders in data-template
+  clone.querySelectorAll('[data-template]').forEach(code => {
+    code.textContent = code.getAttribute('data-template');
+  });
+
+  return clone;
+}
+
+/**
+ * Collapse the whitespace in a text
+ * @private
+ * @param {string} text - Text to clean up
+ * @returns {string} The text on one line
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the searchable prose of an element, without its code blocks
+ * @private
+ * @param {Element} element - Element to read
+ * @param {string} [exclude] - Selector for descendants to leave out
+ * @returns {string} The element's text
+ */
+function getText(element, exclude) {
+  return collapse(cloneSearchable(element, exclude ? `pre, ${exclude}` : 'pre').textContent);
+}
+
+/**
+ * Get the text of an element's code blocks
+ * @private
+ * @param {Element} element - Element to read
+ * @param {string} [exclude] - Selector for descendants to leave out
+ * @returns {string} The commands, separated by spaces
+ */
+function getCode(element, exclude) {
+  return Array.from(cloneSearchable(element, exclude).querySelectorAll('pre'))
+    .map(pre => collapse(pre.textContent))
+    .join(' ');
+}
+
+/**
+ * Get the tags of an element from its space-separated data-tags attribute
+ * @private
+ * @param {Element} element - Section or step
+ * @returns {string[]} Lowercase tags
+ */
+function getTags(element) {
+  return (element.getAttribute('data-tags') || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Get the element guide content is shown in
+ * @returns {Element} The content root
+ */
+export function getContentRoot() {
+  return document.getElementById('dynamic-content') || document.querySelector('main') || document.body;
+}
+
+/**
+ * Create search documents for the sections and steps in a page. A section's
+ * document holds the text outside its steps; `exclude` says which parts of
+ * its element belong to other documents.
+ * @param {Element|Document} [root] - Container; defaults to the content root
+ * @returns {SearchDocument[]} Documents for SearchIndex#add
+ */
+export function collectDocuments(root = getContentRoot()) {
+  const documents = [];
+  const sections = Array.from(root.querySelectorAll(SECTION_SELECTOR))
+    .filter(section => !section.parentElement || !section.parentElement.closest(SECTION_SELECTOR));
+
+  sections.forEach(section => {
+    const heading = section.querySelector('h1, h2, h3, h4, h5, h6');
+    const sectionTitle = heading ? heading.textContent.trim() : 'Untitled Section';
+    const guideSection = findSectionById(section.id);
+    const slug = section.getAttribute('data-slug') || (guideSection && guideSection.slug);
+    const sectionTags = getTags(section);
+
+    // Text outside the steps belongs to the section itself
+    documents.push({
+      id: section.id,
+      title: sectionTitle,
+      section: sectionTitle,
+      sectionId: section.id,
+      slug,
+      tags: sectionTags,
+      headings: Array.from(section.querySelectorAll('h2, h3, h4'))
+        .filter(node => node !== heading && !node.closest(STEP_SELECTOR))
+        .map(node => node.textContent)
+        .join(' '),
+      body: getText(section, `${STEP_SELECTOR}, h1, h2, h3, h4, h5, h6`),
+      code: getCode(section, STEP_SELECTOR),
+      url: `#${section.id}`,
+      element: section,
+      exclude: STEP_SELECTOR
+    });
+
+    section.querySelectorAll(STEP_SELECTOR).forEach((step, index) => {
+      const summary = step.querySelector('summary');
+      const title = summary ? summary.textContent.trim() : `${sectionTitle} step ${index + 1}`;
+
+      documents.push({
+        id: step.id || `${section.id}-step-${index + 1}`,
+        title,
+        section: sectionTitle,
+        sectionId: section.id,
+        slug,
+        tags: Array.from(new Set([...sectionTags, ...getTags(step)])),
+        step: Number(step.dataset.step) || index + 1,
+        headings: Array.from(step.querySelectorAll('h3, h4, h5, h6')).map(node => node.textContent).join(' '),
+        body: getText(step, 'summary, h3, h4, h5, h6'),
+        code: getCode(step),
+        url: `#${step.id || section.id}`,
+        element: step
+      });
+    });
+  });
+
+  return documents;
+}
+
+/**
+ * SearchIndex
+ * Inverted index over documents with `title`, `headings`, `body` and `code` text
+ */
+export class SearchIndex {
+  constructor(options = {}) {
+    /**
+     * Weight of each field
+     * @type {Object<string, number>}
+     */
+    this.fields = options.fields || FIELD_WEIGHTS;
+
+    /**
+     * BM25 term frequency saturation
+     * @type {number}
+     */
+    this.k1 = options.k1 !== undefined ? options.k1 : 1.2;
+
+    /**
+     * BM25 length normalization (0-1)
+     * @type {number}
+     */
+    this.b = options.b !== undefined ? options.b : 0.75;
+
+    /**
+     * Whether query words match indexed words they are a prefix of
+     * @type {boolean}
+     */
+    this.prefix = options.prefix !== false;
+
+    /**
+     * Whether query words match indexed words with typos
+     * @type {boolean}
+     */
+    this.fuzzy = options.fuzzy !== false;
+
+    /**
+     * Analyzer for documents and queries. Set it before adding documents:
+     * documents indexed with another analyzer will not match.
+     * @type {SearchAnalyzer}
+     */
+    this.analyzer = options.analyzer || getActiveAnalyzer();
+
+    this.clear();
+  }
+
+  /**
+   * Remove all documents
+   * @returns {void}
+   */
+  clear() {
+    /**
+     * Indexed documents with their term counts
+     * @type {Array<{document: SearchDocument, counts: Object<string, Map<string, number>>, lengths: Object<string, number>}>}
+     * @private
+     */
+    this.entries = [];
+
+    /**
+     * Indexes of the documents containing each term
+     * @type {Map<string, Set<number>>}
+     * @private
+     */
+    this.postings = new Map();
+
+    /**
+     * Total length of each field over all documents
+     * @type {Object<string, number>}
+     * @private
+     */
+    this.totalLengths = {};
+  }
+
+  /**
+   * Number of indexed documents
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Add a document
+   * @param {SearchDocument} document - Document to index
+   * @returns {void}
+   */
+  add(document) {
+    const index = this.entries.length;
+    const counts = {};
+    const lengths = {};
+
+    Object.keys(this.fields).forEach(field => {
+      const terms = tokenize(document[field], this.analyzer);
+      const fieldCounts = new Map();
+
+      terms.forEach(term => {
+        fieldCounts.set(term, (fieldCounts.get(term) || 0) + 1);
+        if (!this.postings.has(term)) this.postings.set(term, new Set());
+        this.postings.get(term).add(index);
+      });
+
+      counts[field] = fieldCounts;
+      lengths[field] = terms.length;
+      this.totalLengths[field] = (this.totalLengths[field] || 0) + terms.length;
+    });
+
+    this.entries.push({ document, counts, lengths });
+  }
+
+  /**
+   * Add several documents
+   * @param {SearchDocument[]} documents - Documents to add
+   * @returns {void}
+   */
+  addAll(documents) {
+    documents.forEach(document => this.add(document));
+  }
+
+  /**
+   * Find the indexed terms a query word matches
+   * @param {string} queryTerm - Normalized query word
+   * @param {boolean} [exact=false] - Match the word itself only, as in phrases
+   * @returns {Array<{term: string, weight: number}>} Matching terms with score multipliers
+   */
+  expandTerm(queryTerm, exact = false) {
+    if (exact) {
+      return this.postings.has(queryTerm) ? [{ term: queryTerm, weight: MATCH_WEIGHTS.exact }] : [];
+    }
+
+    const expansions = [];
+    const maxEdits = this.fuzzy ? allowedEdits(queryTerm) : 0;
+
+    this.postings.forEach((_, term) => {
+      if (term === queryTerm) {
+        expansions.push({ term, weight: MATCH_WEIGHTS.exact });
+      } else if (this.prefix && queryTerm.length > 1 && term.startsWith(queryTerm)) {
+        expansions.push({ term, weight: MATCH_WEIGHTS.prefix });
+      } else if (maxEdits) {
+        const distance = editDistance(queryTerm, term, maxEdits);
+        if (distance <= maxEdits) {
+          expansions.push({ term, weight: MATCH_WEIGHTS.fuzzy / distance });
+        }
+      }
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Score a term in a document with BM25, counting each field by its weight
+   * @private
+   * @param {string} term - Indexed term
+   * @param {Object} entry - Indexed document
+   * @param {string[]} fields - Fields to count
+   * @returns {number} The score; 0 if the term is not in those fields
+   */
+  scoreTerm(term, entry, fields) {
+    let frequency = 0;
+
+    fields.forEach(field => {
+      const count = entry.counts[field].get(term);
+      if (!count) return;
+
+      const averageLength = (this.totalLengths[field] / this.entries.length) || 1;
+      frequency += this.fields[field] * count / (1 - this.b + this.b * entry.lengths[field] / averageLength);
+    });
+
+    if (!frequency) return 0;
+
+    const documentCount = this.postings.get(term).size;
+    const idf = Math.log(1 + (this.entries.length - documentCount + 0.5) / (documentCount + 0.5));
+
+    return idf * frequency * (this.k1 + 1) / (frequency + this.k1);
+  }
+
+  /**
+   * Get the text to cut a result's snippet from: its body, or its code if
+   * only the code matched or only code was searched
+   * @private
+   * @param {SearchDocument} document - Matching document
+   * @param {string[]} terms - Matched terms
+   * @param {string[]} fields - Searched fields
+   * @returns {string} Snippet source text
+   */
+  getSnippetSource(document, terms, fields) {
+    const codeOnly = fields.includes('code') && !fields.includes('body');
+    if (document.code && (codeOnly || (!findMatches(document.body || '', terms, this.analyzer).length &&
+        findMatches(document.code, terms, this.analyzer).length))) {
+      return document.code;
+    }
+    return document.body || document.title || '';
+  }
+
+  /**
+   * Check whether a document contains a phrase in one of some fields
+   * @private
+   * @param {SearchDocument} document - Document to check
+   * @param {string[]} phrase - Normalized words of the phrase
+   * @param {string[]} fields - Fields to look in
+   * @returns {boolean} Whether the words appear together, in order
+   */
+  containsPhrase(document, phrase, fields) {
+    return fields.some(field => {
+      const terms = tokenize(document[field], this.analyzer);
+      for (let start = 0; start + phrase.length <= terms.length; start++) {
+        if (phrase.every((term, offset) => terms[start + offset] === term)) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Check whether a document is in one of some sections
+   * @private
+   * @param {SearchDocument} document - Document to check
+   * @param {string[]} sections - Section slugs, ids or title words
+   * @returns {boolean} Whether it matches any of them
+   */
+  inSection(document, sections) {
+    const titleTerms = tokenize(document.section, this.analyzer);
+
+    return sections.some(section => {
+      if (section === document.slug || section === (document.sectionId || '').toLowerCase()) return true;
+
+      const terms = tokenize(section, this.analyzer);
+      return terms.length > 0 && terms.every(term => titleTerms.some(titleTerm => titleTerm.startsWith(term)));
+    });
+  }
+
+  /**
+   * Search the index
+   * @param {string|import('./search-query.js').ParsedQuery} query - Search query, or a query from parseQuery
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {number} [options.snippetLength=160] - Approximate snippet length
+   * @returns {SearchResult[]} Results, best first
+   */
+  search(query, options = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const fields = parsed.fields && parsed.fields.length
+      ? parsed.fields.filter(field => this.fields[field])
+      : Object.keys(this.fields);
+    const phrases = (parsed.phrases || [])
+      .map(phrase => tokenize(phrase, this.analyzer))
+      .filter(terms => terms.length);
+    const sections = parsed.sections || [];
+    const tags = parsed.tags || [];
+
+    // Phrase words must match exactly; other words may match loosely
+    const queryTerms = new Map();
+    phrases.flat().forEach(term => queryTerms.set(term, true));
+    tokenize(parsed.text, this.analyzer).forEach(term => {
+      if (!queryTerms.has(term)) queryTerms.set(term, false);
+    });
+
+    if (!this.entries.length || !fields.length) return [];
+    // Filters alone list every document they match
+    if (!queryTerms.size && !sections.length && !tags.length) return [];
+
+    let matches = queryTerms.size
+      ? null
+      : new Map(this.entries.map((entry, index) => [index, { score: 0, terms: [] }]));
+
+    for (const [queryTerm, exact] of queryTerms) {
+      // Best score of the query word in each document, over all terms it matches
+      const termScores = new Map();
+      this.expandTerm(queryTerm, exact).forEach(({ term, weight }) => {
+        this.postings.get(term).forEach(index => {
+          const termScore = this.scoreTerm(term, this.entries[index], fields);
+          if (!termScore) return;
+
+          const score = weight * termScore;
+          const best = termScores.get(index);
+          if (!best) {
+            termScores.set(index, { score, terms: [term] });
+          } else {
+            best.score = Math.max(best.score, score);
+            best.terms.push(term);
+          }
+        });
+      });
+
+      // Every query word has to match
+      const next = new Map();
+      termScores.forEach((termScore, index) => {
+        const previous = matches ? matches.get(index) : { score: 0, terms: [] };
+        if (previous) {
+          next.set(index, {
+            score: previous.score + termScore.score,
+            terms: previous.terms.concat(termScore.terms)
+          });
+        }
+      });
+
+      matches = next;
+      if (!matches.size) return [];
+    }
+
+    const results = Array.from(matches, ([index, match]) => ({
+      document: this.entries[index].document,
+      score: match.score,
+      terms: match.terms,
+      order: index
+    }))
+      .filter(({ document }) =>
+        (!sections.length || this.inSection(document, sections)) &&
+        (!tags.length || (document.tags || []).some(tag => tags.includes(tag))) &&
+        phrases.every(phrase => this.containsPhrase(document, phrase, fields)))
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, options.limit || undefined);
+
+    return results.map(({ document, score, terms }) => ({
+      document,
+      score,
+      terms,
+      snippet: createSnippet(this.getSnippetSource(document, terms, fields), terms, options.snippetLength, this.analyzer)
+    }));
+  }
+}
+
+/**
+ * Count the results in each section and with each tag, for filtering them
+ * @param {SearchResult[]} results - Search results
+ * @returns {SearchFacets} The counts
+ */
+export function countFacets(results) {
+  const sections = new Map();
+  const tags = new Map();
+
+  results.forEach(({ document }) => {
+    const id = document.sectionId || document.id;
+    if (!sections.has(id)) {
+      sections.set(id, { id, slug: document.slug || id, title: document.section || document.title, count: 0 });
+    }
+    sections.get(id).count++;
+
+    (document.tags || []).forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+  });
+
+  return {
+    sections: Array.from(sections.values()),
+    tags: Array.from(tags, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+  };
+}
+
+/**
+ * Group results by section, ordering the sections by their best result
+ * @param {SearchResult[]} results - Search results, best first
+ * @returns {Array<{id: string, title: string, results: SearchResult[]}>} Sections and their results
+ */
+export function groupBySection(results) {
+  const groups = new Map();
+
+  results.forEach(result => {
+    const id = result.document.sectionId || result.document.id;
+    if (!groups.has(id)) {
+      groups.set(id, { id, title: result.document.section || result.document.title, results: [] });
+    }
+    groups.get(id).results.push(result);
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Index of the current page's content, shared by the search UIs
+ * @type {SearchIndex}
+ */
+const pageIndex = new SearchIndex();
+
+/**
+ * Whether the page index needs rebuilding before the next search
+ * @type {boolean}
+ */
+let pageIndexStale = true;
+
+/**
+ * Documents from the prebuilt index, for sections not in the page
+ * @type {SearchDocument[]}
+ */
+let prebuiltDocuments = [];
+
+/**
+ * Pending or finished load of the prebuilt index
+ * @type {Promise<number>|null}
+ */
+let prebuiltLoad = null;
+
+/**
+ * Load the prebuilt index of all guide sections, so sections that have not
+ * been loaded yet can be searched. Only the first call fetches it. Dispatches
+ * `search-index-loaded` on window once it has been added.
+ * @param {string} [url] - Index location
+ * @returns {Promise<number>} Number of documents loaded; 0 if it failed
+ */
+export function loadSearchIndex(url = SEARCH_INDEX_URL) {
+  if (typeof fetch !== 'function') {
+    return Promise.resolve(0);
+  }
+
+  if (!prebuiltLoad) {
+    prebuiltLoad = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        prebuiltDocuments = (data.documents || []).map(document => ({
+          ...document,
+          url: document.url || `#${document.anchor || document.id}`
+        }));
+        pageIndexStale = true;
+
+        window.dispatchEvent(new CustomEvent('search-index-loaded', {
+          detail: { count: prebuiltDocuments.length }
+        }));
+        return prebuiltDocuments.length;
+      })
+      .catch(error => {
+        console.warn('Could not load the search index, searching loaded sections only:', error);
+        prebuiltLoad = null;
+        return 0;
+      });
+  }
+
+  return prebuiltLoad;
+}
+
+/**
+ * Rebuild the page index from the guide content, plus the prebuilt
+ * documents of sections that are not in the page, with the analyzer for the
+ * interface language
+ * @param {Element|Document} [root] - Container; defaults to the content root
+ * @returns {SearchIndex} The page index
+ */
+export function indexPage(root) {
+  const documents = collectDocuments(root);
+  const loaded = new Set(documents.map(document => document.sectionId));
+
+  pageIndex.analyzer = getActiveAnalyzer();
+  pageIndex.clear();
+  pageIndex.addAll(documents);
+  pageIndex.addAll(prebuiltDocuments.filter(document => !loaded.has(document.sectionId)));
+  pageIndexStale = false;
+  return pageIndex;
+}
+
+/**
+ * Search the current page's content
+ * @param {string|import('./search-query.js').ParsedQuery} query - Search query, or a query from parseQuery
+ * @param {Object} [options] - Options for SearchIndex#search
+ * @returns {SearchResult[]} Results, best first
+ */
+export function searchPage(query, options) {
+  // Switching language switches analyzer, which needs the words reindexed
+  if (pageIndexStale || pageIndex.analyzer !== getActiveAnalyzer()) indexPage();
+  return pageIndex.search(query, options);
+}
+
+if (typeof window !== 'undefined') {
+  // Loaded content replaces the indexed elements
+  window.addEventListener('content-loaded', () => {
+    pageIndexStale = true;
+  });
+}
+
+export default {
+  FIELD_WEIGHTS,
+  MATCH_WEIGHTS,
+  SEARCH_INDEX_URL,
+  getActiveAnalyzer,
+  normalize,
+  tokenize,
+  editDistance,
+  findMatches,
+  highlight,
+  createSnippet,
+  highlightElement,
+  clearHighlights,
+  getContentRoot,
+  collectDocuments,
+  SearchIndex,
+  countFacets,
+  groupBySection,
+  loadSearchIndex,
+  indexPage,
+  searchPage
+};
@@ -0,0 +1,195 @@
+/**
+ * Search History
+ * Remembers recent search queries and the searches the user saved
+ *
+ * Queries are recorded when one of their results is opened. Saved searches
+ * are pinned above the recent ones and are kept when the history is
+ * cleared. Changes are announced with a `search-history-changed` event on
+ * window, so an open search dialog can update its suggestions.
+ */
+
+const STORAGE_KEY = 'searchHistory';
+
+/**
+ * Number of recent queries to remember
+ * @type {number}
+ */
+export const MAX_RECENT_SEARCHES = 8;
+
+/**
+ * Number of searches that can be saved
+ * @type {number}
+ */
+export const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Event dispatched on window when the history changes
+ * @type {string}
+ */
+export const HISTORY_CHANGED_EVENT = 'search-history-changed';
+
+/**
+ * @typedef {Object} SearchSuggestion
+ * @property {string} query - Search query
+ * @property {boolean} saved - Whether the user saved the search
+ */
+
+/**
+ * Read the history from storage
+ * @private
+ * @returns {{recent: string[], saved: string[]}} Recent and saved queries, newest first
+ */
+function loadHistory() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      recent: Array.isArray(stored.recent) ? stored.recent.filter(query => typeof query === 'string') : [],
+      saved: Array.isArray(stored.saved) ? stored.saved.filter(query => typeof query === 'string') : []
+    };
+  } catch (error) {
+    return { recent: [], saved: [] };
+  }
+}
+
+/**
+ * Write the history to storage and announce the change
+ * @private
+ * @param {{recent: string[], saved: string[]}} history - Recent and saved queries
+ */
+function saveHistory(history) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error('Could not save search history:', error);
+  }
+  window.dispatchEvent(new CustomEvent(HISTORY_CHANGED_EVENT, { detail: history }));
+}
+
+/**
+ * Clean up a query for the history
+ * @private
+ * @param {string} query - Search query
+ * @returns {string} The query on one line, without outer whitespace
+ */
+function cleanQuery(query) {
+  return String(query || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Put a query first in a list, replacing the same query in any letter case
+ * @private
+ * @param {string[]} queries - Queries, newest first
+ * @param {string} query - Query to add
+ * @param {number} limit - Length of the list
+ * @returns {string[]} The new list
+ */
+function addToList(queries, query, limit) {
+  return [query, ...removeFromList(queries, query)].slice(0, limit);
+}
+
+/**
+ * Remove a query from a list, in any letter case
+ * @private
+ * @param {string[]} queries - Queries
+ * @param {string} query - Query to remove
+ * @returns {string[]} The new list
+ */
+function removeFromList(queries, query) {
+  const wanted = query.toLowerCase();
+  return queries.filter(item => item.toLowerCase() !== wanted);
+}
+
+/**
+ * Get the recent queries that are not saved
+ * @returns {string[]} Queries, newest first
+ */
+export function getRecentSearches() {
+  const { recent, saved } = loadHistory();
+  return recent.filter(query => removeFromList(saved, query).length === saved.length);
+}
+
+/**
+ * Get the saved searches
+ * @returns {string[]} Queries, most recently saved first
+ */
+export function getSavedSearches() {
+  return loadHistory().saved;
+}
+
+/**
+ * Get the suggestions to show before the user types: saved searches, then
+ * recent ones
+ * @returns {SearchSuggestion[]} Suggestions
+ */
+export function getSearchSuggestions() {
+  return [
+    ...getSavedSearches().map(query => ({ query, saved: true })),
+    ...getRecentSearches().map(query => ({ query, saved: false }))
+  ];
+}
+
+/**
+ * Remember a query as the most recent one
+ * @param {string} query - Search query
+ * @returns {void}
+ */
+export function addRecentSearch(query) {
+  const cleaned = cleanQuery(query);
+  if (!cleaned) return;
+
+  const history = loadHistory();
+  saveHistory({ ...history, recent: addToList(history.recent, cleaned, MAX_RECENT_SEARCHES) });
+}
+
+/**
+ * Check whether a query is saved
+ * @param {string} query - Search query
+ * @returns {boolean} Whether the query is saved, in any letter case
+ */
+export function isSavedSearch(query) {
+  const saved = getSavedSearches();
+  return removeFromList(saved, cleanQuery(query)).length !== saved.length;
+}
+
+/**
+ * Save a search, or remove it from the saved searches if it is saved
+ * @param {string} query - Search query
+ * @returns {boolean} Whether the query is saved now
+ */
+export function toggleSavedSearch(query) {
+  const cleaned = cleanQuery(query);
+  if (!cleaned) return false;
+
+  const history = loadHistory();
+  const saved = removeFromList(history.saved, cleaned);
+
+  if (saved.length !== history.saved.length) {
+    // An unsaved search goes back to the recent ones
+    saveHistory({ saved, recent: addToList(history.recent, cleaned, MAX_RECENT_SEARCHES) });
+    return false;
+  }
+
+  saveHistory({ ...history, saved: addToList(history.saved, cleaned, MAX_SAVED_SEARCHES) });
+  return true;
+}
+
+/**
+ * Forget the recent queries. Saved searches are kept.
+ * @returns {void}
+ */
+export function clearSearchHistory() {
+  saveHistory({ ...loadHistory(), recent: [] });
+}
+
+export default {
+  MAX_RECENT_SEARCHES,
+  MAX_SAVED_SEARCHES,
+  HISTORY_CHANGED_EVENT,
+  getRecentSearches,
+  getSavedSearches,
+  getSearchSuggestions,
+  addRecentSearch,
+  isSavedSearch,
+  toggleSavedSearch,
+  clearSearchHistory
+};
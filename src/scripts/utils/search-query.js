@@ -0,0 +1,146 @@
+/**
+ * Search Query
+ * Parses the search query syntax
+ *
+ * Besides plain words, a query can contain:
+ * - `"quoted phrases"`, whose words must appear together in that order
+ * - `in:code`, `in:title`, `in:headings` or `in:body` to search one part of
+ *   each step only
+ * - `section:<slug or title>` to search one section of the guide
+ * - `tag:<tag>` to search sections with a tag
+ *
+ * Several values of the same filter match any of them; different filters
+ * must all match. Filter values can be quoted: `section:"decky loader"`.
+ */
+
+/**
+ * Document fields searched by each `in:` value
+ * @type {Object<string, string>}
+ */
+export const QUERY_FIELDS = {
+  code: 'code',
+  title: 'title',
+  heading: 'headings',
+  headings: 'headings',
+  body: 'body',
+  text: 'body'
+};
+
+/**
+ * Filter keys and the ParsedQuery property their values go in
+ * @type {Object<string, string>}
+ */
+const FILTER_KEYS = {
+  in: 'fields',
+  section: 'sections',
+  tag: 'tags'
+};
+
+/**
+ * Matches one part of a query: a filter, a quoted phrase or a word
+ * @type {RegExp}
+ */
+const QUERY_PART_PATTERN = /([a-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gi;
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {string} text - Words outside filters and phrases
+ * @property {string[]} phrases - Quoted phrases
+ * @property {string[]} fields - Document fields to search; empty for all
+ * @property {string[]} sections - Section slugs, ids or titles, lowercase
+ * @property {string[]} tags - Tags, lowercase
+ */
+
+/**
+ * Split a query into its parts, keeping their original text
+ * @private
+ * @param {string} query - Search query
+ * @returns {Array<{raw: string, key?: string, value?: string, phrase?: string}>} Query parts
+ */
+function splitQuery(query) {
+  return Array.from(String(query || '').matchAll(QUERY_PART_PATTERN), match => {
+    const [raw, key, quotedValue, value, phrase] = match;
+    const filterKey = key && key.toLowerCase();
+
+    if (filterKey && FILTER_KEYS[filterKey]) {
+      return { raw, key: filterKey, value: (quotedValue !== undefined ? quotedValue : value).trim().toLowerCase() };
+    }
+    if (phrase !== undefined) {
+      return { raw, phrase };
+    }
+    return { raw };
+  });
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Search query
+ * @returns {ParsedQuery} Its words, phrases and filters
+ */
+export function parseQuery(query) {
+  const parsed = { text: '', phrases: [], fields: [], sections: [], tags: [] };
+  const words = [];
+
+  splitQuery(query).forEach(({ raw, key, value, phrase }) => {
+    if (key) {
+      const values = parsed[FILTER_KEYS[key]];
+      const filterValue = key === 'in' ? QUERY_FIELDS[value] : value;
+      if (filterValue && !values.includes(filterValue)) values.push(filterValue);
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+    } else {
+      words.push(raw);
+    }
+  });
+
+  parsed.text = words.join(' ');
+  return parsed;
+}
+
+/**
+ * Format a filter for a query, quoting values with spaces
+ * @param {string} key - Filter key, such as `in` or `tag`
+ * @param {string} value - Filter value
+ * @returns {string} The filter, such as `tag:battery`
+ */
+export function formatFilter(key, value) {
+  return /\s/.test(value) ? `${key}:"${value}"` : `${key}:${value}`;
+}
+
+/**
+ * Check whether a query has a filter
+ * @param {string} query - Search query
+ * @param {string} key - Filter key
+ * @param {string} value - Filter value
+ * @returns {boolean} Whether the filter is in the query
+ */
+export function hasFilter(query, key, value) {
+  const wanted = value.toLowerCase();
+  return splitQuery(query).some(part => part.key === key && part.value === wanted);
+}
+
+/**
+ * Add a filter to a query, or remove it if the query has it
+ * @param {string} query - Search query
+ * @param {string} key - Filter key
+ * @param {string} value - Filter value
+ * @returns {string} The new query
+ */
+export function toggleFilter(query, key, value) {
+  const wanted = value.toLowerCase();
+  const parts = splitQuery(query);
+  const kept = parts.filter(part => !(part.key === key && part.value === wanted));
+
+  if (kept.length === parts.length) {
+    kept.push({ raw: formatFilter(key, value) });
+  }
+  return kept.map(part => part.raw).join(' ');
+}
+
+export default {
+  QUERY_FIELDS,
+  parseQuery,
+  formatFilter,
+  hasFilter,
+  toggleFilter
+};
@@ -8,6 +8,25 @@
  */
 
 import { debounce } from '../utils.js';
+import { indexPage, searchPage, highlight, loadSearchIndex, countFacets, groupBySection } from './search-engine.js';
+import { parseQuery, hasFilter, toggleFilter } from './search-query.js';
+import {
+  HISTORY_CHANGED_EVENT,
+  getSearchSuggestions,
+  addRecentSearch,
+  toggleSavedSearch,
+  clearSearchHistory
+} from './search-history.js';
+import { findSectionById } from '../../config/guide-sections.js';
+
+/**
+ * Parts of the guide the facet bar can restrict the search to
+ * @type {Array<{value: string, label: string}>}
+ */
+const FIELD_FACETS = [
+  { value: 'code', label: 'Code' },
+  { value: 'title', label: 'Titles' }
+];
 
 /**
  * @class SearchController
@@ -44,11 +63,11 @@ class SearchController {
     this.searchOverlay = null;
     
     /**
-     * Search data indexed by content
-     * @type {Array<Object>}
+     * Index of the page content, shared with the in-page search
+     * @type {SearchIndex|null}
      * @private
      */
-    this.searchIndex = [];
+    this.searchIndex = null;
     
     /**
      * Whether the search controller is initialized
@@ -142,7 +161,7 @@ class SearchController {
       this.searchInput.type = 'search';
       this.searchInput.id = 'search-input';
       this.searchInput.className = 'search-input';
-      this.searchInput.placeholder = 'Search for topics, guides, etc.';
+      this.searchInput.placeholder = 'Search for topics, guides, etc. (try in:code or "quoted phrases")';
       this.searchInput.setAttribute('aria-controls', 'search-results');
       searchInputContainer.appendChild(this.searchInput);
       
@@ -177,39 +196,9 @@ class SearchController {
    * @returns {void}
    */
   buildSearchIndex() {
-    this.searchIndex = [];
+    this.searchIndex = indexPage();
     
-    // Index main content sections
-    document.querySelectorAll('main section[id], main article[id]').forEach(section => {
-      const id = section.id;
-      const title = section.querySelector('h1, h2, h3, h4, h5, h6')?.textContent || 'Untitled Section';
-      const content = section.textContent;
-      
-      this.searchIndex.push({
-        id,
-        title,
-        content,
-        url: `#${id}`,
-        element: section
-      });
-    });
-    
-    // Index headings
-    document.querySelectorAll('main h2[id], main h3[id], main h4[id]').forEach(heading => {
-      const id = heading.id;
-      const title = heading.textContent;
-      const content = '';
-      
-      this.searchIndex.push({
-        id,
-        title,
-        content,
-        url: `#${id}`,
-        element: heading
-      });
-    });
-    
-    console.log(`Search index built with ${this.searchIndex.length} entries`);
+    console.log(`Search index built with ${this.searchIndex.size} entries`);
   }
   
   /**
@@ -249,33 +238,24 @@ class SearchController {
       }
     });
     
-    // Result selection on click
+    // Facet, pin and result selection on click
     this.resultsContainer.addEventListener('click', (e) => {
+      const facet = e.target.closest('.search-facet');
+      if (facet) {
+        this.toggleFacet(facet.dataset.filterKey, facet.dataset.filterValue);
+        return;
+      }
+      
+      const pinButton = e.target.closest('.search-suggestion-pin');
+      if (pinButton) {
+        toggleSavedSearch(this.currentResults[Number(pinButton.closest('.search-result-item').dataset.index)].query);
+        this.searchInput.focus();
+        return;
+      }
+      
       const resultItem = e.target.closest('.search-result-item');
       if (resultItem) {
-        const url = resultItem.dataset.url;
-        if (url) {
-          this.closeSearch();
-          
-          const targetId = url.startsWith('#') ? url.substring(1) : '';
-          if (targetId) {
-            const targetElement = document.getElementById(targetId);
-            if (targetElement) {
-              targetElement.scrollIntoView({ behavior: 'smooth' });
-              
-              // Focus the target element temporarily
-              targetElement.setAttribute('tabindex', '-1');
-              targetElement.focus();
-              
-              // Highlight the section briefly
-              targetElement.classList.add('highlight-search-result');
-              setTimeout(() => {
-                targetElement.classList.remove('highlight-search-result');
-                targetElement.removeAttribute('tabindex');
-              }, 2000);
-            }
-          }
-        }
+        this.navigateToResult(this.currentResults[Number(resultItem.dataset.index)]);
       }
     });
     
@@ -296,6 +276,26 @@ class SearchController {
         this.openSearch();
       }
     });
+    
+    // Sections that are not loaded yet become searchable once the index arrives
+    window.addEventListener('search-index-loaded', () => {
+      this.refreshIndex();
+      if (this.searchModal.classList.contains('open') && this.searchInput.value.trim()) {
+        this.performSearch();
+      }
+    });
+    
+    // Keep the suggestions in step with the history
+    window.addEventListener(HISTORY_CHANGED_EVENT, () => {
+      if (this.searchModal.classList.contains('open') && !this.searchInput.value.trim()) {
+        this.showSuggestions();
+      }
+    });
+    
+    // The preferences dialog asks for the history to be cleared
+    window.addEventListener('clear-search-history', () => {
+      clearSearchHistory();
+    });
   }
   
   /**
@@ -304,54 +304,122 @@ class SearchController {
    * @returns {void}
    */
   performSearch() {
-    const query = this.searchInput.value.trim().toLowerCase();
+    const query = this.searchInput.value.trim();
     this.resultsContainer.innerHTML = '';
     
     if (!query) {
-      this.showNoResults('Type to start searching');
-      this.currentResults = [];
-      this.selectedResultIndex = -1;
+      this.showSuggestions();
       return;
     }
     
-    // Filter search index
-    this.currentResults = this.searchIndex
-      .filter(item => {
-        const titleMatch = item.title.toLowerCase().includes(query);
-        const contentMatch = item.content.toLowerCase().includes(query);
-        return titleMatch || contentMatch;
-      })
-      .map(item => {
-        // Calculate relevance score
-        const titleIndex = item.title.toLowerCase().indexOf(query);
-        const contentIndex = item.content.toLowerCase().indexOf(query);
-        
-        // Higher score for title matches, especially at the beginning
-        let score = 0;
-        if (titleIndex >= 0) {
-          score += 10 + (10 - Math.min(10, titleIndex));
-        }
-        if (contentIndex >= 0) {
-          score += 5;
-        }
-        
-        return {
-          ...item,
-          score
-        };
-      })
-      .sort((a, b) => b.score - a.score);
+    const parsedQuery = parseQuery(query);
+    const results = searchPage(parsedQuery);
+    
+    // Facets are counted without the section and tag filters, so other
+    // sections and tags can still be picked
+    const facets = countFacets(parsedQuery.sections.length || parsedQuery.tags.length
+      ? searchPage({ ...parsedQuery, sections: [], tags: [] })
+      : results);
+    
+    // Results are listed by section
+    this.currentResults = groupBySection(results)
+      .flatMap(group => group.results)
+      .map(({ document, score, terms, snippet }) => ({
+        ...document,
+        score,
+        terms,
+        snippet
+      }));
     
     if (this.currentResults.length === 0) {
       this.showNoResults(`No results found for "${query}"`);
-      } else {
+    } else {
       this.displayResults();
     }
     
+    this.resultsContainer.prepend(this.createFacetBar(query, facets));
+    
     // Reset selection
     this.selectedResultIndex = -1;
   }
   
+  /**
+   * List saved and recent searches before the user types
+   * @private
+   * @returns {void}
+   */
+  showSuggestions() {
+    this.currentResults = getSearchSuggestions().map(suggestion => ({ ...suggestion, suggestion: true }));
+    this.selectedResultIndex = -1;
+    
+    if (this.currentResults.length === 0) {
+      this.showNoResults('Type to start searching');
+      return;
+    }
+    
+    this.resultsContainer.innerHTML = '';
+    
+    const resultsList = document.createElement('div');
+    resultsList.className = 'search-results-list search-suggestions';
+    
+    let groupList = null;
+    let groupSaved = null;
+    
+    this.currentResults.forEach((suggestion, index) => {
+      // Saved searches are listed above recent ones
+      if (suggestion.saved !== groupSaved) {
+        groupSaved = suggestion.saved;
+        
+        const group = document.createElement('section');
+        group.className = 'search-result-group';
+        
+        const groupTitle = document.createElement('h3');
+        groupTitle.className = 'search-result-group-title';
+        groupTitle.textContent = suggestion.saved ? 'Saved searches' : 'Recent searches';
+        group.appendChild(groupTitle);
+        
+        groupList = document.createElement('ul');
+        group.appendChild(groupList);
+        resultsList.appendChild(group);
+      }
+      
+      const listItem = document.createElement('li');
+      listItem.className = 'search-result-item search-suggestion';
+      listItem.dataset.index = index;
+      
+      const suggestionTitle = document.createElement('div');
+      suggestionTitle.className = 'search-result-title';
+      suggestionTitle.textContent = suggestion.query;
+      listItem.appendChild(suggestionTitle);
+      
+      const pinButton = document.createElement('button');
+      pinButton.type = 'button';
+      pinButton.className = 'search-suggestion-pin';
+      pinButton.setAttribute('aria-pressed', String(suggestion.saved));
+      pinButton.setAttribute('aria-label', suggestion.saved
+        ? `Remove "${suggestion.query}" from saved searches`
+        : `Save "${suggestion.query}"`);
+      pinButton.textContent = suggestion.saved ? 'Unpin' : 'Pin';
+      listItem.appendChild(pinButton);
+      
+      groupList.appendChild(listItem);
+    });
+    
+    this.resultsContainer.appendChild(resultsList);
+  }
+  
+  /**
+   * Search for a saved or recent query
+   * @private
+   * @param {string} query - Search query
+   * @returns {void}
+   */
+  applySuggestion(query) {
+    this.searchInput.value = query;
+    this.performSearch();
+    this.searchInput.focus();
+  }
+  
   /**
    * Display search results in the container
    * @private
@@ -360,69 +428,49 @@ class SearchController {
   displayResults() {
     this.resultsContainer.innerHTML = '';
     
-    const query = this.searchInput.value.trim().toLowerCase();
-    const resultsList = document.createElement('ul');
+    const resultsList = document.createElement('div');
     resultsList.className = 'search-results-list';
     
+    let groupList = null;
+    let groupId = null;
+    
     this.currentResults.forEach((result, index) => {
+      // Start a group at each section
+      if ((result.sectionId || result.id) !== groupId) {
+        groupId = result.sectionId || result.id;
+        
+        const group = document.createElement('section');
+        group.className = 'search-result-group';
+        
+        const groupTitle = document.createElement('h3');
+        groupTitle.className = 'search-result-group-title';
+        groupTitle.textContent = result.section || result.title;
+        group.appendChild(groupTitle);
+        
+        groupList = document.createElement('ul');
+        group.appendChild(groupList);
+        resultsList.appendChild(group);
+      }
+      
       const listItem = document.createElement('li');
       listItem.className = 'search-result-item';
       listItem.dataset.url = result.url;
       listItem.dataset.index = index;
       
-      // Highlight matching text in title
-      let titleHtml = result.title;
-      if (query) {
-        const titleLower = result.title.toLowerCase();
-        const matchIndex = titleLower.indexOf(query);
-        if (matchIndex >= 0) {
-          titleHtml = result.title.substring(0, matchIndex) +
-            `<mark>${result.title.substring(matchIndex, matchIndex + query.length)}</mark>` +
-            result.title.substring(matchIndex + query.length);
-        }
-      }
-      
-      // Create result content
+      // Highlight the matched words in the title
       const resultTitle = document.createElement('div');
       resultTitle.className = 'search-result-title';
-      resultTitle.innerHTML = titleHtml;
+      resultTitle.innerHTML = highlight(result.title, result.terms);
       listItem.appendChild(resultTitle);
       
-      // Add snippet if content match exists
-      if (query && result.content) {
-        const contentLower = result.content.toLowerCase();
-        const matchIndex = contentLower.indexOf(query);
-        
-        if (matchIndex >= 0) {
-          const snippetStart = Math.max(0, matchIndex - 40);
-          const snippetEnd = Math.min(result.content.length, matchIndex + query.length + 40);
-          let snippet = result.content.substring(snippetStart, snippetEnd);
-          
-          // Add ellipsis if truncated
-          if (snippetStart > 0) {
-            snippet = '...' + snippet;
-          }
-          if (snippetEnd < result.content.length) {
-            snippet = snippet + '...';
-          }
-          
-          // Highlight the query in the snippet
-          const snippetLower = snippet.toLowerCase();
-          const queryIndexInSnippet = snippetLower.indexOf(query);
-          if (queryIndexInSnippet >= 0) {
-            const highlightedSnippet = snippet.substring(0, queryIndexInSnippet) +
-              `<mark>${snippet.substring(queryIndexInSnippet, queryIndexInSnippet + query.length)}</mark>` +
-              snippet.substring(queryIndexInSnippet + query.length);
-            
-            const resultSnippet = document.createElement('div');
-            resultSnippet.className = 'search-result-snippet';
-            resultSnippet.innerHTML = highlightedSnippet;
-            listItem.appendChild(resultSnippet);
-          }
-        }
+      if (result.snippet) {
+        const resultSnippet = document.createElement('div');
+        resultSnippet.className = 'search-result-snippet';
+        resultSnippet.innerHTML = result.snippet;
+        listItem.appendChild(resultSnippet);
       }
       
-      resultsList.appendChild(listItem);
+      groupList.appendChild(listItem);
     });
     
     this.resultsContainer.appendChild(resultsList);
@@ -434,6 +482,68 @@ class SearchController {
     this.resultsContainer.appendChild(resultSummary);
   }
   
+  /**
+   * Create the bar of filters for the current query
+   * @private
+   * @param {string} query - Search query
+   * @param {{sections: Array<Object>, tags: Array<Object>}} facets - Result counts from countFacets
+   * @returns {HTMLElement} The facet bar
+   */
+  createFacetBar(query, facets) {
+    const parsedQuery = parseQuery(query);
+    const options = [
+      ...FIELD_FACETS.map(({ value, label }) => ({ key: 'in', value, label })),
+      ...facets.sections.map(section => ({
+        key: 'section',
+        value: section.slug,
+        label: (findSectionById(section.id) || section).title,
+        count: section.count
+      })),
+      ...facets.tags.map(({ tag, count }) => ({ key: 'tag', value: tag, label: `#${tag}`, count }))
+    ];
+    
+    // Keep filters that match nothing, so they can be turned off
+    [
+      ...parsedQuery.sections.map(value => ({ key: 'section', value, label: value })),
+      ...parsedQuery.tags.map(value => ({ key: 'tag', value, label: `#${value}` }))
+    ].forEach(filter => {
+      if (!options.some(option => option.key === filter.key && option.value === filter.value)) {
+        options.push({ ...filter, count: 0 });
+      }
+    });
+    
+    const facetBar = document.createElement('div');
+    facetBar.className = 'search-facets';
+    facetBar.setAttribute('role', 'toolbar');
+    facetBar.setAttribute('aria-label', 'Filter results');
+    
+    options.forEach(({ key, value, label, count }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'search-facet';
+      button.dataset.filterKey = key;
+      button.dataset.filterValue = value;
+      button.setAttribute('aria-pressed', String(hasFilter(query, key, value)));
+      button.textContent = count === undefined ? label : `${label} (${count})`;
+      facetBar.appendChild(button);
+    });
+    
+    return facetBar;
+  }
+  
+  /**
+   * Add a filter to the query, or remove it, and search again
+   * @private
+   * @param {string} key - Filter key, such as `in` or `section`
+   * @param {string} value - Filter value
+   * @returns {void}
+   */
+  toggleFacet(key, value) {
+    this.searchInput.value = toggleFilter(this.searchInput.value.trim(), key, value);
+    this.performSearch();
+    this.searchInput.focus();
+  }
+  
   /**
    * Show message when no results found
    * @private
@@ -470,10 +580,18 @@ class SearchController {
     // Add class to body to prevent scrolling
     document.body.classList.add('search-active');
     
-    // Rebuild index if needed
-    if (this.searchIndex.length === 0) {
+    // Build the index if needed
+    if (!this.searchIndex) {
       this.buildSearchIndex();
     }
+    
+    // Fetch the index of the sections that are not loaded yet
+    loadSearchIndex();
+    
+    // Offer saved and recent searches until the user types
+    if (!this.searchInput.value.trim()) {
+      this.showSuggestions();
+    }
   }
   
   /**
@@ -579,29 +697,58 @@ class SearchController {
   navigateToSelectedResult() {
     if (this.selectedResultIndex < 0 || this.currentResults.length === 0) return;
     
-    const result = this.currentResults[this.selectedResultIndex];
-    if (result && result.url) {
-      this.closeSearch();
-      
-      const targetId = result.url.startsWith('#') ? result.url.substring(1) : '';
-      if (targetId) {
-        const targetElement = document.getElementById(targetId);
-        if (targetElement) {
-          targetElement.scrollIntoView({ behavior: 'smooth' });
-          
-          // Focus the target element temporarily
-          targetElement.setAttribute('tabindex', '-1');
-          targetElement.focus();
-          
-          // Highlight the section briefly
-          targetElement.classList.add('highlight-search-result');
-          setTimeout(() => {
-            targetElement.classList.remove('highlight-search-result');
-            targetElement.removeAttribute('tabindex');
-          }, 2000);
-        }
+    this.navigateToResult(this.currentResults[this.selectedResultIndex]);
+  }
+  
+  /**
+   * Close search and show a result, or search for a suggested query
+   * @private
+   * @param {Object} result - Search result or suggestion
+   * @returns {void}
+   */
+  navigateToResult(result) {
+    if (!result) return;
+    
+    if (result.suggestion) {
+      this.applySuggestion(result.query);
+      return;
+    }
+    
+    // Remember the query that found the result
+    addRecentSearch(this.searchInput.value);
+    
+    this.closeSearch();
+    
+    const targetElement = result.element && result.element.isConnected
+      ? result.element
+      : document.getElementById(result.anchor || (result.url || '').replace(/^#/, ''));
+    
+    // Results from the prebuilt index may be in a section that is not loaded
+    // yet; its route loads it and opens the step
+    if (!targetElement) {
+      if (result.url) {
+        window.location.hash = result.url;
       }
+      return;
+    }
+    
+    // Steps are collapsed until opened
+    if (targetElement.localName === 'details') {
+      targetElement.open = true;
     }
+    
+    targetElement.scrollIntoView({ behavior: 'smooth' });
+    
+    // Focus the target element temporarily
+    targetElement.setAttribute('tabindex', '-1');
+    targetElement.focus();
+    
+    // Highlight the section briefly
+    targetElement.classList.add('highlight-search-result');
+    setTimeout(() => {
+      targetElement.classList.remove('highlight-search-result');
+      targetElement.removeAttribute('tabindex');
+    }, 2000);
   }
   
   /**
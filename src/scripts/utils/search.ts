@@ -4,6 +4,42 @@
  */
 
 import { debounce } from '../utils.js';
+import {
+  indexPage,
+  searchPage,
+  highlight,
+  loadSearchIndex,
+  countFacets,
+  groupBySection,
+  SearchIndex
+} from './search-engine.js';
+import { parseQuery, hasFilter, toggleFilter } from './search-query.js';
+import {
+  HISTORY_CHANGED_EVENT,
+  getSearchSuggestions,
+  addRecentSearch,
+  toggleSavedSearch,
+  clearSearchHistory
+} from './search-history.js';
+import { findSectionById } from '../../config/guide-sections.js';
+
+/**
+ * Parts of the guide the facet bar can restrict the search to
+ */
+const FIELD_FACETS: Array<{ value: string; label: string }> = [
+  { value: 'code', label: 'Code' },
+  { value: 'title', label: 'Titles' }
+];
+
+/**
+ * A filter shown in the facet bar
+ */
+interface FacetOption {
+  key: string;
+  value: string;
+  label: string;
+  count?: number;
+}
 
 /**
  * Interface representing a search result item
@@ -11,10 +47,23 @@ import { debounce } from '../utils.js';
 interface SearchResultItem {
   id: string;
   title: string;
-  content: string;
+  section?: string;
+  sectionId?: string;
   url: string;
-  element: HTMLElement;
-  relevance?: number;
+  element?: HTMLElement;
+  score: number;
+  terms: string[];
+  snippet: string;
+  suggestion?: false;
+}
+
+/**
+ * A saved or recent search listed before the user types
+ */
+interface SearchSuggestionItem {
+  suggestion: true;
+  query: string;
+  saved: boolean;
 }
 
 /**
@@ -25,9 +74,9 @@ class SearchController {
   private searchInput: HTMLInputElement | null;
   private resultsContainer: HTMLElement | null;
   private searchOverlay: HTMLElement | null;
-  private searchIndex: SearchResultItem[];
+  private searchIndex: SearchIndex | null;
   private initialized: boolean;
-  private currentResults: SearchResultItem[];
+  private currentResults: Array<SearchResultItem | SearchSuggestionItem>;
   private selectedResultIndex: number;
   private debouncedSearch: Function;
   
@@ -53,9 +102,9 @@ class SearchController {
     this.searchOverlay = null;
     
     /**
-     * Search data indexed by content
+     * Index of the page content, shared with the in-page search
      */
-    this.searchIndex = [];
+    this.searchIndex = null;
     
     /**
      * Whether the search controller is initialized
@@ -63,7 +112,7 @@ class SearchController {
     this.initialized = false;
     
     /**
-     * Current search results
+     * Current search results, or the suggestions when there is no query
      */
     this.currentResults = [];
     
@@ -138,7 +187,7 @@ class SearchController {
       this.searchInput.type = 'search';
       this.searchInput.id = 'search-input';
       this.searchInput.className = 'search-input';
-      this.searchInput.placeholder = 'Search for topics, guides, etc.';
+      this.searchInput.placeholder = 'Search for topics, guides, etc. (try in:code or "quoted phrases")';
       this.searchInput.setAttribute('aria-controls', 'search-results');
       searchInputContainer.appendChild(this.searchInput);
       
@@ -171,40 +220,9 @@ class SearchController {
    * Build the search index from page content
    */
   private buildSearchIndex(): void {
-    this.searchIndex = [];
-    
-    // Index main content sections
-    document.querySelectorAll('main section[id], main article[id]').forEach(section => {
-      const id = section.id;
-      const titleElement = section.querySelector('h1, h2, h3, h4, h5, h6');
-      const title = titleElement ? titleElement.textContent || 'Untitled Section' : 'Untitled Section';
-      const content = section.textContent || '';
-      
-      this.searchIndex.push({
-        id,
-        title,
-        content,
-        url: `#${id}`,
-        element: section as HTMLElement
-      });
-    });
+    this.searchIndex = indexPage();
     
-    // Index headings
-    document.querySelectorAll('main h2[id], main h3[id], main h4[id]').forEach(heading => {
-      const id = heading.id;
-      const title = heading.textContent || '';
-      const content = '';
-      
-      this.searchIndex.push({
-        id,
-        title,
-        content,
-        url: `#${id}`,
-        element: heading as HTMLElement
-      });
-    });
-    
-    console.log(`Search index built with ${this.searchIndex.length} entries`);
+    console.log(`Search index built with ${this.searchIndex.size} entries`);
   }
   
   /**
@@ -272,6 +290,24 @@ class SearchController {
         this.closeSearch();
       }
     });
+    
+    // Sections that are not loaded yet become searchable once the index arrives
+    window.addEventListener('search-index-loaded', () => {
+      this.refreshIndex();
+    });
+    
+    // Keep the suggestions in step with the history
+    window.addEventListener(HISTORY_CHANGED_EVENT, () => {
+      if (this.searchInput && !this.searchInput.value.trim() &&
+          this.searchModal && !this.searchModal.hasAttribute('aria-hidden')) {
+        this.showSuggestions();
+      }
+    });
+    
+    // The preferences dialog asks for the history to be cleared
+    window.addEventListener('clear-search-history', () => {
+      clearSearchHistory();
+    });
   }
   
   /**
@@ -280,56 +316,187 @@ class SearchController {
   private performSearch(): void {
     if (!this.searchInput || !this.resultsContainer) return;
     
-    const query = this.searchInput.value.trim().toLowerCase();
+    const query = this.searchInput.value.trim();
     
     if (!query) {
-      this.currentResults = [];
-      this.displayResults();
+      this.showSuggestions();
+      return;
+    }
+    
+    const parsedQuery = parseQuery(query);
+    const results = searchPage(parsedQuery);
+    
+    // Facets are counted without the section and tag filters, so other
+    // sections and tags can still be picked
+    const facets = countFacets(parsedQuery.sections.length || parsedQuery.tags.length
+      ? searchPage({ ...parsedQuery, sections: [], tags: [] })
+      : results);
+    
+    // Results are listed by section
+    const resultItems: SearchResultItem[] = groupBySection(results)
+      .flatMap(group => group.results)
+      .map(({ document, score, terms, snippet }) => ({
+        ...document,
+        url: document.url || `#${document.id}`,
+        score,
+        terms,
+        snippet
+      }));
+    
+    // Display the results
+    this.currentResults = resultItems;
+    this.displayResults(resultItems);
+    this.resultsContainer.prepend(this.createFacetBar(query, facets));
+  }
+  
+  /**
+   * Create the bar of filters for the current query
+   */
+  private createFacetBar(query: string, facets: ReturnType<typeof countFacets>): HTMLElement {
+    const parsedQuery = parseQuery(query);
+    const options: FacetOption[] = [
+      ...FIELD_FACETS.map(({ value, label }) => ({ key: 'in', value, label })),
+      ...facets.sections.map(section => ({
+        key: 'section',
+        value: section.slug,
+        label: (findSectionById(section.id) || section).title,
+        count: section.count
+      })),
+      ...facets.tags.map(({ tag, count }) => ({ key: 'tag', value: tag, label: `#${tag}`, count }))
+    ];
+    
+    // Keep filters that match nothing, so they can be turned off
+    [
+      ...parsedQuery.sections.map(value => ({ key: 'section', value, label: value })),
+      ...parsedQuery.tags.map(value => ({ key: 'tag', value, label: `#${value}` }))
+    ].forEach(filter => {
+      if (!options.some(option => option.key === filter.key && option.value === filter.value)) {
+        options.push({ ...filter, count: 0 });
+      }
+    });
+    
+    const facetBar = document.createElement('div');
+    facetBar.className = 'search-facets';
+    facetBar.setAttribute('role', 'toolbar');
+    facetBar.setAttribute('aria-label', 'Filter results');
+    
+    options.forEach(({ key, value, label, count }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'search-facet';
+      button.dataset.filterKey = key;
+      button.dataset.filterValue = value;
+      button.setAttribute('aria-pressed', String(hasFilter(query, key, value)));
+      button.textContent = count === undefined ? label : `${label} (${count})`;
+      button.addEventListener('click', () => this.toggleFacet(key, value));
+      facetBar.appendChild(button);
+    });
+    
+    return facetBar;
+  }
+  
+  /**
+   * Add a filter to the query, or remove it, and search again
+   */
+  private toggleFacet(key: string, value: string): void {
+    if (!this.searchInput) return;
+    
+    this.searchInput.value = toggleFilter(this.searchInput.value.trim(), key, value);
+    this.performSearch();
+    this.searchInput.focus();
+  }
+  
+  /**
+   * List saved and recent searches before the user types
+   */
+  private showSuggestions(): void {
+    if (!this.resultsContainer) return;
+    
+    const suggestions: SearchSuggestionItem[] = getSearchSuggestions()
+      .map(({ query, saved }) => ({ suggestion: true, query, saved }));
+    
+    this.currentResults = suggestions;
+    this.resultsContainer.innerHTML = '';
+    this.selectedResultIndex = -1;
+    
+    if (suggestions.length === 0) {
+      this.showNoResults('Type to search');
       return;
     }
     
-    // Split the query into keywords
-    const keywords = query.split(/\s+/);
+    const resultsList = document.createElement('div');
+    resultsList.className = 'search-results-list search-suggestions';
+    resultsList.setAttribute('role', 'listbox');
+    
+    let groupList: HTMLElement | null = null;
+    let groupSaved: boolean | null = null;
     
-    // Search through the index
-    this.currentResults = this.searchIndex
-      .map(item => {
-        // Calculate relevance score
-        let relevance = 0;
+    suggestions.forEach((suggestion) => {
+      // Saved searches are listed above recent ones
+      if (!groupList || suggestion.saved !== groupSaved) {
+        groupSaved = suggestion.saved;
         
-        // Check title matches (higher weight)
-        keywords.forEach(keyword => {
-          if (item.title.toLowerCase().includes(keyword)) {
-            relevance += 10;
-            
-            // Exact title match has highest relevance
-            if (item.title.toLowerCase() === keyword) {
-              relevance += 50;
-            }
-          }
-          
-          // Check content matches
-          if (item.content.toLowerCase().includes(keyword)) {
-            relevance += 5;
-          }
-        });
+        const group = document.createElement('section');
+        group.className = 'search-result-group';
+        group.setAttribute('role', 'group');
         
-        return {
-          ...item,
-          relevance
-        };
-      })
-      .filter(item => item.relevance > 0)
-      .sort((a, b) => b.relevance! - a.relevance!);
+        const groupTitle = document.createElement('h3');
+        groupTitle.className = 'search-result-group-title';
+        groupTitle.textContent = suggestion.saved ? 'Saved searches' : 'Recent searches';
+        group.setAttribute('aria-label', groupTitle.textContent);
+        group.appendChild(groupTitle);
+        
+        groupList = document.createElement('ul');
+        group.appendChild(groupList);
+        resultsList.appendChild(group);
+      }
+      
+      const suggestionItem = document.createElement('li');
+      suggestionItem.className = 'search-result-item search-suggestion';
+      suggestionItem.setAttribute('role', 'option');
+      suggestionItem.setAttribute('aria-selected', 'false');
+      
+      const suggestionTitle = document.createElement('div');
+      suggestionTitle.className = 'search-result-title';
+      suggestionTitle.textContent = suggestion.query;
+      suggestionTitle.addEventListener('click', () => this.applySuggestion(suggestion.query));
+      suggestionItem.appendChild(suggestionTitle);
+      
+      const pinButton = document.createElement('button');
+      pinButton.type = 'button';
+      pinButton.className = 'search-suggestion-pin';
+      pinButton.setAttribute('aria-pressed', String(suggestion.saved));
+      pinButton.setAttribute('aria-label', suggestion.saved
+        ? `Remove "${suggestion.query}" from saved searches`
+        : `Save "${suggestion.query}"`);
+      pinButton.textContent = suggestion.saved ? 'Unpin' : 'Pin';
+      pinButton.addEventListener('click', () => {
+        toggleSavedSearch(suggestion.query);
+        this.searchInput?.focus();
+      });
+      suggestionItem.appendChild(pinButton);
+      
+      groupList.appendChild(suggestionItem);
+    });
     
-    // Display the results
-    this.displayResults();
+    this.resultsContainer.appendChild(resultsList);
+  }
+  
+  /**
+   * Search for a saved or recent query
+   */
+  private applySuggestion(query: string): void {
+    if (!this.searchInput) return;
+    
+    this.searchInput.value = query;
+    this.performSearch();
+    this.searchInput.focus();
   }
   
   /**
    * Display search results in the results container
    */
-  private displayResults(): void {
+  private displayResults(results: SearchResultItem[]): void {
     if (!this.resultsContainer) return;
     
     // Clear previous results
@@ -338,18 +505,40 @@ class SearchController {
     // Reset selection
     this.selectedResultIndex = -1;
     
-    if (this.currentResults.length === 0) {
-      this.showNoResults(this.searchInput && this.searchInput.value ? 'No results found' : 'Type to search');
+    if (results.length === 0) {
+      this.showNoResults('No results found');
       return;
     }
     
     // Create results list
-    const resultsList = document.createElement('ul');
+    const resultsList = document.createElement('div');
     resultsList.className = 'search-results-list';
     resultsList.setAttribute('role', 'listbox');
     
+    let groupList: HTMLElement | null = null;
+    let groupId: string | null = null;
+    
     // Add each result
-    this.currentResults.forEach((result, index) => {
+    results.forEach((result, index) => {
+      // Start a group at each section
+      if (!groupList || (result.sectionId || result.id) !== groupId) {
+        groupId = result.sectionId || result.id;
+        
+        const group = document.createElement('section');
+        group.className = 'search-result-group';
+        group.setAttribute('role', 'group');
+        
+        const groupTitle = document.createElement('h3');
+        groupTitle.className = 'search-result-group-title';
+        groupTitle.textContent = result.section || result.title;
+        group.setAttribute('aria-label', groupTitle.textContent);
+        group.appendChild(groupTitle);
+        
+        groupList = document.createElement('ul');
+        group.appendChild(groupList);
+        resultsList.appendChild(group);
+      }
+      
       const resultItem = document.createElement('li');
       resultItem.className = 'search-result-item';
       resultItem.setAttribute('role', 'option');
@@ -364,91 +553,30 @@ class SearchController {
       // Add title
       const titleElement = document.createElement('div');
       titleElement.className = 'search-result-title';
-      titleElement.textContent = result.title;
+      titleElement.innerHTML = highlight(result.title, result.terms);
       resultLink.appendChild(titleElement);
       
-      // Add content preview if there is content
-      if (result.content.trim()) {
+      // Add the snippet with the matched words highlighted
+      if (result.snippet) {
         const previewElement = document.createElement('div');
         previewElement.className = 'search-result-preview';
-        
-        // Get a snippet of content around the search term
-        const query = this.searchInput ? this.searchInput.value.trim().toLowerCase() : '';
-        let snippet = this.getContentSnippet(result.content, query);
-        
-        previewElement.textContent = snippet;
+        previewElement.innerHTML = result.snippet;
         resultLink.appendChild(previewElement);
       }
       
       // Add click event
       resultLink.addEventListener('click', (e) => {
         e.preventDefault();
-        this.closeSearch();
-        
-        // Navigate to the result
-        window.location.href = result.url;
-        
-        // Scroll to element
-        setTimeout(() => {
-          result.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
-          
-          // Highlight the element briefly
-          result.element.classList.add('search-highlighted');
-          setTimeout(() => {
-            result.element.classList.remove('search-highlighted');
-          }, 2000);
-        }, 100);
+        this.navigateToResult(result);
       });
       
       resultItem.appendChild(resultLink);
-      resultsList.appendChild(resultItem);
+      groupList.appendChild(resultItem);
     });
     
     this.resultsContainer.appendChild(resultsList);
   }
   
-  /**
-   * Get a relevant snippet of content containing the search query
-   */
-  private getContentSnippet(content: string, query: string): string {
-    const maxLength = 100;
-    const contentLower = content.toLowerCase();
-    
-    // Find the position of the query in the content
-    const index = contentLower.indexOf(query);
-    
-    if (index === -1) {
-      // If query not found, just return the first part of the content
-      return content.substring(0, maxLength) + '...';
-    }
-    
-    // Calculate start and end positions for the snippet
-    let start = Math.max(0, index - 40);
-    let end = Math.min(content.length, index + query.length + 40);
-    
-    // Adjust to word boundaries
-    while (start > 0 && content[start - 1] !== ' ' && content[start - 1] !== '.') {
-      start--;
-    }
-    
-    while (end < content.length && content[end] !== ' ' && content[end] !== '.') {
-      end++;
-    }
-    
-    let snippet = content.substring(start, end);
-    
-    // Add ellipsis if needed
-    if (start > 0) {
-      snippet = '...' + snippet;
-    }
-    
-    if (end < content.length) {
-      snippet = snippet + '...';
-    }
-    
-    return snippet;
-  }
-  
   /**
    * Show a message when there are no results
    */
@@ -480,16 +608,17 @@ class SearchController {
       if (this.searchInput) {
         this.searchInput.focus();
         
-        // If there's already a value, perform the search
-        if (this.searchInput.value.trim()) {
-          this.performSearch();
-        }
+        // Search for the current value, or offer saved and recent searches
+        this.performSearch();
       }
     }, 100);
     
     // Disable body scrolling
     document.body.classList.add('search-open');
     
+    // Fetch the index of the sections that are not loaded yet
+    loadSearchIndex();
+    
     // Announce for screen readers
     this.announceForScreenReader('Search dialog opened');
   }
@@ -631,22 +760,45 @@ class SearchController {
       }
     }
     
-    const selectedResult = this.currentResults[this.selectedResultIndex];
+    this.navigateToResult(this.currentResults[this.selectedResultIndex]);
+  }
+  
+  /**
+   * Close search and show a result, or search for a suggested query
+   */
+  private navigateToResult(result: SearchResultItem | SearchSuggestionItem): void {
+    if (result.suggestion) {
+      this.applySuggestion(result.query);
+      return;
+    }
+    
+    // Remember the query that found the result
+    if (this.searchInput) {
+      addRecentSearch(this.searchInput.value);
+    }
     
     // Close the search modal
     this.closeSearch();
     
     // Navigate to the result
-    window.location.href = selectedResult.url;
+    window.location.href = result.url;
+    
+    const element = result.element;
+    if (!element) return;
+    
+    // Steps are collapsed until opened
+    if (element instanceof HTMLDetailsElement) {
+      element.open = true;
+    }
     
     // Scroll to element
     setTimeout(() => {
-      selectedResult.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      element.scrollIntoView({ behavior: 'smooth', block: 'start' });
       
       // Highlight the element briefly
-      selectedResult.element.classList.add('search-highlighted');
+      element.classList.add('search-highlighted');
       setTimeout(() => {
-        selectedResult.element.classList.remove('search-highlighted');
+        element.classList.remove('search-highlighted');
       }, 2000);
     }, 100);
   }
@@ -0,0 +1,176 @@
+/**
+ * Section State
+ * Grimoire
+ *
+ * Remembers which steps of each guide section the reader left open, and
+ * opens them again when the section is shown. The state is kept in
+ * persistent storage, so the desktop app keeps it in its main-process store.
+ */
+
+import { PERSISTENT_STORAGE_EVENT, readPersistent, writePersistent } from './persistent-storage.js';
+import { STEP_SELECTOR, getSectionProgressId, getStepId } from './progress-store.js';
+
+/**
+ * Storage key of the open steps
+ * @type {string}
+ */
+export const SECTION_STATE_KEY = 'sectionState';
+
+/**
+ * Get the progress id of the section a step belongs to
+ * @private
+ * @param {Element} step - A `details.guide-section` element
+ * @returns {string} The section id
+ */
+function getStepSectionId(step) {
+  const section = step.closest('.section[id], section[id]');
+  return section ? getSectionProgressId(section) : 'main';
+}
+
+/**
+ * @class SectionState
+ * @classdesc Keeps the open steps of the guide sections across visits
+ */
+export class SectionState {
+  constructor() {
+    /**
+     * Open step ids by section id
+     * @type {Map<string, string[]>}
+     * @private
+     */
+    this.openSteps = new Map();
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this.started = false;
+
+    this.handleToggle = this.handleToggle.bind(this);
+    this.handleContentLoaded = this.handleContentLoaded.bind(this);
+    this.handlePersistentStorage = this.handlePersistentStorage.bind(this);
+  }
+
+  /**
+   * Load the saved state, open the remembered steps and follow changes
+   * @returns {void}
+   */
+  start() {
+    if (this.started) return;
+
+    this.load();
+    document.addEventListener('toggle', this.handleToggle, true);
+    window.addEventListener('content-loaded', this.handleContentLoaded);
+    window.addEventListener(PERSISTENT_STORAGE_EVENT, this.handlePersistentStorage);
+    this.started = true;
+
+    this.restore();
+  }
+
+  /**
+   * Stop following changes
+   * @returns {void}
+   */
+  stop() {
+    document.removeEventListener('toggle', this.handleToggle, true);
+    window.removeEventListener('content-loaded', this.handleContentLoaded);
+    window.removeEventListener(PERSISTENT_STORAGE_EVENT, this.handlePersistentStorage);
+    this.started = false;
+  }
+
+  /**
+   * Get the open steps of a section
+   * @param {string} sectionId - Section progress id
+   * @returns {string[]} Step ids
+   */
+  getOpenSteps(sectionId) {
+    return this.openSteps.get(sectionId) || [];
+  }
+
+  /**
+   * Open the remembered steps. Steps that are open already stay open, so a
+   * step opened by a route link is not closed again.
+   * @param {ParentNode} [root=document] - Element containing the steps
+   * @returns {void}
+   */
+  restore(root = document) {
+    root.querySelectorAll(STEP_SELECTOR).forEach(step => {
+      if (!step.open && this.getOpenSteps(getStepSectionId(step)).includes(getStepId(step))) {
+        step.open = true;
+      }
+    });
+  }
+
+  /**
+   * Read the saved state
+   * @private
+   * @returns {void}
+   */
+  load() {
+    const stored = readPersistent(SECTION_STATE_KEY, {});
+    this.openSteps = new Map();
+
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+      Object.keys(stored).filter(id => Array.isArray(stored[id])).forEach(id => {
+        this.openSteps.set(id, stored[id].filter(stepId => typeof stepId === 'string'));
+      });
+    }
+  }
+
+  /**
+   * Save the state
+   * @private
+   * @returns {void}
+   */
+  save() {
+    writePersistent(SECTION_STATE_KEY, Object.fromEntries(this.openSteps));
+  }
+
+  /**
+   * Remember a step being opened or closed
+   * @private
+   * @param {Event} event - The toggle event
+   * @returns {void}
+   */
+  handleToggle(event) {
+    const step = event.target;
+    if (!step.matches || !step.matches(STEP_SELECTOR)) return;
+
+    const sectionId = getStepSectionId(step);
+    const stepId = getStepId(step);
+    const openSteps = this.getOpenSteps(sectionId);
+    if (openSteps.includes(stepId) === step.open) return;
+
+    const updated = step.open ? [...openSteps, stepId] : openSteps.filter(id => id !== stepId);
+    if (updated.length) {
+      this.openSteps.set(sectionId, updated);
+    } else {
+      this.openSteps.delete(sectionId);
+    }
+    this.save();
+  }
+
+  /**
+   * Open the remembered steps of newly loaded content
+   * @private
+   * @returns {void}
+   */
+  handleContentLoaded() {
+    this.restore();
+  }
+
+  /**
+   * Use the state loaded from the main-process store
+   * @private
+   * @param {CustomEvent} event - Lists the keys that changed
+   * @returns {void}
+   */
+  handlePersistentStorage(event) {
+    if (!event.detail.keys.includes(SECTION_STATE_KEY)) return;
+
+    this.load();
+    this.restore();
+  }
+}
+
+export default SectionState;
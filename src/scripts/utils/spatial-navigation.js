@@ -0,0 +1,170 @@
+/**
+ * Spatial Navigation
+ * Moves focus to the nearest focusable element in a direction
+ *
+ * Used for D-pad and stick navigation, where there is no Tab key: the next
+ * element is the one closest to the current one on screen in the pressed
+ * direction, preferring elements that line up with it.
+ */
+
+/**
+ * Elements that can take focus
+ * @type {string}
+ */
+export const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'summary',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Open modal containers; while one is open, focus stays inside it
+ * @type {string}
+ */
+export const MODAL_SELECTOR = 'dialog[open], [role="dialog"][aria-modal="true"], [role="alertdialog"]';
+
+/**
+ * Unit vectors for each direction
+ * @type {Object<string, {x: number, y: number}>}
+ */
+const DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+/**
+ * How much sideways distance counts against a candidate compared to
+ * distance in the pressed direction
+ * @type {number}
+ */
+const ALIGNMENT_WEIGHT = 2;
+
+/**
+ * Check whether an element is rendered and reachable
+ * @param {Element} element - Element to check
+ * @returns {boolean} Whether the element can be navigated to
+ */
+export function isNavigable(element) {
+  if (element.closest('[hidden], [inert], [aria-hidden="true"]')) return false;
+
+  // Content of closed <details> is not shown, except for its summary
+  const details = element.parentElement && element.parentElement.closest('details:not([open])');
+  if (details && !(element.localName === 'summary' && element.parentElement === details)) {
+    return false;
+  }
+
+  const style = window.getComputedStyle(element);
+  return style.display !== 'none' && style.visibility !== 'hidden';
+}
+
+/**
+ * Get the element navigation is confined to: the topmost open modal, or
+ * the document
+ * @returns {Element|Document} The navigation root
+ */
+export function getNavigationRoot() {
+  const modals = Array.from(document.querySelectorAll(MODAL_SELECTOR)).filter(isNavigable);
+  return modals.length ? modals[modals.length - 1] : document;
+}
+
+/**
+ * Get the focusable elements within a root
+ * @param {Element|Document} [root] - Container; defaults to the navigation root
+ * @returns {Element[]} Navigable focusable elements in document order
+ */
+export function getFocusableElements(root = getNavigationRoot()) {
+  return Array.from(root.querySelectorAll(FOCUSABLE_SELECTOR)).filter(isNavigable);
+}
+
+/**
+ * Get the center of an element's box
+ * @param {DOMRect} rect - Element box
+ * @returns {{x: number, y: number}} Center point
+ */
+function center(rect) {
+  return {
+    x: rect.left + rect.width / 2,
+    y: rect.top + rect.height / 2
+  };
+}
+
+/**
+ * Find the element to move to from the current one
+ * @param {Element|null} current - Focused element, if any
+ * @param {string} direction - `up`, `down`, `left` or `right`
+ * @param {Element[]} [candidates] - Elements to choose from
+ * @returns {Element|null} The best match, or null if nothing lies in that direction
+ */
+export function findNextFocusable(current, direction, candidates = getFocusableElements()) {
+  const vector = DIRECTIONS[direction];
+  if (!vector) throw new Error(`Unknown direction "${direction}"`);
+
+  // Without a focused element, start at the first element in view
+  if (!current || !candidates.includes(current)) {
+    const visible = candidates.filter(element => element.getBoundingClientRect().bottom >= 0);
+    return visible[0] || candidates[0] || null;
+  }
+
+  const from = current.getBoundingClientRect();
+  const origin = center(from);
+  let best = null;
+  let bestScore = Infinity;
+
+  candidates.forEach(candidate => {
+    if (candidate === current || candidate.contains(current) || current.contains(candidate)) return;
+
+    const rect = candidate.getBoundingClientRect();
+    const target = center(rect);
+    const dx = target.x - origin.x;
+    const dy = target.y - origin.y;
+
+    // Distance in the pressed direction must be positive
+    const along = dx * vector.x + dy * vector.y;
+    if (along <= 0) return;
+
+    // Edge-to-edge gap, so large elements are not penalised for their size
+    const gap = vector.y
+      ? Math.max(0, vector.y > 0 ? rect.top - from.bottom : from.top - rect.bottom)
+      : Math.max(0, vector.x > 0 ? rect.left - from.right : from.left - rect.right);
+    const across = Math.abs(dx * vector.y) + Math.abs(dy * vector.x);
+
+    const score = gap + along * 0.1 + across * ALIGNMENT_WEIGHT;
+    if (score < bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Move focus in a direction
+ * @param {string} direction - `up`, `down`, `left` or `right`
+ * @returns {Element|null} The newly focused element, if focus moved
+ */
+export function moveFocus(direction) {
+  const active = document.activeElement === document.body ? null : document.activeElement;
+  const next = findNextFocusable(active, direction);
+  if (!next) return null;
+
+  next.focus({ preventScroll: true });
+  if (next.scrollIntoView) next.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  return next;
+}
+
+export default {
+  FOCUSABLE_SELECTOR,
+  MODAL_SELECTOR,
+  isNavigable,
+  getNavigationRoot,
+  getFocusableElements,
+  findNextFocusable,
+  moveFocus
+};
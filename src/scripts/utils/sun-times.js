@@ -0,0 +1,159 @@
+/**
+ * Sun Times
+ * Grimoire
+ *
+ * Sunrise and sunset for a latitude, worked out on the device so theme
+ * schedules need no location service. Uses the NOAA approximations, which
+ * are within a few minutes away from the poles.
+ *
+ * https://gml.noaa.gov/grad/solcalc/solareqns.PDF
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Zenith of sunrise and sunset, allowing for refraction and the sun's size
+const SUN_ZENITH = 90.833;
+
+/**
+ * @typedef {Object} SunTimes
+ * @property {Date|null} sunrise - When the sun rises, or null if it does not
+ * @property {Date|null} sunset - When the sun sets, or null if it does not
+ * @property {'day'|'night'|null} polar - `day` if the sun stays up all day,
+ *   `night` if it stays down, null otherwise
+ */
+
+/**
+ * Convert degrees to radians
+ * @private
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Check that a latitude can be used
+ * @param {*} latitude - Latitude to check
+ * @returns {boolean} Whether it is a number from -90 to 90
+ */
+export function isLatitude(latitude) {
+  return typeof latitude === 'number' && Number.isFinite(latitude) && Math.abs(latitude) <= 90;
+}
+
+/**
+ * Check that a longitude can be used
+ * @param {*} longitude - Longitude to check
+ * @returns {boolean} Whether it is a number from -180 to 180
+ */
+export function isLongitude(longitude) {
+  return typeof longitude === 'number' && Number.isFinite(longitude) && Math.abs(longitude) <= 180;
+}
+
+/**
+ * Estimate the longitude from the time zone, for when only the latitude is
+ * known. Uses the zone's standard time, so the sun is highest around noon in
+ * winter and around 1 pm in summer time.
+ * @param {Date} date - A day in the time zone
+ * @returns {number} Longitude of the time zone's meridian, east positive
+ */
+export function getTimeZoneLongitude(date) {
+  const year = date.getFullYear();
+  const standardOffset = Math.max(
+    new Date(year, 0, 1).getTimezoneOffset(),
+    new Date(year, 6, 1).getTimezoneOffset()
+  );
+  return -standardOffset / 4;
+}
+
+/**
+ * Get sunrise and sunset on a day
+ * @param {Date} date - Any time on the local day
+ * @param {number} latitude - Latitude, north positive
+ * @param {number} [longitude] - Longitude, east positive; estimated from the
+ *   time zone if not given
+ * @returns {SunTimes} Sunrise and sunset
+ */
+export function getSunTimes(date, latitude, longitude) {
+  const east = isLongitude(longitude) ? longitude : getTimeZoneLongitude(date);
+  const year = date.getFullYear();
+  const dayStart = Date.UTC(year, date.getMonth(), date.getDate());
+  const dayOfYear = (dayStart - Date.UTC(year, 0, 1)) / DAY;
+  const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY;
+
+  // Fractional year, in radians
+  const g = 2 * Math.PI / daysInYear * dayOfYear;
+
+  // Equation of time in minutes, and the sun's declination in radians
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g) -
+    0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g) -
+    0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g) -
+    0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+  const lat = toRadians(latitude);
+  const cosHourAngle = Math.cos(toRadians(SUN_ZENITH)) / (Math.cos(lat) * Math.cos(declination)) -
+    Math.tan(lat) * Math.tan(declination);
+
+  if (cosHourAngle > 1) {
+    return { sunrise: null, sunset: null, polar: 'night' };
+  }
+  if (cosHourAngle < -1) {
+    return { sunrise: null, sunset: null, polar: 'day' };
+  }
+
+  // Minutes after midnight UTC, which may fall on the day before or after
+  const hourAngle = Math.acos(cosHourAngle) * 180 / Math.PI;
+  const sunrise = 720 - 4 * (east + hourAngle) - equationOfTime;
+  const sunset = 720 - 4 * (east - hourAngle) - equationOfTime;
+
+  return {
+    sunrise: new Date(dayStart + Math.round(sunrise * 60000)),
+    sunset: new Date(dayStart + Math.round(sunset * 60000)),
+    polar: null
+  };
+}
+
+/**
+ * Check whether the sun is down
+ * @param {Date} date - The time
+ * @param {number} latitude - Latitude, north positive
+ * @param {number} [longitude] - Longitude, east positive
+ * @returns {boolean} Whether it is before sunrise or after sunset
+ */
+export function isSunDown(date, latitude, longitude) {
+  const { sunrise, sunset, polar } = getSunTimes(date, latitude, longitude);
+  if (polar) return polar === 'night';
+  return date < sunrise || date >= sunset;
+}
+
+/**
+ * Get the next sunrise or sunset
+ * @param {Date} date - Time to look from
+ * @param {number} latitude - Latitude, north positive
+ * @param {number} [longitude] - Longitude, east positive
+ * @returns {Date|null} The next sunrise or sunset, or null if there is none
+ *   within a year
+ */
+export function getNextSunChange(date, latitude, longitude) {
+  for (let days = 0; days <= 366; days++) {
+    const day = new Date(date);
+    day.setDate(day.getDate() + days);
+
+    const { sunrise, sunset } = getSunTimes(day, latitude, longitude);
+    const next = [sunrise, sunset]
+      .filter(time => time && time > date)
+      .sort((a, b) => a - b)[0];
+    if (next) return next;
+  }
+  return null;
+}
+
+export default {
+  isLatitude,
+  isLongitude,
+  getTimeZoneLongitude,
+  getSunTimes,
+  isSunDown,
+  getNextSunChange
+};
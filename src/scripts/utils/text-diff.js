@@ -0,0 +1,62 @@
+/**
+ * Text Diff
+ * Line-by-line comparison of two versions of a text
+ */
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'same'|'added'|'removed'} type - How the line changed
+ * @property {string} text - The line
+ */
+
+/**
+ * Compare two versions of a text by line, keeping the longest run of lines
+ * they have in common
+ * @param {string[]} before - Lines of the old version
+ * @param {string[]} after - Lines of the new version
+ * @returns {DiffLine[]} Lines of both versions in order, removed lines
+ *   before the lines that replace them
+ */
+export function diffLines(before, after) {
+  // common[i][j]: length of the longest common subsequence of before[i..] and after[j..]
+  const common = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] = before[i] === after[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (j >= after.length || (i < before.length && common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ type: 'removed', text: before[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: after[j] });
+      j++;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Get the changed lines of a diff
+ * @param {DiffLine[]} lines - Result of diffLines
+ * @returns {DiffLine[]} The added and removed lines
+ */
+export function getChangedLines(lines) {
+  return lines.filter(line => line.type !== 'same');
+}
+
+export default {
+  diffLines,
+  getChangedLines
+};
@@ -0,0 +1,302 @@
+/**
+ * Theme Manifest
+ * Grimoire
+ *
+ * A theme is described by a manifest: its id, name and mode, its color
+ * tokens and optional overrides for single components. Built-in themes ship
+ * one in `src/themes/<theme>/manifest.json`; theme packs imported by the
+ * user are validated the same way before they are used.
+ *
+ * ```json
+ * {
+ *   "id": "dracula",
+ *   "name": "Dracula",
+ *   "mode": "dark",
+ *   "colors": { "primary": "#BD93F9", "background": "#282A36", ... },
+ *   "components": { "code": { "background": "#44475A", "keyword": "#FF79C6" } }
+ * }
+ * ```
+ *
+ * Color tokens set the CSS custom properties listed in COLOR_TOKENS. A
+ * component override sets `--<component>-<property>`, e.g. `--code-keyword`.
+ */
+
+/**
+ * Theme modes, used for the `color-scheme` and light/dark toggling
+ * @type {string[]}
+ */
+export const THEME_MODES = ['light', 'dark'];
+
+/**
+ * Color tokens and the CSS custom properties each one sets. The stylesheets
+ * use several names for the same color, so a token sets all of them.
+ * @type {Object<string, string[]>}
+ */
+export const COLOR_TOKENS = {
+  primary: ['--primary-color', '--color-primary'],
+  primaryHover: ['--primary-color-hover', '--color-primary-hover'],
+  secondary: ['--secondary-color', '--color-secondary'],
+  accent: ['--accent-color'],
+  background: ['--background-color', '--background-primary'],
+  surface: ['--surface-color', '--background-secondary'],
+  surfaceAlt: ['--background-tertiary'],
+  text: ['--text-color', '--text-primary'],
+  textMuted: ['--text-secondary-color', '--text-secondary'],
+  textOnPrimary: ['--text-on-primary'],
+  link: ['--text-color-link'],
+  border: ['--border-color'],
+  focus: ['--focus-color'],
+  success: ['--success-color', '--color-success'],
+  warning: ['--warning-color', '--color-warning'],
+  error: ['--error-color', '--color-danger'],
+  info: ['--info-color']
+};
+
+/**
+ * Display names of the color tokens, e.g. for the theme editor
+ * @type {Object<string, string>}
+ */
+export const COLOR_TOKEN_LABELS = {
+  primary: 'Primary',
+  primaryHover: 'Primary (hover)',
+  secondary: 'Secondary',
+  accent: 'Accent',
+  background: 'Background',
+  surface: 'Surface',
+  surfaceAlt: 'Surface (alternate)',
+  text: 'Text',
+  textMuted: 'Secondary text',
+  textOnPrimary: 'Text on primary',
+  link: 'Links',
+  border: 'Borders',
+  focus: 'Focus ring',
+  success: 'Success',
+  warning: 'Warning',
+  error: 'Error',
+  info: 'Info'
+};
+
+/**
+ * Color tokens every theme has to set
+ * @type {string[]}
+ */
+export const REQUIRED_COLOR_TOKENS = ['primary', 'background', 'surface', 'text', 'textMuted', 'border'];
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+const COLOR_PATTERN = /^(?:#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(?:rgba?|hsla?)\([\d\s.,%/+-]+\)|transparent)$/i;
+
+// Component values may be lengths or shadows too, but nothing that could
+// leave the declaration or load a resource
+const VALUE_PATTERN = /^[\w\s#%.,()/+-]+$/;
+
+/**
+ * @typedef {Object} ThemeManifest
+ * @property {string} id - Lowercase, hyphen-separated id, used in
+ *   `data-theme`
+ * @property {string} name - Display name
+ * @property {'light'|'dark'} mode - Whether it is a light or dark theme
+ * @property {Object<string, string>} colors - Color tokens, by COLOR_TOKENS key
+ * @property {Object<string, Object<string, string>>} [components] -
+ *   Overrides by component, then property
+ * @property {string} [description] - Short description
+ * @property {string} [author] - Who made it
+ */
+
+/**
+ * Error thrown for a manifest that cannot be used
+ */
+export class ThemeManifestError extends Error {
+  /**
+   * @param {string[]} problems - What is wrong with the manifest
+   */
+  constructor(problems) {
+    super(`Invalid theme manifest: ${problems.join('; ')}`);
+    this.name = 'ThemeManifestError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Convert a camelCase key to the kebab-case of a CSS custom property
+ * @private
+ * @param {string} key - Manifest key
+ * @returns {string} Kebab-case key
+ */
+function toKebabCase(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Check that a value is a plain object
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is an object
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a string is a CSS color the manifest may use
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is a hex, rgb(), hsl() or transparent color
+ */
+export function isThemeColor(value) {
+  return typeof value === 'string' && COLOR_PATTERN.test(value.trim());
+}
+
+/**
+ * List what is wrong with a manifest
+ * @param {*} manifest - Manifest to check
+ * @returns {string[]} Problems; empty when the manifest can be used
+ */
+export function getManifestProblems(manifest) {
+  if (!isObject(manifest)) {
+    return ['the manifest must be an object'];
+  }
+
+  const problems = [];
+
+  if (typeof manifest.id !== 'string' || !ID_PATTERN.test(manifest.id)) {
+    problems.push('"id" must be lowercase letters, digits and hyphens');
+  }
+  if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+    problems.push('"name" is required');
+  }
+  if (!THEME_MODES.includes(manifest.mode)) {
+    problems.push(`"mode" must be one of ${THEME_MODES.join(', ')}`);
+  }
+  ['description', 'author'].forEach(key => {
+    if (manifest[key] !== undefined && typeof manifest[key] !== 'string') {
+      problems.push(`"${key}" must be text`);
+    }
+  });
+
+  if (!isObject(manifest.colors)) {
+    problems.push('"colors" must be an object of color tokens');
+  } else {
+    REQUIRED_COLOR_TOKENS.filter(token => manifest.colors[token] === undefined).forEach(token => {
+      problems.push(`"colors.${token}" is required`);
+    });
+    Object.entries(manifest.colors).forEach(([token, value]) => {
+      if (!COLOR_TOKENS[token]) {
+        problems.push(`"colors.${token}" is not a color token`);
+      } else if (!isThemeColor(value)) {
+        problems.push(`"colors.${token}" must be a hex, rgb(), hsl() or transparent color`);
+      }
+    });
+  }
+
+  if (manifest.components !== undefined) {
+    if (!isObject(manifest.components)) {
+      problems.push('"components" must be an object of component overrides');
+    } else {
+      Object.entries(manifest.components).forEach(([component, overrides]) => {
+        if (!KEY_PATTERN.test(component) || !isObject(overrides)) {
+          problems.push(`"components.${component}" must be an object of properties`);
+          return;
+        }
+        Object.entries(overrides).forEach(([property, value]) => {
+          if (!KEY_PATTERN.test(property) || typeof value !== 'string' ||
+              !VALUE_PATTERN.test(value) || /url\(/i.test(value)) {
+            problems.push(`"components.${component}.${property}" is not a usable CSS value`);
+          }
+        });
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a manifest and keep only the parts a theme uses
+ * @param {*} manifest - Manifest to check, e.g. parsed from a theme pack
+ * @returns {ThemeManifest} The manifest
+ * @throws {ThemeManifestError} If the manifest cannot be used
+ */
+export function validateThemeManifest(manifest) {
+  const problems = getManifestProblems(manifest);
+  if (problems.length) {
+    throw new ThemeManifestError(problems);
+  }
+
+  const theme = {
+    id: manifest.id,
+    name: manifest.name.trim(),
+    mode: manifest.mode,
+    colors: { ...manifest.colors },
+    components: {}
+  };
+  Object.entries(manifest.components || {}).forEach(([component, overrides]) => {
+    theme.components[component] = { ...overrides };
+  });
+  if (manifest.description) theme.description = manifest.description;
+  if (manifest.author) theme.author = manifest.author;
+  return theme;
+}
+
+/**
+ * Make a theme id from its name
+ * @param {string} name - Theme name
+ * @returns {string} Lowercase, hyphen-separated id, or `custom-theme` if the
+ *   name has no letters or digits
+ */
+export function themeIdFromName(name) {
+  const id = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return id || 'custom-theme';
+}
+
+/**
+ * Get the CSS custom properties a theme sets
+ * @param {ThemeManifest} theme - Validated manifest
+ * @returns {Object<string, string>} Values by custom property name
+ */
+export function getThemeProperties(theme) {
+  const properties = {};
+
+  Object.entries(theme.colors).forEach(([token, value]) => {
+    COLOR_TOKENS[token].forEach(property => {
+      properties[property] = value;
+    });
+  });
+  Object.entries(theme.components || {}).forEach(([component, overrides]) => {
+    Object.entries(overrides).forEach(([property, value]) => {
+      properties[`--${toKebabCase(component)}-${toKebabCase(property)}`] = value;
+    });
+  });
+
+  return properties;
+}
+
+/**
+ * Write the CSS rule of a theme, applied while it is the `data-theme`
+ * @param {ThemeManifest} theme - Validated manifest
+ * @returns {string} The rule
+ */
+export function themeToCss(theme) {
+  const declarations = Object.entries(getThemeProperties(theme))
+    .map(([property, value]) => `  ${property}: ${value};`);
+
+  return `:root[data-theme="${theme.id}"] {\n  color-scheme: ${theme.mode};\n${declarations.join('\n')}\n}\n`;
+}
+
+export default {
+  THEME_MODES,
+  COLOR_TOKENS,
+  COLOR_TOKEN_LABELS,
+  REQUIRED_COLOR_TOKENS,
+  ThemeManifestError,
+  isThemeColor,
+  getManifestProblems,
+  validateThemeManifest,
+  themeIdFromName,
+  getThemeProperties,
+  themeToCss
+};
@@ -0,0 +1,314 @@
+/**
+ * Theme Registry
+ * Grimoire
+ *
+ * The one list of themes the app offers: the built-in themes from
+ * src/themes and theme packs imported by the user. The Theme component and
+ * the preferences dialog read their theme lists from here.
+ *
+ * Once installStyles() is called, every registered theme is written to a
+ * `<style>` element as a `:root[data-theme="<id>"]` rule, so setting
+ * `data-theme` applies it.
+ * Imported packs are validated, saved through persistent storage and
+ * registered again on the next start.
+ *
+ * A theme pack is a JSON file holding one manifest, or `{ "themes": [...] }`
+ * with several.
+ */
+
+import BUILT_IN_THEMES from '../../themes/index.js';
+import { ThemeManifestError, validateThemeManifest, themeToCss } from './theme-manifest.js';
+import { PERSISTENT_STORAGE_EVENT, readPersistent, writePersistent } from './persistent-storage.js';
+
+/**
+ * Event dispatched on window when themes are added or removed
+ * @type {string}
+ */
+export const THEMES_CHANGED_EVENT = 'themes-changed';
+
+/**
+ * Persistent storage key of the imported theme packs
+ * @type {string}
+ */
+const STORAGE_KEY = 'themePacks';
+
+/**
+ * Id of the `<style>` element the themes are written to
+ * @type {string}
+ */
+const STYLE_ELEMENT_ID = 'theme-registry-styles';
+
+/**
+ * @typedef {import('./theme-manifest.js').ThemeManifest & {builtIn: boolean}} RegisteredTheme
+ */
+
+/**
+ * @class ThemeRegistry
+ * @classdesc Built-in and imported themes
+ */
+export class ThemeRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {Array<Object>} [options.builtInThemes] - Manifests that ship with
+   *   the app
+   * @param {boolean} [options.loadUserThemes=true] - Whether to register the
+   *   saved theme packs
+   */
+  constructor(options = {}) {
+    /**
+     * Registered themes by id, in the order they were added
+     * @type {Map<string, RegisteredTheme>}
+     * @private
+     */
+    this.themes = new Map();
+
+    /**
+     * Whether the themes are written to the page
+     * @type {boolean}
+     * @private
+     */
+    this.stylesInstalled = false;
+
+    (options.builtInThemes || BUILT_IN_THEMES).forEach(manifest => {
+      const theme = validateThemeManifest(manifest);
+      this.themes.set(theme.id, { ...theme, builtIn: true });
+    });
+
+    if (options.loadUserThemes !== false) {
+      this.loadUserThemes();
+
+      // Packs imported in another window, or loaded from the app store
+      if (typeof window !== 'undefined') {
+        const reloadUserThemes = () => {
+          this.loadUserThemes();
+          this.notify();
+        };
+
+        window.addEventListener('storage', (event) => {
+          if (event.key === STORAGE_KEY) reloadUserThemes();
+        });
+        window.addEventListener(PERSISTENT_STORAGE_EVENT, (event) => {
+          if (event.detail.keys.includes(STORAGE_KEY)) reloadUserThemes();
+        });
+      }
+    }
+  }
+
+  /**
+   * Register the saved theme packs again, replacing the imported themes.
+   * Saved manifests that are no longer valid are skipped.
+   * @private
+   * @returns {void}
+   */
+  loadUserThemes() {
+    this.getUserThemes().forEach(theme => this.themes.delete(theme.id));
+
+    const saved = readPersistent(STORAGE_KEY, []);
+    (Array.isArray(saved) ? saved : []).forEach(manifest => {
+      try {
+        const theme = validateThemeManifest(manifest);
+        if (!this.themes.has(theme.id)) {
+          this.themes.set(theme.id, { ...theme, builtIn: false });
+        }
+      } catch (error) {
+        console.warn('Skipping a saved theme pack:', error);
+      }
+    });
+  }
+
+  /**
+   * Save the imported themes
+   * @private
+   * @returns {void}
+   */
+  saveUserThemes() {
+    writePersistent(STORAGE_KEY, this.getUserThemes().map(theme => {
+      const manifest = { ...theme };
+      delete manifest.builtIn;
+      return manifest;
+    }));
+  }
+
+  /**
+   * Announce that themes were added or removed, and apply them
+   * @private
+   * @returns {void}
+   */
+  notify() {
+    this.updateStyles();
+    window.dispatchEvent(new CustomEvent(THEMES_CHANGED_EVENT, {
+      detail: { themes: this.getThemeIds() }
+    }));
+  }
+
+  /**
+   * Write every theme's rule to the page, and again whenever themes are
+   * added or removed
+   * @returns {void}
+   */
+  installStyles() {
+    this.stylesInstalled = true;
+    this.updateStyles();
+  }
+
+  /**
+   * Write every theme's rule to the page, once the styles are installed
+   * @private
+   * @returns {void}
+   */
+  updateStyles() {
+    if (!this.stylesInstalled || typeof document === 'undefined' || !document.head) return;
+
+    let styleElement = document.getElementById(STYLE_ELEMENT_ID);
+    if (!styleElement) {
+      styleElement = document.createElement('style');
+      styleElement.id = STYLE_ELEMENT_ID;
+      document.head.appendChild(styleElement);
+    }
+    styleElement.textContent = this.getThemes().map(themeToCss).join('\n');
+  }
+
+  /**
+   * Check whether a theme is registered
+   * @param {string} id - Theme id
+   * @returns {boolean} Whether it is registered
+   */
+  has(id) {
+    return this.themes.has(id);
+  }
+
+  /**
+   * Get a theme
+   * @param {string} id - Theme id
+   * @returns {RegisteredTheme|null} The theme, or null if it is not registered
+   */
+  get(id) {
+    return this.themes.get(id) || null;
+  }
+
+  /**
+   * Get the registered themes
+   * @param {Object} [filter] - Which themes to return
+   * @param {'light'|'dark'} [filter.mode] - Only themes of this mode
+   * @returns {RegisteredTheme[]} Built-in themes first, then imported ones
+   */
+  getThemes(filter = {}) {
+    return Array.from(this.themes.values()).filter(theme => !filter.mode || theme.mode === filter.mode);
+  }
+
+  /**
+   * Get the ids of the registered themes
+   * @returns {string[]} Theme ids
+   */
+  getThemeIds() {
+    return Array.from(this.themes.keys());
+  }
+
+  /**
+   * Get the themes imported by the user
+   * @returns {RegisteredTheme[]} Imported themes
+   */
+  getUserThemes() {
+    return this.getThemes().filter(theme => !theme.builtIn);
+  }
+
+  /**
+   * Import a theme pack. An imported theme replaces an earlier import with
+   * the same id; built-in themes cannot be replaced.
+   * @param {string|Object} pack - Pack contents, as JSON text or parsed
+   * @returns {RegisteredTheme[]} The imported themes
+   * @throws {ThemeManifestError} If the pack or any of its themes cannot be
+   *   used; nothing is imported then
+   */
+  importThemePack(pack) {
+    let data = pack;
+    if (typeof pack === 'string') {
+      try {
+        data = JSON.parse(pack);
+      } catch (error) {
+        throw new ThemeManifestError(['the theme pack is not valid JSON']);
+      }
+    }
+
+    const manifests = data && Array.isArray(data.themes) ? data.themes : [data];
+    if (!manifests.length) {
+      throw new ThemeManifestError(['the theme pack has no themes']);
+    }
+
+    // Check every theme before adding any
+    const problems = [];
+    const imported = [];
+    manifests.forEach((manifest, index) => {
+      try {
+        const theme = validateThemeManifest(manifest);
+        const existing = this.get(theme.id);
+        if (existing && existing.builtIn) {
+          problems.push(`"${theme.id}" is a built-in theme`);
+        } else if (imported.some(other => other.id === theme.id)) {
+          problems.push(`"${theme.id}" is in the pack twice`);
+        } else {
+          imported.push({ ...theme, builtIn: false });
+        }
+      } catch (error) {
+        if (!(error instanceof ThemeManifestError)) throw error;
+        problems.push(...error.problems.map(problem => (manifests.length > 1 ? `theme ${index + 1}: ${problem}` : problem)));
+      }
+    });
+    if (problems.length) {
+      throw new ThemeManifestError(problems);
+    }
+
+    imported.forEach(theme => this.themes.set(theme.id, theme));
+    this.saveUserThemes();
+    this.notify();
+    return imported;
+  }
+
+  /**
+   * Import a theme pack file chosen by the user
+   * @param {Blob} file - The file
+   * @returns {Promise<RegisteredTheme[]>} The imported themes
+   * @throws {ThemeManifestError} If the pack cannot be used
+   */
+  async importThemePackFile(file) {
+    const text = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+    return this.importThemePack(text);
+  }
+
+  /**
+   * Remove an imported theme
+   * @param {string} id - Theme id
+   * @returns {boolean} Whether it was removed; built-in themes are not
+   */
+  removeTheme(id) {
+    const theme = this.get(id);
+    if (!theme || theme.builtIn) return false;
+
+    this.themes.delete(id);
+    this.saveUserThemes();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Call a function whenever themes are added or removed
+   * @param {function(string[]): void} listener - Receives the theme ids
+   * @returns {function(): void} Function that removes the listener
+   */
+  subscribe(listener) {
+    const handler = event => listener(event.detail.themes);
+    window.addEventListener(THEMES_CHANGED_EVENT, handler);
+    return () => window.removeEventListener(THEMES_CHANGED_EVENT, handler);
+  }
+}
+
+// Create singleton instance
+const themeRegistry = new ThemeRegistry();
+
+// Export singleton
+export default themeRegistry;
@@ -0,0 +1,810 @@
+/**
+ * Theme Service
+ * Grimoire
+ *
+ * The one owner of the theme the page shows. Every theme toggle and selector
+ * reads and changes the theme here, so picking a theme in one place is
+ * reflected everywhere.
+ *
+ * The preference says where the theme comes from:
+ * - `manual`: the theme the user picked
+ * - `system`: the light or dark theme, following the operating system
+ * - `schedule`: the light theme by day and the dark theme by night, where
+ *   day is between two set times (`times`) or between sunrise and sunset at a
+ *   latitude (`sun`). Toggling the theme on a schedule keeps the other theme
+ *   until the schedule next switches.
+ *
+ * The preference is saved through persistent storage and followed across
+ * windows. The theme is applied to the root element as `data-theme`,
+ * `data-theme-mode` and a `theme-<id>` class, and every change is announced
+ * with a `theme-changed` event on document.
+ */
+
+import themeRegistry from './theme-registry.js';
+import { PERSISTENT_STORAGE_EVENT, readPersistent, writePersistent } from './persistent-storage.js';
+import { isLatitude, isLongitude, isSunDown, getNextSunChange } from './sun-times.js';
+
+/**
+ * Event dispatched on document when the theme or the preference changes
+ * @type {string}
+ */
+export const THEME_CHANGED_EVENT = 'theme-changed';
+
+/**
+ * Persistent storage key of the theme preference
+ * @type {string}
+ */
+export const THEME_PREFERENCE_KEY = 'themePreference';
+
+/**
+ * Where the theme can come from
+ * @type {string[]}
+ */
+export const THEME_SOURCES = ['manual', 'system', 'schedule'];
+
+/**
+ * What a schedule switches at: set times of day, or sunrise and sunset
+ * @type {string[]}
+ */
+export const THEME_SCHEDULE_TYPES = ['times', 'sun'];
+
+/**
+ * @typedef {Object} ThemeSchedule
+ * @property {'times'|'sun'} type - What the schedule switches at
+ * @property {string} light - Time of day the light theme starts, `HH:MM`,
+ *   for `times`
+ * @property {string} dark - Time of day the dark theme starts, `HH:MM`
+ * @property {number|null} latitude - Latitude, north positive, for `sun`
+ * @property {number|null} longitude - Longitude, east positive; estimated
+ *   from the time zone when null
+ */
+
+/**
+ * @typedef {Object} ThemeOverride
+ * @property {string} theme - Theme shown instead of the scheduled one
+ * @property {string} until - When the schedule takes over again, as an ISO
+ *   date
+ */
+
+/**
+ * @typedef {Object} ThemePreference
+ * @property {'manual'|'system'|'schedule'} source - Where the theme comes from
+ * @property {string} theme - Theme picked by the user, for `manual`
+ * @property {string} lightTheme - Theme used when it is light, for `system`
+ *   and `schedule`
+ * @property {string} darkTheme - Theme used when it is dark
+ * @property {ThemeSchedule} schedule - When `schedule` switches
+ * @property {ThemeOverride|null} override - Theme picked on a schedule,
+ *   until its next switch
+ */
+
+/**
+ * @typedef {Object} ThemeChange
+ * @property {string} theme - Theme id now shown
+ * @property {'light'|'dark'} mode - Mode of the theme
+ * @property {ThemePreference} preference - The theme preference
+ */
+
+/**
+ * Preference used before the user picks anything
+ * @type {ThemePreference}
+ */
+export const DEFAULT_THEME_PREFERENCE = {
+  source: 'system',
+  theme: 'dark',
+  lightTheme: 'light',
+  darkTheme: 'dark',
+  schedule: { type: 'times', light: '07:00', dark: '19:00', latitude: null, longitude: null },
+  override: null
+};
+
+/**
+ * localStorage keys earlier theme code saved a theme id, `system` or a body
+ * class in, newest first
+ * @type {string[]}
+ */
+const LEGACY_THEME_KEYS = ['sdde_theme_preference', 'theme', 'sdde-theme'];
+
+/**
+ * localStorage keys of preference objects with a `theme-<id>` theme
+ * @type {string[]}
+ */
+const LEGACY_PREFERENCE_KEYS = ['userPreferences', 'user_preferences'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+// Longest timer set for the schedule; the next switch is worked out again
+// when it fires, which also catches clock and time zone changes
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a time of day
+ * @param {string} time - Time as `HH:MM`
+ * @returns {number|null} Minutes after midnight, or null if it cannot be read
+ */
+export function parseTimeOfDay(time) {
+  const match = typeof time === 'string' ? time.match(TIME_PATTERN) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Check whether the dark theme is due at a time
+ * @param {ThemeSchedule} schedule - The schedule
+ * @param {Date} date - The time
+ * @returns {boolean} Whether it is between the dark and the light time, or
+ *   between sunset and sunrise
+ */
+export function isDarkScheduled(schedule, date) {
+  if (schedule.type === 'sun') {
+    return isLatitude(schedule.latitude) && isSunDown(date, schedule.latitude, schedule.longitude);
+  }
+
+  const light = parseTimeOfDay(schedule.light);
+  const dark = parseTimeOfDay(schedule.dark);
+  if (light === null || dark === null || light === dark) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return light < dark
+    ? minutes < light || minutes >= dark
+    : minutes >= dark && minutes < light;
+}
+
+/**
+ * Get when a schedule next switches theme
+ * @param {ThemeSchedule} schedule - The schedule
+ * @param {Date} date - Time to look from
+ * @returns {Date|null} The next switch, or null if the schedule never switches
+ */
+export function getNextScheduledChange(schedule, date) {
+  if (schedule.type === 'sun') {
+    return isLatitude(schedule.latitude)
+      ? getNextSunChange(date, schedule.latitude, schedule.longitude)
+      : null;
+  }
+
+  const times = [parseTimeOfDay(schedule.light), parseTimeOfDay(schedule.dark)];
+  if (times.includes(null) || times[0] === times[1]) return null;
+
+  return times
+    .map(minutes => {
+      const change = new Date(date);
+      change.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (change <= date) change.setDate(change.getDate() + 1);
+      return change;
+    })
+    .sort((a, b) => a - b)[0];
+}
+
+/**
+ * List what is wrong with a schedule
+ * @param {*} schedule - Schedule to check
+ * @returns {string[]} Problems; empty when it can be used
+ */
+export function getScheduleProblems(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return ['"schedule" must be an object'];
+  }
+
+  const problems = [];
+  if (!THEME_SCHEDULE_TYPES.includes(schedule.type)) {
+    problems.push(`"schedule.type" must be one of ${THEME_SCHEDULE_TYPES.join(', ')}`);
+  }
+  ['light', 'dark'].forEach(key => {
+    if (parseTimeOfDay(schedule[key]) === null) {
+      problems.push(`"schedule.${key}" must be a time as HH:MM`);
+    }
+  });
+  if (schedule.type === 'sun' && !isLatitude(schedule.latitude)) {
+    problems.push('"schedule.latitude" must be a number from -90 to 90');
+  }
+  if (schedule.longitude !== null && schedule.longitude !== undefined && !isLongitude(schedule.longitude)) {
+    problems.push('"schedule.longitude" must be a number from -180 to 180');
+  }
+  return problems;
+}
+
+/**
+ * @class ThemeService
+ * @classdesc Keeps the theme preference and applies the theme it asks for
+ */
+export class ThemeService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {import('./theme-registry.js').ThemeRegistry} [options.registry] -
+   *   Registry of the themes that can be used
+   * @param {HTMLElement} [options.rootElement] - Element the theme is applied
+   *   to; defaults to the document element
+   * @param {function(): Date} [options.now] - Current time
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || themeRegistry;
+    this.rootElement = options.rootElement || null;
+    this.now = options.now || (() => new Date());
+
+    /**
+     * Saved preference, once loaded
+     * @type {ThemePreference|null}
+     * @private
+     */
+    this.preference = null;
+
+    /**
+     * Theme last applied to the page
+     * @type {string|null}
+     * @private
+     */
+    this.appliedTheme = null;
+
+    /**
+     * Whether the service is applying the theme and following changes
+     * @type {boolean}
+     */
+    this.started = false;
+
+    /**
+     * Timer of the next scheduled switch
+     * @type {number|null}
+     * @private
+     */
+    this.scheduleTimer = null;
+
+    /**
+     * Operating system color scheme query, while started
+     * @type {MediaQueryList|null}
+     * @private
+     */
+    this.darkQuery = null;
+
+    /**
+     * Removes the theme registry listener
+     * @type {Function|null}
+     * @private
+     */
+    this.unsubscribeRegistry = null;
+
+    this.update = this.update.bind(this);
+    this.handleStorage = this.handleStorage.bind(this);
+    this.handlePersistentStorage = this.handlePersistentStorage.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Apply the preferred theme and follow the system, the clock, other
+   * windows and the theme registry. Calling it again does nothing.
+   * @returns {void}
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    if (typeof window.matchMedia === 'function') {
+      this.darkQuery = window.matchMedia(DARK_QUERY);
+      if (this.darkQuery.addEventListener) {
+        this.darkQuery.addEventListener('change', this.update);
+      } else if (this.darkQuery.addListener) {
+        this.darkQuery.addListener(this.update);
+      }
+    }
+
+    window.addEventListener('storage', this.handleStorage);
+    window.addEventListener(PERSISTENT_STORAGE_EVENT, this.handlePersistentStorage);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.unsubscribeRegistry = this.registry.subscribe(this.update);
+
+    this.update();
+  }
+
+  /**
+   * Stop following changes; the theme stays applied
+   * @returns {void}
+   */
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    if (this.darkQuery) {
+      if (this.darkQuery.removeEventListener) {
+        this.darkQuery.removeEventListener('change', this.update);
+      } else if (this.darkQuery.removeListener) {
+        this.darkQuery.removeListener(this.update);
+      }
+      this.darkQuery = null;
+    }
+
+    window.removeEventListener('storage', this.handleStorage);
+    window.removeEventListener(PERSISTENT_STORAGE_EVENT, this.handlePersistentStorage);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    if (this.unsubscribeRegistry) {
+      this.unsubscribeRegistry();
+      this.unsubscribeRegistry = null;
+    }
+    this.clearScheduleTimer();
+  }
+
+  /**
+   * Get the theme preference
+   * @returns {ThemePreference} A copy of the preference
+   */
+  getPreference() {
+    const preference = this.loadPreference();
+    return {
+      ...preference,
+      schedule: { ...preference.schedule },
+      override: preference.override && { ...preference.override }
+    };
+  }
+
+  /**
+   * Get the theme the preference asks for now
+   * @returns {string} Theme id
+   */
+  getTheme() {
+    const preference = this.loadPreference();
+    let themeId;
+    if (preference.source === 'manual') {
+      themeId = preference.theme;
+    } else if (this.isOverridden(preference)) {
+      themeId = preference.override.theme;
+    } else {
+      themeId = this.isDark(preference) ? preference.darkTheme : preference.lightTheme;
+    }
+    return this.getUsableTheme(themeId, this.isDark(preference) ? 'dark' : 'light');
+  }
+
+  /**
+   * Get whether the current theme is light or dark
+   * @returns {'light'|'dark'} Mode of the current theme
+   */
+  getThemeMode() {
+    const theme = this.registry.get(this.getTheme());
+    return theme ? theme.mode : 'dark';
+  }
+
+  /**
+   * Show a theme until the user picks another
+   * @param {string} themeId - Registered theme id
+   * @returns {boolean} Whether the theme is registered
+   */
+  setTheme(themeId) {
+    if (!this.registry.has(themeId)) {
+      console.error(`Theme "${themeId}" is not available`);
+      return false;
+    }
+    return this.setPreference({ source: 'manual', theme: themeId });
+  }
+
+  /**
+   * Show a theme until the schedule next switches. Without a schedule the
+   * theme is kept until the user picks another, as with setTheme.
+   * @param {string} themeId - Registered theme id
+   * @returns {boolean} Whether the theme is registered
+   */
+  overrideTheme(themeId) {
+    const preference = this.loadPreference();
+    const next = preference.source === 'schedule'
+      ? getNextScheduledChange(preference.schedule, this.now())
+      : null;
+    if (!next) {
+      return this.setTheme(themeId);
+    }
+    return this.setPreference({ override: { theme: themeId, until: next.toISOString() } });
+  }
+
+  /**
+   * Follow the operating system's light or dark setting
+   * @param {Object} [themes] - Themes to use
+   * @param {string} [themes.lightTheme] - Theme when the system is light
+   * @param {string} [themes.darkTheme] - Theme when the system is dark
+   * @returns {boolean} Whether the themes are registered
+   */
+  useSystemTheme(themes = {}) {
+    return this.setPreference({ ...themes, source: 'system' });
+  }
+
+  /**
+   * Switch between the light and dark theme at set times of day, or at
+   * sunrise and sunset
+   * @param {Partial<ThemeSchedule>} [schedule] - When to switch; unset parts
+   *   are kept
+   * @param {Object} [themes] - Themes to use
+   * @param {string} [themes.lightTheme] - Theme in the day
+   * @param {string} [themes.darkTheme] - Theme at night
+   * @returns {boolean} Whether the schedule can be used and the themes are
+   *   registered
+   */
+  useSchedule(schedule = {}, themes = {}) {
+    return this.setPreference({
+      ...themes,
+      source: 'schedule',
+      schedule: { ...this.loadPreference().schedule, ...schedule }
+    });
+  }
+
+  /**
+   * Switch to the dark theme from a light one, and to the light theme from a
+   * dark one. The theme is then kept until the user picks another, or on a
+   * schedule until it next switches.
+   * @returns {string} The new theme id
+   */
+  toggleTheme() {
+    const preference = this.loadPreference();
+    const themeId = this.getThemeMode() === 'dark'
+      ? this.getUsableTheme(preference.lightTheme, 'light')
+      : this.getUsableTheme(preference.darkTheme, 'dark');
+    this.overrideTheme(themeId);
+    return this.getTheme();
+  }
+
+  /**
+   * Change the preference, save it and apply it. Any override ends unless
+   * the changes set one.
+   * @param {Partial<ThemePreference>} changes - Parts to change
+   * @returns {boolean} Whether the changes can be used; nothing changes if not
+   */
+  setPreference(changes) {
+    const problems = this.getPreferenceProblems(changes);
+    if (problems.length) {
+      console.error(`Cannot use the theme preference: ${problems.join('; ')}`);
+      return false;
+    }
+
+    const preference = { ...this.loadPreference(), override: null, ...changes };
+    const changed = JSON.stringify(preference) !== JSON.stringify(this.preference);
+    this.preference = preference;
+    if (changed) {
+      writePersistent(THEME_PREFERENCE_KEY, preference);
+    }
+    this.update(changed);
+    return true;
+  }
+
+  /**
+   * Call a function whenever the theme or the preference changes
+   * @param {function(ThemeChange): void} listener - Receives the event detail
+   * @returns {function(): void} Function that removes the listener
+   */
+  subscribe(listener) {
+    const handler = event => listener(event.detail);
+    document.addEventListener(THEME_CHANGED_EVENT, handler);
+    return () => document.removeEventListener(THEME_CHANGED_EVENT, handler);
+  }
+
+  /**
+   * List what is wrong with changes to the preference
+   * @private
+   * @param {Partial<ThemePreference>} changes - Changes to check
+   * @returns {string[]} Problems; empty when they can be used
+   */
+  getPreferenceProblems(changes) {
+    const problems = [];
+    if ('source' in changes && !THEME_SOURCES.includes(changes.source)) {
+      problems.push(`"source" must be one of ${THEME_SOURCES.join(', ')}`);
+    }
+    ['theme', 'lightTheme', 'darkTheme'].forEach(key => {
+      if (key in changes && !this.registry.has(changes[key])) {
+        problems.push(`"${key}" must be a registered theme`);
+      }
+    });
+    if ('schedule' in changes) {
+      problems.push(...getScheduleProblems(changes.schedule));
+    }
+    if (changes.override) {
+      if (!this.registry.has(changes.override.theme)) {
+        problems.push('"override.theme" must be a registered theme');
+      }
+      if (Number.isNaN(Date.parse(changes.override.until))) {
+        problems.push('"override.until" must be a date');
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Load the saved preference once, moving a theme saved by earlier theme
+   * code into it
+   * @private
+   * @returns {ThemePreference} The preference
+   */
+  loadPreference() {
+    if (!this.preference) {
+      const saved = readPersistent(THEME_PREFERENCE_KEY, null);
+      if (saved && typeof saved === 'object') {
+        this.preference = this.readPreference(saved);
+      } else {
+        this.preference = this.readPreference(this.readLegacyPreference());
+        writePersistent(THEME_PREFERENCE_KEY, this.preference);
+        LEGACY_THEME_KEYS.forEach(key => {
+          try {
+            window.localStorage.removeItem(key);
+          } catch (error) {
+            // Nothing to clean up without storage
+          }
+        });
+      }
+    }
+    return this.preference;
+  }
+
+  /**
+   * Fill in a saved preference, keeping only the parts that can be used
+   * @private
+   * @param {Object} saved - Saved preference
+   * @returns {ThemePreference} The preference
+   */
+  readPreference(saved) {
+    const preference = {
+      ...DEFAULT_THEME_PREFERENCE,
+      schedule: { ...DEFAULT_THEME_PREFERENCE.schedule }
+    };
+
+    if (THEME_SOURCES.includes(saved.source)) preference.source = saved.source;
+    ['theme', 'lightTheme', 'darkTheme'].forEach(key => {
+      if (typeof saved[key] === 'string' && saved[key]) preference[key] = saved[key];
+    });
+    if (saved.schedule && typeof saved.schedule === 'object') {
+      if (THEME_SCHEDULE_TYPES.includes(saved.schedule.type)) preference.schedule.type = saved.schedule.type;
+      ['light', 'dark'].forEach(key => {
+        if (parseTimeOfDay(saved.schedule[key]) !== null) preference.schedule[key] = saved.schedule[key];
+      });
+      if (isLatitude(saved.schedule.latitude)) preference.schedule.latitude = saved.schedule.latitude;
+      if (isLongitude(saved.schedule.longitude)) preference.schedule.longitude = saved.schedule.longitude;
+    }
+    if (saved.override && typeof saved.override.theme === 'string' &&
+        !Number.isNaN(Date.parse(saved.override.until))) {
+      preference.override = { theme: saved.override.theme, until: saved.override.until };
+    }
+    return preference;
+  }
+
+  /**
+   * Read a theme saved by earlier theme code
+   * @private
+   * @returns {Partial<ThemePreference>} What it asked for; empty if nothing
+   *   usable was saved
+   */
+  readLegacyPreference() {
+    const values = [];
+    try {
+      LEGACY_THEME_KEYS.forEach(key => values.push(window.localStorage.getItem(key)));
+      LEGACY_PREFERENCE_KEYS.forEach(key => {
+        const saved = JSON.parse(window.localStorage.getItem(key));
+        if (saved && typeof saved.theme === 'string') values.push(saved.theme.replace(/^theme-/, ''));
+      });
+    } catch (error) {
+      console.warn('Could not read the saved theme:', error);
+    }
+
+    for (const value of values) {
+      if (value === 'system') return { source: 'system' };
+      const themeId = value === 'light-theme' ? 'light' : value;
+      if (themeId && this.registry.has(themeId)) return { source: 'manual', theme: themeId };
+    }
+    return {};
+  }
+
+  /**
+   * Check whether the dark theme is due
+   * @private
+   * @param {ThemePreference} preference - The preference
+   * @returns {boolean} Whether it is dark
+   */
+  isDark(preference) {
+    if (preference.source === 'schedule') {
+      return isDarkScheduled(preference.schedule, this.now());
+    }
+    if (preference.source === 'system') {
+      const query = this.darkQuery ||
+        (typeof window.matchMedia === 'function' ? window.matchMedia(DARK_QUERY) : null);
+      return query ? query.matches : true;
+    }
+    const theme = this.registry.get(preference.theme);
+    return theme ? theme.mode === 'dark' : true;
+  }
+
+  /**
+   * Check whether a theme picked on a schedule is still shown
+   * @private
+   * @param {ThemePreference} preference - The preference
+   * @returns {boolean} Whether the override lasts until after now
+   */
+  isOverridden(preference) {
+    return preference.source === 'schedule' && Boolean(preference.override) &&
+      this.now() < new Date(preference.override.until);
+  }
+
+  /**
+   * Fall back to a built-in theme for one that was removed
+   * @private
+   * @param {string} themeId - Preferred theme id
+   * @param {'light'|'dark'} mode - Mode to fall back to
+   * @returns {string} A registered theme id
+   */
+  getUsableTheme(themeId, mode) {
+    if (this.registry.has(themeId)) return themeId;
+    if (this.registry.has(DEFAULT_THEME_PREFERENCE[`${mode}Theme`])) {
+      return DEFAULT_THEME_PREFERENCE[`${mode}Theme`];
+    }
+    const [first] = this.registry.getThemes({ mode });
+    return first ? first.id : this.registry.getThemeIds()[0];
+  }
+
+  /**
+   * Apply the theme the preference asks for, end an override that ran out
+   * and plan the next scheduled switch. Announces the change if the theme
+   * or the preference changed.
+   * @private
+   * @param {boolean} [preferenceChanged=false] - Announce the change even if
+   *   the theme stayed the same
+   * @returns {void}
+   */
+  update(preferenceChanged = false) {
+    let changed = preferenceChanged === true;
+
+    // An override ends at the switch it was set before
+    const preference = this.loadPreference();
+    if (preference.override && !this.isOverridden(preference)) {
+      this.preference = { ...preference, override: null };
+      writePersistent(THEME_PREFERENCE_KEY, this.preference);
+      changed = true;
+    }
+
+    const themeId = this.getTheme();
+    const themeChanged = themeId !== this.appliedTheme;
+
+    // Applied every time, as the registry may have changed the theme's mode
+    this.applyTheme(themeId);
+    this.planScheduledChange();
+
+    if (themeChanged || changed) {
+      document.dispatchEvent(new CustomEvent(THEME_CHANGED_EVENT, {
+        detail: {
+          theme: themeId,
+          mode: this.getThemeMode(),
+          preference: this.getPreference()
+        }
+      }));
+    }
+  }
+
+  /**
+   * Set a theme on the root element
+   * @private
+   * @param {string} themeId - Registered theme id
+   * @returns {void}
+   */
+  applyTheme(themeId) {
+    const root = this.rootElement || document.documentElement;
+    const theme = this.registry.get(themeId);
+
+    this.registry.getThemeIds().forEach(id => root.classList.remove(`theme-${id}`));
+    root.classList.add(`theme-${themeId}`);
+    root.setAttribute('data-theme', themeId);
+    if (theme) {
+      root.setAttribute('data-theme-mode', theme.mode);
+    }
+
+    this.appliedTheme = themeId;
+  }
+
+  /**
+   * Set a timer for the next switch of the schedule, while it is used
+   * @private
+   * @returns {void}
+   */
+  planScheduledChange() {
+    this.clearScheduleTimer();
+    const preference = this.loadPreference();
+    if (!this.started || preference.source !== 'schedule') return;
+
+    const now = this.now();
+    const next = getNextScheduledChange(preference.schedule, now);
+    if (next) {
+      this.scheduleTimer = setTimeout(this.update, Math.min(next - now, MAX_TIMER_DELAY));
+    }
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  clearScheduleTimer() {
+    if (this.scheduleTimer !== null) {
+      clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+  }
+
+  /**
+   * Use a preference saved in another window
+   * @private
+   * @param {StorageEvent} event - Storage event
+   * @returns {void}
+   */
+  handleStorage(event) {
+    if (event.key === THEME_PREFERENCE_KEY) this.reloadPreference();
+  }
+
+  /**
+   * Use a preference loaded from the app store
+   * @private
+   * @param {CustomEvent} event - Persistent storage event
+   * @returns {void}
+   */
+  handlePersistentStorage(event) {
+    if (event.detail.keys.includes(THEME_PREFERENCE_KEY)) this.reloadPreference();
+  }
+
+  /**
+   * Catch up with the schedule after the computer slept
+   * @private
+   * @returns {void}
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible') this.update();
+  }
+
+  /**
+   * Read the saved preference again and apply it
+   * @private
+   * @returns {void}
+   */
+  reloadPreference() {
+    this.preference = null;
+    this.update(true);
+  }
+}
+
+// Create singleton instance
+const themeService = new ThemeService();
+
+/**
+ * Drive a theme `<select>` from a theme service. It lists following the
+ * system, the time of day and every registered theme, shows the current
+ * choice and changes the preference when another is picked.
+ * @param {HTMLSelectElement} select - The select
+ * @param {ThemeService} [service] - Service to drive it from
+ * @returns {function(): void} Function that disconnects the select
+ */
+export function connectThemeSelect(select, service = themeService) {
+  const render = () => {
+    const { source, theme } = service.getPreference();
+    const choices = [
+      { value: 'system', label: 'System' },
+      { value: 'schedule', label: 'Time of day' },
+      ...service.registry.getThemes().map(registered => ({ value: registered.id, label: registered.name }))
+    ];
+
+    select.replaceChildren(...choices.map(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+    select.value = source === 'manual' ? theme : source;
+  };
+
+  const handleChange = () => {
+    if (select.value === 'system') {
+      service.useSystemTheme();
+    } else if (select.value === 'schedule') {
+      service.useSchedule();
+    } else {
+      service.setTheme(select.value);
+    }
+  };
+
+  render();
+  select.addEventListener('change', handleChange);
+  const unsubscribeService = service.subscribe(render);
+  const unsubscribeRegistry = service.registry.subscribe(render);
+
+  return () => {
+    select.removeEventListener('change', handleChange);
+    unsubscribeService();
+    unsubscribeRegistry();
+  };
+}
+
+// Export singleton
+export default themeService;
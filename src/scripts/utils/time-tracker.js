@@ -0,0 +1,222 @@
+/**
+ * Time Tracker
+ * Grimoire
+ *
+ * Adds the time spent reading to the section in view, for the progress
+ * statistics. Time only counts while the page is visible and the user has
+ * scrolled, typed or clicked recently, so a guide left open is not counted.
+ *
+ * The time is added in memory and saved when the page is hidden or closed,
+ * and every few minutes while it is read.
+ */
+
+import progressStore, { getSectionProgressId } from './progress-store.js';
+
+/**
+ * How often the time is added, in ms
+ * @type {number}
+ */
+const TICK_INTERVAL = 15000;
+
+/**
+ * How often the time is saved while the page is visible, in ms
+ * @type {number}
+ */
+const SAVE_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Time without input after which the user counts as away, in ms
+ * @type {number}
+ */
+const IDLE_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * Events that show the user is reading
+ * @type {string[]}
+ */
+const ACTIVITY_EVENTS = ['scroll', 'keydown', 'pointerdown', 'wheel', 'touchstart'];
+
+/**
+ * Get the section that takes up most of the viewport
+ * @returns {string|null} Its progress id, or null when no section is in view
+ */
+export function getVisibleSectionId() {
+  const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+  let visibleSection = null;
+  let visibleHeight = 0;
+
+  document.querySelectorAll('.section[id]').forEach(section => {
+    const rect = section.getBoundingClientRect();
+    const height = Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0);
+    if (height > visibleHeight) {
+      visibleSection = section;
+      visibleHeight = height;
+    }
+  });
+
+  return visibleSection ? getSectionProgressId(visibleSection) : null;
+}
+
+/**
+ * @class TimeTracker
+ * @classdesc Counts the time spent reading each section
+ */
+export class TimeTracker {
+  /**
+   * @param {Object} [options] - Tracker options
+   * @param {import('./progress-store.js').ProgressStore} [options.store] - Store to add the time to
+   * @param {function(): (string|null)} [options.getSectionId] - Progress id of the section being read
+   * @param {function(): number} [options.now] - Current time in ms
+   */
+  constructor(options = {}) {
+    this.store = options.store || progressStore;
+    this.getSectionId = options.getSectionId || getVisibleSectionId;
+    this.now = options.now || Date.now;
+
+    /**
+     * When time was last added
+     * @type {number}
+     * @private
+     */
+    this.lastTick = 0;
+
+    /**
+     * When the time was last saved
+     * @type {number}
+     * @private
+     */
+    this.lastSave = 0;
+
+    /**
+     * When the user last did something
+     * @type {number}
+     * @private
+     */
+    this.lastActivity = 0;
+
+    /**
+     * @type {number|null}
+     * @private
+     */
+    this.timer = null;
+
+    this.handleActivity = this.handleActivity.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Start counting
+   * @returns {void}
+   */
+  start() {
+    if (this.timer !== null) return;
+
+    this.lastTick = this.now();
+    this.lastActivity = this.lastTick;
+    this.lastSave = this.lastTick;
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, this.handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('pagehide', this.handlePageHide);
+    this.timer = setInterval(this.tick, TICK_INTERVAL);
+  }
+
+  /**
+   * Stop counting, adding and saving the time since the last tick
+   * @returns {void}
+   */
+  stop() {
+    if (this.timer === null) return;
+
+    this.tick();
+    this.save();
+    clearInterval(this.timer);
+    this.timer = null;
+    ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this.handleActivity));
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('pagehide', this.handlePageHide);
+  }
+
+  /**
+   * Note that the user is reading
+   * @private
+   * @returns {void}
+   */
+  handleActivity() {
+    this.lastActivity = this.now();
+  }
+
+  /**
+   * Count and save the time up to when the page is hidden, and start again
+   * when it is shown
+   * @private
+   * @returns {void}
+   */
+  handleVisibilityChange() {
+    const now = this.now();
+    if (document.visibilityState === 'hidden') {
+      this.addReadingTime(now);
+      this.save();
+    } else {
+      this.lastActivity = now;
+    }
+    this.lastTick = now;
+  }
+
+  /**
+   * Count and save the time up to when the page is closed
+   * @private
+   * @returns {void}
+   */
+  handlePageHide() {
+    this.tick();
+    this.save();
+  }
+
+  /**
+   * Add the time since the last tick to the section in view, saving it if
+   * it was not saved for a while. Nothing is counted while the page is
+   * hidden.
+   * @returns {void}
+   */
+  tick() {
+    const now = this.now();
+    if (document.visibilityState !== 'hidden') {
+      this.addReadingTime(now);
+    }
+    this.lastTick = now;
+
+    if (now - this.lastSave >= SAVE_INTERVAL) {
+      this.save();
+    }
+  }
+
+  /**
+   * Save the counted time
+   * @private
+   * @returns {void}
+   */
+  save() {
+    this.store.saveTimeSpent();
+    this.lastSave = this.now();
+  }
+
+  /**
+   * Add the time since the last tick, up to when the user went idle
+   * @private
+   * @param {number} now - Current time in ms
+   * @returns {void}
+   */
+  addReadingTime(now) {
+    const elapsed = Math.min(now, this.lastActivity + IDLE_TIMEOUT) - this.lastTick;
+    if (elapsed <= 0) return;
+
+    const sectionId = this.getSectionId();
+    if (sectionId) {
+      this.store.addTimeSpent(sectionId, elapsed);
+    }
+  }
+}
+
+export default TimeTracker;
@@ -169,6 +169,74 @@ describe('CodeBlocks Component', () => {
     jest.useRealTimers();
   });
   
+  test('badges risky commands and confirms before copying them', async () => {
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.textContent = 'curl -L https://example.com/install.sh | sh';
+    pre.appendChild(code);
+    document.body.appendChild(pre);
+    
+    codeBlocks.initialize();
+    
+    expect(pre.previousElementSibling.querySelector('.risk-badge').textContent).toContain('Runs downloaded code');
+    expect(pre.querySelector('.risk-badges')).toBeNull();
+    
+    const copyButton = Array.from(pre.querySelectorAll('button')).find(button => button.textContent === 'Copy');
+    copyButton.click();
+    await Promise.resolve();
+    expect(navigator.clipboard.writeText).not.toHaveBeenCalled();
+    expect(pre.querySelector('.risk-confirm')).toBeNull();
+    
+    pre.nextElementSibling.querySelector('.risk-confirm-copy').click();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith(code.textContent);
+  });
+  
+  test('copies only the command of a code block without a code element', async () => {
+    const codeBlock = document.createElement('div');
+    codeBlock.className = 'code-block';
+    const pre = document.createElement('pre');
+    pre.textContent = 'sudo pacman -Syu';
+    codeBlock.appendChild(pre);
+    document.body.appendChild(codeBlock);
+    
+    codeBlocks.initialize();
+    expect(codeBlock.querySelector('.risk-badge')).not.toBeNull();
+    
+    Array.from(codeBlock.querySelectorAll('button')).find(button => button.textContent === 'Copy').click();
+    codeBlock.querySelector('.risk-confirm-copy').click();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('sudo pacman -Syu');
+  });
+  
+  test('renders command templates and copies the filled-in command', async () => {
+    localStorage.clear();
+    const codeBlock = document.createElement('div');
+    codeBlock.className = 'code-block';
+    const code = document.createElement('code');
+    code.textContent = 'protontricks {{APP_ID}} winecfg';
+    codeBlock.appendChild(code);
+    document.body.appendChild(codeBlock);
+    
+    codeBlocks.initialize();
+    
+    const input = code.querySelector('input');
+    expect(input.getAttribute('aria-label')).toBe('Steam app ID');
+    expect(Prism.highlightElement).not.toHaveBeenCalledWith(code);
+    
+    const copyButton = codeBlock.querySelector('button');
+    copyButton.click();
+    expect(navigator.clipboard.writeText).not.toHaveBeenCalled();
+    expect(document.activeElement).toBe(input);
+    
+    input.value = '1091500';
+    input.dispatchEvent(new Event('input'));
+    copyButton.click();
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('protontricks 1091500 winecfg');
+  });
+  
   test('makeExpandableIfLong makes long code blocks expandable', () => {
     // Create code block
     const pre = document.createElement('pre');
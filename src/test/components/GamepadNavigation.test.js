@@ -0,0 +1,128 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { GamepadNavigation, GAMEPAD_BUTTONS } from '../../components/GamepadNavigation';
+
+/**
+ * Build a mocked standard-mapping gamepad
+ */
+function createGamepad({ pressed = [], values = {}, axes = [0, 0] } = {}) {
+  const buttons = Array.from({ length: 17 }, (_, index) => ({
+    pressed: pressed.includes(index),
+    value: values[index] !== undefined ? values[index] : (pressed.includes(index) ? 1 : 0)
+  }));
+  return { index: 0, connected: true, mapping: 'standard', buttons, axes };
+}
+
+/**
+ * Give an element a fixed box on screen
+ */
+function place(element, left, top) {
+  element.getBoundingClientRect = () => ({
+    left, top, width: 100, height: 30, right: left + 100, bottom: top + 30
+  });
+}
+
+describe('GamepadNavigation Component', () => {
+  let gamepad;
+  let navigation;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    gamepad = null;
+    navigator.getGamepads = jest.fn(() => [gamepad]);
+    window.requestAnimationFrame = jest.fn(() => 1);
+    window.cancelAnimationFrame = jest.fn();
+    window.scrollBy = jest.fn();
+
+    document.body.innerHTML = '<button id="first">First</button><button id="second">Second</button>';
+    first = document.getElementById('first');
+    second = document.getElementById('second');
+    place(first, 0, 0);
+    place(second, 0, 100);
+
+    navigation = new GamepadNavigation({ autoInit: true });
+  });
+
+  afterEach(() => {
+    navigation.destroy();
+  });
+
+  /**
+   * Set the gamepad state and run one poll
+   */
+  const press = (state, timestamp = 0) => {
+    gamepad = createGamepad(state);
+    navigation.poll(timestamp);
+  };
+
+  test('starts polling and shows button hints when a gamepad connects', () => {
+    expect(window.requestAnimationFrame).not.toHaveBeenCalled();
+
+    gamepad = createGamepad();
+    window.dispatchEvent(new Event('gamepadconnected'));
+
+    expect(window.requestAnimationFrame).toHaveBeenCalled();
+    const hints = document.querySelector('[aria-label="Gamepad controls"]');
+    expect(hints.hidden).toBe(false);
+    expect(hints.textContent).toContain('A Select');
+    expect(hints.textContent).toContain('B Back');
+
+    gamepad = null;
+    window.dispatchEvent(new Event('gamepaddisconnected'));
+    expect(hints.hidden).toBe(true);
+  });
+
+  test('moves focus with the D-pad and stick, repeating while held', () => {
+    press({ pressed: [GAMEPAD_BUTTONS.DOWN] }, 0);
+    expect(document.activeElement).toBe(first);
+
+    // Held, but the repeat delay has not passed yet
+    press({ pressed: [GAMEPAD_BUTTONS.DOWN] }, 100);
+    expect(document.activeElement).toBe(first);
+
+    press({ pressed: [GAMEPAD_BUTTONS.DOWN] }, 500);
+    expect(document.activeElement).toBe(second);
+
+    press({}, 600);
+    press({ axes: [0, -0.9] }, 700);
+    expect(document.activeElement).toBe(first);
+    expect(document.body.classList.contains('gamepad-active')).toBe(true);
+  });
+
+  test('activates with A once per press and sends Escape with B', () => {
+    const click = jest.fn();
+    first.addEventListener('click', click);
+    first.focus();
+
+    press({ pressed: [GAMEPAD_BUTTONS.A] });
+    press({ pressed: [GAMEPAD_BUTTONS.A] });
+    expect(click).toHaveBeenCalledTimes(1);
+
+    const keydown = jest.fn();
+    document.addEventListener('keydown', keydown);
+    press({ pressed: [GAMEPAD_BUTTONS.B] });
+    expect(keydown.mock.calls[0][0].key).toBe('Escape');
+    document.removeEventListener('keydown', keydown);
+  });
+
+  test('switches sections with the bumpers and scrolls with the triggers', () => {
+    const router = { currentRoute: { slug: 'getting-started', step: null }, navigate: jest.fn() };
+    navigation.router = router;
+    navigation.sections = [{ slug: 'intro' }, { slug: 'getting-started' }, { slug: 'gaming' }];
+
+    press({ pressed: [GAMEPAD_BUTTONS.RB] });
+    expect(router.navigate).toHaveBeenCalledWith('gaming');
+
+    press({ pressed: [GAMEPAD_BUTTONS.LB] });
+    expect(router.navigate).toHaveBeenLastCalledWith('intro');
+
+    press({ values: { [GAMEPAD_BUTTONS.RT]: 0.5 } });
+    expect(window.scrollBy).toHaveBeenLastCalledWith(0, 20);
+
+    press({ values: { [GAMEPAD_BUTTONS.LT]: 1 } });
+    expect(window.scrollBy).toHaveBeenLastCalledWith(0, -40);
+  });
+});
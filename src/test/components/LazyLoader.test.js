@@ -3,6 +3,7 @@
  */
 
 import { LazyLoader } from '../../components/LazyLoader';
+import i18n from '../../i18n.js';
 
 // Mock fetch
 global.fetch = jest.fn();
@@ -174,4 +175,75 @@ describe('LazyLoader Component', () => {
     // Verify loadContent was called for each section
     expect(loadContentSpy).toHaveBeenCalledTimes(3);
   });
+  
+  describe('in another locale', () => {
+    beforeEach(() => {
+      i18n.currentLocale = 'es';
+      i18n.translations = { es: { content: { untranslated: 'Sección sin traducir' } } };
+    });
+    
+    afterEach(() => {
+      i18n.currentLocale = 'en';
+      i18n.translations = {};
+    });
+    
+    test('loads the translation of a section', async () => {
+      const section = document.createElement('div');
+      section.setAttribute('data-content-src', 'sections/gaming.html');
+      document.body.appendChild(section);
+      
+      await lazyLoader.loadContent(section);
+      
+      expect(fetch).toHaveBeenCalledWith('./test-content/sections/es/gaming.html');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(section.getAttribute('data-content-locale')).toBe('es');
+      expect(section.querySelector('.untranslated-notice')).toBeNull();
+    });
+    
+    test('falls back to English when the section is not translated', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' }));
+      const section = document.createElement('div');
+      section.setAttribute('data-content-src', 'sections/gaming.html');
+      document.body.appendChild(section);
+      
+      await lazyLoader.loadContent(section);
+      
+      expect(fetch).toHaveBeenLastCalledWith('./test-content/sections/gaming.html');
+      expect(section.getAttribute('data-content-locale')).toBe('en');
+      expect(section.querySelector('.untranslated-notice').textContent).toBe('Sección sin traducir');
+      expect(section.querySelector('.test-content').getAttribute('lang')).toBe('en');
+      
+      // The missing translation is not requested again
+      section.removeAttribute('data-content-loaded');
+      await lazyLoader.loadContent(section);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+    
+    test('reloads loaded sections when the locale changes', async () => {
+      const section = document.createElement('div');
+      section.setAttribute('data-content-src', 'sections/gaming.html');
+      document.body.appendChild(section);
+      
+      i18n.currentLocale = 'en';
+      await lazyLoader.loadContent(section);
+      expect(fetch).toHaveBeenLastCalledWith('./test-content/sections/gaming.html');
+      
+      i18n.currentLocale = 'es';
+      await lazyLoader.reloadContent();
+      expect(fetch).toHaveBeenLastCalledWith('./test-content/sections/es/gaming.html');
+      expect(section.getAttribute('data-content-locale')).toBe('es');
+      
+      // An initialized loader reloads on its own
+      window.IntersectionObserver = jest.fn().mockImplementation(() => ({
+        observe: jest.fn(),
+        unobserve: jest.fn()
+      }));
+      const reloadSpy = jest.spyOn(lazyLoader, 'reloadContent').mockResolvedValue([]);
+      lazyLoader.initialize();
+      document.dispatchEvent(new CustomEvent('locale-changed', { detail: { locale: 'es' } }));
+      document.removeEventListener('locale-changed', lazyLoader.handleLocaleChange);
+      
+      expect(reloadSpy).toHaveBeenCalled();
+    });
+  });
 }); 
\ No newline at end of file
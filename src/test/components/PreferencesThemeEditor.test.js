@@ -0,0 +1,95 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { PreferencesDialog } from '../../components/PreferencesDialog/PreferencesDialog';
+import themeRegistry from '../../scripts/utils/theme-registry';
+
+/**
+ * Type into a color field of the editor
+ */
+const setColor = (token, value) => {
+  const input = document.querySelector(`input[name="themeEditor.colors.${token}"]`);
+  input.value = value;
+  input.dispatchEvent(new Event('input'));
+};
+
+describe('Preferences theme editor', () => {
+  let dialog;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.localStorage.clear();
+    document.body.innerHTML = '';
+    document.documentElement.setAttribute('data-theme', 'light');
+    dialog = new PreferencesDialog({ container: document.body, preferences: {} });
+    dialog.open();
+  });
+
+  afterEach(() => {
+    dialog.destroy();
+    themeRegistry.getUserThemes().forEach(theme => themeRegistry.removeTheme(theme.id));
+    jest.useRealTimers();
+  });
+
+  test('starts from the theme shown and checks its contrast', () => {
+    const light = themeRegistry.get('light');
+
+    expect(document.querySelector('select[name="themeEditor.base"]').value).toBe('light');
+    expect(document.querySelector('input[name="themeEditor.name"]').value).toBe('My Light');
+    expect(document.querySelector('input[name="themeEditor.colors.text"]').value).toBe(light.colors.text);
+
+    const checks = document.querySelector('ul[aria-label="WCAG contrast checks"]');
+    expect(checks.textContent).toContain('Body text');
+    expect(checks.textContent).toContain('Passes AA 4.5:1');
+    expect(document.getElementById('save-theme-btn').disabled).toBe(false);
+  });
+
+  test('previews edits on the page until the dialog is closed', () => {
+    setColor('primary', '#123456');
+
+    const rootStyle = document.documentElement.style;
+    expect(rootStyle.getPropertyValue('--primary-color')).toBe('#123456');
+    expect(rootStyle.getPropertyValue('color-scheme')).toBe('light');
+
+    dialog.close();
+    expect(rootStyle.getPropertyValue('--primary-color')).toBe('');
+  });
+
+  test('blocks saving a theme whose body text fails AA', () => {
+    setColor('text', '#EEEEEE');
+
+    expect(document.getElementById('save-theme-btn').disabled).toBe(true);
+    expect(document.getElementById('export-theme-btn').disabled).toBe(true);
+    expect(document.querySelector('[role="status"]').textContent).toContain('4.5:1');
+
+    dialog.handleSaveTheme();
+    expect(themeRegistry.has('my-light')).toBe(false);
+  });
+
+  test('saves the theme to the theme list and exports it as a theme pack', () => {
+    const name = document.querySelector('input[name="themeEditor.name"]');
+    name.value = 'Paper';
+    name.dispatchEvent(new Event('input'));
+    setColor('primary', '#0050A0');
+
+    document.getElementById('save-theme-btn').click();
+    expect(themeRegistry.get('paper')).toEqual(expect.objectContaining({ name: 'Paper', mode: 'light', builtIn: false }));
+    expect(document.querySelector('select[name="appearance.theme"]').textContent).toContain('Paper');
+
+    let exported;
+    URL.createObjectURL = jest.fn(blob => {
+      exported = blob;
+      return 'blob:theme';
+    });
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('paper.theme.json');
+    });
+
+    document.getElementById('export-theme-btn').click();
+    expect(click).toHaveBeenCalled();
+    expect(exported.type).toBe('application/json');
+    click.mockRestore();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { ProgressDashboard, SHOW_DASHBOARD_EVENT } from '../../components/ProgressDashboard';
+import { ProgressStore } from '../../scripts/utils/progress-store';
+
+jest.mock('../../components/ProgressDashboard/ProgressDashboard.module.css', () => ({
+  dashboard: 'dashboard',
+  overview: 'overview',
+  figureValue: 'figureValue',
+  message: 'message',
+  barChart: 'barChart',
+  barFill: 'barFill',
+  barValue: 'barValue',
+  timeline: 'timeline',
+  timelineBar: 'timelineBar',
+  timelineLine: 'timelineLine'
+}));
+
+const OUTLINE = [
+  {
+    id: 'decky-loader',
+    title: 'Decky Loader',
+    estimatedTime: null,
+    steps: [
+      { id: 'decky-loader-install', title: 'Install', estimatedTime: 10 },
+      { id: 'decky-loader-configure', title: 'Configure', estimatedTime: 5 }
+    ]
+  },
+  { id: 'gaming', title: 'Gaming', estimatedTime: null, steps: [] }
+];
+
+describe('ProgressDashboard', () => {
+  let store;
+  let dashboard;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    document.body.innerHTML = '';
+    store = new ProgressStore();
+    dashboard = new ProgressDashboard({ store, loadOutline: async () => OUTLINE, autoInit: true });
+  });
+
+  afterEach(() => {
+    dashboard.destroy();
+  });
+
+  test('shows completion and time left per section', async () => {
+    store.setCompleted('decky-loader-install', true);
+    await dashboard.open();
+
+    const figures = Array.from(dashboard.element.querySelectorAll('.figureValue')).map(figure => figure.textContent);
+    expect(figures).toEqual(['50%', '0 min', '5 min']);
+
+    const fills = dashboard.element.querySelectorAll('.barChart')[0].querySelectorAll('.barFill');
+    expect(Array.from(fills).map(fill => fill.style.width)).toEqual(['50%', '0%']);
+    expect(dashboard.element.querySelector('.barValue').textContent).toBe('1/2 · 5 min left');
+  });
+
+  test('draws completions over time', async () => {
+    await dashboard.open();
+    expect(dashboard.element.querySelector('svg.timeline')).toBeNull();
+
+    store.setCompleted(['decky-loader-install', 'decky-loader-configure'], true);
+
+    const chart = dashboard.element.querySelector('svg.timeline');
+    expect(chart).not.toBeNull();
+    expect(chart.querySelectorAll('.timelineBar')).toHaveLength(1);
+    expect(chart.querySelector('.timelineBar title').textContent).toMatch(/2 completed, 2 in total$/);
+  });
+
+  test('shows the time spent reading', async () => {
+    store.addTimeSpent('decky-loader', 20 * 60000);
+    store.addTimeSpent('gaming', 5 * 60000);
+    await dashboard.open();
+
+    const timeChart = dashboard.element.querySelectorAll('.barChart')[1];
+    expect(Array.from(timeChart.querySelectorAll('.barFill')).map(fill => fill.style.width)).toEqual(['100%', '25%']);
+    expect(Array.from(timeChart.querySelectorAll('.barValue')).map(value => value.textContent)).toEqual(['20 min', '5 min']);
+  });
+
+  test('opens when asked to and stops updating when closed', async () => {
+    const open = jest.spyOn(dashboard, 'open');
+    window.dispatchEvent(new CustomEvent(SHOW_DASHBOARD_EVENT));
+    expect(open).toHaveBeenCalled();
+    await open.mock.results[0].value;
+
+    const render = jest.spyOn(dashboard, 'render');
+    dashboard.dialog.close();
+    store.setCompleted('decky-loader-install', true);
+    expect(render).not.toHaveBeenCalled();
+  });
+
+  test('exports a Markdown summary', async () => {
+    URL.createObjectURL = jest.fn(() => 'blob:summary');
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    expect(dashboard.exportSummary()).toBe(false);
+    await dashboard.open();
+    expect(dashboard.exportSummary()).toBe(true);
+
+    const link = click.mock.instances[0];
+    expect(link.download).toMatch(/^grimoire-progress-\d{4}-\d{2}-\d{2}\.md$/);
+    expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/markdown');
+    click.mockRestore();
+  });
+});
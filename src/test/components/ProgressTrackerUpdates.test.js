@@ -0,0 +1,127 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { ProgressTracker } from '../../components/ProgressTracker';
+import progressStore from '../../scripts/utils/progress-store';
+
+jest.mock('../../components/ProgressTracker/ProgressTracker.module.css', () => ({
+  progressCheck: 'progressCheck',
+  completed: 'completed',
+  stepCompleted: 'stepCompleted',
+  stepUpdated: 'stepUpdated',
+  stepUpdate: 'stepUpdate',
+  stepDiff: 'stepDiff',
+  diffAdded: 'diffAdded',
+  diffRemoved: 'diffRemoved',
+  stepUpdateButton: 'stepUpdateButton',
+  progressSummary: 'progressSummary'
+}));
+
+const SECTION = `
+  <div class="section" id="section-iv" data-slug="decky-loader">
+    <details class="guide-section" id="decky-loader-installing-decky-loader">
+      <summary>1. INSTALLING DECKY LOADER</summary>
+      <div class="details-content">
+        <p>Switch to desktop mode.</p>
+        <pre><code>curl -L https://example.com/install_release.sh | sh</code></pre>
+      </div>
+    </details>
+  </div>`;
+
+describe('ProgressTracker content updates', () => {
+  let tracker;
+  let step;
+
+  /**
+   * Load the page again, as after a reload with new content
+   */
+  const reload = () => {
+    tracker.destroy();
+    tracker = new ProgressTracker({ autoInit: true });
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    progressStore.reload();
+    document.body.innerHTML = SECTION;
+    step = document.querySelector('details.guide-section');
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tracker = new ProgressTracker({ autoInit: true });
+  });
+
+  afterEach(() => {
+    tracker.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('leaves unchanged completed steps alone', () => {
+    tracker.setStepCompleted(step, true);
+    reload();
+
+    expect(step.classList.contains('stepCompleted')).toBe(true);
+    expect(tracker.isStepOutdated(step)).toBe(false);
+    expect(step.querySelector('.stepUpdate')).toBeNull();
+  });
+
+  test('flags a completed step that was edited, with what changed', () => {
+    tracker.setStepCompleted(step, true);
+    step.querySelector('code').textContent = 'curl -L https://example.com/install_release.sh | bash';
+    reload();
+
+    expect(tracker.isStepOutdated(step)).toBe(true);
+    expect(step.classList.contains('stepUpdated')).toBe(true);
+
+    const notice = step.querySelector('.stepUpdate');
+    expect(notice.textContent).toContain('Updated since you completed it');
+    expect(notice.querySelector('.diffRemoved del').textContent).toBe('curl -L https://example.com/install_release.sh | sh');
+    expect(notice.querySelector('.diffAdded').textContent).toBe('curl -L https://example.com/install_release.sh | bash');
+  });
+
+  test('stores only the start of long lines of the completed content', () => {
+    const longLine = `Switch to desktop mode. ${'Then wait for the desktop to load. '.repeat(5)}`.trim();
+    step.querySelector('p').textContent = longLine;
+    tracker.setStepCompleted(step, true);
+
+    const stored = localStorage.getItem('guideProgress');
+    expect(stored).toContain('Switch to desktop mode');
+    expect(stored).not.toContain(longLine);
+    expect(progressStore.getCompletion('decky-loader-installing-decky-loader').lines).toHaveLength(2);
+  });
+
+  test('counts removed lines recorded without their text', () => {
+    tracker.setStepCompleted(step, true);
+    const { excerpts, ...completion } = progressStore.getCompletion('decky-loader-installing-decky-loader');
+    localStorage.setItem('guideProgress', JSON.stringify({
+      completed: { 'decky-loader-installing-decky-loader': completion }
+    }));
+    progressStore.reload();
+    step.querySelector('.details-content').innerHTML = '<p>Open the Decky Loader website.</p>';
+    reload();
+
+    expect(excerpts).toHaveLength(2);
+    expect(Array.from(step.querySelectorAll('.diffRemoved'), item => item.textContent)).toEqual(['2 lines removed']);
+  });
+
+  test('clears the flag once the new version is reviewed', () => {
+    tracker.setStepCompleted(step, true);
+    step.querySelector('p').textContent = 'Switch to desktop mode and open Konsole.';
+    reload();
+
+    step.querySelector('.stepUpdateButton').click();
+
+    expect(tracker.isStepOutdated(step)).toBe(false);
+    expect(tracker.isStepCompleted(step)).toBe(true);
+    expect(step.classList.contains('stepUpdated')).toBe(false);
+    expect(step.querySelector('.stepUpdate')).toBeNull();
+  });
+
+  test('starts comparing steps completed before content was recorded', () => {
+    progressStore.setCompleted('decky-loader-installing-decky-loader', true);
+    reload();
+
+    expect(progressStore.getCompletion('decky-loader-installing-decky-loader').fingerprint).toBeDefined();
+    expect(tracker.isStepOutdated(step)).toBe(false);
+  });
+});
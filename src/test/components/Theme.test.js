@@ -7,6 +7,7 @@ jest.mock('../../components/Theme/Theme.module.css', () => ({}), { virtual: true
 
 // Import the component
 const Theme = require('../../components/Theme').default;
+const { default: themeService, ThemeService } = require('../../scripts/utils/theme-service.js');
 
 describe('Theme Component', () => {
   // Mock localStorage
@@ -94,59 +95,75 @@ describe('Theme Component', () => {
   // Tests
   test('should construct with default options', () => {
     const theme = new Theme();
-    expect(theme.availableThemes).toEqual(['light', 'dark', 'dracula', 'high-contrast']);
+    expect(theme.availableThemes).toEqual(['light', 'dark', 'dracula', 'high-contrast', 'catppuccin-latte']);
     expect(theme.currentTheme).toBe('dark');
-    expect(theme.storageKey).toBe('sdde_theme_preference');
-    expect(theme.persistSettings).toBe(true);
-    expect(theme.rootElement).toBe(document.documentElement);
+    expect(theme.service).toBe(themeService);
     expect(theme.initialized).toBe(false);
   });
   
   test('should construct with custom options', () => {
-    const mockRoot = { classList: { add: jest.fn() }};
+    const service = new ThemeService();
     const theme = new Theme({
       themes: ['custom1', 'custom2'],
       defaultTheme: 'custom1',
-      storageKey: 'custom_key',
-      persistSettings: false,
-      rootElement: mockRoot,
+      service,
       autoInit: false
     });
     
     expect(theme.availableThemes).toEqual(['custom1', 'custom2']);
     expect(theme.currentTheme).toBe('custom1');
-    expect(theme.storageKey).toBe('custom_key');
-    expect(theme.persistSettings).toBe(false);
-    expect(theme.rootElement).toBe(mockRoot);
+    expect(theme.service).toBe(service);
   });
 
-  test('should load saved theme from localStorage during initialization', () => {
-    // Set up localStorage mock
-    localStorageMock.getItem.mockReturnValueOnce('light');
+  test('should apply the saved theme during initialization', () => {
+    localStorageMock.setItem('themePreference', JSON.stringify({ source: 'manual', theme: 'light' }));
     
     // Create and initialize theme
-    const theme = new Theme();
+    const service = new ThemeService();
+    const theme = new Theme({ service });
     theme.initialize();
     
-    // Check if theme was loaded from localStorage
-    expect(localStorageMock.getItem).toHaveBeenCalledWith('sdde_theme_preference');
+    // Check if theme was loaded through the theme service
+    expect(localStorageMock.getItem).toHaveBeenCalledWith('themePreference');
     expect(theme.currentTheme).toBe('light');
+    expect(document.documentElement.setAttribute).toHaveBeenCalledWith('data-theme', 'light');
+    service.stop();
   });
   
-  test('should not use localStorage if persistSettings is false', () => {
-    // Create theme with persistSettings=false
-    const theme = new Theme({ persistSettings: false });
+  test('should apply a theme saved under the old storage key', () => {
+    localStorageMock.setItem('sdde_theme_preference', 'light');
     
-    // Initialize and apply a theme
+    const service = new ThemeService();
+    const theme = new Theme({ service });
     theme.initialize();
-    theme.applyTheme('light');
     
-    // Should not save to localStorage
-    expect(localStorageMock.setItem).not.toHaveBeenCalled();
+    expect(theme.currentTheme).toBe('light');
+    expect(localStorageMock.removeItem).toHaveBeenCalledWith('sdde_theme_preference');
+    service.stop();
+  });
+  
+  test('should save the chosen theme through the theme service', () => {
+    const theme = new Theme({ service: new ThemeService() });
+    
+    expect(theme.applyTheme('dracula')).toBe(true);
+    expect(theme.currentTheme).toBe('dracula');
+    expect(JSON.parse(localStorageMock.getItem('themePreference'))).toMatchObject({
+      source: 'manual',
+      theme: 'dracula'
+    });
+  });
+  
+  test('should not apply a theme it does not offer', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const theme = new Theme({ themes: ['light', 'dark'], service: new ThemeService() });
+    
+    expect(theme.applyTheme('dracula')).toBe(false);
+    expect(localStorageMock.setItem).not.toHaveBeenCalledWith('themePreference', expect.stringContaining('dracula'));
+    consoleError.mockRestore();
   });
 
   test('should correctly toggle between themes', () => {
-    const theme = new Theme({ defaultTheme: 'dark' });
+    const theme = new Theme({ defaultTheme: 'dark', service: new ThemeService() });
     
     // Toggle from dark to light
     expect(theme.toggleTheme()).toBe('light');
@@ -159,26 +176,19 @@ describe('Theme Component', () => {
   
   test('should handle localStorage errors gracefully', () => {
     // Make localStorage.getItem throw an error
-    localStorageMock.getItem.mockImplementationOnce(() => {
+    const getItem = localStorageMock.getItem.getMockImplementation();
+    localStorageMock.getItem.mockImplementation(() => {
       throw new Error('Storage error');
     });
     
-    const theme = new Theme();
+    const service = new ThemeService();
+    const theme = new Theme({ service });
     
     // Should not throw when loading theme
-    expect(() => theme.loadSavedTheme()).not.toThrow();
-    expect(console.warn).toHaveBeenCalled();
-    
-    // Reset mocks
-    jest.clearAllMocks();
-    
-    // Make localStorage.setItem throw an error
-    localStorageMock.setItem.mockImplementationOnce(() => {
-      throw new Error('Storage error');
-    });
+    expect(() => theme.initialize()).not.toThrow();
+    expect(theme.currentTheme).toBe('dark');
     
-    // Should not throw when saving theme
-    expect(() => theme.saveThemePreference()).not.toThrow();
-    expect(console.warn).toHaveBeenCalled();
+    service.stop();
+    localStorageMock.getItem.mockImplementation(getItem);
   });
-}); 
\ No newline at end of file
+});
\ No newline at end of file
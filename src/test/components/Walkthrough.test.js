@@ -0,0 +1,147 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { Walkthrough } from '../../components/Walkthrough';
+import { ProgressTracker } from '../../components/ProgressTracker';
+import progressStore from '../../scripts/utils/progress-store';
+
+jest.mock('../../components/ProgressTracker/ProgressTracker.module.css', () => ({
+  progressCheck: 'progressCheck',
+  completed: 'completed',
+  stepCompleted: 'stepCompleted',
+  progressSummary: 'progressSummary',
+  progressSummaryHeader: 'progressSummaryHeader',
+  progressSummaryTitle: 'progressSummaryTitle',
+  progressSummaryPercentage: 'progressSummaryPercentage',
+  progressSummaryBar: 'progressSummaryBar',
+  progressSummaryBarInner: 'progressSummaryBarInner',
+  progressSummaryCount: 'progressSummaryCount'
+}));
+
+const SECTION = `
+  <div class="section" id="section-iv">
+    <div class="section-content">
+      <details class="guide-section" data-step="1">
+        <summary>1. INSTALL</summary>
+        <div class="details-content">
+          <blockquote class="explanation"><p>Install Decky Loader.</p></blockquote>
+          <div class="code-block"><pre><code>curl -L https://example.com/install_release.sh | sh</code></pre></div>
+        </div>
+      </details>
+      <details class="guide-section" data-step="2">
+        <summary>2. CONFIGURE</summary>
+        <div class="details-content">
+          <ol><li>Open the Quick Access menu</li><li>Select the plug icon</li></ol>
+        </div>
+      </details>
+      <details class="guide-section" data-step="3">
+        <summary>3. CSS LOADER</summary>
+        <div class="details-content"><p>Install themes.</p></div>
+      </details>
+    </div>
+  </div>`;
+
+describe('Walkthrough Component', () => {
+  let progressTracker;
+  let walkthrough;
+  let section;
+  let steps;
+
+  beforeEach(() => {
+    localStorage.clear();
+    progressStore.reload();
+    document.body.innerHTML = SECTION;
+    section = document.querySelector('.section');
+    steps = Array.from(section.querySelectorAll('details.guide-section'));
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    progressTracker = new ProgressTracker({ autoInit: true });
+    walkthrough = new Walkthrough({ progressTracker, autoInit: true });
+  });
+
+  afterEach(() => {
+    walkthrough.destroy();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Get the walkthrough button with the given text
+   */
+  const button = text => Array.from(document.querySelectorAll('button')).find(el => el.textContent === text);
+
+  test('adds a start button to sections with several steps', () => {
+    expect(button('Start walkthrough')).toBeDefined();
+    expect(section.querySelectorAll('button')).toHaveLength(1);
+  });
+
+  test('shows one step at a time with Next and Back', () => {
+    button('Start walkthrough').click();
+
+    expect(walkthrough.isActive()).toBe(true);
+    expect(steps.map(step => step.hidden)).toEqual([false, true, true]);
+    expect(steps[0].open).toBe(true);
+    expect(section.textContent).toContain('Step 1 of 3: 1. INSTALL');
+    expect(button('Back').disabled).toBe(true);
+
+    button('Next').click();
+    expect(steps.map(step => step.hidden)).toEqual([true, false, true]);
+    expect(button('Back').disabled).toBe(false);
+
+    button('Back').click();
+    expect(steps.map(step => step.hidden)).toEqual([false, true, true]);
+  });
+
+  test('marks steps complete in ProgressTracker when advancing', () => {
+    walkthrough.start(section);
+    walkthrough.next();
+    walkthrough.next();
+
+    expect(progressTracker.isStepCompleted(steps[0])).toBe(true);
+    expect(progressTracker.isStepCompleted(steps[1])).toBe(true);
+    expect(progressTracker.isStepCompleted(steps[2])).toBe(false);
+    expect(progressStore.isCompleted('decky-loader-install')).toBe(true);
+
+    // The step's list items are checked as well
+    steps[1].querySelectorAll('li input[type="checkbox"]').forEach(checkbox => {
+      expect(checkbox.checked).toBe(true);
+    });
+
+    const finished = jest.fn();
+    document.addEventListener('walkthrough-finished', finished);
+    button('Finish').click();
+
+    expect(progressTracker.isStepCompleted(steps[2])).toBe(true);
+    expect(finished).toHaveBeenCalled();
+    expect(walkthrough.isActive()).toBe(false);
+    expect(steps.every(step => !step.hidden)).toBe(true);
+
+    document.removeEventListener('walkthrough-finished', finished);
+  });
+
+  test('resumes at the last unfinished step', () => {
+    walkthrough.start(section);
+    walkthrough.next();
+    walkthrough.stop();
+
+    expect(button('Resume walkthrough')).toBeDefined();
+
+    // Progress survives a reload
+    const reloaded = new Walkthrough({ progressTracker: new ProgressTracker({ autoInit: true }) });
+    expect(reloaded.getResumeIndex(section)).toBe(1);
+
+    button('Resume walkthrough').click();
+    expect(walkthrough.currentIndex).toBe(1);
+    expect(steps[1].hidden).toBe(false);
+  });
+
+  test('leaves walkthrough mode with Escape', () => {
+    walkthrough.start(section, 2);
+    expect(walkthrough.currentIndex).toBe(2);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(walkthrough.isActive()).toBe(false);
+    expect(section.querySelector('[role="navigation"]')).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for translation lookup
+ */
+
+import i18n from '../i18n.js';
+
+describe('I18n', () => {
+  beforeEach(() => {
+    i18n.translations = {
+      en: {
+        progress: {
+          steps: '{count, plural, one {# step remaining} other {# steps remaining}}',
+          title: 'Progress',
+          broken: '{count} broken'
+        },
+        app: { version: 'Version {{version}}' }
+      },
+      ar: {
+        progress: {
+          steps: '{count, plural, zero {لا خطوات} one {خطوة واحدة} two {خطوتان} few {# خطوات} many {# خطوة} other {# خطوة}}',
+          broken: '{count, plural, one {#}'
+        }
+      }
+    };
+    i18n.currentLocale = 'en';
+  });
+
+  test('formats plural messages', () => {
+    expect(i18n.t('progress.steps', { count: 1 })).toBe('1 step remaining');
+    expect(i18n.t('progress.steps', { count: 4 })).toBe('4 steps remaining');
+    expect(i18n.t('app.version', { version: '2.0' })).toBe('Version 2.0');
+  });
+
+  test('uses the plural rules of the current locale', () => {
+    i18n.currentLocale = 'ar';
+
+    expect(i18n.t('progress.steps', { count: 2 })).toBe('خطوتان');
+    expect(i18n.t('progress.steps', { count: 0 })).toBe('لا خطوات');
+  });
+
+  test('falls back to the English message', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    i18n.currentLocale = 'ar-EG';
+
+    expect(i18n.t('progress.steps', { count: 1 })).toBe('خطوة واحدة');
+    expect(i18n.t('progress.title')).toBe('Progress');
+    expect(i18n.t('progress.broken', { count: 3 })).toBe('3 broken');
+    expect(warn).toHaveBeenCalledTimes(1);
+
+    expect(i18n.t('progress.missing')).toBe('progress.missing');
+    warn.mockRestore();
+  });
+
+  test('falls back when a value cannot be formatted', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    i18n.translations.en.progress.saved = 'Saved';
+    i18n.translations.en.progress.total = '{count, number} in total';
+    i18n.translations.ar.progress.saved = 'حُفظ {when, date, short}';
+    i18n.currentLocale = 'ar';
+
+    expect(i18n.t('progress.saved', { when: new Date('invalid') })).toBe('Saved');
+    expect(warn).toHaveBeenCalledTimes(1);
+
+    expect(i18n.t('progress.total', { count: Symbol('count') })).toBe('progress.total');
+    warn.mockRestore();
+  });
+
+  test('loads the English translations along with another locale', async () => {
+    i18n.translations = {};
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn(url => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ file: url })
+    }));
+
+    await i18n.loadTranslations('es');
+
+    expect(Object.keys(i18n.translations)).toEqual(['es', 'en']);
+    global.fetch = originalFetch;
+  });
+});
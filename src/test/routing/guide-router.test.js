@@ -0,0 +1,173 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { GuideRouter } from '../../scripts/routing/guide-router';
+
+const SECTIONS = [
+  { slug: 'getting-started', id: 'section-i', title: 'Getting Started', file: 'getting-started.html' },
+  { slug: 'decky-loader', id: 'section-iv', title: 'Decky Loader', file: 'decky-loader.html' }
+];
+
+const FILES = {
+  'getting-started.html': `
+    <div class="section" id="section-i">
+      <details class="guide-section"><summary>1. PASSWORD</summary><div class="details-content"></div></details>
+    </div>`,
+  'decky-loader.html': `
+    <div class="section" id="section-iv">
+      <details class="guide-section"><summary>1. INSTALL</summary><div class="details-content"></div></details>
+      <details class="guide-section"><summary>2. CONFIGURE</summary><div class="details-content"></div></details>
+      <details class="guide-section"><summary>3. CSS LOADER</summary><div class="details-content" id="css-loader"></div></details>
+    </div>`
+};
+
+describe('GuideRouter', () => {
+  let container;
+  let contentLoader;
+  let router;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav class="sidebar">
+        <a href="#/getting-started">Getting Started</a>
+        <a href="#/decky-loader">Decky Loader</a>
+      </nav>
+      <div id="dynamic-content"></div>`;
+    container = document.getElementById('dynamic-content');
+
+    contentLoader = {
+      loadContent: jest.fn(async file => {
+        container.innerHTML = FILES[file];
+        return container;
+      }),
+      loadInitialContent: jest.fn(async () => {
+        container.innerHTML = FILES['getting-started.html'] + FILES['decky-loader.html'];
+        return true;
+      })
+    };
+
+    window.scrollTo = jest.fn();
+    window.history.replaceState(null, '', '#');
+    router = new GuideRouter({ contentLoader, sections: SECTIONS, baseTitle: 'Grimoire' });
+  });
+
+  afterEach(() => {
+    router.stop();
+  });
+
+  test('parses and formats route hashes', () => {
+    expect(GuideRouter.parse('#/decky-loader/3')).toEqual({ slug: 'decky-loader', step: 3 });
+    expect(GuideRouter.parse('#/decky-loader')).toEqual({ slug: 'decky-loader', step: null });
+    expect(GuideRouter.parse('#section-iv')).toBeNull();
+    expect(GuideRouter.parse('')).toBeNull();
+    expect(GuideRouter.format('gaming', 2)).toBe('#/gaming/2');
+    expect(GuideRouter.format('gaming')).toBe('#/gaming');
+  });
+
+  test('loads the section for a deep link and opens the step', async () => {
+    window.history.replaceState(null, '', '#/decky-loader/3');
+
+    await expect(router.start()).resolves.toBe(true);
+
+    expect(contentLoader.loadContent).toHaveBeenCalledWith('decky-loader.html');
+    const steps = container.querySelectorAll('details.guide-section');
+    expect(steps[2].open).toBe(true);
+    expect(steps[0].open).toBe(false);
+    expect(window.scrollTo).toHaveBeenCalled();
+    expect(document.title).toBe('Grimoire - Decky Loader');
+    expect(router.currentRoute).toEqual({ slug: 'decky-loader', step: 3 });
+  });
+
+  test('keeps the sidebar link of the current section active', async () => {
+    await router.navigate('decky-loader', 2);
+
+    const [first, second] = document.querySelectorAll('.sidebar a');
+    expect(second.classList.contains('active')).toBe(true);
+    expect(second.getAttribute('aria-current')).toBe('location');
+    expect(first.classList.contains('active')).toBe(false);
+    expect(window.location.hash).toBe('#/decky-loader/2');
+  });
+
+  test('does not reload a section that is already shown', async () => {
+    await router.navigate('decky-loader', 1);
+    await router.navigate('decky-loader', 2);
+
+    expect(contentLoader.loadContent).toHaveBeenCalledTimes(1);
+  });
+
+  test('applies back/forward navigation', async () => {
+    router.start();
+    await router.navigate('getting-started');
+    await router.navigate('decky-loader', 2);
+
+    window.history.replaceState(null, '', '#/getting-started');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(contentLoader.loadContent).toHaveBeenLastCalledWith('getting-started.html');
+    expect(document.querySelector('.sidebar a').classList.contains('active')).toBe(true);
+  });
+
+  test('applies a route once when a link fires popstate and hashchange', async () => {
+    await router.start();
+    const resolveSpy = jest.spyOn(router, 'resolve');
+
+    window.history.pushState(null, '', '#/decky-loader');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(resolveSpy).toHaveBeenCalledTimes(1);
+    expect(contentLoader.loadContent).toHaveBeenLastCalledWith('decky-loader.html');
+  });
+
+  test('loads the whole guide for anchors outside the current section', async () => {
+    await router.navigate('getting-started');
+    window.history.replaceState(null, '', '#css-loader');
+
+    await expect(router.resolve()).resolves.toBe(true);
+
+    expect(contentLoader.loadInitialContent).toHaveBeenCalled();
+    expect(document.getElementById('css-loader').closest('details').open).toBe(true);
+    expect(router.currentRoute).toBeNull();
+  });
+
+  test('updates the URL to the opened step so it can be shared', async () => {
+    await router.navigate('decky-loader');
+    router.start();
+
+    const step = container.querySelectorAll('details.guide-section')[1];
+    step.open = true;
+    step.dispatchEvent(new Event('toggle'));
+
+    expect(window.location.hash).toBe('#/decky-loader/2');
+  });
+
+  test('applies back navigation to the step shown before another was opened', async () => {
+    await router.navigate('decky-loader', 1);
+    router.start();
+
+    const [install, configure] = container.querySelectorAll('details.guide-section');
+    install.open = false;
+    configure.open = true;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(window.location.hash).toBe('#/decky-loader/2');
+
+    window.history.replaceState(null, '', '#/decky-loader/1');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(install.open).toBe(true);
+    expect(router.currentRoute).toEqual({ slug: 'decky-loader', step: 1 });
+  });
+
+  test('warns about unknown sections', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(router.navigate('missing')).resolves.toBe(false);
+    expect(warn).toHaveBeenCalledWith('Unknown guide section "missing"');
+
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the guide section Markdown compiler
+ */
+
+import {
+  compileSection,
+  parseFrontMatter,
+  renderInline,
+  slugify,
+  ContentCompileError
+} from '../../../scripts/content/markdown-compiler';
+
+const SOURCE = `---
+id: section-test
+title: "SECTION T: TESTING"
+description: PACMAN & YAY
+order: 7
+tags: [Testing, pacman]
+difficulty: intermediate
+estimatedTime: 15
+---
+
+## INSTALLING THINGS
+
+> **READ THIS FIRST.**
+
+###### COPY/ PASTE
+
+\`\`\`bash
+echo "a < b" && sudo pacman -S yay
+\`\`\`
+
+> [!WARNING]
+> Back up first.
+
+## CONFIGURING THINGS {#custom-anchor}
+
+### CONFIGURING THINGS PROPERLY
+
+1. Open Konsole
+2. Run the command
+`;
+
+describe('Markdown compiler', () => {
+  test('parses YAML front matter and reports the body start line', () => {
+    const { data, body, bodyStartLine } = parseFrontMatter('---\ntitle: Hello\norder: 2\n---\nBody\n');
+    expect(data).toEqual({ title: 'Hello', order: 2 });
+    expect(body).toBe('Body\n');
+    expect(bodyStartLine).toBe(5);
+  });
+
+  test('renders the guide-section skeleton', () => {
+    document.body.innerHTML = compileSection(SOURCE, { slug: 'testing' }).html;
+
+    const section = document.querySelector('.section');
+    expect(section.id).toBe('section-test');
+    expect(section.dataset.order).toBe('7');
+    expect(section.dataset.tags).toBe('testing pacman');
+    expect(section.dataset.difficulty).toBe('intermediate');
+    expect(section.dataset.estimatedTime).toBe('15');
+    expect(section.querySelector('.section-description').innerHTML)
+      .toBe('<strong><code>PACMAN &amp; YAY</code></strong>');
+
+    const steps = section.querySelectorAll('.section-content > details.guide-section');
+    expect(steps).toHaveLength(2);
+
+    const [first, second] = steps;
+    expect(first.querySelector('summary').textContent).toBe('1. INSTALLING THINGS');
+    expect(first.querySelector('.details-content > h3').textContent).toBe('1. INSTALLING THINGS');
+    expect(first.querySelector('blockquote.explanation strong').textContent).toBe('READ THIS FIRST.');
+    expect(first.querySelector('.code-block > .copy-button').dataset.action).toBe('copy');
+    expect(first.querySelector('.code-block code').className).toBe('language-bash');
+    expect(first.querySelector('.code-block code').textContent).toBe('echo "a < b" && sudo pacman -S yay');
+    expect(first.querySelector('p.warning').textContent).toBe('⚠️ Back up first.');
+
+    expect(second.id).toBe('custom-anchor');
+    expect(second.dataset.step).toBe('2');
+    expect(second.querySelector('h3').textContent).toBe('2. CONFIGURING THINGS PROPERLY');
+    expect(second.querySelectorAll('ol > li')).toHaveLength(2);
+  });
+
+  test('derives step anchors from the section slug and summary', () => {
+    const { steps } = compileSection(SOURCE, { slug: 'testing' });
+    expect(steps.map(step => step.id)).toEqual(['testing-installing-things', 'custom-anchor']);
+  });
+
+  test('adds a generated-file banner when given a source path', () => {
+    const { html } = compileSection(SOURCE, { slug: 'testing', sourcePath: 'src/content/markdown/testing.md' });
+    expect(html.startsWith('<!-- Generated from src/content/markdown/testing.md')).toBe(true);
+  });
+
+  test('keeps lists and code blocks inside a warning', () => {
+    const source = '---\ntitle: T\n---\n\n## STEP\n\n> [!WARNING]\n> Before you start:\n>\n> - Charge the Deck\n>\n> ```bash\n> sudo steamos-readonly disable\n> ```\n';
+    document.body.innerHTML = compileSection(source, { slug: 'testing' }).html;
+
+    const warning = document.querySelector('div.warning');
+    expect(warning.querySelector('p').textContent).toBe('⚠️ Before you start:');
+    expect(warning.querySelector('ul > li').textContent).toBe('Charge the Deck');
+    expect(warning.querySelector('.code-block code').textContent).toBe('sudo steamos-readonly disable');
+  });
+
+  test('renders inline Markdown and passes inline HTML through', () => {
+    expect(renderInline('**bold** and *em* with `a<b>` & [link](https://example.com)'))
+      .toBe('<strong>bold</strong> and <em>em</em> with <code>a&lt;b&gt;</code> &amp; <a href="https://example.com">link</a>');
+    expect(renderInline('<a href="#x">X</a> &amp; ![Deck](deck.png)'))
+      .toBe('<a href="#x">X</a> &amp; <img src="deck.png" alt="Deck">');
+  });
+
+  test('slugifies headings into anchor-safe ids', () => {
+    expect(slugify('2. Configuración de <strong>PACMAN</strong> &amp; YAY!')).toBe('2-configuracion-de-pacman-yay');
+  });
+
+  test('rejects missing titles, duplicate anchors and unterminated fences', () => {
+    expect(() => compileSection('---\norder: 1\n---\n')).toThrow(ContentCompileError);
+    expect(() => compileSection('---\ntitle: T\n---\n## A\n## A\n')).toThrow(/duplicate step id/);
+    expect(() => compileSection('---\ntitle: T\n---\n## A\n```\necho\n')).toThrow(/line 5: unterminated code fence/);
+    expect(() => compileSection('---\ntitle: T\ndifficulty: hard\n---\n')).toThrow(/difficulty/);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the build-time search index
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom (used by the builder) expects the encoding globals Node provides
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const {
+  INDEX_VERSION,
+  buildSearchIndex,
+  serializeSearchIndex
+} = require('../../../scripts/content/search-index-builder');
+
+const SECTION = `<div class="section" id="section-iv" data-slug="decky-loader" data-tags="Decky plugins">
+    <h2>SECTION IV: DECKY LOADER</h2>
+    <p>Plugins for the Steam Deck.</p>
+    <details id="decky-loader-install" class="guide-section" data-step="1">
+        <summary>1. INSTALLING DECKY LOADER</summary>
+        <div class="details-content">
+            <p>Run the installer from Desktop Mode.</p>
+            <div class="code-block">
+                <button class="copy-button">Copy</button>
+                <pre><code>curl -L https://example.com/install.sh | sh</code></pre>
+            </div>
+        </div>
+    </details>
+    <details class="guide-section" data-tags="performance">
+        <summary>2. POWERTOOLS</summary>
+        <div class="details-content"><h4>Per-game profiles</h4><p>Set CPU and GPU clocks.</p></div>
+    </details>
+</div>`;
+
+describe('Search index builder', () => {
+  test('indexes sections and their steps with routes', () => {
+    const index = buildSearchIndex([{ file: 'src/content/sections/decky-loader.html', html: SECTION }]);
+
+    expect(index.version).toBe(INDEX_VERSION);
+    expect(index.documents.map(document => document.url)).toEqual(['#/decky-loader', '#/decky-loader/1', '#/decky-loader/2']);
+    expect(index.documents[0]).toEqual({
+      id: 'section-iv',
+      title: 'SECTION IV: DECKY LOADER',
+      section: 'SECTION IV: DECKY LOADER',
+      sectionId: 'section-iv',
+      slug: 'decky-loader',
+      tags: ['decky', 'plugins'],
+      body: 'Plugins for the Steam Deck.',
+      anchor: 'section-iv',
+      url: '#/decky-loader'
+    });
+    expect(index.documents[2]).toMatchObject({
+      id: 'section-iv-step-2',
+      title: '2. POWERTOOLS',
+      step: 2,
+      tags: ['decky', 'plugins', 'performance'],
+      headings: 'Per-game profiles',
+      body: 'Set CPU and GPU clocks.',
+      anchor: 'section-iv'
+    });
+  });
+
+  test('keeps commands apart from prose and skips buttons', () => {
+    const [, install] = buildSearchIndex([{ file: 'decky-loader.html', html: SECTION }]).documents;
+
+    expect(install.body).toBe('Run the installer from Desktop Mode.');
+    expect(install.code).toBe('curl -L https://example.com/install.sh | sh');
+    expect(JSON.stringify(install)).not.toContain('Copy');
+  });
+
+  test('takes the route slug from the manifest, then the file name', () => {
+    const html = '<div class="section" id="section-ii"><h2>SECTION II</h2></div>';
+
+    const [fromManifest] = buildSearchIndex([{ file: 'sections/gaming.html', html, slug: 'games' }]).documents;
+    const [fromFile] = buildSearchIndex([{ file: 'sections/gaming.html', html }]).documents;
+
+    expect(fromManifest.url).toBe('#/games');
+    expect(fromFile.url).toBe('#/gaming');
+  });
+
+  test('serializes compact JSON', () => {
+    const json = serializeSearchIndex(buildSearchIndex([{ file: 'decky-loader.html', html: SECTION }]));
+
+    expect(json.endsWith('}\n')).toBe(true);
+    expect(json).not.toMatch(/\n./);
+    expect(JSON.parse(json).documents).toHaveLength(3);
+  });
+});
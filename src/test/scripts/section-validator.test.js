@@ -0,0 +1,142 @@
+/**
+ * Tests for the guide section structure validator
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom (used by the validator) expects the encoding globals Node provides
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const { validateSections, formatDiagnostic } = require('../../../scripts/content/section-validator');
+
+const rulesOf = diagnostics => diagnostics.map(diagnostic => diagnostic.rule);
+
+describe('Section validator', () => {
+  test('accepts well-formed sections', () => {
+    const diagnostics = validateSections([
+      {
+        file: 'intro.html',
+        html: '<div class="toc"><a href="#section-i">I</a></div>'
+      },
+      {
+        file: 'section-i.html',
+        html: `<div class="section" id="section-i">
+    <details class="guide-section">
+        <summary>1. STEP</summary>
+        <div class="details-content">
+            <div class="code-block">
+                <button class="copy-button" data-action="copy">Copy</button>
+                <pre><code>passwd</code></pre>
+            </div>
+            <img src="deck.png" alt="Steam Deck">
+        </div>
+    </details>
+</div>`
+      }
+    ]);
+
+    expect(diagnostics).toEqual([]);
+  });
+
+  test('reports structural problems with file and line', () => {
+    const diagnostics = validateSections([
+      {
+        file: 'broken.html',
+        html: `<div class="section">
+    <details class="guide-section">
+        <summary>1. STEP</summary>
+        <div class="code-block">
+            <pre><code>passwd</code></pre>
+        </div>
+        <img src="deck.png">
+    </details>
+</div>`
+      }
+    ]);
+
+    expect(rulesOf(diagnostics)).toEqual([
+      'section-id',
+      'guide-section-structure',
+      'code-block-copy-button',
+      'image-alt'
+    ]);
+    expect(diagnostics.map(diagnostic => diagnostic.line)).toEqual([1, 2, 4, 7]);
+    expect(formatDiagnostic(diagnostics[2]))
+      .toBe('broken.html:4:9  .code-block has no .copy-button  [code-block-copy-button]');
+  });
+
+  test('checks ids and table of contents links across files', () => {
+    const diagnostics = validateSections([
+      { file: 'intro.html', html: '<a href="#section-i">I</a>\n<a href="#missing">?</a>\n<a href="#/router/1">R</a>' },
+      { file: 'a.html', html: '<div class="section" id="section-i"></div>' },
+      { file: 'b.html', html: '\n<div class="section" id="section-i"></div>' }
+    ]);
+
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ file: 'b.html', line: 2, rule: 'duplicate-id', message: 'duplicate id "section-i" (first defined at a.html:1)' }),
+      expect.objectContaining({ file: 'intro.html', line: 2, rule: 'broken-anchor' })
+    ]);
+  });
+
+  test('checks route links against the guide sections', () => {
+    const sections = [{ slug: 'gaming', id: 'section-iii' }];
+    const diagnostics = validateSections([
+      {
+        file: 'intro.html',
+        html: '<a href="#/gaming">G</a>\n<a href="#/gaming/2">G2</a>\n<a href="#/gaming/3">G3</a>\n<a href="#/gamin">?</a>'
+      },
+      {
+        file: 'gaming.html',
+        html: '<div class="section" id="section-iii"><details class="guide-section"></details><details class="guide-section"></details></div>'
+      }
+    ], { sections });
+
+    const routes = diagnostics.filter(diagnostic => diagnostic.rule === 'broken-route');
+    expect(routes.map(diagnostic => [diagnostic.rule, diagnostic.line, diagnostic.message])).toEqual([
+      ['broken-route', 3, 'link to "#/gaming/3" points past the 2 step(s) of gaming'],
+      ['broken-route', 4, 'link to "#/gamin" does not match any guide section']
+    ]);
+  });
+
+  test('reports scripts and inline event handlers', () => {
+    const diagnostics = validateSections([
+      {
+        file: 'inline.html',
+        html: `<div class="code-block">
+    <button class="copy-button" onclick="copyToClipboard(this)">Copy</button>
+    <pre><code>passwd</code></pre>
+</div>
+<script>alert(1)</script>`
+      }
+    ]);
+
+    expect(diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.line])).toEqual([
+      ['code-block-copy-button', 2],
+      ['inline-script', 2],
+      ['inline-script', 5]
+    ]);
+  });
+
+  test('checks command template placeholders and data-params', () => {
+    const diagnostics = validateSections([
+      {
+        file: 'templates.html',
+        html: `<div class="code-block" data-params='{"DEVICE": {"default": "/dev/mmcblk0p6"}}'>
+    <button class="copy-button" data-action="copy">Copy</button>
+    <pre><code>sudo btrfs-convert {{DEVICE}}</code></pre>
+</div>
+<div class="code-block" data-params='{"APP_ID": {"pattern": "^[0-9]+$", "default": "abc"}, "USER": {}}'>
+    <button class="copy-button" data-action="copy">Copy</button>
+    <pre><code>protontricks {{APP_ID}} {{app_id}}</code></pre>
+</div>`
+      }
+    ]);
+
+    expect(diagnostics.map(diagnostic => diagnostic.message)).toEqual([
+      'default "abc" for APP_ID does not match its pattern',
+      'data-params describes "USER", which is not a placeholder in this block',
+      'placeholder "{{app_id}}" must be an upper-case name like {{APP_ID}}'
+    ]);
+  });
+});
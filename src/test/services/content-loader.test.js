@@ -0,0 +1,237 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { ContentLoader } from '../../scripts/services/content-loader';
+import { GUIDE_SECTIONS } from '../../config/guide-sections';
+import i18n from '../../i18n.js';
+import { initActions } from '../../scripts/utils/actions';
+
+/**
+ * Create a fetch response that resolves when released
+ */
+function deferredResponse(html) {
+  let release;
+  const promise = new Promise(resolve => {
+    release = () => resolve({ ok: true, status: 200, statusText: 'OK', text: async () => html });
+  });
+  return { promise, release };
+}
+
+/**
+ * Create a response for a file that does not exist
+ */
+function missingResponse() {
+  return {
+    promise: Promise.resolve({ ok: false, status: 404, statusText: 'Not Found', text: async () => '' }),
+    release: () => {}
+  };
+}
+
+describe('ContentLoader', () => {
+  let container;
+  let loader;
+  let responses;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="dynamic-content"></div>';
+    container = document.getElementById('dynamic-content');
+    responses = {};
+
+    global.fetch = jest.fn((file, options = {}) => {
+      const response = responses[file] || deferredResponse(`<div class="section" id="${file}"></div>`);
+      responses[file] = response;
+      if (!response.manual) response.release();
+
+      return new Promise((resolve, reject) => {
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        }
+        response.promise.then(resolve);
+      });
+    });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    window.requestIdleCallback = jest.fn();
+    loader = new ContentLoader(container);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    delete window.requestIdleCallback;
+    i18n.currentLocale = 'en';
+    i18n.translations = {};
+  });
+
+  test('cancels a load that is superseded by a newer one', async () => {
+    responses['slow.html'] = { ...deferredResponse('<p id="slow"></p>'), manual: true };
+
+    const first = loader.loadContent('slow.html');
+    const second = loader.loadContent('fast.html');
+
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    await second;
+
+    responses['slow.html'].release();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(container.querySelector('#slow')).toBeNull();
+    expect(container.querySelector('.error-message')).toBeNull();
+    expect(document.getElementById('fast.html')).not.toBeNull();
+  });
+
+  test('moves the sanitized nodes into the container instead of reparsing them', async () => {
+    const assigned = [];
+    const descriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'innerHTML');
+    Object.defineProperty(container, 'innerHTML', {
+      get() { return descriptor.get.call(this); },
+      set(html) {
+        assigned.push(html);
+        descriptor.set.call(this, html);
+      }
+    });
+
+    await loader.loadContent('a.html');
+
+    expect(document.getElementById('a.html')).not.toBeNull();
+    expect(assigned.filter(html => html.includes('a.html'))).toEqual([]);
+  });
+
+  test('serves repeated loads from a bounded cache', async () => {
+    loader = new ContentLoader(container, { cacheSize: 60 });
+
+    await loader.loadContent('a.html');
+    await loader.loadContent('a.html');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await loader.loadContent('b.html');
+    await loader.loadContent('c.html');
+    expect(loader.contentCache.has('a.html')).toBe(false);
+    expect(loader.contentCache.totalSize).toBeLessThanOrEqual(60);
+  });
+
+  test('shares a prefetch with a load of the same file', async () => {
+    responses['a.html'] = { ...deferredResponse('<p id="a"></p>'), manual: true };
+
+    const prefetched = loader.prefetch('a.html');
+    const loaded = loader.loadContent('a.html');
+    responses['a.html'].release();
+
+    await expect(prefetched).resolves.toBe(true);
+    await loaded;
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(container.querySelector('#a')).not.toBeNull();
+  });
+
+  test('copies command templates of a loaded section with their default values', async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    responses['optimizations.html'] = deferredResponse(`
+      <div class="code-block" data-params='{"DEVICE": {"default": "/dev/mmcblk0p6"}}'>
+        <button class="copy-button" data-action="copy">Copy</button>
+        <pre><code>sudo btrfs-convert {{DEVICE}}</code></pre>
+      </div>`);
+    const stopActions = initActions();
+
+    await loader.loadContent('optimizations.html');
+    container.querySelector('.copy-button').click();
+    await Promise.resolve();
+    container.querySelector('.risk-confirm-copy').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    stopActions();
+
+    expect(container.querySelector('input.template-param').value).toBe('/dev/mmcblk0p6');
+    expect(writeText).toHaveBeenCalledWith('sudo btrfs-convert /dev/mmcblk0p6');
+  });
+
+  test('badges risky commands of a loaded section', async () => {
+    responses['tweaks.html'] = deferredResponse(`
+      <div class="code-block">
+        <button class="copy-button" data-action="copy">Copy</button>
+        <pre><code>sudo steamos-readonly disable</code></pre>
+      </div>`);
+
+    await loader.loadContent('tweaks.html');
+
+    const block = container.querySelector('.code-block');
+    expect(block.getAttribute('data-risk')).toBe('readonly-disabled root');
+    expect(Array.from(block.querySelectorAll('.risk-badge'), badge => badge.classList[1]))
+      .toEqual(['risk-readonly-disabled', 'risk-root']);
+  });
+
+  test('prefetches the neighbouring sections when idle', async () => {
+    const [first, second, third] = GUIDE_SECTIONS;
+
+    await loader.loadContent(second.file);
+    expect(window.requestIdleCallback).toHaveBeenCalledTimes(1);
+
+    window.requestIdleCallback.mock.calls[0][0]();
+    const requested = fetch.mock.calls.map(([file]) => file);
+    expect(requested).toEqual([second.file, first.file, third.file]);
+  });
+
+  test('prefetches the section of a hovered route link', () => {
+    document.body.insertAdjacentHTML('beforeend', '<a href="#/gaming/2">Gaming</a>');
+    loader.enableHoverPrefetch();
+
+    document.querySelector('a').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+    expect(fetch).toHaveBeenCalledWith(
+      GUIDE_SECTIONS.find(section => section.slug === 'gaming').file,
+      expect.objectContaining({ priority: 'low' })
+    );
+  });
+
+  describe('in another locale', () => {
+    beforeEach(() => {
+      i18n.currentLocale = 'es';
+      i18n.translations = { es: { content: { untranslated: 'Sección sin traducir' } } };
+    });
+
+    test('loads the translation of a section', async () => {
+      await loader.loadContent('sections/a.html');
+
+      expect(document.getElementById('sections/es/a.html')).not.toBeNull();
+      expect(container.querySelector('.untranslated-notice')).toBeNull();
+    });
+
+    test('falls back to English for each untranslated section', async () => {
+      responses['sections/es/b.html'] = missingResponse();
+
+      await loader.loadContent('sections/a.html');
+      await loader.loadContent('sections/b.html', true);
+
+      const notices = container.querySelectorAll('.untranslated-notice');
+      expect(notices).toHaveLength(1);
+      expect(notices[0].textContent).toBe('Sección sin traducir');
+      expect(notices[0].nextElementSibling.id).toBe('sections/b.html');
+      expect(notices[0].nextElementSibling.getAttribute('lang')).toBe('en');
+      expect(document.getElementById('sections/es/a.html').hasAttribute('lang')).toBe(false);
+
+      // The missing translation is not requested again
+      await loader.loadContent('sections/b.html');
+      expect(fetch.mock.calls.filter(([file]) => file === 'sections/es/b.html')).toHaveLength(1);
+    });
+
+    test('reloads the sections shown when the locale changes', async () => {
+      i18n.currentLocale = 'en';
+      await loader.loadContent('sections/a.html');
+      await loader.loadContent('sections/b.html', true);
+
+      const onReload = jest.fn();
+      loader.enableLocaleReload(onReload);
+      i18n.currentLocale = 'es';
+      document.dispatchEvent(new CustomEvent('locale-changed', { detail: { locale: 'es' } }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(onReload).toHaveBeenCalledTimes(1);
+      expect(Array.from(container.querySelectorAll('.section'), section => section.id))
+        .toEqual(['sections/es/a.html', 'sections/es/b.html']);
+    });
+  });
+});
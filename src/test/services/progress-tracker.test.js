@@ -0,0 +1,56 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import ProgressTracker from '../../scripts/services/progress-tracker';
+import progressStore from '../../scripts/utils/progress-store';
+
+describe('Progress dialog profiles', () => {
+  let tracker;
+  let dialog;
+
+  const profileNames = () => Array.from(dialog.querySelectorAll('#dialog-profile-select option')).map(option => option.textContent);
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    progressStore.reload();
+    document.body.innerHTML = '<div class="section" id="section-iii"><h2>3. Gaming</h2></div>';
+    tracker = new ProgressTracker();
+    tracker.showProgressDialog();
+    dialog = document.querySelector('.progress-dialog');
+  });
+
+  afterEach(() => {
+    dialog.remove();
+  });
+
+  test('lists the profiles', () => {
+    expect(profileNames()).toEqual(['Default']);
+    expect(dialog.querySelector('#dialog-profile-delete').disabled).toBe(true);
+  });
+
+  test('adds a profile and switches to it', () => {
+    dialog.querySelector('input[data-section-id="section-iii"]').click();
+    expect(progressStore.isCompleted('gaming')).toBe(true);
+
+    dialog.querySelector('#dialog-profile-name').value = '<b>OLED</b>';
+    dialog.querySelector('#dialog-profile-create').click();
+
+    expect(profileNames()).toEqual(['Default', '<b>OLED</b>']);
+    expect(dialog.querySelector('#dialog-profile-select').value).toBe('b-oled-b');
+    expect(dialog.querySelector('input[data-section-id="section-iii"]').checked).toBe(false);
+
+    const select = dialog.querySelector('#dialog-profile-select');
+    select.value = 'default';
+    select.dispatchEvent(new Event('change'));
+    expect(dialog.querySelector('input[data-section-id="section-iii"]').checked).toBe(true);
+  });
+
+  test('saves the notes of the active profile', () => {
+    const notes = dialog.querySelector('#dialog-profile-notes');
+    notes.value = 'Family Deck';
+    notes.dispatchEvent(new Event('change'));
+
+    expect(progressStore.getProfile().notes).toBe('Family Deck');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for delegated data-action handling
+ */
+
+import { initActions, registerAction, unregisterAction, getCopyText } from '../../scripts/utils/actions';
+
+describe('Declarative actions', () => {
+  let stopActions;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="code-block">
+        <button class="copy-button" data-action="copy">Copy</button>
+        <pre><code>  flatpak update  </code></pre>
+      </div>
+      <button id="custom" data-action="custom"><span>Run</span></button>`;
+    stopActions = initActions();
+  });
+
+  afterEach(() => {
+    stopActions();
+    unregisterAction('custom');
+    jest.useRealTimers();
+  });
+
+  test('copies the code of a code block', async () => {
+    jest.useFakeTimers();
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+    const button = document.querySelector('.copy-button');
+    button.click();
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+
+    expect(writeText).toHaveBeenCalledWith('flatpak update');
+    expect(button.textContent).toBe('Copied!');
+
+    jest.advanceTimersByTime(2000);
+    expect(button.textContent).toBe('Copy');
+  });
+
+  test('only copies risky commands after confirmation', async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    document.querySelector('code').textContent = 'sudo steamos-readonly disable';
+
+    document.querySelector('.copy-button').click();
+    await Promise.resolve();
+    expect(writeText).not.toHaveBeenCalled();
+
+    document.querySelector('.risk-confirm-copy').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(writeText).toHaveBeenCalledWith('sudo steamos-readonly disable');
+  });
+
+  test('runs registered handlers for clicks inside the element', () => {
+    const handler = jest.fn();
+    registerAction('custom', handler);
+
+    document.querySelector('#custom span').click();
+
+    expect(handler).toHaveBeenCalledWith(document.getElementById('custom'), expect.any(MouseEvent));
+  });
+
+  test('warns about unknown actions', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    document.getElementById('custom').click();
+
+    expect(warn).toHaveBeenCalledWith('Unknown action "custom"');
+    warn.mockRestore();
+  });
+
+  test('copies the code even when the button names other text', () => {
+    const button = document.querySelector('.copy-button');
+    button.setAttribute('data-copy-text', 'echo harmless');
+
+    expect(getCopyText(button)).toBe('flatpak update');
+  });
+
+  test('confirms risky commands copied from outside a code block', async () => {
+    const writeText = jest.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    document.body.innerHTML = `
+      <button class="copy-button" data-action="copy">Copy</button>
+      <pre>curl -fsSL https://example.com/install.sh | sh</pre>`;
+
+    document.querySelector('.copy-button').click();
+    await Promise.resolve();
+
+    expect(writeText).not.toHaveBeenCalled();
+    expect(document.querySelector('.risk-confirm')).not.toBeNull();
+  });
+});
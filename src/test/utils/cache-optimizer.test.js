@@ -0,0 +1,40 @@
+/**
+ * Tests for the in-memory LRU cache
+ */
+
+import { LRUCache } from '../../scripts/utils/cache-optimizer';
+
+describe('LRUCache', () => {
+  test('evicts the least recently used item at capacity', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.keys()).toEqual(['a', 'c']);
+  });
+
+  test('keeps the combined size of its items under maxSize', () => {
+    const cache = new LRUCache(10, { maxSize: 10, sizeOf: value => value.length });
+    cache.set('a', 'aaaa');
+    cache.set('b', 'bbbb');
+    cache.set('c', 'cccc');
+
+    expect(cache.keys()).toEqual(['b', 'c']);
+    expect(cache.totalSize).toBe(8);
+
+    cache.set('b', 'bb');
+    expect(cache.totalSize).toBe(6);
+    expect(cache.keys()).toEqual(['c', 'b']);
+  });
+
+  test('does not store items larger than maxSize', () => {
+    const cache = new LRUCache(10, { maxSize: 4, sizeOf: value => value.length });
+    cache.set('a', 'aa');
+    cache.set('big', 'bbbbbb');
+
+    expect(cache.has('big')).toBe(false);
+    expect(cache.get('a')).toBe('aa');
+  });
+});
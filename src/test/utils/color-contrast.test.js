@@ -0,0 +1,70 @@
+/**
+ * Tests for the color contrast checks
+ */
+
+import {
+  WCAG_AA_TEXT,
+  parseColor,
+  contrastRatio,
+  checkThemeContrast,
+  getBodyTextFailures,
+  formatContrastRatio
+} from '../../scripts/utils/color-contrast';
+
+describe('Color contrast', () => {
+  test('parses the colors a theme manifest may use', () => {
+    expect(parseColor('#fff')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    expect(parseColor('#282A3680')).toEqual({ r: 40, g: 42, b: 54, a: 128 / 255 });
+    expect(parseColor('rgb(40, 42, 54)')).toEqual({ r: 40, g: 42, b: 54, a: 1 });
+    expect(parseColor('rgba(0 0 0 / 50%)')).toEqual({ r: 0, g: 0, b: 0, a: 0.5 });
+    expect(parseColor('hsl(0, 100%, 50%)')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+    expect(parseColor('transparent').a).toBe(0);
+    expect(parseColor('red')).toBeNull();
+    expect(parseColor('hsl(0, 100, 50)')).toBeNull();
+  });
+
+  test('computes WCAG contrast ratios', () => {
+    expect(contrastRatio('#000000', '#FFFFFF')).toBeCloseTo(21, 5);
+    expect(contrastRatio('#FFFFFF', '#FFFFFF')).toBeCloseTo(1, 5);
+    // Order does not matter
+    expect(contrastRatio('#777777', '#FFFFFF')).toBeCloseTo(contrastRatio('#FFFFFF', '#777777'), 5);
+    expect(contrastRatio('#767676', '#FFFFFF')).toBeGreaterThanOrEqual(WCAG_AA_TEXT);
+    expect(contrastRatio('#777777', '#FFFFFF')).toBeLessThan(WCAG_AA_TEXT);
+    // Translucent text is drawn over the background
+    expect(contrastRatio('rgba(0, 0, 0, 0)', '#FFFFFF')).toBeCloseTo(1, 5);
+    expect(contrastRatio('nope', '#FFFFFF')).toBeNull();
+  });
+
+  test('checks the pairs a theme sets', () => {
+    const results = checkThemeContrast({
+      background: '#FFFFFF',
+      surface: '#F0F0F0',
+      text: '#222222',
+      textMuted: '#999999',
+      primary: '#0055AA'
+    });
+
+    expect(results.map(result => result.label)).toEqual([
+      'Body text',
+      'Text on surfaces',
+      'Secondary text',
+      'Primary accent'
+    ]);
+    expect(results.find(result => result.label === 'Secondary text').passes).toBe(false);
+    expect(results.find(result => result.label === 'Primary accent').minimum).toBe(3);
+  });
+
+  test('only body text failures block a theme', () => {
+    const colors = { background: '#FFFFFF', surface: '#FFFFFF', text: '#222222', textMuted: '#BBBBBB' };
+    expect(getBodyTextFailures(colors)).toEqual([]);
+
+    const failures = getBodyTextFailures({ ...colors, surface: '#444444' });
+    expect(failures.map(failure => failure.label)).toEqual(['Text on surfaces']);
+  });
+
+  test('formats ratios without rounding up to a pass', () => {
+    expect(formatContrastRatio(4.4999)).toBe('4.49:1');
+    expect(formatContrastRatio(21)).toBe('21.00:1');
+    expect(formatContrastRatio(null)).toBe('–');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for risky command detection and copy confirmation
+ */
+
+import { detectCommandRisks, getBlockRisks, annotateRisks, confirmRiskyCopy } from '../../scripts/utils/command-risk';
+import { renderTemplate, clearParamValues } from '../../scripts/utils/command-templates';
+
+/**
+ * Create a guide code block for a command
+ */
+function createBlock(command, risk) {
+  const block = document.createElement('div');
+  block.className = 'code-block';
+  if (risk) block.setAttribute('data-risk', risk);
+  block.innerHTML = '<button class="copy-button" data-action="copy">Copy</button><pre><code></code></pre>';
+  block.querySelector('code').textContent = command;
+  document.body.appendChild(block);
+  return block;
+}
+
+describe('Command risks', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('detects common risky commands', () => {
+    expect(detectCommandRisks('curl -L https://example.com/install_release.sh | sh')).toEqual(['remote-script']);
+    expect(detectCommandRisks('curl -fsSL https://example.com/x.sh | sudo -E bash')).toEqual(['remote-script', 'root']);
+    expect(detectCommandRisks('sudo steamos-readonly disable')).toEqual(['readonly-disabled', 'root']);
+    expect(detectCommandRisks('rm -rf ~/.cache/yay')).toEqual(['destructive']);
+    expect(detectCommandRisks('flatpak install flathub net.lutris.Lutris')).toEqual([]);
+    expect(detectCommandRisks('curl -s https://api.github.com/repos/x | jq -r .url')).toEqual([]);
+  });
+
+  test('merges declared risks and ignores data-risk="none"', () => {
+    expect(getBlockRisks(createBlock('makepkg -si', 'root,unknown'))).toEqual(['root']);
+    expect(getBlockRisks(createBlock('flatpak update', 'none'))).toEqual([]);
+    expect(getBlockRisks(createBlock('sudo rm -rf /', 'none'))).toEqual(['destructive', 'root']);
+  });
+
+  test('checks the filled-in command of a template', () => {
+    clearParamValues();
+    const block = createBlock('cat steamos.img > {{DEVICE}}');
+    const [input] = renderTemplate(block.querySelector('code'));
+    expect(getBlockRisks(block)).toEqual([]);
+
+    input.value = '/dev/mmcblk0';
+    expect(getBlockRisks(block)).toEqual(['destructive']);
+  });
+
+  test('adds one badge with an explanation per risk', () => {
+    const block = createBlock('sudo steamos-readonly disable');
+
+    annotateRisks(block);
+    annotateRisks(block);
+
+    const badges = block.querySelectorAll('.risk-badge');
+    expect(badges).toHaveLength(2);
+    expect(block.dataset.risk).toBe('readonly-disabled root');
+    expect(block.classList.contains('risky-command')).toBe(true);
+
+    const tooltip = document.getElementById(badges[0].getAttribute('aria-describedby'));
+    expect(tooltip.getAttribute('role')).toBe('tooltip');
+    expect(tooltip.textContent).toContain('writable');
+  });
+
+  test('keeps badges and the confirmation out of a bare pre', async () => {
+    const pre = document.createElement('pre');
+    pre.textContent = 'sudo pacman -Syu';
+    document.body.appendChild(pre);
+
+    annotateRisks(pre);
+    annotateRisks(pre);
+    const confirmed = confirmRiskyCopy(pre);
+
+    expect(document.querySelectorAll('.risk-badges')).toHaveLength(1);
+    expect(pre.previousElementSibling.classList.contains('risk-badges')).toBe(true);
+    expect(pre.nextElementSibling.classList.contains('risk-confirm')).toBe(true);
+    expect(pre.textContent).toBe('sudo pacman -Syu');
+
+    pre.nextElementSibling.querySelector('.risk-confirm-copy').click();
+    await expect(confirmed).resolves.toBe(true);
+    expect(document.querySelector('.risk-confirm')).toBeNull();
+  });
+
+  test('asks before a risky command may be copied', async () => {
+    const block = createBlock('curl -L https://example.com/install.sh | sh');
+
+    const cancelled = confirmRiskyCopy(block);
+    expect(block.querySelector('.risk-confirm').textContent).toContain('Runs downloaded code');
+    block.querySelector('.risk-confirm-cancel').click();
+    await expect(cancelled).resolves.toBe(false);
+    expect(block.querySelector('.risk-confirm')).toBeNull();
+
+    const confirmed = confirmRiskyCopy(block);
+    block.querySelector('.risk-confirm-copy').click();
+    await expect(confirmed).resolves.toBe(true);
+
+    await expect(confirmRiskyCopy(createBlock('passwd'))).resolves.toBe(true);
+  });
+
+  test('checks the text that is copied rather than the one shown', () => {
+    const block = createBlock('passwd');
+
+    confirmRiskyCopy(block, null, 'rm -rf ~');
+
+    expect(block.querySelector('.risk-confirm').textContent).toContain('Destructive');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for command template placeholders
+ */
+
+import {
+  findPlaceholders,
+  fillTemplate,
+  getParamRule,
+  validateParam,
+  renderTemplate,
+  readTemplate,
+  clearParamValues
+} from '../../scripts/utils/command-templates';
+
+/**
+ * Create a guide code block for a command
+ */
+function createBlock(command, params) {
+  const block = document.createElement('div');
+  block.className = 'code-block';
+  if (params) block.setAttribute('data-params', JSON.stringify(params));
+  block.innerHTML = '<button class="copy-button" data-action="copy">Copy</button><pre><code></code></pre>';
+  block.querySelector('code').textContent = command;
+  document.body.appendChild(block);
+  return block;
+}
+
+/**
+ * Type a value into a placeholder input
+ */
+function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event('input'));
+}
+
+describe('Command templates', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    localStorage.clear();
+    clearParamValues();
+  });
+
+  test('finds and fills placeholders', () => {
+    expect(findPlaceholders('mount {{SD_CARD}} {{ MOUNT_POINT }} && ls {{MOUNT_POINT}}')).toEqual(['SD_CARD', 'MOUNT_POINT']);
+    expect(findPlaceholders('awk \'{print $1}\' {{lower}}')).toEqual([]);
+    expect(fillTemplate('protontricks {{APP_ID}} winecfg', { APP_ID: '1091500' })).toBe('protontricks 1091500 winecfg');
+    expect(fillTemplate('protontricks {{APP_ID}}', {})).toBe('protontricks {{APP_ID}}');
+  });
+
+  test('validates values against built-in and overridden rules', () => {
+    expect(validateParam('1091500', getParamRule('APP_ID'))).toBe(true);
+    expect(validateParam('cyberpunk', getParamRule('APP_ID'))).toBe(false);
+    expect(validateParam('/dev/mmcblk0p1', getParamRule('SD_CARD'))).toBe(true);
+    expect(validateParam('/dev/mmcblk0p1; rm -rf ~', getParamRule('SD_CARD'))).toBe(false);
+    expect(validateParam('anything', getParamRule('CUSTOM'))).toBe(true);
+    expect(validateParam('two words', getParamRule('CUSTOM'))).toBe(false);
+    expect(validateParam('', getParamRule('CUSTOM'))).toBe(false);
+
+    const rule = getParamRule('DEVICE', { DEVICE: { default: '/dev/mmcblk0p6', label: 'Home partition' } });
+    expect(rule.default).toBe('/dev/mmcblk0p6');
+    expect(rule.label).toBe('Home partition');
+    expect(rule.pattern).toBe(getParamRule('DEVICE').pattern);
+  });
+
+  test('renders inputs with defaults and copies the filled-in command', () => {
+    const block = createBlock('sudo btrfs-convert {{DEVICE}} && ls {{MOUNT_POINT}}', {
+      DEVICE: { default: '/dev/mmcblk0p6' }
+    });
+    const code = block.querySelector('code');
+
+    const inputs = renderTemplate(code);
+
+    expect(inputs.map(input => input.value)).toEqual(['/dev/mmcblk0p6', '/run/media/mmcblk0p1']);
+    expect(inputs[0].getAttribute('aria-label')).toBe('Device');
+    expect(code.getAttribute('data-template')).toBe('sudo btrfs-convert {{DEVICE}} && ls {{MOUNT_POINT}}');
+    expect(renderTemplate(code)).toEqual(inputs);
+    expect(readTemplate(code)).toEqual({
+      text: 'sudo btrfs-convert /dev/mmcblk0p6 && ls /run/media/mmcblk0p1',
+      invalid: []
+    });
+
+    type(inputs[0], 'not a device');
+    expect(inputs[0].getAttribute('aria-invalid')).toBe('true');
+    expect(readTemplate(code).invalid).toEqual([inputs[0]]);
+  });
+
+  test('shares and remembers values across blocks', () => {
+    const first = renderTemplate(createBlock('protontricks {{APP_ID}} winecfg').querySelector('code'));
+    const second = renderTemplate(createBlock('protontricks {{APP_ID}} --gui').querySelector('code'));
+
+    expect(first[0].value).toBe('');
+    expect(readTemplate(first[0].parentNode).invalid).toEqual(first);
+
+    type(first[0], '1091500');
+    expect(second[0].value).toBe('1091500');
+    expect(JSON.parse(localStorage.getItem('commandTemplateValues'))).toEqual({ APP_ID: '1091500' });
+
+    // Sections loaded later start with the remembered value
+    const later = createBlock('protontricks -c winecfg {{APP_ID}}').querySelector('code');
+    renderTemplate(later);
+    expect(readTemplate(later).text).toBe('protontricks -c winecfg 1091500');
+  });
+
+  test('validates copies of rendered blocks', () => {
+    const block = createBlock('sudo mount {{SD_CARD}} /mnt');
+    const [input] = renderTemplate(block.querySelector('code'));
+    const copy = block.cloneNode(true);
+    document.body.appendChild(copy);
+
+    type(input, 'not a device');
+
+    const copied = copy.querySelector('input.template-param');
+    expect(copied.value).toBe('not a device');
+    expect(copied.getAttribute('aria-invalid')).toBe('true');
+    expect(readTemplate(copy.querySelector('code')).invalid).toEqual([copied]);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the allowlist HTML sanitizer
+ */
+
+import { sanitizeHTML, setSafeHTML, escapeHTML } from '../../scripts/utils/html-sanitizer';
+
+describe('HTML sanitizer', () => {
+  test('keeps guide markup intact', () => {
+    const html = '<details class="guide-section" id="a-step" data-step="1"><summary>1. STEP</summary>' +
+      '<div class="details-content"><div class="code-block"><button class="copy-button" data-action="copy">Copy</button>' +
+      '<pre><code class="language-bash">passwd</code></pre></div><a href="#/gaming/2">Next</a></div></details>';
+
+    expect(sanitizeHTML(html)).toBe(html);
+  });
+
+  test('removes scripts, embedded documents and event handlers', () => {
+    const html = '<p onclick="steal()" onmouseover="steal()">Text</p><script>steal()</script>' +
+      '<iframe src="https://example.com"></iframe><object data="x.svg"></object>' +
+      '<img src="x.png" alt="x" onerror="steal()"><svg><script>steal()</script></svg>';
+
+    expect(sanitizeHTML(html)).toBe('<p>Text</p><img src="x.png" alt="x">');
+  });
+
+  test('drops unsafe URLs and unwraps unknown elements', () => {
+    const html = '<a href=" java\tscript:steal()">a</a><a href="https://deck.example/">b</a>' +
+      '<custom-tag><em>kept</em></custom-tag><img src="data:text/html;base64,AAAA" alt="">' +
+      '<a href="https://deck.example/" target="_blank">c</a>';
+
+    expect(sanitizeHTML(html)).toBe(
+      '<a>a</a><a href="https://deck.example/">b</a><em>kept</em><img alt="">' +
+      '<a href="https://deck.example/" target="_blank" rel="noopener noreferrer">c</a>'
+    );
+  });
+
+  test('fills elements without running injected markup', () => {
+    const element = document.createElement('div');
+    window.pwned = false;
+
+    setSafeHTML(element, '<img src="x" alt="" onerror="window.pwned = true"><b>bold</b>');
+
+    expect(element.innerHTML).toBe('<img src="x" alt=""><b>bold</b>');
+    expect(window.pwned).toBe(false);
+    expect(escapeHTML('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
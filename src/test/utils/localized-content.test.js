@@ -0,0 +1,64 @@
+/**
+ * Tests for resolving translated guide content
+ */
+
+import {
+  getContentLocales,
+  getLocalizedPath,
+  getContentCandidates,
+  isFallbackContent,
+  markUntranslatedContent
+} from '../../scripts/utils/localized-content';
+import i18n from '../../i18n.js';
+
+describe('Localized content', () => {
+  afterEach(() => {
+    i18n.currentLocale = 'en';
+    i18n.translations = {};
+  });
+
+  test('looks for the locale and its base language', () => {
+    expect(getContentLocales('pt-BR')).toEqual(['pt-BR', 'pt']);
+    expect(getContentLocales('es')).toEqual(['es']);
+    expect(getContentLocales('en-GB')).toEqual(['en-GB']);
+    expect(getContentLocales('en')).toEqual([]);
+  });
+
+  test('puts translations in a locale directory next to the English file', () => {
+    expect(getLocalizedPath('src/content/sections/gaming.html', 'es')).toBe('src/content/sections/es/gaming.html');
+    expect(getLocalizedPath('gaming', 'he')).toBe('he/gaming');
+  });
+
+  test('tries translations before the English file', () => {
+    expect(getContentCandidates('sections/gaming.html', 'pt-BR')).toEqual([
+      { file: 'sections/pt-BR/gaming.html', locale: 'pt-BR' },
+      { file: 'sections/pt/gaming.html', locale: 'pt' },
+      { file: 'sections/gaming.html', locale: 'en' }
+    ]);
+
+    i18n.currentLocale = 'en';
+    expect(getContentCandidates('sections/gaming.html')).toEqual([
+      { file: 'sections/gaming.html', locale: 'en' }
+    ]);
+  });
+
+  test('treats English as a fallback only when a translation was wanted', () => {
+    expect(isFallbackContent('en', 'ar')).toBe(true);
+    expect(isFallbackContent('ar', 'ar')).toBe(false);
+    expect(isFallbackContent('en', 'en')).toBe(false);
+  });
+
+  test('marks English content shown in place of a translation', () => {
+    i18n.currentLocale = 'he';
+    i18n.translations = { he: { content: { untranslated: 'הפרק הזה עדיין לא תורגם' } } };
+    const container = document.createElement('div');
+    container.innerHTML = '<div class="section"></div>';
+
+    const banner = markUntranslatedContent(container);
+
+    expect(container.firstElementChild.getAttribute('lang')).toBe('en');
+    expect(container.firstElementChild.getAttribute('dir')).toBe('ltr');
+    expect(banner.getAttribute('role')).toBe('note');
+    expect(banner.textContent).toBe('הפרק הזה עדיין לא תורגם');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for ICU message formatting
+ */
+
+import {
+  MessageFormatError,
+  compileMessage,
+  formatMessage,
+  parseMessage
+} from '../../scripts/utils/message-format';
+
+const STEPS = '{count, plural, =0 {No steps remaining} one {# step remaining} other {# steps remaining}}';
+
+describe('Message format', () => {
+  test('fills in values', () => {
+    expect(formatMessage('Results for "{query}"', { query: 'decky' })).toBe('Results for "decky"');
+    expect(formatMessage('{total} sections', { total: 1200 })).toBe('1,200 sections');
+    expect(formatMessage('Hello {name}', {})).toBe('Hello {name}');
+  });
+
+  test('reads the older double-brace placeholders', () => {
+    expect(formatMessage('Version {{version}}', { version: '2.1' })).toBe('Version 2.1');
+    expect(formatMessage('Version {{version}}', {})).toBe('Version {{version}}');
+  });
+
+  test('picks plural options', () => {
+    expect(formatMessage(STEPS, { count: 0 })).toBe('No steps remaining');
+    expect(formatMessage(STEPS, { count: 1 })).toBe('1 step remaining');
+    expect(formatMessage(STEPS, { count: 3 })).toBe('3 steps remaining');
+    expect(formatMessage(`Left: ${STEPS}`, {})).toBe('Left: {count}');
+    expect(formatMessage('{place, selectordinal, one {#st} other {#th}}', { place: null })).toBe('{place}');
+    expect(formatMessage('{n, plural, offset:1 one {you and # other} other {you and # others}}', { n: 3 }))
+      .toBe('you and 2 others');
+  });
+
+  test('uses the plural categories of the locale', () => {
+    const message = '{n, plural, zero {zero} one {one} two {two} few {few #} many {many #} other {other #}}';
+    const arabic = [0, 1, 2, 5, 11, 100].map(n => formatMessage(message, { n }, 'ar'));
+
+    expect(arabic.slice(0, 3)).toEqual(['zero', 'one', 'two']);
+    expect(arabic[3]).toMatch(/^few /);
+    expect(arabic[4]).toMatch(/^many /);
+    expect(arabic[5]).toMatch(/^other /);
+    expect(formatMessage(message, { n: 0 }, 'en')).toBe('other 0');
+  });
+
+  test('picks ordinal and select options', () => {
+    const place = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+    expect([1, 2, 3, 11, 22].map(n => formatMessage(place, { n }))).toEqual(['1st', '2nd', '3rd', '11th', '22nd']);
+
+    const mode = '{mode, select, dark {Dark {name}} other {Light}}';
+    expect(formatMessage(mode, { mode: 'dark', name: 'Dracula' })).toBe('Dark Dracula');
+    expect(formatMessage(mode, { mode: 'constructor' })).toBe('Light');
+  });
+
+  test('formats numbers and dates for the locale', () => {
+    expect(formatMessage('{ratio, number, percent}', { ratio: 0.25 })).toBe('25%');
+    expect(formatMessage('{n, number, integer}', { n: 2.6 })).toBe('3');
+    expect(formatMessage('{when, date, long}', { when: new Date(2024, 0, 15) }, 'es')).toBe('15 de enero de 2024');
+  });
+
+  test('keeps quoted text', () => {
+    expect(formatMessage('You\'ve got \'{braces}\' and \'\'quotes\'\'', {})).toBe('You\'ve got {braces} and \'quotes\'');
+    expect(formatMessage('{n, plural, other {\'#\' is #}}', { n: 4 })).toBe('# is 4');
+  });
+
+  test('reports messages it cannot read', () => {
+    expect(() => parseMessage('{count, plural, one {# step}}')).toThrow(MessageFormatError);
+    expect(() => parseMessage('{count, plural, other {# steps}')).toThrow(/Expected "}"/);
+    expect(() => parseMessage('Oops }')).toThrow(/Unexpected "}"/);
+    expect(() => parseMessage('{n, number, currency}')).toThrow(/number style/);
+    expect(() => parseMessage('{n, ordinal}')).toThrow(MessageFormatError);
+  });
+
+  test('caches compiled messages', () => {
+    expect(compileMessage(STEPS, 'en')).toBe(compileMessage(STEPS, 'en'));
+    expect(compileMessage(STEPS, 'en')).not.toBe(compileMessage(STEPS, 'ar'));
+  });
+});
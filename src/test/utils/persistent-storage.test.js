@@ -0,0 +1,94 @@
+/**
+ * Tests for the persistent storage
+ */
+
+import {
+  PERSISTENT_STORAGE_EVENT,
+  initPersistentStorage,
+  readPersistent,
+  writePersistent
+} from '../../scripts/utils/persistent-storage';
+
+/**
+ * Stand-in for the preload API, backed by a plain object like the
+ * main-process store
+ */
+const createElectronAPI = (values = {}) => ({
+  values,
+  getUserPreference: jest.fn(async (key, defaultValue) => (key in values ? values[key] : defaultValue)),
+  setUserPreference: jest.fn(async (key, value) => {
+    values[key] = value;
+  })
+});
+
+describe('Persistent storage', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    delete window.electronAPI;
+  });
+
+  afterAll(() => {
+    delete window.electronAPI;
+  });
+
+  test('uses localStorage on the web', async () => {
+    expect(writePersistent('guideProgress', { completed: { gaming: {} } })).toBe(true);
+
+    expect(readPersistent('guideProgress')).toEqual({ completed: { gaming: {} } });
+    expect(readPersistent('missing', 'default')).toBe('default');
+    expect(await initPersistentStorage()).toEqual([]);
+  });
+
+  test('ignores unreadable values', () => {
+    window.localStorage.setItem('guideProgress', '{not json');
+
+    expect(readPersistent('guideProgress', {})).toEqual({});
+  });
+
+  test('writes to the app store in the desktop app', () => {
+    window.electronAPI = createElectronAPI();
+
+    writePersistent('guideProgress', { completed: {} });
+    writePersistent('unlisted', true);
+
+    expect(window.electronAPI.setUserPreference).toHaveBeenCalledTimes(1);
+    expect(window.electronAPI.values).toEqual({ guideProgress: { completed: {} } });
+    expect(readPersistent('guideProgress')).toEqual({ completed: {} });
+  });
+
+  test('moves data from localStorage to an empty app store once', async () => {
+    window.localStorage.setItem('guideProgress', JSON.stringify({ completed: { gaming: {} } }));
+    window.electronAPI = createElectronAPI();
+
+    expect(await initPersistentStorage()).toEqual([]);
+    expect(window.electronAPI.values.guideProgress).toEqual({ completed: { gaming: {} } });
+
+    await initPersistentStorage();
+    expect(window.electronAPI.setUserPreference).toHaveBeenCalledTimes(1);
+  });
+
+  test('replaces the local copy with the app store and announces it', async () => {
+    window.localStorage.setItem('guideProgress', JSON.stringify({ completed: {} }));
+    window.electronAPI = createElectronAPI({ guideProgress: { completed: { gaming: {} } } });
+    const listener = jest.fn();
+    window.addEventListener(PERSISTENT_STORAGE_EVENT, listener);
+
+    expect(await initPersistentStorage()).toEqual(['guideProgress']);
+
+    window.removeEventListener(PERSISTENT_STORAGE_EVENT, listener);
+    expect(readPersistent('guideProgress')).toEqual({ completed: { gaming: {} } });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail).toEqual({ keys: ['guideProgress'] });
+  });
+
+  test('keeps values written while the app store loads', async () => {
+    window.electronAPI = createElectronAPI({ guideProgress: { completed: {} } });
+
+    const loading = initPersistentStorage();
+    writePersistent('guideProgress', { completed: { gaming: {} } });
+
+    expect(await loading).toEqual([]);
+    expect(readPersistent('guideProgress')).toEqual({ completed: { gaming: {} } });
+    expect(window.electronAPI.values.guideProgress).toEqual({ completed: { gaming: {} } });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for the progress statistics
+ */
+
+import {
+  DEFAULT_STEP_MINUTES,
+  readSectionOutline,
+  loadGuideOutline,
+  calculateProgressStats,
+  formatMinutes,
+  formatProgressReport
+} from '../../scripts/utils/progress-stats';
+import { ProgressStore } from '../../scripts/utils/progress-store';
+import { GUIDE_SECTIONS } from '../../config/guide-sections';
+
+const SECTION = `
+  <div class="section" id="section-iv" data-estimated-time="30">
+    <h2>4. Decky Loader</h2>
+    <details class="guide-section" id="decky-loader-install" data-estimated-time="10">
+      <summary>1. Install</summary>
+    </details>
+    <details class="guide-section" id="decky-loader-configure">
+      <summary>2. Configure</summary>
+    </details>
+    <details class="guide-section" id="decky-loader-plugins-store">
+      <summary>3. Plugin Store</summary>
+    </details>
+  </div>`;
+
+const day = (date, hours = 12) => new Date(2026, 0, date, hours).getTime();
+
+/**
+ * Store with the given completions, as they would be saved
+ */
+const createStore = (completed, timeSpent = {}) => {
+  window.localStorage.setItem('guideProgress', JSON.stringify({ completed, timeSpent }));
+  return new ProgressStore();
+};
+
+describe('Progress statistics', () => {
+  let outline;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    document.body.innerHTML = SECTION;
+    outline = [
+      readSectionOutline(document.getElementById('section-iv')),
+      { id: 'gaming', title: 'Gaming', estimatedTime: null, steps: [{ id: 'gaming-proton', title: 'Proton', estimatedTime: null }] }
+    ];
+  });
+
+  test('reads the outline of a section', () => {
+    expect(outline[0]).toEqual({
+      id: 'decky-loader',
+      title: '4. Decky Loader',
+      estimatedTime: 30,
+      steps: [
+        { id: 'decky-loader-install', title: 'Install', estimatedTime: 10 },
+        { id: 'decky-loader-configure', title: 'Configure', estimatedTime: null },
+        { id: 'decky-loader-plugins-store', title: 'Plugin Store', estimatedTime: null }
+      ]
+    });
+  });
+
+  test('reads sections that are not shown from their content files', async () => {
+    const fetchContent = jest.fn(async file => {
+      if (file.includes('gaming')) {
+        return '<div class="section" id="section-iii"><details class="guide-section" id="gaming-proton"><summary>Proton</summary></details></div>';
+      }
+      throw new Error('Not found');
+    });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const guide = await loadGuideOutline(fetchContent);
+    warn.mockRestore();
+
+    expect(guide.map(section => section.id)).toEqual(GUIDE_SECTIONS.map(entry => entry.slug));
+    expect(guide.find(section => section.id === 'decky-loader').steps).toHaveLength(3);
+    expect(guide.find(section => section.id === 'gaming').steps.map(step => step.id)).toEqual(['gaming-proton']);
+    expect(guide.find(section => section.id === 'optimizations').steps).toEqual([]);
+    expect(fetchContent).not.toHaveBeenCalledWith(expect.stringContaining('decky-loader.html'));
+  });
+
+  test('works out completion, time spent and time left', () => {
+    const store = createStore(
+      { 'decky-loader-install': { completedAt: day(5) } },
+      { 'decky-loader': 90000 }
+    );
+
+    const stats = calculateProgressStats(outline, store);
+
+    expect(stats.sections[0]).toEqual({
+      id: 'decky-loader',
+      title: '4. Decky Loader',
+      completed: 1,
+      total: 3,
+      percentage: 33,
+      timeSpent: 90000,
+      // The steps without an estimate share the section's
+      remainingMinutes: 20
+    });
+    expect(stats.sections[1].remainingMinutes).toBe(DEFAULT_STEP_MINUTES);
+    expect(stats).toMatchObject({ completed: 1, total: 4, percentage: 25, timeSpent: 90000, remainingMinutes: 25 });
+  });
+
+  test('counts every step of a completed section', () => {
+    const store = createStore({ gaming: { completedAt: day(6) } });
+
+    const stats = calculateProgressStats(outline, store);
+
+    expect(stats.sections[1]).toMatchObject({ completed: 1, total: 1, percentage: 100, remainingMinutes: 0 });
+  });
+
+  test('groups completions by day', () => {
+    const store = createStore({
+      'decky-loader-configure': { completedAt: day(7, 9) },
+      'decky-loader-install': { completedAt: day(5) },
+      'decky-loader-plugins-store': { completedAt: day(7, 18) },
+      'gaming-proton': { completedAt: null }
+    });
+
+    expect(calculateProgressStats(outline, store).timeline).toEqual([
+      { date: '2026-01-05', count: 1, total: 1 },
+      { date: '2026-01-07', count: 2, total: 3 }
+    ]);
+  });
+
+  test('formats durations', () => {
+    expect(formatMinutes(0)).toBe('0 min');
+    expect(formatMinutes(0.2)).toBe('< 1 min');
+    expect(formatMinutes(12)).toBe('12 min');
+    expect(formatMinutes(60)).toBe('1 h');
+    expect(formatMinutes(65)).toBe('1 h 5 min');
+  });
+
+  test('writes a Markdown report', () => {
+    const store = createStore({ 'decky-loader-install': { completedAt: day(5) } }, { 'decky-loader': 600000 });
+
+    const report = formatProgressReport(calculateProgressStats(outline, store), new Date(day(8)));
+
+    expect(report).toContain('Exported 2026-01-08.');
+    expect(report).toContain('- Completed: 1 of 4 steps (25%)');
+    expect(report).toContain('| 4. Decky Loader | 1/3 (33%) | 10 min | 20 min |');
+    expect(report).toContain('| 2026-01-05 | 1 | 1 |');
+  });
+});
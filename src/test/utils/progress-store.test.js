@@ -0,0 +1,318 @@
+/**
+ * Tests for the progress store
+ */
+
+import {
+  ProgressStore,
+  PROGRESS_CHANGED_EVENT,
+  PROFILE_EXPORT_FORMAT,
+  READING_TIME_KEY,
+  getStepId,
+  getStepContent,
+  getStepSnapshot,
+  getItemId,
+  getLegacyItemKey,
+  getLegacyStepKey
+} from '../../scripts/utils/progress-store';
+import { PERSISTENT_STORAGE_EVENT } from '../../scripts/utils/persistent-storage';
+
+const SECTION = `
+  <div class="section" id="section-iv">
+    <details class="guide-section" data-step="1">
+      <summary>1. Install</summary>
+      <ol><li>Open Konsole</li><li>Run the installer</li><li>Open Konsole</li></ol>
+    </details>
+    <details class="guide-section" data-step="2">
+      <summary>2. Configure</summary>
+    </details>
+    <details class="guide-section" id="css-loader">
+      <summary>3. CSS Loader</summary>
+    </details>
+  </div>`;
+
+describe('Progress store', () => {
+  let store;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    document.body.innerHTML = SECTION;
+    store = new ProgressStore();
+  });
+
+  test('derives step and item ids from the content', () => {
+    const steps = document.querySelectorAll('details.guide-section');
+    const items = document.querySelectorAll('li');
+
+    expect(Array.from(steps).map(getStepId)).toEqual(['decky-loader-install', 'decky-loader-configure', 'css-loader']);
+    expect(Array.from(items).map(getItemId)).toEqual([
+      'decky-loader-install/open-konsole',
+      'decky-loader-install/run-the-installer',
+      'decky-loader-install/open-konsole-2'
+    ]);
+
+    // Reordering the steps keeps their ids
+    const section = document.querySelector('.section');
+    section.insertBefore(steps[1], steps[0]);
+    expect(getStepId(steps[0])).toBe('decky-loader-install');
+  });
+
+  test('announces each change once', () => {
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    store.setCompleted(['decky-loader-install', 'decky-loader-install/open-konsole'], true);
+    store.setCompleted('decky-loader-install', true);
+    unsubscribe();
+    store.setCompleted('decky-loader-install', false);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({
+      ids: ['decky-loader-install', 'decky-loader-install/open-konsole'],
+      completed: true
+    });
+    expect(JSON.parse(window.localStorage.getItem('guideProgress')).profiles.default.completed).toEqual({
+      'decky-loader-install/open-konsole': { completedAt: expect.any(Number) }
+    });
+  });
+
+  test('imports progress saved by earlier trackers', () => {
+    const step = document.querySelector('details.guide-section');
+    const item = document.querySelector('li');
+    window.localStorage.setItem('sdde-progress', JSON.stringify({ 'section-iv': true, 'section-v': false }));
+    window.localStorage.setItem('sdde_step_section-iv_css-loader', 'true');
+    window.localStorage.setItem(getLegacyStepKey(step), 'true');
+    window.localStorage.setItem(getLegacyItemKey(item), 'true');
+
+    expect(store.getCompletedIds().sort()).toEqual(['css-loader', 'decky-loader']);
+    expect(Object.keys(window.localStorage).filter(key => key.startsWith('sdde'))).toEqual([]);
+
+    // Positional entries move to their content's id once it is shown
+    expect(store.adoptLegacy(getStepId(step), getLegacyStepKey(step))).toBe(true);
+    expect(store.adoptLegacy(getItemId(item), getLegacyItemKey(item))).toBe(true);
+    expect(store.adoptLegacy(getItemId(item), getLegacyItemKey(item))).toBe(false);
+    expect(store.isCompleted('decky-loader-install')).toBe(true);
+    expect(store.getCompletion('decky-loader-install/open-konsole')).toEqual({ completedAt: null });
+  });
+
+  test('resets some or all progress', () => {
+    store.setCompleted(['decky-loader', 'decky-loader-install', 'gaming'], true);
+
+    store.reset(['decky-loader-install']);
+    expect(store.getCompletedIds()).toEqual(['decky-loader', 'gaming']);
+
+    const listener = jest.fn();
+    window.addEventListener(PROGRESS_CHANGED_EVENT, listener);
+    store.reset();
+    window.removeEventListener(PROGRESS_CHANGED_EVENT, listener);
+
+    expect(store.getCompletedIds()).toEqual([]);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('adds up the time spent without announcing it', () => {
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    store.addTimeSpent('decky-loader', 15000);
+    store.addTimeSpent('decky-loader', 2500.4);
+    store.addTimeSpent('decky-loader', -1);
+
+    expect(store.getTimeSpent('decky-loader')).toBe(17500);
+    expect(store.getTimeSpent('gaming')).toBe(0);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('saves the time spent apart from the progress, adding to other windows', () => {
+    store.setCompleted('gaming', true);
+    const progress = window.localStorage.getItem('guideProgress');
+
+    store.addTimeSpent('decky-loader', 15000);
+    expect(window.localStorage.getItem(READING_TIME_KEY)).toBeNull();
+
+    store.saveTimeSpent();
+    expect(window.localStorage.getItem('guideProgress')).toBe(progress);
+    expect(JSON.parse(window.localStorage.getItem(READING_TIME_KEY))).toEqual({ default: { 'decky-loader': 15000 } });
+
+    const other = new ProgressStore();
+    other.addTimeSpent('decky-loader', 5000);
+    other.saveTimeSpent();
+    expect(store.getTimeSpent('decky-loader')).toBe(20000);
+
+    store.reset(['decky-loader']);
+    expect(store.getTimeSpent('decky-loader')).toBe(20000);
+    store.reset();
+    expect(store.getTimeSpent('decky-loader')).toBe(0);
+    expect(window.localStorage.getItem(READING_TIME_KEY)).toBe('{}');
+  });
+
+  test('keeps progress apart per profile', () => {
+    store.setCompleted('decky-loader-install', true);
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    const oled = store.createProfile('OLED Deck', 'Living room');
+    expect(oled).toBe('oled-deck');
+    expect(store.createProfile('OLED Deck')).toBe('oled-deck-2');
+    expect(store.createProfile('  ')).toBeNull();
+    expect(listener).not.toHaveBeenCalled();
+
+    expect(store.switchProfile(oled)).toBe(true);
+    expect(listener).toHaveBeenCalledWith({ ids: [], completed: false });
+    expect(store.isCompleted('decky-loader-install')).toBe(false);
+    expect(store.getProfile()).toEqual({
+      id: 'oled-deck', name: 'OLED Deck', notes: 'Living room', createdAt: expect.any(Number), active: true
+    });
+
+    store.setCompleted('gaming', true);
+    store.reset();
+
+    // A new store reads the same profiles
+    const reloaded = new ProgressStore();
+    expect(reloaded.getProfiles().map(profile => profile.name)).toEqual(['Default', 'OLED Deck', 'OLED Deck']);
+    reloaded.switchProfile('default');
+    expect(reloaded.getCompletedIds()).toEqual(['decky-loader-install']);
+  });
+
+  test('names profiles after properties every object has', () => {
+    expect(store.createProfile('constructor')).toBe('constructor');
+    expect(store.getProfile('constructor').name).toBe('constructor');
+    expect(store.getProfile('valueOf')).toBeNull();
+    expect(store.switchProfile('toString')).toBe(false);
+    expect(store.deleteProfile('hasOwnProperty')).toBe(false);
+
+    expect(store.switchProfile('constructor')).toBe(true);
+    store.setCompleted('gaming', true);
+    store.addTimeSpent('gaming', 1000);
+    store.saveTimeSpent();
+
+    const reloaded = new ProgressStore();
+    expect(reloaded.getProfile().id).toBe('constructor');
+    expect(reloaded.isCompleted('gaming')).toBe(true);
+    expect(reloaded.getTimeSpent('gaming')).toBe(1000);
+  });
+
+  test('renames and removes profiles', () => {
+    const lcd = store.createProfile('LCD');
+
+    expect(store.updateProfile(lcd, { name: 'LCD Deck', notes: 'Kids' })).toBe(true);
+    expect(store.getProfile(lcd)).toMatchObject({ name: 'LCD Deck', notes: 'Kids', active: false });
+    expect(store.updateProfile('missing', { name: 'x' })).toBe(false);
+
+    store.switchProfile(lcd);
+    expect(store.deleteProfile(lcd)).toBe(true);
+    expect(store.getProfile().id).toBe('default');
+
+    // The last profile stays
+    expect(store.deleteProfile('default')).toBe(false);
+  });
+
+  test('exports a profile and imports it next to the others', () => {
+    store.setCompleted('decky-loader-install', true);
+    store.addTimeSpent('decky-loader', 60000);
+    store.updateProfile('default', { notes: 'Office Deck' });
+
+    const exported = JSON.parse(JSON.stringify(store.exportProfile()));
+    expect(exported).toMatchObject({ format: PROFILE_EXPORT_FORMAT, version: 1, profile: { name: 'Default' } });
+
+    window.localStorage.clear();
+    const other = new ProgressStore();
+    other.setCompleted('gaming', true);
+
+    const id = other.importProfile(exported);
+    expect(other.getProfiles().map(profile => profile.id)).toEqual(['default', id]);
+    expect(other.isCompleted('gaming')).toBe(true);
+
+    other.switchProfile(id);
+    expect(other.getCompletedIds()).toEqual(['decky-loader-install']);
+    expect(other.getTimeSpent('decky-loader')).toBe(60000);
+    expect(other.getProfile().notes).toBe('Office Deck');
+
+    expect(other.importProfile({ completed: {} })).toBeNull();
+    expect(other.importProfile(null)).toBeNull();
+  });
+
+  test('names imported profiles without a usable name', () => {
+    const blank = store.importProfile({ format: PROFILE_EXPORT_FORMAT, profile: { name: '  ', completed: {} } });
+    const unnamed = store.importProfile({ format: PROFILE_EXPORT_FORMAT, profile: { name: 42 } });
+
+    expect(store.getProfiles().filter(profile => [blank, unnamed].includes(profile.id)).map(profile => profile.name))
+      .toEqual(['Imported', 'Imported']);
+  });
+
+  test('reloads progress loaded from the app store', () => {
+    const listener = jest.fn();
+    store.subscribe(listener);
+    expect(store.isCompleted('gaming')).toBe(false);
+
+    window.localStorage.setItem('guideProgress', JSON.stringify({ completed: { gaming: { completedAt: null } } }));
+    window.dispatchEvent(new CustomEvent(PERSISTENT_STORAGE_EVENT, { detail: { keys: ['guideProgress'] } }));
+
+    expect(store.isCompleted('gaming')).toBe(true);
+    expect(listener).toHaveBeenCalledWith({ ids: [], completed: false });
+  });
+
+  test('records the content of completed steps', () => {
+    const step = document.querySelector('details.guide-section');
+    const snapshot = getStepSnapshot(step);
+
+    expect(getStepContent(step)).toEqual(['Open Konsole', 'Run the installer', 'Open Konsole']);
+    expect(snapshot.fingerprint).toMatch(/^[0-9a-f]{8}$/);
+    expect(snapshot.lines).toHaveLength(3);
+    expect(snapshot.lines[0]).toMatch(/^[0-9a-f]{8}$/);
+    expect(snapshot.lines[2]).toBe(snapshot.lines[0]);
+    expect(snapshot.excerpts).toEqual(['Open Konsole', 'Run the installer', 'Open Konsole']);
+
+    // Controls added by the page and step numbers are not content
+    step.insertAdjacentHTML('beforeend', '<button>Copy</button><h3>4. Notes</h3>');
+    expect(getStepContent(step)).toEqual(['Open Konsole', 'Run the installer', 'Open Konsole', 'Notes']);
+
+    store.setCompleted('decky-loader-install', true, { 'decky-loader-install': snapshot });
+    expect(store.getCompletion('decky-loader-install')).toEqual({ completedAt: expect.any(Number), ...snapshot });
+
+    // Only the start of long lines is kept
+    step.insertAdjacentHTML('beforeend', `<p>${'x'.repeat(200)}</p>`);
+    const [excerpt] = getStepSnapshot(step).excerpts.slice(-1);
+    expect(excerpt).toHaveLength(80);
+    expect(excerpt.endsWith('x…')).toBe(true);
+  });
+
+  test('announces reviewed content only when it changed', () => {
+    const listener = jest.fn();
+    store.subscribe(listener);
+    store.setCompleted('gaming', true);
+    listener.mockClear();
+
+    expect(store.setSnapshot('gaming', { fingerprint: 'aaaaaaaa', lines: ['11111111'] })).toBe(true);
+    expect(store.setSnapshot('gaming', { fingerprint: 'aaaaaaaa', lines: ['11111111'] })).toBe(true);
+    expect(listener).not.toHaveBeenCalled();
+
+    store.setSnapshot('gaming', { fingerprint: 'bbbbbbbb', lines: ['22222222'] });
+    expect(listener).toHaveBeenCalledWith({ ids: ['gaming'], completed: true });
+    expect(store.getCompletion('gaming').lines).toEqual(['22222222']);
+
+    expect(store.setSnapshot('optimizations', { fingerprint: 'aaaaaaaa', lines: [] })).toBe(false);
+  });
+
+  test('keeps the hashes and starts of lines recorded by earlier versions', () => {
+    const step = document.querySelector('details.guide-section');
+    window.localStorage.setItem('guideProgress', JSON.stringify({
+      completed: { 'decky-loader-install': { completedAt: 1, fingerprint: 'aaaaaaaa', content: getStepContent(step) } }
+    }));
+    store.reload();
+
+    expect(store.getCompletion('decky-loader-install')).toEqual({
+      completedAt: 1,
+      fingerprint: 'aaaaaaaa',
+      lines: getStepSnapshot(step).lines,
+      excerpts: getStepSnapshot(step).excerpts
+    });
+  });
+
+  test('ignores unreadable storage', () => {
+    window.localStorage.setItem('guideProgress', '{not json');
+
+    expect(store.getCompletedIds()).toEqual([]);
+    store.setCompleted('gaming', true);
+    expect(store.isCompleted('gaming')).toBe(true);
+  });
+});
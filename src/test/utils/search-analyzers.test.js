@@ -0,0 +1,67 @@
+/**
+ * Tests for the locale search analyzers
+ */
+
+import { getAnalyzer, ANALYZERS } from '../../scripts/utils/search-analyzers';
+import { tokenize, SearchIndex } from '../../scripts/utils/search-engine';
+
+describe('Search analyzers', () => {
+  test('picks the analyzer for a locale, falling back to English', () => {
+    expect(getAnalyzer('es')).toBe(ANALYZERS.es);
+    expect(getAnalyzer('he-IL')).toBe(ANALYZERS.he);
+    expect(getAnalyzer('AR_eg')).toBe(ANALYZERS.ar);
+    expect(getAnalyzer('fr')).toBe(ANALYZERS.en);
+    expect(getAnalyzer()).toBe(ANALYZERS.en);
+  });
+
+  test('folds Spanish accents and skips Spanish stop words', () => {
+    const es = getAnalyzer('es');
+
+    expect(tokenize('La configuración del niño', es)).toEqual(['configuracion', 'nino']);
+    expect(tokenize('the configuration', es)).toEqual(['configuration']);
+  });
+
+  test('normalizes Arabic marks, tatweel, letter variants and the article', () => {
+    const ar = getAnalyzer('ar');
+
+    expect(ar.normalize('كَتَبَ')).toBe('كتب');
+    expect(ar.normalize('تــثبيت')).toBe('تثبيت');
+    expect(ar.normalize('إعدادات')).toBe(ar.normalize('اعدادات'));
+    expect(ar.normalize('الإعدادات')).toBe('اعدادات');
+    expect(ar.normalize('والتثبيت')).toBe('تثبيت');
+    expect(ar.normalize('مكتبة')).toBe('مكتبه');
+    expect(tokenize('في الإعدادات', ar)).toEqual(['اعدادات']);
+  });
+
+  test('strips Hebrew niqqud and final letter forms', () => {
+    const he = getAnalyzer('he');
+
+    expect(he.normalize('הַגְדָּרוֹת')).toBe('הגדרות');
+    expect(he.normalize('שָׁלוֹם')).toBe(he.normalize('שלום'));
+    expect(tokenize('של ההגדרות', he)).toEqual(['ההגדרות']);
+  });
+
+  test('keeps marked words whole', () => {
+    expect(tokenize('كَتَبَ الدرس', getAnalyzer('ar'))).toEqual(['كتب', 'درس']);
+    expect(tokenize('Confígurar'.normalize('NFD'), getAnalyzer('es'))).toEqual(['configurar']);
+  });
+
+  test('finds words typed without accents or vowel marks', () => {
+    const documents = [
+      { id: 'es', title: 'Configuración de Steam' },
+      { id: 'ar', title: 'تَثْبِيت الإضافات' },
+      { id: 'he', title: 'הַגְדָּרוֹת מִשְׂחָק' }
+    ];
+    const search = (locale, query) => {
+      const index = new SearchIndex({ analyzer: getAnalyzer(locale) });
+      index.addAll(documents);
+      return index.search(query).map(result => result.document.id);
+    };
+
+    expect(search('es', 'configuracion')).toEqual(['es']);
+    expect(search('ar', 'اضافات')).toEqual(['ar']);
+    expect(search('ar', 'تثبيت')).toEqual(['ar']);
+    expect(search('he', 'הגדרות')).toEqual(['he']);
+    expect(search('he', 'משח')).toEqual(['he']);
+  });
+});
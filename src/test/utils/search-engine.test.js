@@ -0,0 +1,290 @@
+/**
+ * Tests for the shared search engine
+ */
+
+import {
+  tokenize,
+  editDistance,
+  highlight,
+  createSnippet,
+  collectDocuments,
+  highlightElement,
+  clearHighlights,
+  SearchIndex,
+  indexPage,
+  searchPage,
+  loadSearchIndex,
+  countFacets,
+  groupBySection
+} from '../../scripts/utils/search-engine';
+import SearchEngine from '../../scripts/services/search';
+import i18n from '../../i18n.js';
+
+const CONTENT = `
+  <div id="dynamic-content">
+    <div class="section" id="section-iv">
+      <h2>SECTION IV: DECKY LOADER</h2>
+      <p>Plugins for the Steam Deck.</p>
+      <div class="section-content">
+        <details id="decky-loader-install" class="guide-section" data-step="1">
+          <summary>1. INSTALLING DECKY LOADER</summary>
+          <div class="details-content">
+            <p>Run the installer from Desktop Mode.</p>
+            <div class="code-block">
+              <button class="copy-button">Copy</button>
+              <pre><code>curl -L https://example.com/install_release.sh | sh</code></pre>
+            </div>
+          </div>
+        </details>
+        <details id="decky-loader-themes" class="guide-section" data-step="2">
+          <summary>2. CSS LOADER</summary>
+          <div class="details-content"><p>Install themes for the Steam menus.</p></div>
+        </details>
+      </div>
+    </div>
+  </div>`;
+
+describe('Search engine', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.addAll([
+      { id: 'proton', title: 'Proton versions', body: 'Choose a compatibility tool for each game.' },
+      { id: 'decky', title: 'Installing Decky Loader', body: 'Decky Loader adds plugins to the Quick Access menu.' },
+      { id: 'plugins', title: 'Useful plugins', body: 'PowerTools and CSS Loader, both installed from the Decky store.' }
+    ]);
+  });
+
+  test('tokenizes into lowercase words without accents or stop words', () => {
+    expect(tokenize('Installing the Décky Loader, v2')).toEqual(['installing', 'decky', 'loader', 'v2']);
+    expect(tokenize('sudo pacman -S yay')).toEqual(['sudo', 'pacman', 'yay']);
+  });
+
+  test('counts edits, including swapped letters', () => {
+    expect(editDistance('decky', 'decky', 2)).toBe(0);
+    expect(editDistance('dekcy', 'decky', 2)).toBe(1);
+    expect(editDistance('instal', 'install', 1)).toBe(1);
+    expect(editDistance('proton', 'plugins', 1)).toBe(2);
+  });
+
+  test('ranks title matches above body matches', () => {
+    const ids = index.search('decky').map(result => result.document.id);
+    expect(ids).toEqual(['decky', 'plugins']);
+  });
+
+  test('matches prefixes and typos, preferring exact words', () => {
+    expect(index.search('plug').map(result => result.document.id)).toEqual(['plugins', 'decky']);
+    expect(index.search('protn').map(result => result.document.id)).toEqual(['proton']);
+    expect(index.search('dekcy')[0].terms).toEqual(['decky']);
+  });
+
+  test('requires every query word to match', () => {
+    expect(index.search('decky plugins').map(result => result.document.id)).toEqual(['decky', 'plugins']);
+    expect(index.search('decky proton')).toEqual([]);
+    expect(index.search('the')).toEqual([]);
+  });
+
+  test('highlights and escapes matches in titles and snippets', () => {
+    expect(highlight('Install <Decky>', ['decky'])).toBe('Install &lt;<mark>Decky</mark>&gt;');
+
+    const text = `${'Intro text. '.repeat(20)}Decky needs a sudo password. ${'More text. '.repeat(20)}`;
+    const snippet = createSnippet(text, ['sudo'], 80);
+    expect(snippet).toContain('<mark>sudo</mark>');
+    expect(snippet.startsWith('… ')).toBe(true);
+    expect(snippet.endsWith(' …')).toBe(true);
+  });
+
+  test('indexes page sections and their steps', () => {
+    document.body.innerHTML = CONTENT;
+
+    const documents = collectDocuments();
+    expect(documents.map(doc => doc.id)).toEqual(['section-iv', 'decky-loader-install', 'decky-loader-themes']);
+    expect(documents[0].body).toBe('Plugins for the Steam Deck.');
+    expect(documents[1]).toMatchObject({ title: '1. INSTALLING DECKY LOADER', section: 'SECTION IV: DECKY LOADER' });
+    expect(documents[1].body).not.toContain('Copy');
+
+    indexPage();
+    const results = searchPage('install');
+    expect(results.map(result => result.document.id)).toEqual(['decky-loader-install', 'decky-loader-themes']);
+  });
+
+  test('wraps and unwraps matches in the page', () => {
+    document.body.innerHTML = CONTENT;
+    const step = document.getElementById('decky-loader-install');
+    const html = step.innerHTML;
+
+    const marks = highlightElement(step, ['installer', 'desktop'], { className: 'search-highlight' });
+    expect(marks.map(mark => mark.textContent)).toEqual(['installer', 'Desktop']);
+    expect(marks[0].className).toBe('search-highlight');
+
+    clearHighlights(marks);
+    expect(step.innerHTML).toBe(html);
+  });
+
+  test('the in-page search highlights the results the modal lists', () => {
+    document.body.innerHTML = `<div class="search-container"><input id="search-input"></div>${CONTENT}`;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    window.HTMLElement.prototype.scrollIntoView = jest.fn();
+
+    const inPageSearch = new SearchEngine();
+    indexPage();
+    inPageSearch.performSearch('steam');
+
+    const listed = searchPage('steam').map(result => result.document.element);
+    const highlighted = new Set(inPageSearch.searchResults.map(mark =>
+      mark.closest('details.guide-section') || mark.closest('.section')));
+
+    expect(inPageSearch.searchResults.map(mark => mark.textContent)).toEqual(['Steam', 'Steam']);
+    expect(Array.from(highlighted)).toEqual(expect.arrayContaining(listed));
+    expect(highlighted.size).toBe(listed.length);
+
+    inPageSearch.clearSearch();
+    expect(document.querySelectorAll('mark')).toHaveLength(0);
+  });
+
+  test('searches sections that are not loaded yet through the prebuilt index', async () => {
+    const section = { section: 'SECTION IV: DECKY LOADER', sectionId: 'section-iv', slug: 'decky-loader' };
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        version: 1,
+        documents: [
+          { ...section, id: 'section-iv', title: 'SECTION IV: DECKY LOADER', anchor: 'section-iv', url: '#/decky-loader' },
+          {
+            ...section,
+            id: 'decky-loader-powertools',
+            title: '4. OPTIMIZING PERFORMANCE WITH POWERTOOLS',
+            step: 4,
+            body: 'Set CPU and GPU clocks per game.',
+            anchor: 'decky-loader-powertools',
+            url: '#/decky-loader/4'
+          }
+        ]
+      })
+    });
+    const loaded = jest.fn();
+    window.addEventListener('search-index-loaded', loaded);
+    document.body.innerHTML = '<div id="dynamic-content"></div>';
+
+    await expect(loadSearchIndex()).resolves.toBe(2);
+    expect(global.fetch).toHaveBeenCalledWith('src/content/search-index.json');
+    expect(loaded).toHaveBeenCalledTimes(1);
+
+    const [result] = searchPage('powertools');
+    expect(result.document).toMatchObject({ id: 'decky-loader-powertools', step: 4, url: '#/decky-loader/4' });
+    expect(result.document.element).toBeUndefined();
+
+    // Once the section is in the page, its elements replace the prebuilt documents
+    document.body.innerHTML = CONTENT;
+    indexPage();
+    expect(searchPage('powertools')).toEqual([]);
+    expect(searchPage('themes')[0].document.element).toBe(document.getElementById('decky-loader-themes'));
+
+    window.removeEventListener('search-index-loaded', loaded);
+    delete global.fetch;
+  });
+
+  test('indexes the page with the analyzer for the interface language', () => {
+    document.body.innerHTML = `<div id="dynamic-content">
+      <div class="section" id="section-es"><h2>Configuración</h2><p>Ajustes del sistema.</p></div>
+    </div>`;
+    indexPage();
+    expect(searchPage('del').map(result => result.document.id)).toEqual(['section-es']);
+
+    const locale = jest.spyOn(i18n, 'getCurrentLocale').mockReturnValue('es');
+    expect(searchPage('del')).toEqual([]);
+    expect(searchPage('configuracion')[0].snippet).toBe('Ajustes del sistema.');
+    expect(highlight('Configuración', searchPage('configuracion')[0].terms)).toBe('<mark>Configuración</mark>');
+
+    locale.mockRestore();
+  });
+
+  describe('query filters', () => {
+    const documents = [
+      {
+        id: 'flatpak',
+        title: 'Installing Flatpak',
+        body: 'Flatpak installs desktop apps.',
+        code: 'sudo pacman -S flatpak',
+        section: 'SECTION I: GETTING STARTED',
+        sectionId: 'section-i',
+        slug: 'getting-started',
+        tags: ['setup', 'packages']
+      },
+      {
+        id: 'bottles',
+        title: 'Installing Bottles',
+        body: 'Bottles is available as a Flatpak. Windows apps run in it.',
+        code: 'flatpak install flathub com.usebottles.bottles',
+        section: 'SECTION III: GAMING',
+        sectionId: 'section-iii',
+        slug: 'gaming',
+        tags: ['windows']
+      },
+      {
+        id: 'heroic',
+        title: 'Heroic Games Launcher',
+        body: 'Get Heroic from the Discover store, not as a Flatpak run from the terminal.',
+        section: 'SECTION III: GAMING',
+        sectionId: 'section-iii',
+        slug: 'gaming',
+        tags: ['launchers']
+      }
+    ];
+    let filtered;
+    const ids = query => filtered.search(query).map(result => result.document.id);
+
+    beforeEach(() => {
+      filtered = new SearchIndex();
+      filtered.addAll(documents);
+    });
+
+    test('searches inside code blocks only', () => {
+      expect(ids('flatpak')).toEqual(expect.arrayContaining(['flatpak', 'bottles', 'heroic']));
+      expect(ids('flatpak in:code').sort()).toEqual(['bottles', 'flatpak']);
+
+      const [result] = filtered.search('flathub in:code');
+      expect(result.snippet).toBe('flatpak install <mark>flathub</mark> com.usebottles.bottles');
+    });
+
+    test('requires quoted phrases in order', () => {
+      expect(ids('"flatpak run"')).toEqual(['heroic']);
+      expect(ids('"run flatpak"')).toEqual([]);
+    });
+
+    test('filters by section slug or title and by tag', () => {
+      expect(ids('flatpak section:gaming')).toEqual(['bottles', 'heroic']);
+      expect(ids('flatpak section:"getting start"')).toEqual(['flatpak']);
+      expect(ids('flatpak tag:windows tag:launchers')).toEqual(['bottles', 'heroic']);
+      expect(ids('tag:setup')).toEqual(['flatpak']);
+      expect(ids('in:code')).toEqual([]);
+    });
+
+    test('counts facets and groups results by section', () => {
+      const results = filtered.search('flatpak');
+
+      const facets = countFacets(results);
+
+      expect(facets.sections).toHaveLength(2);
+      expect(facets.sections).toEqual(expect.arrayContaining([
+        { id: 'section-iii', slug: 'gaming', title: 'SECTION III: GAMING', count: 2 },
+        { id: 'section-i', slug: 'getting-started', title: 'SECTION I: GETTING STARTED', count: 1 }
+      ]));
+      expect(facets.tags.map(facet => facet.tag))
+        .toEqual(['launchers', 'packages', 'setup', 'windows']);
+      expect(groupBySection(results).map(group => group.id)).toEqual(facets.sections.map(section => section.id));
+      expect(groupBySection(results).map(group => group.results.length).sort()).toEqual([1, 2]);
+    });
+  });
+
+  test('reads slugs and tags from the page', () => {
+    document.body.innerHTML = CONTENT.replace('id="section-iv"', 'id="section-iv" data-tags="Decky plugins"')
+      .replace('id="decky-loader-themes"', 'id="decky-loader-themes" data-tags="themes"');
+
+    const [section, install, themes] = collectDocuments();
+    expect(section).toMatchObject({ slug: 'decky-loader', tags: ['decky', 'plugins'] });
+    expect(install.tags).toEqual(['decky', 'plugins']);
+    expect(themes.tags).toEqual(['decky', 'plugins', 'themes']);
+  });
+});
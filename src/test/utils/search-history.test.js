@@ -0,0 +1,85 @@
+/**
+ * Tests for the search history
+ */
+
+import {
+  MAX_RECENT_SEARCHES,
+  HISTORY_CHANGED_EVENT,
+  getRecentSearches,
+  getSavedSearches,
+  getSearchSuggestions,
+  addRecentSearch,
+  isSavedSearch,
+  toggleSavedSearch,
+  clearSearchHistory
+} from '../../scripts/utils/search-history';
+
+describe('Search history', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('remembers recent queries, newest first and without duplicates', () => {
+    addRecentSearch('decky');
+    addRecentSearch('  flatpak   run ');
+    addRecentSearch('Decky');
+    addRecentSearch('   ');
+
+    expect(getRecentSearches()).toEqual(['Decky', 'flatpak run']);
+  });
+
+  test('keeps a limited number of recent queries', () => {
+    for (let i = 0; i < MAX_RECENT_SEARCHES + 3; i++) {
+      addRecentSearch(`query ${i}`);
+    }
+
+    const recent = getRecentSearches();
+    expect(recent).toHaveLength(MAX_RECENT_SEARCHES);
+    expect(recent[0]).toBe(`query ${MAX_RECENT_SEARCHES + 2}`);
+  });
+
+  test('pins saved searches above recent ones', () => {
+    addRecentSearch('decky');
+    addRecentSearch('swap');
+
+    expect(toggleSavedSearch('decky')).toBe(true);
+    expect(isSavedSearch('DECKY')).toBe(true);
+    expect(getSearchSuggestions()).toEqual([
+      { query: 'decky', saved: true },
+      { query: 'swap', saved: false }
+    ]);
+
+    expect(toggleSavedSearch('decky')).toBe(false);
+    expect(getSavedSearches()).toEqual([]);
+    expect(getRecentSearches()).toEqual(['decky', 'swap']);
+  });
+
+  test('clears recent queries but keeps saved searches', () => {
+    addRecentSearch('decky');
+    addRecentSearch('swap');
+    toggleSavedSearch('in:code pacman');
+
+    clearSearchHistory();
+
+    expect(getSearchSuggestions()).toEqual([{ query: 'in:code pacman', saved: true }]);
+  });
+
+  test('announces changes', () => {
+    const listener = jest.fn();
+    window.addEventListener(HISTORY_CHANGED_EVENT, listener);
+
+    addRecentSearch('decky');
+    clearSearchHistory();
+
+    window.removeEventListener(HISTORY_CHANGED_EVENT, listener);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('ignores unreadable storage', () => {
+    window.localStorage.setItem('searchHistory', '{not json');
+
+    expect(getSearchSuggestions()).toEqual([]);
+    addRecentSearch('decky');
+    expect(getRecentSearches()).toEqual(['decky']);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for the search query syntax
+ */
+
+import { parseQuery, hasFilter, toggleFilter, formatFilter } from '../../scripts/utils/search-query';
+
+describe('Search query', () => {
+  test('separates words, phrases and filters', () => {
+    expect(parseQuery('flatpak in:code "run com" section:Gaming tag:emulation tag:launchers')).toEqual({
+      text: 'flatpak',
+      phrases: ['run com'],
+      fields: ['code'],
+      sections: ['gaming'],
+      tags: ['emulation', 'launchers']
+    });
+  });
+
+  test('maps field names and drops unknown ones', () => {
+    expect(parseQuery('in:heading in:text in:nowhere').fields).toEqual(['headings', 'body']);
+  });
+
+  test('reads quoted filter values', () => {
+    expect(parseQuery('section:"decky loader" themes').sections).toEqual(['decky loader']);
+    expect(formatFilter('section', 'decky loader')).toBe('section:"decky loader"');
+  });
+
+  test('keeps other colons and unclosed quotes as words', () => {
+    expect(parseQuery('https://example.com "yay').text).toBe('https://example.com "yay');
+  });
+
+  test('toggles filters in the query text', () => {
+    const query = toggleFilter('flatpak', 'in', 'code');
+
+    expect(query).toBe('flatpak in:code');
+    expect(hasFilter(query, 'in', 'code')).toBe(true);
+    expect(toggleFilter(query, 'in', 'code')).toBe('flatpak');
+    expect(toggleFilter('install section:"Decky Loader"', 'section', 'decky loader')).toBe('install');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for remembering the open steps of guide sections
+ */
+
+import { SectionState, SECTION_STATE_KEY } from '../../scripts/utils/section-state';
+import { PERSISTENT_STORAGE_EVENT } from '../../scripts/utils/persistent-storage';
+
+/**
+ * Render a section with two steps
+ */
+function renderSection() {
+  document.body.innerHTML = `
+    <div class="section" id="decky-loader" data-slug="decky-loader">
+      <details class="guide-section" id="decky-install"><summary>1. Install</summary></details>
+      <details class="guide-section" id="decky-plugins"><summary>2. Plugins</summary></details>
+    </div>`;
+  return document.querySelectorAll('details.guide-section');
+}
+
+/**
+ * Open or close a step the way the browser reports it
+ */
+function toggle(step, open) {
+  step.open = open;
+  step.dispatchEvent(new Event('toggle'));
+}
+
+describe('SectionState', () => {
+  let state;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    state = new SectionState();
+  });
+
+  afterEach(() => {
+    state.stop();
+  });
+
+  test('remembers the steps the reader opens and closes', () => {
+    const [install, plugins] = renderSection();
+    state.start();
+
+    toggle(install, true);
+    toggle(plugins, true);
+    toggle(install, false);
+
+    expect(state.getOpenSteps('decky-loader')).toEqual(['decky-plugins']);
+    expect(JSON.parse(window.localStorage.getItem(SECTION_STATE_KEY))).toEqual({ 'decky-loader': ['decky-plugins'] });
+  });
+
+  test('reopens remembered steps when a section loads', () => {
+    window.localStorage.setItem(SECTION_STATE_KEY, JSON.stringify({ 'decky-loader': ['decky-plugins'] }));
+    state.start();
+
+    const [install, plugins] = renderSection();
+    install.open = true;
+    window.dispatchEvent(new CustomEvent('content-loaded'));
+
+    expect(plugins.open).toBe(true);
+    // A step opened by a route link stays open
+    expect(install.open).toBe(true);
+  });
+
+  test('uses the state loaded from the app store', () => {
+    const [, plugins] = renderSection();
+    state.start();
+
+    window.localStorage.setItem(SECTION_STATE_KEY, JSON.stringify({ 'decky-loader': ['decky-plugins'] }));
+    window.dispatchEvent(new CustomEvent(PERSISTENT_STORAGE_EVENT, { detail: { keys: [SECTION_STATE_KEY] } }));
+
+    expect(plugins.open).toBe(true);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for spatial focus navigation
+ */
+
+import { getFocusableElements, findNextFocusable, getNavigationRoot } from '../../scripts/utils/spatial-navigation';
+
+/**
+ * Give an element a fixed box on screen
+ */
+function place(element, left, top, width = 100, height = 30) {
+  element.getBoundingClientRect = () => ({
+    left, top, width, height, right: left + width, bottom: top + height
+  });
+}
+
+describe('Spatial navigation', () => {
+  beforeEach(() => {
+    // A 2x2 grid of buttons with a link below it
+    document.body.innerHTML = `
+      <button id="a">A</button><button id="b">B</button>
+      <button id="c">C</button><button id="d">D</button>
+      <a id="link" href="#/gaming">Gaming</a>
+      <details><summary id="summary">Step</summary><button id="inside">Hidden</button></details>
+      <button id="gone" hidden>Gone</button>`;
+    const $ = id => document.getElementById(id);
+    place($('a'), 0, 0);
+    place($('b'), 200, 0);
+    place($('c'), 0, 100);
+    place($('d'), 200, 100);
+    place($('link'), 180, 200, 300);
+    place($('summary'), 0, 300);
+  });
+
+  test('only offers elements that are shown', () => {
+    expect(getFocusableElements().map(element => element.id)).toEqual(['a', 'b', 'c', 'd', 'link', 'summary']);
+
+    document.querySelector('details').open = true;
+    expect(getFocusableElements().map(element => element.id)).toContain('inside');
+  });
+
+  test('moves to the nearest element in the pressed direction', () => {
+    const $ = id => document.getElementById(id);
+
+    expect(findNextFocusable($('a'), 'right')).toBe($('b'));
+    expect(findNextFocusable($('a'), 'down')).toBe($('c'));
+    expect(findNextFocusable($('d'), 'left')).toBe($('c'));
+    expect(findNextFocusable($('d'), 'up')).toBe($('b'));
+    expect(findNextFocusable($('d'), 'down')).toBe($('link'));
+    expect(findNextFocusable($('a'), 'up')).toBeNull();
+    expect(findNextFocusable(null, 'down')).toBe($('a'));
+  });
+
+  test('keeps focus inside an open modal', () => {
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.innerHTML = '<button id="close">Close</button>';
+    document.body.appendChild(dialog);
+
+    expect(getNavigationRoot()).toBe(dialog);
+    expect(getFocusableElements().map(element => element.id)).toEqual(['close']);
+  });
+});
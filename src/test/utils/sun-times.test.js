@@ -0,0 +1,71 @@
+/**
+ * Tests for sunrise and sunset
+ */
+
+import {
+  getSunTimes,
+  getNextSunChange,
+  getTimeZoneLongitude,
+  isLatitude,
+  isSunDown
+} from '../../scripts/utils/sun-times';
+
+const LONDON = [51.5074, -0.1278];
+const TROMSO = [69.6492, 18.9553];
+
+const utc = (month, day, hours, minutes = 0) => new Date(Date.UTC(2024, month - 1, day, hours, minutes));
+
+// Within a few minutes of the published times
+const expectNear = (actual, expected) => {
+  expect(Math.abs(actual - expected)).toBeLessThan(4 * 60 * 1000);
+};
+
+describe('Sun times', () => {
+  test('works out sunrise and sunset', () => {
+    const london = getSunTimes(utc(6, 21, 12), ...LONDON);
+    expectNear(london.sunrise, utc(6, 21, 3, 43));
+    expectNear(london.sunset, utc(6, 21, 20, 21));
+    expect(london.polar).toBeNull();
+
+    const equator = getSunTimes(utc(3, 20, 12), 0, 0);
+    expectNear(equator.sunrise, utc(3, 20, 6, 4));
+    expectNear(equator.sunset, utc(3, 20, 18, 11));
+  });
+
+  test('knows when the sun does not rise or set', () => {
+    expect(getSunTimes(utc(12, 21, 12), ...TROMSO)).toEqual({ sunrise: null, sunset: null, polar: 'night' });
+    expect(getSunTimes(utc(6, 21, 12), ...TROMSO).polar).toBe('day');
+    expect(isSunDown(utc(12, 21, 12), ...TROMSO)).toBe(true);
+    expect(isSunDown(utc(6, 21, 0), ...TROMSO)).toBe(false);
+  });
+
+  test('knows whether the sun is down', () => {
+    expect(isSunDown(utc(6, 21, 3), ...LONDON)).toBe(true);
+    expect(isSunDown(utc(6, 21, 12), ...LONDON)).toBe(false);
+    expect(isSunDown(utc(6, 21, 21), ...LONDON)).toBe(true);
+  });
+
+  test('finds the next sunrise or sunset', () => {
+    expectNear(getNextSunChange(utc(6, 21, 12), ...LONDON), utc(6, 21, 20, 21));
+    expectNear(getNextSunChange(utc(6, 21, 22), ...LONDON), utc(6, 22, 3, 43));
+
+    const polarDawn = getNextSunChange(utc(12, 1, 12), ...TROMSO);
+    expect(polarDawn.getUTCFullYear()).toBe(2025);
+    expect(polarDawn.getUTCMonth()).toBe(0);
+  });
+
+  test('estimates the longitude from the time zone', () => {
+    const offset = jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(-60);
+
+    expect(getTimeZoneLongitude(utc(6, 21, 12))).toBe(15);
+    offset.mockRestore();
+  });
+
+  test('checks latitudes', () => {
+    expect(isLatitude(51.5)).toBe(true);
+    expect(isLatitude(-90)).toBe(true);
+    expect(isLatitude(91)).toBe(false);
+    expect(isLatitude(NaN)).toBe(false);
+    expect(isLatitude('51')).toBe(false);
+  });
+});
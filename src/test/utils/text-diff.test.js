@@ -0,0 +1,30 @@
+/**
+ * Tests for the line diff
+ */
+
+import { diffLines, getChangedLines } from '../../scripts/utils/text-diff';
+
+describe('Text diff', () => {
+  test('keeps common lines and marks the rest', () => {
+    expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'added', text: 'x' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' }
+    ]);
+  });
+
+  test('handles empty versions', () => {
+    expect(diffLines([], ['a'])).toEqual([{ type: 'added', text: 'a' }]);
+    expect(diffLines(['a'], [])).toEqual([{ type: 'removed', text: 'a' }]);
+    expect(diffLines([], [])).toEqual([]);
+  });
+
+  test('lists only changed lines', () => {
+    expect(getChangedLines(diffLines(['a', 'b'], ['a', 'c']))).toEqual([
+      { type: 'removed', text: 'b' },
+      { type: 'added', text: 'c' }
+    ]);
+  });
+});
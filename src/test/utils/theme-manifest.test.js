@@ -0,0 +1,107 @@
+/**
+ * Tests for theme manifests
+ */
+
+import {
+  ThemeManifestError,
+  isThemeColor,
+  getManifestProblems,
+  validateThemeManifest,
+  getThemeProperties,
+  themeToCss
+} from '../../scripts/utils/theme-manifest';
+import { BUILT_IN_THEMES } from '../../themes';
+
+const manifest = (overrides = {}) => ({
+  id: 'solar',
+  name: 'Solar',
+  mode: 'light',
+  colors: {
+    primary: '#268BD2',
+    background: '#FDF6E3',
+    surface: '#EEE8D5',
+    text: '#657B83',
+    textMuted: 'rgb(147, 161, 161)',
+    border: '#93A1A1'
+  },
+  ...overrides
+});
+
+describe('Theme manifests', () => {
+  test('built-in themes are valid', () => {
+    BUILT_IN_THEMES.forEach(theme => {
+      expect(getManifestProblems(theme)).toEqual([]);
+    });
+  });
+
+  test('accepts hex, rgb(), hsl() and transparent colors only', () => {
+    ['#fff', '#FDF6E3', '#00000080', 'rgb(1, 2, 3)', 'hsla(200 50% 40% / 0.5)', 'transparent'].forEach(color => {
+      expect(isThemeColor(color)).toBe(true);
+    });
+    ['red', '#12345', 'url(x.png)', 'rgb(1,2,3); color: red', 12].forEach(color => {
+      expect(isThemeColor(color)).toBe(false);
+    });
+  });
+
+  test('lists every problem of a manifest', () => {
+    const problems = getManifestProblems(manifest({
+      id: 'Solar Theme',
+      mode: 'sepia',
+      colors: { primary: '#268BD2', background: 'beige', shadow: '#000' }
+    }));
+
+    expect(problems).toEqual(expect.arrayContaining([
+      '"id" must be lowercase letters, digits and hyphens',
+      '"mode" must be one of light, dark',
+      '"colors.surface" is required',
+      '"colors.background" must be a hex, rgb(), hsl() or transparent color',
+      '"colors.shadow" is not a color token'
+    ]));
+    expect(getManifestProblems(null)).toEqual(['the manifest must be an object']);
+  });
+
+  test('rejects component values that could leave the declaration', () => {
+    const problems = getManifestProblems(manifest({
+      components: {
+        code: { keyword: '#CB4B16', background: 'red; } body { display: none' },
+        card: { image: 'url(https://example.com/x.png)' }
+      }
+    }));
+
+    expect(problems).toEqual([
+      '"components.code.background" is not a usable CSS value',
+      '"components.card.image" is not a usable CSS value'
+    ]);
+  });
+
+  test('validation throws with the problems and keeps only theme fields', () => {
+    expect(() => validateThemeManifest(manifest({ name: ' ' }))).toThrow(ThemeManifestError);
+    try {
+      validateThemeManifest(manifest({ name: ' ' }));
+    } catch (error) {
+      expect(error.problems).toEqual(['"name" is required']);
+    }
+
+    const theme = validateThemeManifest({ ...manifest({ name: ' Solar ' }), homepage: 'https://example.com' });
+    expect(theme.name).toBe('Solar');
+    expect(theme.components).toEqual({});
+    expect(theme).not.toHaveProperty('homepage');
+  });
+
+  test('maps tokens and component overrides to CSS custom properties', () => {
+    const theme = validateThemeManifest(manifest({
+      components: { codeBlock: { keywordColor: '#CB4B16' } }
+    }));
+    const properties = getThemeProperties(theme);
+
+    expect(properties['--primary-color']).toBe('#268BD2');
+    expect(properties['--color-primary']).toBe('#268BD2');
+    expect(properties['--text-secondary']).toBe('rgb(147, 161, 161)');
+    expect(properties['--code-block-keyword-color']).toBe('#CB4B16');
+
+    const css = themeToCss(theme);
+    expect(css.startsWith(':root[data-theme="solar"] {')).toBe(true);
+    expect(css).toContain('color-scheme: light;');
+    expect(css).toContain('--background-color: #FDF6E3;');
+  });
+});
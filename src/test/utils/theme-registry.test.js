@@ -0,0 +1,115 @@
+/**
+ * Tests for the theme registry
+ */
+
+import { ThemeRegistry } from '../../scripts/utils/theme-registry';
+import { ThemeManifestError } from '../../scripts/utils/theme-manifest';
+
+const colors = {
+  primary: '#268BD2',
+  background: '#FDF6E3',
+  surface: '#EEE8D5',
+  text: '#657B83',
+  textMuted: '#93A1A1',
+  border: '#93A1A1'
+};
+
+const BUILT_IN = [
+  { id: 'light', name: 'Light', mode: 'light', colors },
+  { id: 'dark', name: 'Dark', mode: 'dark', colors: { ...colors, background: '#002B36' } }
+];
+
+const createRegistry = () => new ThemeRegistry({ builtInThemes: BUILT_IN });
+
+describe('Theme registry', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    document.head.innerHTML = '';
+  });
+
+  test('registers the built-in themes', () => {
+    const registry = createRegistry();
+
+    expect(registry.getThemeIds()).toEqual(['light', 'dark']);
+    expect(registry.get('dark').builtIn).toBe(true);
+    expect(registry.getThemes({ mode: 'light' }).map(theme => theme.id)).toEqual(['light']);
+    expect(registry.get('solar')).toBeNull();
+  });
+
+  test('imports a theme pack, saves it and tells listeners', () => {
+    const registry = createRegistry();
+    const listener = jest.fn();
+    const unsubscribe = registry.subscribe(listener);
+
+    const imported = registry.importThemePack(JSON.stringify({
+      themes: [
+        { id: 'solar', name: 'Solar', mode: 'light', colors },
+        { id: 'solar-dark', name: 'Solar Dark', mode: 'dark', colors }
+      ]
+    }));
+    unsubscribe();
+
+    expect(imported.map(theme => theme.id)).toEqual(['solar', 'solar-dark']);
+    expect(listener).toHaveBeenCalledWith(['light', 'dark', 'solar', 'solar-dark']);
+    expect(createRegistry().getUserThemes().map(theme => theme.id)).toEqual(['solar', 'solar-dark']);
+  });
+
+  test('imports nothing when any theme of a pack is invalid', () => {
+    const registry = createRegistry();
+    let error;
+    try {
+      registry.importThemePack({
+        themes: [
+          { id: 'solar', name: 'Solar', mode: 'light', colors },
+          { id: 'dark', name: 'My Dark', mode: 'dark', colors },
+          { id: 'broken', name: 'Broken', mode: 'dark', colors: {} }
+        ]
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ThemeManifestError);
+    expect(error.problems).toEqual(expect.arrayContaining([
+      '"dark" is a built-in theme',
+      'theme 3: "colors.primary" is required'
+    ]));
+    expect(registry.has('solar')).toBe(false);
+    expect(() => registry.importThemePack('{ not json')).toThrow('not valid JSON');
+  });
+
+  test('removes imported themes but not built-in ones', () => {
+    const registry = createRegistry();
+    registry.importThemePack({ id: 'solar', name: 'Solar', mode: 'light', colors });
+
+    expect(registry.removeTheme('dark')).toBe(false);
+    expect(registry.removeTheme('solar')).toBe(true);
+    expect(registry.getThemeIds()).toEqual(['light', 'dark']);
+    expect(createRegistry().getUserThemes()).toEqual([]);
+  });
+
+  test('writes the themes to the page once styles are installed', () => {
+    const registry = createRegistry();
+    expect(document.getElementById('theme-registry-styles')).toBeNull();
+
+    registry.installStyles();
+    registry.importThemePack({ id: 'solar', name: 'Solar', mode: 'light', colors });
+
+    const css = document.getElementById('theme-registry-styles').textContent;
+    expect(css).toContain(':root[data-theme="dark"]');
+    expect(css).toContain(':root[data-theme="solar"]');
+  });
+
+  test('follows theme packs imported in another window', () => {
+    const registry = createRegistry();
+    const listener = jest.fn();
+    const unsubscribe = registry.subscribe(listener);
+
+    window.localStorage.setItem('themePacks', JSON.stringify([{ id: 'solar', name: 'Solar', mode: 'light', colors }]));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'themePacks' }));
+    unsubscribe();
+
+    expect(registry.has('solar')).toBe(true);
+    expect(listener).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tests for the theme service
+ */
+
+import {
+  ThemeService,
+  THEME_CHANGED_EVENT,
+  THEME_PREFERENCE_KEY,
+  isDarkScheduled,
+  getNextScheduledChange,
+  connectThemeSelect
+} from '../../scripts/utils/theme-service';
+import { ThemeRegistry } from '../../scripts/utils/theme-registry';
+
+const colors = {
+  primary: '#268BD2',
+  background: '#FDF6E3',
+  surface: '#EEE8D5',
+  text: '#657B83',
+  textMuted: '#93A1A1',
+  border: '#93A1A1'
+};
+
+const BUILT_IN = [
+  { id: 'light', name: 'Light', mode: 'light', colors },
+  { id: 'dark', name: 'Dark', mode: 'dark', colors: { ...colors, background: '#002B36' } },
+  { id: 'high-contrast', name: 'High Contrast', mode: 'dark', colors }
+];
+
+const at = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes);
+
+const createService = (options = {}) => new ThemeService({
+  registry: new ThemeRegistry({ builtInThemes: BUILT_IN }),
+  ...options
+});
+
+const savedPreference = () => JSON.parse(window.localStorage.getItem(THEME_PREFERENCE_KEY));
+
+describe('Theme service', () => {
+  let systemDark;
+  let services;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+    document.documentElement.className = '';
+    document.documentElement.removeAttribute('data-theme');
+    systemDark = true;
+    window.matchMedia = jest.fn(() => ({
+      get matches() { return systemDark; },
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    }));
+    services = [];
+  });
+
+  afterEach(() => {
+    services.forEach(service => service.stop());
+    delete window.matchMedia;
+  });
+
+  const startService = (options) => {
+    const service = createService(options);
+    services.push(service);
+    service.start();
+    return service;
+  };
+
+  test('follows the system theme by default', () => {
+    systemDark = false;
+    const service = startService();
+
+    expect(service.getPreference().source).toBe('system');
+    expect(service.getTheme()).toBe('light');
+    expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+    expect(document.documentElement.getAttribute('data-theme-mode')).toBe('light');
+    expect(document.documentElement.classList.contains('theme-light')).toBe(true);
+  });
+
+  test('moves a theme saved by earlier theme code into the preference', () => {
+    window.localStorage.setItem('sdde_theme_preference', 'high-contrast');
+    window.localStorage.setItem('theme', 'light');
+    const service = startService();
+
+    expect(service.getTheme()).toBe('high-contrast');
+    expect(savedPreference()).toMatchObject({ source: 'manual', theme: 'high-contrast' });
+    expect(window.localStorage.getItem('sdde_theme_preference')).toBeNull();
+    expect(window.localStorage.getItem('theme')).toBeNull();
+  });
+
+  test('reads the theme of the old preferences dialog', () => {
+    systemDark = false;
+    window.localStorage.setItem('userPreferences', JSON.stringify({ theme: 'theme-system' }));
+
+    expect(startService().getPreference().source).toBe('system');
+  });
+
+  test('sets, saves and announces a theme', () => {
+    const service = startService();
+    const listener = jest.fn();
+    const unsubscribe = service.subscribe(listener);
+
+    expect(service.setTheme('light')).toBe(true);
+    unsubscribe();
+    service.setTheme('dark');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ theme: 'light', mode: 'light' }));
+    expect(savedPreference()).toMatchObject({ source: 'manual', theme: 'dark' });
+    expect(document.documentElement.classList.contains('theme-light')).toBe(false);
+    expect(document.documentElement.classList.contains('theme-dark')).toBe(true);
+  });
+
+  test('rejects a theme that is not registered', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const service = startService();
+
+    expect(service.setTheme('solar')).toBe(false);
+    expect(service.useSchedule({ light: '25:00' })).toBe(false);
+    expect(service.getPreference().source).toBe('system');
+    error.mockRestore();
+  });
+
+  test('toggles between the light and dark theme', () => {
+    const service = startService();
+    service.setTheme('high-contrast');
+
+    expect(service.toggleTheme()).toBe('light');
+    expect(service.toggleTheme()).toBe('dark');
+    expect(service.getPreference().source).toBe('manual');
+  });
+
+  test('switches theme at the scheduled times', () => {
+    jest.useFakeTimers();
+    let now = at(18, 30);
+    const service = startService({ now: () => now });
+    service.useSchedule({ light: '07:00', dark: '19:00' });
+    expect(service.getTheme()).toBe('light');
+
+    now = at(19);
+    jest.advanceTimersByTime(30 * 60 * 1000);
+
+    expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+    service.stop();
+    jest.useRealTimers();
+  });
+
+  test('switches theme at sunrise and sunset', () => {
+    let now = new Date(Date.UTC(2024, 5, 21, 12));
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const service = startService({ now: () => now });
+
+    expect(service.useSchedule({ type: 'sun' })).toBe(false);
+    error.mockRestore();
+    expect(service.useSchedule({ type: 'sun', latitude: 51.5, longitude: -0.13 })).toBe(true);
+    expect(service.getTheme()).toBe('light');
+
+    now = new Date(Date.UTC(2024, 5, 21, 21));
+    expect(service.getTheme()).toBe('dark');
+  });
+
+  test('keeps a toggled theme until the schedule next switches', () => {
+    jest.useFakeTimers();
+    let now = at(12);
+    const service = startService({ now: () => now });
+    service.useSchedule({ type: 'times', light: '07:00', dark: '19:00' });
+
+    expect(service.toggleTheme()).toBe('dark');
+    expect(service.getPreference()).toMatchObject({
+      source: 'schedule',
+      override: { theme: 'dark', until: at(19).toISOString() }
+    });
+
+    now = at(19);
+    jest.advanceTimersByTime(7 * 60 * 60 * 1000);
+    expect(service.getPreference().override).toBeNull();
+    expect(savedPreference().override).toBeNull();
+
+    expect(service.toggleTheme()).toBe('light');
+    now = at(23);
+    expect(service.getTheme()).toBe('light');
+
+    service.useSchedule({ light: '06:00' });
+    expect(service.getTheme()).toBe('dark');
+    service.stop();
+    jest.useRealTimers();
+  });
+
+  test('uses a preference saved in another window', () => {
+    const service = startService();
+    window.localStorage.setItem(THEME_PREFERENCE_KEY, JSON.stringify({ source: 'manual', theme: 'light' }));
+    window.dispatchEvent(new StorageEvent('storage', { key: THEME_PREFERENCE_KEY }));
+
+    expect(service.getTheme()).toBe('light');
+    expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+  });
+
+  test('drives a theme select', () => {
+    const service = startService();
+    const select = document.createElement('select');
+    const disconnect = connectThemeSelect(select, service);
+
+    expect(Array.from(select.options).map(option => option.value))
+      .toEqual(['system', 'schedule', 'light', 'dark', 'high-contrast']);
+    expect(select.value).toBe('system');
+
+    select.value = 'light';
+    select.dispatchEvent(new Event('change'));
+    expect(service.getTheme()).toBe('light');
+
+    service.useSchedule();
+    expect(select.value).toBe('schedule');
+
+    disconnect();
+    service.setTheme('dark');
+    expect(select.value).toBe('schedule');
+  });
+
+  test('announces the theme on the document', () => {
+    const service = startService();
+    const listener = jest.fn();
+    document.addEventListener(THEME_CHANGED_EVENT, listener);
+    service.setTheme('light');
+    document.removeEventListener(THEME_CHANGED_EVENT, listener);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Theme schedule', () => {
+  const schedule = { light: '07:00', dark: '19:00' };
+
+  test('is dark between the dark and the light time', () => {
+    expect(isDarkScheduled(schedule, at(6, 59))).toBe(true);
+    expect(isDarkScheduled(schedule, at(7))).toBe(false);
+    expect(isDarkScheduled(schedule, at(19))).toBe(true);
+    expect(isDarkScheduled({ light: '19:00', dark: '07:00' }, at(12))).toBe(true);
+  });
+
+  test('finds the next switch', () => {
+    expect(getNextScheduledChange(schedule, at(12))).toEqual(at(19));
+    expect(getNextScheduledChange(schedule, at(20))).toEqual(new Date(2024, 0, 16, 7));
+    expect(getNextScheduledChange({ light: '07:00', dark: '07:00' }, at(12))).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for the reading time tracker
+ */
+
+import { TimeTracker, getVisibleSectionId } from '../../scripts/utils/time-tracker';
+
+describe('TimeTracker', () => {
+  let now;
+  let store;
+  let tracker;
+
+  const setVisibility = state => {
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    now = 0;
+    store = { addTimeSpent: jest.fn(), saveTimeSpent: jest.fn() };
+    setVisibility('visible');
+    tracker = new TimeTracker({ store, getSectionId: () => 'decky-loader', now: () => now });
+    tracker.start();
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    jest.useRealTimers();
+  });
+
+  test('adds the time spent reading to the section in view', () => {
+    now = 15000;
+    jest.advanceTimersByTime(15000);
+
+    expect(store.addTimeSpent).toHaveBeenCalledWith('decky-loader', 15000);
+  });
+
+  test('stops counting when the user is idle', () => {
+    now = 60000;
+    window.dispatchEvent(new Event('scroll'));
+    now = 10 * 60 * 1000;
+    tracker.tick();
+
+    // Up to two minutes after the last scroll
+    expect(store.addTimeSpent).toHaveBeenCalledWith('decky-loader', 180000);
+
+    now += 15000;
+    tracker.tick();
+    expect(store.addTimeSpent).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not count time while the page is hidden', () => {
+    now = 5000;
+    setVisibility('hidden');
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(store.addTimeSpent).toHaveBeenCalledWith('decky-loader', 5000);
+
+    now = 300000;
+    tracker.tick();
+    setVisibility('visible');
+    document.dispatchEvent(new Event('visibilitychange'));
+    now = 310000;
+    tracker.stop();
+
+    expect(store.addTimeSpent).toHaveBeenCalledTimes(2);
+    expect(store.addTimeSpent).toHaveBeenLastCalledWith('decky-loader', 10000);
+  });
+
+  test('saves the time when the page is hidden or closed, and every few minutes', () => {
+    now = 15000;
+    jest.advanceTimersByTime(15000);
+    expect(store.saveTimeSpent).not.toHaveBeenCalled();
+
+    setVisibility('hidden');
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(store.saveTimeSpent).toHaveBeenCalledTimes(1);
+
+    setVisibility('visible');
+    document.dispatchEvent(new Event('visibilitychange'));
+    window.dispatchEvent(new Event('pagehide'));
+    expect(store.saveTimeSpent).toHaveBeenCalledTimes(2);
+
+    now += 5 * 60 * 1000;
+    window.dispatchEvent(new Event('scroll'));
+    tracker.tick();
+    expect(store.saveTimeSpent).toHaveBeenCalledTimes(3);
+  });
+
+  test('finds the section that fills most of the viewport', () => {
+    document.body.innerHTML = `
+      <div class="section" id="section-iii"></div>
+      <div class="section" id="section-iv"></div>`;
+    const [gaming, decky] = document.querySelectorAll('.section');
+    gaming.getBoundingClientRect = () => ({ top: -500, bottom: 100 });
+    decky.getBoundingClientRect = () => ({ top: 100, bottom: 2000 });
+
+    expect(getVisibleSectionId()).toBe('decky-loader');
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Grimoire
+ * Built-in Themes
+ *
+ * Manifests of the themes that ship with the app, in the order they are
+ * offered. See src/scripts/utils/theme-manifest.js for the format.
+ */
+
+import light from './light/manifest.json';
+import dark from './dark/manifest.json';
+import dracula from './dracula/manifest.json';
+import highContrast from './high-contrast/manifest.json';
+import catppuccinLatte from './catppuccinlatte/manifest.json';
+
+/** @type {Array<import('../scripts/utils/theme-manifest.js').ThemeManifest>} */
+export const BUILT_IN_THEMES = [light, dark, dracula, highContrast, catppuccinLatte];
+
+export default BUILT_IN_THEMES;
@@ -107,10 +107,11 @@ export interface I18nConfig {
 }
 
 /**
- * Optional replacements for translation variables
+ * Values of the arguments of a translation message; numbers pick plural
+ * options and dates fill date and time arguments
  */
 export interface TranslationReplacements {
-  [key: string]: string | number;
+  [key: string]: string | number | Date;
 }
 
 /**
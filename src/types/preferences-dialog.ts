@@ -18,9 +18,10 @@ export interface PreferenceItem {
   label: string;
 
   /**
-   * Type of the preference control (select, toggle, button, radio, slider)
+   * Type of the preference control (select, toggle, button, radio, slider,
+   * text, color)
    */
-  type: 'select' | 'toggle' | 'button' | 'radio' | 'slider';
+  type: 'select' | 'toggle' | 'button' | 'radio' | 'slider' | 'text' | 'color';
 
   /**
    * Current value of the preference
@@ -64,6 +65,11 @@ export interface PreferenceItem {
    * Callback function for buttons
    */
   onClick?: () => void;
+
+  /**
+   * Text of a button control; defaults to the label
+   */
+  buttonText?: string;
 }
 
 /**
@@ -8,12 +8,15 @@
  */
 
 // Import critical component modules
-import themeController from './components/theme.js';
+import Theme from './components/Theme/index.js';
 import lazyLoader from './components/lazy-loader.js';
 
 // Import utilities
 import { utils } from './utils.js';
 
+// Theme toggles, driven by the theme service
+const themeController = new Theme();
+
 // Components that will be lazy-loaded
 let searchController;
 let codeBlocksController;
@@ -2,6 +2,8 @@
  * Utility functions for Grimoire
  */
 
+const { default: themeService } = require('./scripts/utils/theme-service.js');
+
 /**
  * Debounce function to limit how often a function can be called
  * @param {Function} func - The function to debounce
@@ -26,25 +28,20 @@ function isTouchDevice() {
 }
 
 /**
- * Get the current theme preference from local storage or system
- * @returns {string} 'dark' or 'light'
+ * Get the theme the theme service shows
+ * @returns {string} Theme id, e.g. 'dark' or 'light'
  */
 function getThemePreference() {
-  const savedTheme = localStorage.getItem('theme');
-  if (savedTheme) {
-    return savedTheme;
-  }
-  
-  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  return themeService.getTheme();
 }
 
 /**
- * Set theme on the document and save to local storage
- * @param {string} theme - 'dark' or 'light'
+ * Switch to a theme through the theme service, which saves it
+ * @param {string} theme - Theme id, e.g. 'dark' or 'light'
+ * @returns {boolean} Whether the theme is registered
  */
 function setTheme(theme) {
-  document.documentElement.setAttribute('data-theme', theme);
-  localStorage.setItem('theme', theme);
+  return themeService.setTheme(theme);
 }
 
 module.exports = {